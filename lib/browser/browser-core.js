@@ -11,7 +11,7 @@ const { hashData, isBinary, arraysEqual, stringToUint8Array, uint8ArrayToString
 const { ContentAddressedStore, initStore } = require('../core/storage');
 const { storeBlob, getBlob } = require('../core/objects');
 const { storeFile, getFile, hasFile } = require('../core/file-storage');
-const { storeTree, getTree, createCommit, getCommit, getCommitHistory, commitExists, getTreeFiles } = require('../core/objects');
+const { storeTree, getTree, readTree, createCommit, getCommit, getCommitHistory, commitExists, getTreeFiles } = require('../core/objects');
 const { diffLines, formatDiff, diffFiles, getDiffSummary } = require('../core/diff');
 const { ContentAddressedRepo } = require('../core/repo');
 
@@ -169,17 +169,69 @@ class BrowserMiniRepo {
     return result;
   }
 
+  /**
+   * Remove a file from the next commit
+   * @param {string} filePath - File path
+   * @returns {boolean} - False if the file is neither staged nor committed
+   */
+  removeFile(filePath) {
+    this._ensureInitialized();
+    const removed = this._coreRepo.removeFile(filePath);
+    if (removed) {
+      this.log(`Removed ${filePath} from staging area`);
+    }
+    return removed;
+  }
+
+  /**
+   * Add a file from a stream of pieces, stored as chunks
+   * @param {string} filePath - File path
+   * @param {Iterable} pieces - Uint8Array pieces of the file, in order
+   * @param {Object} options - {binary}
+   */
+  addStream(filePath, pieces, options = {}) {
+    this._ensureInitialized();
+    const result = this._coreRepo.addFileStream(filePath, pieces, options.binary || false);
+    this.log(`Added ${filePath} to staging area (${result.chunks} chunks, ${result.newChunks} new)`);
+    return result;
+  }
+
+  /**
+   * Read a file one piece at a time
+   * @param {string} filePath - File path
+   * @param {string} commitHash - Optional commit hash or revision
+   * @returns {Iterator} - Uint8Array pieces in file order
+   */
+  streamFile(filePath, commitHash = null) {
+    this._ensureInitialized();
+    return this._coreRepo.streamFile(filePath, commitHash);
+  }
+
+  /**
+   * Attribute every line of a file to the commit that last changed it
+   * @param {string} filePath - File path
+   * @param {string} revision - Commit to blame at (defaults to the staged file, then HEAD)
+   * @returns {Object} - {file, revision, lines}
+   */
+  blame(filePath, revision = null) {
+    this._ensureInitialized();
+    return this._coreRepo.blame(filePath, revision);
+  }
+
   commit(message, author = null, email = null, options = {}) {
     this._ensureInitialized();
-    const result = this._coreRepo.commit(message, author, email);
-    this.log(`Created commit: ${result.commitHash.substring(0, 8)} - ${message}`);
+    const result = this._coreRepo.commit(message, author, email, options);
+    this.log(result.amended
+      ? `Amended commit: ${result.amended.substring(0, 8)} -> ${result.commitHash.substring(0, 8)} - ${result.message}`
+      : `Created commit: ${result.commitHash.substring(0, 8)} - ${message}`);
     return {
       hash: result.commitHash,
-      message,
+      message: result.message,
       author,
       email,
       timestamp: result.timestamp,
-      parent: result.parentHash
+      parent: result.parentHash,
+      amended: result.amended
     };
   }
 
@@ -190,6 +242,12 @@ class BrowserMiniRepo {
     const ref = this.store.getRef(`refs/heads/${currentBranch}`);
     if (!ref || !ref.hash) return [];
 
+    // Tag names by tagged commit
+    const tagsByCommit = new Map();
+    for (const tag of this._coreRepo.listTags()) {
+      tagsByCommit.set(tag.commit, [...(tagsByCommit.get(tag.commit) || []), tag.name]);
+    }
+
     const history = [];
     let currentHash = ref.hash;
     let count = 0;
@@ -204,7 +262,8 @@ class BrowserMiniRepo {
         author: commit.author,
         email: commit.email,
         timestamp: commit.timestamp,
-        parent: commit.parent
+        parent: commit.parent,
+        tags: tagsByCommit.get(currentHash) || []
       });
 
       currentHash = commit.parent;
@@ -224,6 +283,11 @@ class BrowserMiniRepo {
     return getTree(hash, this.store);
   }
 
+  readTree(hash) {
+    this._ensureInitialized();
+    return readTree(hash, this.store);
+  }
+
   status() {
     this._ensureInitialized();
     // Return staging area status
@@ -299,7 +363,7 @@ class BrowserMiniRepo {
 
     // Also create the branch reference for consistency with core
     if (head) {
-      this.store.setRef(`refs/heads/${branchName}`, head, 'branch');
+      this.store.setRef(`refs/heads/${branchName}`, head, 'branch', 'branch: created');
     }
 
     this.log(`Created branch: ${branchName}`);
@@ -346,7 +410,7 @@ class BrowserMiniRepo {
     }
 
     // Remove branch reference
-    const deleted = this.store.removeRef(`refs/heads/${branchName}`);
+    const deleted = this.store.removeRef(`refs/heads/${branchName}`, 'branch: deleted');
     if (deleted) {
       branchExisted = true;
     }
@@ -378,7 +442,7 @@ class BrowserMiniRepo {
     this._ensureInitialized();
     try {
       // Delegate to the core repository merge implementation
-      const result = this._coreRepo.merge(branchName);
+      const result = this._coreRepo.merge(branchName, options);
 
       // Log the merge result
       if (result.type === 'fast-forward') {
@@ -432,6 +496,153 @@ class BrowserMiniRepo {
     }
   }
 
+  getMergeState() {
+    this._ensureInitialized();
+    return this._coreRepo.getMergeState();
+  }
+
+  mergeContinue(message = null) {
+    this._ensureInitialized();
+    const result = this._coreRepo.mergeContinue(message);
+    this.log(`Concluded merge with commit: ${result.commitHash.substring(0, 8)}`);
+    return result;
+  }
+
+  mergeAbort() {
+    this._ensureInitialized();
+    const result = this._coreRepo.mergeAbort();
+    this.log(`Aborted merge, ${result.branch} restored to ${result.head.substring(0, 8)}`);
+    return result;
+  }
+
+  cherryPick(commitRef, options = {}) {
+    this._ensureInitialized();
+    const result = this._coreRepo.cherryPick(commitRef, options);
+    this.log(result.type === 'conflict'
+      ? `Cherry-pick of ${commitRef} stopped with ${result.conflicts.length} conflict(s)`
+      : `Cherry-picked ${commitRef}${result.commitHash ? ` as ${result.commitHash.substring(0, 8)}` : ' (no changes)'}`);
+    return result;
+  }
+
+  revert(commitRef, options = {}) {
+    this._ensureInitialized();
+    const result = this._coreRepo.revert(commitRef, options);
+    this.log(result.type === 'conflict'
+      ? `Revert of ${commitRef} stopped with ${result.conflicts.length} conflict(s)`
+      : `Reverted ${commitRef}${result.commitHash ? ` with ${result.commitHash.substring(0, 8)}` : ' (no changes)'}`);
+    return result;
+  }
+
+  reword(commitRef, message) {
+    this._ensureInitialized();
+    const result = this._coreRepo.reword(commitRef, message);
+    this.log(`Reworded ${result.previous.substring(0, 8)} as ${result.commitHash.substring(0, 8)} - ${message}`);
+    return result;
+  }
+
+  rebasePlan(upstream, options = {}) {
+    this._ensureInitialized();
+    return this._coreRepo.rebasePlan(upstream, options);
+  }
+
+  rebase(upstream, options = {}) {
+    this._ensureInitialized();
+    return this._logRebase(this._coreRepo.rebase(upstream, options));
+  }
+
+  getRebaseState() {
+    this._ensureInitialized();
+    return this._coreRepo.getRebaseState();
+  }
+
+  rebaseContinue() {
+    this._ensureInitialized();
+    return this._logRebase(this._coreRepo.rebaseContinue());
+  }
+
+  rebaseSkip() {
+    this._ensureInitialized();
+    return this._logRebase(this._coreRepo.rebaseSkip());
+  }
+
+  rebaseAbort() {
+    this._ensureInitialized();
+    const result = this._coreRepo.rebaseAbort();
+    this.log(`Rebase aborted, ${result.branch} restored to ${result.head.substring(0, 8)}`);
+    return result;
+  }
+
+  _logRebase(result) {
+    if (result.type === 'conflict') {
+      this.log(`Rebase stopped at ${result.current.commit.substring(0, 8)} with ${result.conflicts.length} conflict(s)`);
+    } else if (result.type === 'up-to-date') {
+      this.log(`${result.branch} is up to date`);
+    } else {
+      this.log(`Rebased ${result.branch}: ${result.applied} commit(s) replayed, now at ${result.head.substring(0, 8)}`);
+    }
+    return result;
+  }
+
+  listTags() {
+    this._ensureInitialized();
+    return this._coreRepo.listTags();
+  }
+
+  getReflog(ref = null) {
+    this._ensureInitialized();
+    return this._coreRepo.getReflog(ref);
+  }
+
+  stashPush(message = null) {
+    this._ensureInitialized();
+    const result = this._coreRepo.stashPush(message);
+    this.log(`Stashed ${result.files.length + result.removed.length} changes: ${result.message}`);
+    return result;
+  }
+
+  stashList() {
+    this._ensureInitialized();
+    return this._coreRepo.stashList();
+  }
+
+  stashShow(index = 0, options = {}) {
+    this._ensureInitialized();
+    return this._coreRepo.stashShow(index, options);
+  }
+
+  stashApply(index = 0) {
+    this._ensureInitialized();
+    const result = this._coreRepo.stashApply(index);
+    this.log(`Applied ${result.name}`);
+    return result;
+  }
+
+  stashPop(index = 0) {
+    this._ensureInitialized();
+    const result = this._coreRepo.stashPop(index);
+    this.log(`Applied and dropped ${result.name}`);
+    return result;
+  }
+
+  stashDrop(index = 0) {
+    this._ensureInitialized();
+    const result = this._coreRepo.stashDrop(index);
+    this.log(`Dropped ${result.name} (${result.hash.substring(0, 8)})`);
+    return result;
+  }
+
+  getConflicts() {
+    this._ensureInitialized();
+    return this._coreRepo.getConflicts();
+  }
+
+  resolveConflict(fileName, resolution) {
+    this._ensureInitialized();
+    const result = this._coreRepo.resolveConflict(fileName, resolution);
+    this.log(`Resolved conflict in ${fileName} using ${result.resolution}${result.deleted ? ' (deleted)' : ''}`);
+    return result;
+  }
+
   forceMerge(branchName, strategy = 'accept_all_target') {
     this._ensureInitialized();
 
@@ -485,7 +696,7 @@ class BrowserMiniRepo {
     }
   }
 
-  diff(fromCommit, toCommit = null) {
+  diff(fromCommit, toCommit = null, options = {}) {
     this._ensureInitialized();
 
     // Helper function to get files from a commit
@@ -505,6 +716,23 @@ class BrowserMiniRepo {
       }));
     };
 
+    // Unified diff of one file (a missing side is /dev/null)
+    const fileDiff = (path, fromFile, toFile) => {
+      const result = diffFiles(
+        fromFile ? getBlob(fromFile.hash, this.store) : null,
+        toFile ? getBlob(toFile.hash, this.store) : null,
+        fromFile ? `a/${path}` : '/dev/null',
+        toFile ? `b/${path}` : '/dev/null',
+        options
+      );
+      return {
+        additions: result.additions || 0,
+        deletions: result.deletions || 0,
+        binary: result.type === 'binary',
+        diff: result.content
+      };
+    };
+
     // Get files from both commits
     const fromFiles = getCommitFiles(fromCommit);
     const toFiles = toCommit ? getCommitFiles(toCommit) : [];
@@ -525,26 +753,19 @@ class BrowserMiniRepo {
     // Check for added and modified files
     for (const [path, file] of toFileMap) {
       if (!fromFileMap.has(path)) {
-        // Added file - estimate additions based on file size
-        const estimatedLines = Math.max(1, Math.floor(file.size / 50)); // Rough estimate
         changes.push({
           file,
           type: 'added',
-          additions: estimatedLines,
-          deletions: 0
+          ...fileDiff(path, null, file)
         });
       } else {
         const fromFile = fromFileMap.get(path);
         // Compare by hash for accurate modification detection
         if (fromFile.hash !== file.hash) {
-          // Modified file - estimate changes based on size difference
-          const sizeDiff = Math.abs(file.size - fromFile.size);
-          const estimatedChanges = Math.max(1, Math.floor(sizeDiff / 25));
           changes.push({
             file,
             type: 'modified',
-            additions: file.size > fromFile.size ? estimatedChanges : Math.floor(estimatedChanges / 2),
-            deletions: file.size < fromFile.size ? estimatedChanges : Math.floor(estimatedChanges / 2)
+            ...fileDiff(path, fromFile, file)
           });
         }
       }
@@ -553,13 +774,10 @@ class BrowserMiniRepo {
     // Check for deleted files
     for (const [path, file] of fromFileMap) {
       if (!toFileMap.has(path)) {
-        // Deleted file - estimate deletions based on file size
-        const estimatedLines = Math.max(1, Math.floor(file.size / 50));
         changes.push({
           file,
           type: 'deleted',
-          additions: 0,
-          deletions: estimatedLines
+          ...fileDiff(path, file, null)
         });
       }
     }
@@ -567,83 +785,95 @@ class BrowserMiniRepo {
     return changes;
   }
 
-  exportDatabase() {
+  fsck(options = {}) {
     this._ensureInitialized();
-    // Export the SQLite database as binary data
-    if (this.store.db && this.store.db.export) {
-      return this.store.db.export();
+    const report = this._coreRepo.fsck(options);
+    this.log(`Repository check: ${report.errors.length} errors, ${report.warnings.length} warnings, ${report.dangling.length} dangling objects`,
+      report.ok ? 'info' : 'warn');
+    return report;
+  }
+
+  repack(options = {}) {
+    this._ensureInitialized();
+    const result = this._coreRepo.repack(options);
+    this.log(`Repacked ${result.objects} blobs into ${result.deltas} deltas (${result.before.bytes} -> ${result.after.bytes} bytes)`);
+    return result;
+  }
+
+  upgrade(options = {}) {
+    this._ensureInitialized();
+    const result = this._coreRepo.upgrade(options);
+    if (!result.dryRun && result.commits > 0) {
+      this.log(`Upgraded ${result.commits} commits and ${result.refs} refs to nested trees`);
     }
-    throw new Error('Database export not available');
+    return result;
   }
 
-  getStorageAnalytics() {
+  addRemote(name, url) {
     this._ensureInitialized();
+    const result = this._coreRepo.addRemote(name, url);
+    this.log(`Added remote ${result.name}: ${result.url}`);
+    return result;
+  }
 
-    try {
-      // Get total objects and sizes (restore original better-sqlite3 API usage)
-      const totalStats = this.store.db.prepare(`
-        SELECT
-          COUNT(*) as totalObjects,
-          SUM(size) as totalUncompressed,
-          SUM(LENGTH(data)) as totalCompressed,
-          type
-        FROM objects
-        GROUP BY type
-      `).all();
-
-      // Calculate overall totals
-      let totalObjects = 0;
-      let totalUncompressed = 0;
-      let totalCompressed = 0;
-      const objectBreakdown = { blob: 0, tree: 0, commit: 0 };
-
-      for (const stat of totalStats) {
-        totalObjects += stat.totalObjects;
-        totalUncompressed += stat.totalUncompressed || 0;
-        totalCompressed += stat.totalCompressed || 0;
-        objectBreakdown[stat.type] = stat.totalObjects;
-      }
+  removeRemote(name) {
+    this._ensureInitialized();
+    const result = this._coreRepo.removeRemote(name);
+    this.log(`Removed remote ${result.name} and ${result.removedRefs} remote-tracking branches`);
+    return result;
+  }
 
-      // Calculate compression ratio as percentage reduction
-      const compressionRatio = totalUncompressed > 0
-        ? ((totalUncompressed - totalCompressed) / totalUncompressed) * 100
-        : 0;
+  listRemotes() {
+    this._ensureInitialized();
+    return this._coreRepo.listRemotes();
+  }
 
-      // Calculate file metrics from blob objects only
-      const blobCount = objectBreakdown.blob || 0;
-      const blobStats = totalStats.find(stat => stat.type === 'blob');
-      const avgFileSize = blobCount > 0 && blobStats ? Math.round(blobStats.totalUncompressed / blobCount) : 0;
+  async fetch(remoteName) {
+    this._ensureInitialized();
+    const result = await this._coreRepo.fetch(remoteName);
+    this.log(`Fetched ${remoteName}: ${result.updated.length} refs updated, ${result.objects} objects and ${result.deltas} deltas received`);
+    return result;
+  }
 
-      // Find largest object across all types
-      const largestObjectSize = this.store.db.prepare(`
-        SELECT MAX(size) as maxSize FROM objects
-      `).get()?.maxSize || 0;
+  async pull(remoteName, branchName = null, options = {}) {
+    this._ensureInitialized();
+    const result = await this._coreRepo.pull(remoteName, branchName, options);
+    this.log(`Pulled ${remoteName}: ${result.merge.type}`, result.merge.type === 'conflict' ? 'warn' : 'info');
+    return result;
+  }
 
-      return {
-        totalObjects,
-        totalSize: totalCompressed, // Size on disk (compressed)
-        uncompressedSize: totalUncompressed,
-        compressionRatio,
-        deduplicationSavings: compressionRatio, // Use compression ratio as deduplication savings
-        objectBreakdown: {
-          commits: objectBreakdown.commit || 0,
-          trees: objectBreakdown.tree || 0,
-          blobs: objectBreakdown.blob || 0
-        },
-        averageFileSize: avgFileSize,
-        largestObject: largestObjectSize
-      };
-    } catch (error) {
-      this.log(`Error getting storage analytics: ${error.message}`, 'error');
-      return {
-        totalObjects: 0,
-        totalSize: 0,
-        uncompressedSize: 0,
-        compressionRatio: 0,
-        deduplicationSavings: 0,
-        objectBreakdown: { commits: 0, trees: 0, blobs: 0 }
-      };
+  async push(remoteName, branchName = null, options = {}) {
+    this._ensureInitialized();
+    const result = await this._coreRepo.push(remoteName, branchName, options);
+    this.log(`Pushed ${result.branch} to ${remoteName} (${result.status})`);
+    return result;
+  }
+
+  importBranchFrom(source, branchName, targetName = null) {
+    this._ensureInitialized();
+    const result = this._coreRepo.importBranchFrom(source._coreRepo || source, branchName, targetName);
+    this.log(`Imported branch ${result.branch} (${result.objects} objects, ${result.deltas} deltas)`);
+    return result;
+  }
+
+  exportDatabase() {
+    this._ensureInitialized();
+    // Export the SQLite database as binary data
+    if (this.store.db && this.store.db.export) {
+      return this.store.db.export();
     }
+    throw new Error('Database export not available');
+  }
+
+  /**
+   * Storage analytics (see storageAnalytics in lib/core/repo-utils.js)
+   * @param {Object} options - {top: number of largest files to list}
+   */
+  getStorageAnalytics(options = {}) {
+    this._ensureInitialized();
+    const result = this._coreRepo.storageAnalytics(options);
+    this.log(`Analyzed ${result.totals.objects} objects`);
+    return result;
   }
 
   close() {
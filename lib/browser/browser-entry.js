@@ -15,6 +15,21 @@ const {
   getTree,
   initBrowserSQL
 } = browserCore;
+const { getManifest, readChunks } = require('../core/chunking');
+const { RepositoryStorage, validateRepositoryName } = require('./browser-persistence');
+const { LARGE_FILE_THRESHOLD, STREAM_PIECE_SIZE } = require('../core/constants');
+
+/**
+ * Read a File or Blob in pieces (workers only: uses FileReaderSync)
+ * @param {Blob} blob - File to read
+ * @returns {Iterator} - Uint8Array pieces in file order
+ */
+function* readBlobPieces(blob) {
+  const reader = new FileReaderSync();
+  for (let offset = 0; offset < blob.size; offset += STREAM_PIECE_SIZE) {
+    yield new Uint8Array(reader.readAsArrayBuffer(blob.slice(offset, offset + STREAM_PIECE_SIZE)));
+  }
+}
 
 /**
  * Browser Repository - Clean wrapper using core abstraction
@@ -66,9 +81,16 @@ class BrowserRepo extends BrowserMiniRepo {
       }
 
       try {
-        const result = this.add(file.path, file.content, {
-          binary: file.isBinary || false
-        });
+        // Uploads may pass the File itself; large ones are streamed into chunks
+        const options = { binary: file.isBinary || false };
+        let result;
+        if (file.file && file.file.size >= LARGE_FILE_THRESHOLD) {
+          result = this.addStream(file.path, readBlobPieces(file.file), options);
+        } else if (file.file) {
+          result = this.add(file.path, new Uint8Array(new FileReaderSync().readAsArrayBuffer(file.file)), options);
+        } else {
+          result = this.add(file.path, file.content, options);
+        }
         results.push({
           path: file.path,
           success: true,
@@ -116,7 +138,7 @@ class BrowserRepo extends BrowserMiniRepo {
     for (const entry of tree) {
       const path = entry.name;
       try {
-        const content = getFile(entry.hash, this.store);
+        const content = this._fileContent(entry.hash);
         files.push({
           path,
           name: path, // UI compatibility
@@ -142,7 +164,7 @@ class BrowserRepo extends BrowserMiniRepo {
     const staged = [];
     for (const [path, fileInfo] of this.stagingArea.entries()) {
       try {
-        const content = getFile(fileInfo.hash, this.store);
+        const content = this._fileContent(fileInfo.hash);
         staged.push({
           path,
           name: path, // UI compatibility
@@ -160,6 +182,19 @@ class BrowserRepo extends BrowserMiniRepo {
     return staged;
   }
 
+  /**
+   * Read file content for the UI
+   * Chunked files come back as a Blob assembled chunk by chunk, which the
+   * browser can keep out of the JavaScript heap; other files as a Uint8Array.
+   * @private
+   */
+  _fileContent(hash) {
+    if (getManifest(hash, this.store)) {
+      return new Blob(Array.from(readChunks(hash, this.store)));
+    }
+    return getFile(hash, this.store);
+  }
+
   /**
    * Get repository statistics
    */
@@ -182,10 +217,6 @@ class BrowserRepo extends BrowserMiniRepo {
       }
     }
 
-    // Get repository size from storage analytics
-    const analytics = this.getStorageAnalytics();
-    const dbSize = analytics.totalSize || 0;
-
     return {
       currentBranch: this.getCurrentBranch(),
       totalBranches: branches.length,
@@ -198,7 +229,7 @@ class BrowserRepo extends BrowserMiniRepo {
       untrackedFiles: status.untracked?.length || 0,
       branchList: branches,
       recentCommits: history.slice(0, 10),
-      dbSize: dbSize  // Add database size for UI
+      dbSize: this.store.getStoredSize().total  // Add database size for UI
     };
   }
 
@@ -235,9 +266,9 @@ class BrowserRepo extends BrowserMiniRepo {
   /**
    * Get storage analytics and compression statistics
    */
-  getStorageAnalytics() {
+  getStorageAnalytics(options = {}) {
     this._ensureInitialized();
-    return super.getStorageAnalytics();
+    return super.getStorageAnalytics(options);
   }
 
   /**
@@ -267,6 +298,8 @@ class BrowserRepo extends BrowserMiniRepo {
 // Export for use in browser and worker environments
 module.exports = {
   BrowserRepo,
+  RepositoryStorage,
+  validateRepositoryName,
   // Re-export core functions for convenience
   ...browserCore
 };
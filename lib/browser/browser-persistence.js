@@ -0,0 +1,232 @@
+/**
+ * Browser Persistence - keeps repositories in IndexedDB across reloads
+ * sql.js databases live in memory; this stores each one's exported bytes
+ * under its repository name. Metadata and bytes sit in separate object
+ * stores so listing repositories never reads the databases themselves.
+ * Works in windows and workers.
+ */
+
+const DEFAULT_DB_NAME = 'webdvcs';
+const DB_VERSION = 1;
+const META_STORE = 'repositories';
+const DATA_STORE = 'databases';
+
+/**
+ * Check a repository name is usable as a key and a download filename
+ * @param {string} name - Repository name
+ */
+function validateRepositoryName(name) {
+  if (typeof name !== 'string' || !/^[^\\/:*?"<>|]+$/.test(name) || name.trim() !== name) {
+    throw new Error(`Invalid repository name: ${name}`);
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @private
+ */
+function requestPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Repositories stored in the browser
+ */
+class RepositoryStorage {
+  /**
+   * @param {Object} options - {dbName, indexedDB}: database name and IndexedDB factory (defaults to the global one)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || DEFAULT_DB_NAME;
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this._db = null;
+  }
+
+  /**
+   * Whether this environment can store repositories
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!this.indexedDB;
+  }
+
+  /**
+   * List stored repositories
+   * @returns {Promise<Array>} - [{name, size, created, updated}] most recently saved first
+   */
+  async list() {
+    const records = await this._run(META_STORE, 'readonly', store => requestPromise(store.getAll()));
+    return records.sort((a, b) => b.updated - a.updated);
+  }
+
+  /**
+   * Metadata of one stored repository
+   * @param {string} name - Repository name
+   * @returns {Promise<Object|null>} - {name, size, created, updated}, or null if not stored
+   */
+  async info(name) {
+    const record = await this._run(META_STORE, 'readonly', store => requestPromise(store.get(name)));
+    return record || null;
+  }
+
+  /**
+   * Read a stored repository
+   * @param {string} name - Repository name
+   * @returns {Promise<Uint8Array>} - Database bytes
+   */
+  async load(name) {
+    const data = await this._run(DATA_STORE, 'readonly', store => requestPromise(store.get(name)));
+    if (!data) {
+      throw new Error(`Stored repository '${name}' not found`);
+    }
+    return data instanceof Uint8Array ? data : new Uint8Array(data);
+  }
+
+  /**
+   * Store a repository, replacing an earlier copy of the same name
+   * @param {string} name - Repository name
+   * @param {Uint8Array} data - Database bytes (from db.export())
+   * @returns {Promise<Object>} - {name, size, created, updated}
+   */
+  async save(name, data) {
+    validateRepositoryName(name);
+
+    return this._run([META_STORE, DATA_STORE], 'readwrite', async (meta, databases) => {
+      const existing = await requestPromise(meta.get(name));
+      const now = Date.now();
+      const record = { name, size: data.byteLength, created: existing ? existing.created : now, updated: now };
+      meta.put(record);
+      databases.put(data, name);
+      return record;
+    });
+  }
+
+  /**
+   * Rename a stored repository
+   * @param {string} name - Current name
+   * @param {string} newName - New name, not already in use
+   * @returns {Promise<Object>} - {name, size, created, updated} under the new name
+   */
+  async rename(name, newName) {
+    validateRepositoryName(newName);
+
+    return this._run([META_STORE, DATA_STORE], 'readwrite', async (meta, databases) => {
+      const record = await requestPromise(meta.get(name));
+      if (!record) {
+        throw new Error(`Stored repository '${name}' not found`);
+      }
+      if (await requestPromise(meta.get(newName))) {
+        throw new Error(`A repository named '${newName}' already exists`);
+      }
+
+      const data = await requestPromise(databases.get(name));
+      const renamed = { ...record, name: newName };
+      meta.delete(name);
+      databases.delete(name);
+      meta.put(renamed);
+      databases.put(data, newName);
+      return renamed;
+    });
+  }
+
+  /**
+   * Delete a stored repository
+   * @param {string} name - Repository name
+   * @returns {Promise<Object>} - The removed repository's metadata
+   */
+  async remove(name) {
+    return this._run([META_STORE, DATA_STORE], 'readwrite', async (meta, databases) => {
+      const record = await requestPromise(meta.get(name));
+      if (!record) {
+        throw new Error(`Stored repository '${name}' not found`);
+      }
+      meta.delete(name);
+      databases.delete(name);
+      return record;
+    });
+  }
+
+  /**
+   * A name not yet used by a stored repository: name, name-2, name-3, ...
+   * @param {string} name - Preferred name
+   * @returns {Promise<string>}
+   */
+  async uniqueName(name) {
+    const taken = new Set((await this.list()).map(record => record.name));
+    let candidate = name;
+    for (let n = 2; taken.has(candidate); n++) {
+      candidate = `${name}-${n}`;
+    }
+    return candidate;
+  }
+
+  close() {
+    if (this._db) {
+      this._db.close();
+      this._db = null;
+    }
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @private
+   */
+  async _open() {
+    if (this._db) return this._db;
+    if (!this.indexedDB) {
+      throw new Error('Browser storage is not available (IndexedDB missing)');
+    }
+
+    const request = this.indexedDB.open(this.dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'name' });
+      }
+      if (!db.objectStoreNames.contains(DATA_STORE)) {
+        db.createObjectStore(DATA_STORE);
+      }
+    };
+    this._db = await requestPromise(request);
+    return this._db;
+  }
+
+  /**
+   * Run work in one transaction and resolve once it has committed
+   * Work must only wait on requests of this transaction, or it closes early.
+   * @private
+   */
+  async _run(storeNames, mode, work) {
+    const db = await this._open();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const transaction = db.transaction(names, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+
+    let result;
+    try {
+      result = await work(...names.map(name => transaction.objectStore(name)));
+    } catch (error) {
+      try {
+        transaction.abort();
+      } catch (abortError) {
+        // Already finished
+      }
+      done.catch(() => {});
+      throw error;
+    }
+    await done;
+    return result;
+  }
+}
+
+module.exports = {
+  RepositoryStorage,
+  validateRepositoryName
+};
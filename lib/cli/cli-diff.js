@@ -2,56 +2,68 @@
  * CLI Diff - Terminal-formatted diff output with colors
  */
 
-const { diffFiles: coreDiffFiles, formatDiff: coreFormatDiff } = require('../core/diff');
+const { diffFiles: coreDiffFiles, buildHunks, formatHunkHeader } = require('../core/diff');
 const { colorize } = require('./cli-colors');
 
 /**
- * Format diff result with ANSI colors for terminal display
+ * Format diff result as colored unified diff hunks for terminal display
  * @param {Array} diffResult - Result from core diffLines
  * @param {number} contextLines - Number of context lines to show
  * @returns {string} Colored formatted diff output
  */
 function formatDiff(diffResult, contextLines = 3) {
-  if (diffResult.length === 0) {
+  const hunks = buildHunks(diffResult, contextLines);
+  if (hunks.length === 0) {
     return colorize('Files are identical', 'context');
   }
   
   const output = [];
   
-  // Find chunks of changes with context
-  for (let i = 0; i < diffResult.length; i++) {
-    const item = diffResult[i];
-    
-    if (item.type === 'context') {
-      // Only show context lines near changes
-      const hasChangesNearby = (
-        (i > 0 && diffResult[i-1].type !== 'context') ||
-        (i < diffResult.length - 1 && diffResult[i+1].type !== 'context')
-      );
-      
-      if (hasChangesNearby) {
-        output.push(`  ${item.line}`);
+  for (const hunk of hunks) {
+    output.push(colorize(formatHunkHeader(hunk), 'header'));
+    for (const item of hunk.lines) {
+      if (item.type === 'removed') {
+        output.push(colorize(`-${item.line}`, 'removed'));
+      } else if (item.type === 'added') {
+        output.push(colorize(`+${item.line}`, 'added'));
+      } else {
+        output.push(` ${item.line}`);
       }
-    } else if (item.type === 'removed') {
-      output.push(colorize(`- ${item.line}`, 'removed'));
-    } else if (item.type === 'added') {
-      output.push(colorize(`+ ${item.line}`, 'added'));
     }
   }
   
   return output.join('\n');
 }
 
+/**
+ * Colorize a plain unified diff produced by the core library
+ * @param {string} diffText - Unified diff text
+ * @returns {string} Colored diff output
+ */
+function colorizeUnifiedDiff(diffText) {
+  return diffText.split('\n').map(line => {
+    if (line.startsWith('---') || line.startsWith('+++') || line.startsWith('@@')) {
+      return colorize(line, 'header');
+    } else if (line.startsWith('-')) {
+      return colorize(line, 'removed');
+    } else if (line.startsWith('+')) {
+      return colorize(line, 'added');
+    }
+    return line;
+  }).join('\n');
+}
+
 /**
  * Compare two files and generate colored diff for terminal
  * @param {Uint8Array} fileA - First file data
  * @param {Uint8Array} fileB - Second file data
  * @param {string} nameA - Name of first file
  * @param {string} nameB - Name of second file
+ * @param {Object} options - {contextLines, algorithm}
  * @returns {string} Colored formatted diff output
  */
-function diffFiles(fileA, fileB, nameA = 'file A', nameB = 'file B') {
-  const coreResult = coreDiffFiles(fileA, fileB, nameA, nameB);
+function diffFiles(fileA, fileB, nameA = 'file A', nameB = 'file B', options = {}) {
+  const coreResult = coreDiffFiles(fileA, fileB, nameA, nameB, options);
   
   if (coreResult.type === 'identical') {
     return colorize('Files are identical', 'context');
@@ -67,7 +79,8 @@ function diffFiles(fileA, fileB, nameA = 'file A', nameB = 'file B') {
   }
   
   if (coreResult.type === 'text') {
-    const formattedDiff = formatDiff(coreResult.lines);
+    const contextLines = options.contextLines !== undefined ? options.contextLines : 3;
+    const formattedDiff = formatDiff(coreResult.lines, contextLines);
     return [
       colorize(`--- ${nameA}`, 'header'),
       colorize(`+++ ${nameB}`, 'header'),
@@ -80,5 +93,6 @@ function diffFiles(fileA, fileB, nameA = 'file A', nameB = 'file B') {
 
 module.exports = {
   formatDiff,
+  colorizeUnifiedDiff,
   diffFiles
-};
\ No newline at end of file
+};
@@ -9,6 +9,7 @@
 const fs = require('fs');
 const path = require('path');
 const { isBinary } = require('../core/utils');
+const { LARGE_FILE_THRESHOLD, STREAM_PIECE_SIZE } = require('../core/constants');
 
 /**
  * Walk directory recursively and return all files
@@ -41,6 +42,26 @@ function walkDirectorySync(dirPath, basePath = '', options = {}) {
   return files;
 }
 
+/**
+ * Read a file in fixed-size pieces so large files never sit in memory whole
+ * The same buffer is reused for every piece; consumers must copy what they keep.
+ * @param {string} filePath - File to read
+ * @param {number} pieceSize - Bytes per piece
+ * @returns {Iterator} - Uint8Array pieces in file order
+ */
+function* readFilePieces(filePath, pieceSize = STREAM_PIECE_SIZE) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(pieceSize);
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, pieceSize, null)) > 0) {
+      yield buffer.subarray(0, bytesRead);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
 /**
  * Add entire directory recursively to a MiniRepo instance
  * Extracted from MiniRepo.addDirectory()
@@ -85,12 +106,13 @@ function addDirectoryToRepo(repo, dirPath, options = {}) {
       // Prepare file data with metadata
       let content = null;
       let target = null;
+      const streamed = !isSymlink && fileSize >= LARGE_FILE_THRESHOLD;
 
       if (isSymlink) {
         // For symlinks, read the target path instead of content
         target = fs.readlinkSync(file.fullPath);
-      } else {
-        // For regular files, read the content
+      } else if (!streamed) {
+        // For regular files, read the content (large files are streamed in below)
         content = fs.readFileSync(file.fullPath);
       }
 
@@ -107,11 +129,13 @@ function addDirectoryToRepo(repo, dirPath, options = {}) {
       };
 
       // Use enhanced _addFileInternal with metadata
-      const result = repo._addFileInternal(storagePath, content, options.forceBinary, metadata);
+      const result = streamed
+        ? repo._addFileStreamInternal(storagePath, readFilePieces(file.fullPath), options.forceBinary, metadata)
+        : repo._addFileInternal(storagePath, content, options.forceBinary, metadata);
       
       addedFiles.push({
         path: storagePath,
-        size: content.length,
+        size: result.size,
         binary: result.binary,
         hash: result.hash
       });
@@ -120,7 +144,7 @@ function addDirectoryToRepo(repo, dirPath, options = {}) {
       fileMetadata[storagePath] = {
         originalPath: file.fullPath,
         addedAt: Date.now(),
-        size: content.length,
+        size: result.size,
         binary: result.binary
       };
       
@@ -230,6 +254,7 @@ function addFilesystemMethods(repo) {
 
 module.exports = {
   walkDirectorySync,
+  readFilePieces,
   addDirectoryToRepo,
   getDatabaseFileSize,
   addFilesystemMethods
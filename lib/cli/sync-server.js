@@ -0,0 +1,76 @@
+/**
+ * Sync Server - serves a repository to HTTP remotes
+ * Each request is one JSON POST answered by handleSyncRequest, matching
+ * what HttpTransport sends. There is no authentication: listen on loopback
+ * unless every host that can reach the port may push.
+ */
+
+const http = require('http');
+const { handleSyncRequest } = require('../core/sync');
+
+// Largest request body accepted; pushes carry base64 packs, so this bounds a push to ~190MB of objects
+const DEFAULT_MAX_BODY_SIZE = 256 * 1024 * 1024;
+
+/**
+ * Create an HTTP server for a repository
+ * @param {ContentAddressedStore} store - Storage of the served repository
+ * @param {Object} options - All optional:
+ *   onRequest(request, error): called after every request, e.g. for logging
+ *   maxBodySize: largest request body in bytes, larger ones are answered 413
+ *   allowForce: accept forced (non-fast-forward) pushes
+ * @returns {http.Server} - Server, not yet listening
+ */
+function createSyncServer(store, options = {}) {
+  const maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+
+  return http.createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const tooLarge = () => {
+      res.setHeader('Connection', 'close');
+      reply(413, { error: `Sync request larger than ${maxBodySize} bytes` });
+      if (options.onRequest) options.onRequest(null, new Error('Request body too large'));
+    };
+
+    if (req.method !== 'POST') {
+      reply(405, { error: 'Sync requests must be POSTed' });
+      return;
+    }
+    if (Number(req.headers['content-length']) > maxBodySize) {
+      tooLarge();
+      req.resume();
+      return;
+    }
+
+    const parts = [];
+    let size = 0;
+    let rejected = false;
+    req.on('data', part => {
+      if (rejected) return;
+      size += part.length;
+      if (size > maxBodySize) {
+        rejected = true;
+        parts.length = 0;
+        tooLarge();
+        return;
+      }
+      parts.push(part);
+    });
+    req.on('end', () => {
+      if (rejected) return;
+      let request = null;
+      try {
+        request = JSON.parse(Buffer.concat(parts).toString('utf8'));
+        reply(200, handleSyncRequest(store, request, { allowForce: !!options.allowForce }));
+        if (options.onRequest) options.onRequest(request, null);
+      } catch (error) {
+        reply(400, { error: error.message });
+        if (options.onRequest) options.onRequest(request, error);
+      }
+    });
+  });
+}
+
+module.exports = { createSyncServer, DEFAULT_MAX_BODY_SIZE };
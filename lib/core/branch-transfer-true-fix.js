@@ -4,7 +4,8 @@
  */
 
 const { ContentAddressedStore } = require('./storage');
-const { getCommitHistory, getOptimizedCommitHistory, getCommit, getTree, getBlob } = require('./objects');
+const { getCommitHistory, getOptimizedCommitHistory, getCommit, readTree, getBlob } = require('./objects');
+const { getManifest } = require('./chunking');
 
 class BranchTransferTrueFix {
   constructor(store) {
@@ -115,15 +116,15 @@ class BranchTransferTrueFix {
       newObjects.add(commit.tree);
 
       // Check tree contents
-      const tree = getTree(commit.tree, this.store);
+      const tree = readTree(commit.tree, this.store);
       if (tree) {
         for (const entry of tree) {
           if (entry.hash && !existingObjects.has(entry.hash)) {
-            newObjects.add(entry.hash);
-
             // Recursively check subdirectories
             if (entry.type === 'tree') {
               this.collectNewObjectsFromTree(entry.hash, existingObjects, newObjects);
+            } else {
+              this.collectNewFileObjects(entry.hash, existingObjects, newObjects);
             }
           }
         }
@@ -141,21 +142,41 @@ class BranchTransferTrueFix {
     if (existingObjects.has(treeHash) || newObjects.has(treeHash)) {
       return; // Already processed
     }
+    newObjects.add(treeHash);
 
-    const tree = getTree(treeHash, this.store);
+    const tree = readTree(treeHash, this.store);
     if (!tree) return;
 
     for (const entry of tree) {
       if (entry.hash && !existingObjects.has(entry.hash)) {
-        newObjects.add(entry.hash);
-
         if (entry.type === 'tree') {
           this.collectNewObjectsFromTree(entry.hash, existingObjects, newObjects);
+        } else {
+          this.collectNewFileObjects(entry.hash, existingObjects, newObjects);
         }
       }
     }
   }
 
+  /**
+   * Collect a file's blob, or its manifest and any chunks not already exported
+   * @param {string} hash - Blob or manifest hash
+   * @param {Set} existingObjects - Objects that exist in other branches
+   * @param {Set} newObjects - Set to add new objects to
+   */
+  collectNewFileObjects(hash, existingObjects, newObjects) {
+    newObjects.add(hash);
+
+    const manifest = getManifest(hash, this.store);
+    if (!manifest) return;
+
+    for (const chunk of manifest.chunks) {
+      if (!existingObjects.has(chunk.hash)) {
+        newObjects.add(chunk.hash);
+      }
+    }
+  }
+
   /**
    * Import differential branch
    * @param {Uint8Array} exportData - Export data
@@ -200,7 +221,7 @@ class BranchTransferTrueFix {
       // Import branch references
       const refs = tempStore.db.prepare('SELECT * FROM refs').all();
       for (const ref of refs) {
-        this.store.setRef(ref.name, ref.hash, ref.type);
+        this.store.setRef(ref.name, ref.hash, ref.type, 'branch: imported');
         stats.branch = ref.name.replace('refs/heads/', '');
       }
 
@@ -297,10 +318,14 @@ class BranchTransferTrueFix {
         if (commit.tree) queue.push(commit.tree);
         if (commit.parent) queue.push(commit.parent);
       } else if (obj.type === 'tree') {
-        const tree = getTree(hash, this.store);
+        const tree = readTree(hash, this.store);
         for (const entry of tree) {
           if (entry.hash) queue.push(entry.hash);
         }
+      } else if (obj.type === 'manifest') {
+        for (const chunk of getManifest(hash, this.store).chunks) {
+          reachable.add(chunk.hash);
+        }
       }
     }
   }
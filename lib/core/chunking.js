@@ -0,0 +1,254 @@
+/**
+ * Content-Defined Chunking for large files
+ * Files at or above LARGE_FILE_THRESHOLD are split into chunks whose
+ * boundaries come from a gear rolling hash over the content, so an edit only
+ * changes the chunks around it and the rest deduplicate against earlier
+ * versions. Each chunk is a 'chunk' object; a 'manifest' object lists them
+ * and is what trees and the staging area refer to.
+ *
+ * Manifest format:
+ *   manifest 1
+ *   size <total bytes>
+ *   content <SHA-256 of the whole file>
+ *   chunk <hash> <size>        (one line per chunk, in file order)
+ *
+ * Writing and reading both work one piece at a time, so a file never has
+ * to be held in memory as a whole.
+ */
+
+const crypto = require('crypto');
+const { isBinary } = require('./utils');
+const {
+  BINARY_DETECTION_BUFFER_SIZE,
+  CHUNK_MIN_SIZE,
+  CHUNK_AVG_SIZE,
+  CHUNK_MAX_SIZE
+} = require('./constants');
+
+const MANIFEST_HEADER = 'manifest 1';
+
+// Fixed pseudo-random table: boundaries must be identical on every run
+const GEAR = new Uint32Array(256);
+let gearSeed = 0x9e3779b9;
+for (let i = 0; i < GEAR.length; i++) {
+  gearSeed ^= gearSeed << 13;
+  gearSeed ^= gearSeed >>> 17;
+  gearSeed ^= gearSeed << 5;
+  GEAR[i] = gearSeed >>> 0;
+}
+
+/**
+ * Splits a stream of pieces into content-defined chunks
+ * Pieces may be reused by the caller after push() returns.
+ */
+class Chunker {
+  /**
+   * @param {Object} options - {minSize, avgSize, maxSize} in bytes; avgSize is rounded to a power of two
+   */
+  constructor(options = {}) {
+    this.minSize = options.minSize || CHUNK_MIN_SIZE;
+    this.maxSize = options.maxSize || CHUNK_MAX_SIZE;
+    const bits = Math.round(Math.log2(Math.max(2, (options.avgSize || CHUNK_AVG_SIZE) - this.minSize)));
+    // High bits of the gear hash depend on the most bytes
+    this.mask = (((1 << bits) - 1) << (32 - bits)) | 0;
+
+    this.parts = [];
+    this.length = 0;
+    this.hash = 0;
+  }
+
+  /**
+   * Feed the next piece of the file
+   * @param {Uint8Array} piece - File bytes
+   * @returns {Array} - Chunks (Uint8Array) completed by this piece
+   */
+  push(piece) {
+    const chunks = [];
+    let start = 0;
+    let i = 0;
+
+    while (i < piece.length) {
+      // No boundary can fall inside the minimum size, so skip hashing it
+      if (this.length < this.minSize) {
+        const skip = Math.min(this.minSize - this.length, piece.length - i);
+        this.length += skip;
+        i += skip;
+        continue;
+      }
+
+      this.hash = ((this.hash << 1) + GEAR[piece[i]]) | 0;
+      this.length++;
+      i++;
+
+      if ((this.hash & this.mask) === 0 || this.length >= this.maxSize) {
+        this.parts.push(piece.subarray(start, i));
+        chunks.push(this._take());
+        start = i;
+      }
+    }
+
+    // Copy: Buffer#slice would return a view of a buffer the caller may reuse
+    if (start < piece.length) {
+      this.parts.push(new Uint8Array(piece.subarray(start)));
+    }
+    return chunks;
+  }
+
+  /**
+   * Flush the final chunk
+   * @returns {Array} - The last chunk, or nothing if the input ended on a boundary
+   */
+  finish() {
+    return this.length > 0 ? [this._take()] : [];
+  }
+
+  /**
+   * Join the buffered parts into one chunk and reset
+   * @private
+   */
+  _take() {
+    const chunk = new Uint8Array(this.length);
+    let offset = 0;
+    for (const part of this.parts) {
+      chunk.set(part, offset);
+      offset += part.length;
+    }
+
+    this.parts = [];
+    this.length = 0;
+    this.hash = 0;
+    return chunk;
+  }
+}
+
+/**
+ * Store a file as deduplicated chunks plus a manifest
+ * @param {Iterable} pieces - Uint8Array pieces of the file, in order
+ * @param {ContentAddressedStore} store - Storage instance
+ * @param {Object} options - Chunker options
+ * @returns {Object} - {hash, isNew, size, contentHash, chunks, newChunks, binary}; hash is the manifest's
+ */
+function storeChunkedBlob(pieces, store, options = {}) {
+  const chunker = new Chunker(options);
+  const contentHash = crypto.createHash('sha256');
+  const chunks = [];
+  let size = 0;
+  let newChunks = 0;
+  let head = null;
+
+  const storeChunk = chunk => {
+    const result = store.storeObject(chunk, 'chunk');
+    if (result.isNew) newChunks++;
+    chunks.push({ hash: result.hash, size: chunk.length });
+  };
+
+  for (const piece of pieces) {
+    const bytes = piece instanceof Uint8Array ? piece : new Uint8Array(piece);
+    if (!head) head = new Uint8Array(bytes.subarray(0, BINARY_DETECTION_BUFFER_SIZE));
+
+    contentHash.update(bytes);
+    size += bytes.length;
+    chunker.push(bytes).forEach(storeChunk);
+  }
+  chunker.finish().forEach(storeChunk);
+
+  const digest = contentHash.digest('hex');
+  const manifest = [
+    MANIFEST_HEADER,
+    `size ${size}`,
+    `content ${digest}`,
+    ...chunks.map(chunk => `chunk ${chunk.hash} ${chunk.size}`)
+  ].join('\n');
+  const result = store.storeObject(new TextEncoder().encode(manifest), 'manifest');
+
+  return {
+    hash: result.hash,
+    isNew: result.isNew,
+    size,
+    contentHash: digest,
+    chunks: chunks.length,
+    newChunks,
+    binary: isBinary(head || new Uint8Array(0))
+  };
+}
+
+/**
+ * Read a manifest object
+ * @param {string} hash - Object hash
+ * @param {ContentAddressedStore} store - Storage instance
+ * @returns {Object|null} - {hash, size, contentHash, chunks: [{hash, size}]}, or null if hash is not a manifest
+ */
+function getManifest(hash, store) {
+  if (store.getObjectType(hash) !== 'manifest') return null;
+
+  const lines = new TextDecoder().decode(store.getObject(hash).data).split('\n');
+  if (lines[0] !== MANIFEST_HEADER) {
+    throw new Error(`Unsupported manifest format in ${hash.substring(0, 8)}: ${lines[0]}`);
+  }
+
+  const manifest = { hash, size: 0, contentHash: null, chunks: [] };
+  for (const line of lines.slice(1)) {
+    const [key, value, extra] = line.split(' ');
+    if (key === 'size') {
+      manifest.size = parseInt(value);
+    } else if (key === 'content') {
+      manifest.contentHash = value;
+    } else if (key === 'chunk') {
+      manifest.chunks.push({ hash: value, size: parseInt(extra) });
+    }
+  }
+  return manifest;
+}
+
+/**
+ * Read a file one chunk at a time
+ * Plain blobs come back as a single piece.
+ * @param {string} hash - Blob or manifest hash
+ * @param {ContentAddressedStore} store - Storage instance
+ * @returns {Iterator} - Uint8Array pieces in file order
+ */
+function* readChunks(hash, store) {
+  const manifest = getManifest(hash, store);
+  if (!manifest) {
+    const obj = store.getObject(hash);
+    if (!obj || (obj.type !== 'blob' && obj.type !== 'chunk')) {
+      throw new Error(`Blob ${hash.substring(0, 8)} not found`);
+    }
+    yield obj.data;
+    return;
+  }
+
+  for (const chunk of manifest.chunks) {
+    const obj = store.getObject(chunk.hash);
+    if (!obj) {
+      throw new Error(`Chunk ${chunk.hash.substring(0, 8)} of ${hash.substring(0, 8)} not found`);
+    }
+    yield obj.data;
+  }
+}
+
+/**
+ * Reassemble a chunked file in memory
+ * @param {string} hash - Manifest hash
+ * @param {ContentAddressedStore} store - Storage instance
+ * @returns {Uint8Array} - File content
+ */
+function readChunkedBlob(hash, store) {
+  const manifest = getManifest(hash, store);
+  const content = new Uint8Array(manifest.size);
+  let offset = 0;
+  for (const piece of readChunks(hash, store)) {
+    content.set(piece, offset);
+    offset += piece.length;
+  }
+  return content;
+}
+
+module.exports = {
+  Chunker,
+  storeChunkedBlob,
+  getManifest,
+  readChunks,
+  readChunkedBlob,
+  MANIFEST_HEADER
+};
@@ -47,6 +47,26 @@ const HASH_LENGTH = 64;
 const SMALL_FILE_THRESHOLD = 1024; // 1KB - files smaller than this use different strategies
 const LARGE_FILE_THRESHOLD = 100 * 1024 * 1024; // 100MB - files larger than this may need special handling
 
+// Content-defined chunking of large files: chunk sizes and the piece size used
+// when streaming file content in and out of the store
+const CHUNK_MIN_SIZE = 256 * 1024;      // 256KB - no chunk boundary before this
+const CHUNK_AVG_SIZE = 1024 * 1024;     // 1MB - expected chunk size
+const CHUNK_MAX_SIZE = 4 * 1024 * 1024; // 4MB - chunks are cut here regardless of content
+const STREAM_PIECE_SIZE = 4 * 1024 * 1024; // 4MB - read/write buffer for streamed files
+
+// Deepest delta chain reads are expected to follow before reaching a full object
+const MAX_DELTA_CHAIN_DEPTH = 10;
+
+// Days garbage collection keeps reflog entries (and the objects they reference)
+const DEFAULT_REFLOG_EXPIRE_DAYS = 90;
+
+/**
+ * History Constants
+ */
+// log --follow treats a deleted file as the old name of an added one when at
+// least this share of their lines match (like Git's default 50% similarity)
+const RENAME_SIMILARITY_THRESHOLD = 0.5;
+
 /**
  * Archive Processing Constants (for simple-archive.js)
  */
@@ -76,6 +96,15 @@ module.exports = {
   HASH_LENGTH,
   SMALL_FILE_THRESHOLD,
   LARGE_FILE_THRESHOLD,
+  CHUNK_MIN_SIZE,
+  CHUNK_AVG_SIZE,
+  CHUNK_MAX_SIZE,
+  STREAM_PIECE_SIZE,
+  MAX_DELTA_CHAIN_DEPTH,
+  DEFAULT_REFLOG_EXPIRE_DAYS,
+
+  // History
+  RENAME_SIMILARITY_THRESHOLD,
 
   // Archive Processing
   MAX_ARCHIVE_INTERNAL_FILES,
@@ -4,68 +4,428 @@
 
 const { isBinary } = require('./utils');
 
-function diffLines(linesA, linesB) {
+const DIFF_ALGORITHMS = ['myers', 'patience'];
+const DIFF_PREFIXES = { context: ' ', removed: '-', added: '+' };
+const NO_NEWLINE_MARKER = '\n\\ No newline at end of file';
+
+/**
+ * Match two line ranges with Myers' O((N+M)D) algorithm
+ * Uses the linear-space variant: find the middle snake, then recurse on both halves.
+ * @param {Array} linesA - First line array
+ * @param {Array} linesB - Second line array
+ * @param {number} startA - Range start in linesA
+ * @param {number} endA - Range end in linesA (exclusive)
+ * @param {number} startB - Range start in linesB
+ * @param {number} endB - Range end in linesB (exclusive)
+ * @param {Array} pairs - Output: matched [indexA, indexB] pairs, in order
+ */
+function myersMatch(linesA, linesB, startA, endA, startB, endB, pairs) {
+  // Common prefix and suffix are matched directly
+  while (startA < endA && startB < endB && linesA[startA] === linesB[startB]) {
+    pairs.push([startA, startB]);
+    startA++;
+    startB++;
+  }
+  const suffix = [];
+  while (endA > startA && endB > startB && linesA[endA - 1] === linesB[endB - 1]) {
+    endA--;
+    endB--;
+    suffix.push([endA, endB]);
+  }
+
+  if (startA < endA && startB < endB && hasCommonLine(linesA, linesB, startA, endA, startB, endB)) {
+    const split = middleSnake(linesA, linesB, startA, endA, startB, endB);
+    if (split) {
+      myersMatch(linesA, linesB, startA, split[0], startB, split[1], pairs);
+      myersMatch(linesA, linesB, split[0], endA, split[1], endB, pairs);
+    }
+  }
+
+  for (let i = suffix.length - 1; i >= 0; i--) {
+    pairs.push(suffix[i]);
+  }
+}
+
+/**
+ * Check whether two line ranges share any line at all
+ */
+function hasCommonLine(linesA, linesB, startA, endA, startB, endB) {
+  const seen = new Set(linesA.slice(startA, endA));
+  for (let j = startB; j < endB; j++) {
+    if (seen.has(linesB[j])) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find where the forward and reverse shortest edit paths overlap
+ * @returns {Array|null} - [indexA, indexB] split point, or null when nothing matches
+ */
+function middleSnake(linesA, linesB, startA, endA, startB, endB) {
+  const n = endA - startA;
+  const m = endB - startB;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const forward = new Array(2 * maxD).fill(-1);
+  const reverse = new Array(2 * maxD).fill(-1);
+  forward[offset + 1] = 0;
+  reverse[offset + 1] = 0;
+
+  const delta = n - m;
+  // With an odd delta the paths meet while extending forward, otherwise in reverse
+  const checkForward = delta % 2 !== 0;
+  let forwardStart = 0, forwardEnd = 0, reverseStart = 0, reverseEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const index = offset + k;
+      let x = (k === -d || (k !== d && forward[index - 1] < forward[index + 1]))
+        ? forward[index + 1]
+        : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && linesA[startA + x] === linesB[startB + y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (checkForward) {
+        const reverseIndex = offset + delta - k;
+        if (reverseIndex >= 0 && reverseIndex < reverse.length && reverse[reverseIndex] !== -1) {
+          if (x >= n - reverse[reverseIndex]) {
+            return [startA + x, startB + y];
+          }
+        }
+      }
+    }
+
+    for (let k = -d + reverseStart; k <= d - reverseEnd; k += 2) {
+      const index = offset + k;
+      let x = (k === -d || (k !== d && reverse[index - 1] < reverse[index + 1]))
+        ? reverse[index + 1]
+        : reverse[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && linesA[endA - x - 1] === linesB[endB - y - 1]) {
+        x++;
+        y++;
+      }
+      reverse[index] = x;
+
+      if (x > n) {
+        reverseEnd += 2;
+      } else if (y > m) {
+        reverseStart += 2;
+      } else if (!checkForward) {
+        const forwardIndex = offset + delta - k;
+        if (forwardIndex >= 0 && forwardIndex < forward.length && forward[forwardIndex] !== -1) {
+          const forwardX = forward[forwardIndex];
+          const forwardY = forwardX - (forwardIndex - offset);
+          if (forwardX >= n - x) {
+            return [startA + forwardX, startB + forwardY];
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Patience diff: anchor on lines unique to both ranges, recurse between
+ * anchors and fall back to Myers where there are no unique lines
+ */
+function patienceMatch(linesA, linesB, startA, endA, startB, endB, pairs) {
+  // Common prefix and suffix are matched directly
+  while (startA < endA && startB < endB && linesA[startA] === linesB[startB]) {
+    pairs.push([startA, startB]);
+    startA++;
+    startB++;
+  }
+  const suffix = [];
+  while (endA > startA && endB > startB && linesA[endA - 1] === linesB[endB - 1]) {
+    endA--;
+    endB--;
+    suffix.push([endA, endB]);
+  }
+
+  if (startA < endA && startB < endB) {
+    const counts = new Map();
+    for (let i = startA; i < endA; i++) {
+      const entry = counts.get(linesA[i]) || { a: 0, b: 0, indexA: i, indexB: -1 };
+      entry.a++;
+      counts.set(linesA[i], entry);
+    }
+    for (let j = startB; j < endB; j++) {
+      const entry = counts.get(linesB[j]);
+      if (entry) {
+        entry.b++;
+        entry.indexB = j;
+      }
+    }
+
+    // Unique common lines in linesA order
+    const unique = [];
+    for (const entry of counts.values()) {
+      if (entry.a === 1 && entry.b === 1) {
+        unique.push(entry);
+      }
+    }
+    unique.sort((p, q) => p.indexA - q.indexA);
+
+    const anchors = longestIncreasingByB(unique);
+    if (anchors.length === 0) {
+      myersMatch(linesA, linesB, startA, endA, startB, endB, pairs);
+    } else {
+      let prevA = startA;
+      let prevB = startB;
+      for (const anchor of anchors) {
+        patienceMatch(linesA, linesB, prevA, anchor.indexA, prevB, anchor.indexB, pairs);
+        pairs.push([anchor.indexA, anchor.indexB]);
+        prevA = anchor.indexA + 1;
+        prevB = anchor.indexB + 1;
+      }
+      patienceMatch(linesA, linesB, prevA, endA, prevB, endB, pairs);
+    }
+  }
+
+  for (let i = suffix.length - 1; i >= 0; i--) {
+    pairs.push(suffix[i]);
+  }
+}
+
+/**
+ * Longest subsequence of entries with increasing indexB (patience sorting)
+ */
+function longestIncreasingByB(entries) {
+  const tails = [];
+  const previous = new Array(entries.length);
+
+  for (let i = 0; i < entries.length; i++) {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (entries[tails[mid]].indexB < entries[i].indexB) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  }
+
+  const result = [];
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    result.push(entries[i]);
+  }
+  return result.reverse();
+}
+
+/**
+ * Lines two line arrays have in common, in linear space
+ * @param {Array} linesA - First line array
+ * @param {Array} linesB - Second line array
+ * @param {Object} options - {algorithm: 'myers' (default) or 'patience'}
+ * @returns {Array} - Matched [indexA, indexB] pairs, increasing on both sides
+ */
+function matchLinePairs(linesA, linesB, options = {}) {
+  const algorithm = options.algorithm || 'myers';
+  if (!DIFF_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown diff algorithm: ${algorithm}. Use ${DIFF_ALGORITHMS.join(' or ')}`);
+  }
+
+  const pairs = [];
+  if (algorithm === 'patience') {
+    patienceMatch(linesA, linesB, 0, linesA.length, 0, linesB.length, pairs);
+  } else {
+    myersMatch(linesA, linesB, 0, linesA.length, 0, linesB.length, pairs);
+  }
+  return pairs;
+}
+
+/**
+ * Line diff of two line arrays
+ * Changed blocks list their removed lines before their added lines.
+ * @param {Array} linesA - Old lines
+ * @param {Array} linesB - New lines
+ * @param {Object} options - {algorithm: 'myers' (default) or 'patience'}
+ * @returns {Array} - [{type: 'context'|'removed'|'added', line, lineNumA, lineNumB}]
+ *   (removed/added records also carry lineNum for their own side)
+ */
+function diffLines(linesA, linesB, options = {}) {
+  const pairs = matchLinePairs(linesA, linesB, options);
+  pairs.push([linesA.length, linesB.length]);
+
   const result = [];
   let i = 0, j = 0;
-  
-  while (i < linesA.length || j < linesB.length) {
-    if (i >= linesA.length) {
-      // Remaining lines are additions
-      result.push({ type: 'added', line: linesB[j], lineNum: j + 1 });
-      j++;
-    } else if (j >= linesB.length) {
-      // Remaining lines are deletions
-      result.push({ type: 'removed', line: linesA[i], lineNum: i + 1 });
-      i++;
-    } else if (linesA[i] === linesB[j]) {
-      // Lines are the same
+
+  for (const [matchA, matchB] of pairs) {
+    for (; i < matchA; i++) {
+      result.push({ type: 'removed', line: linesA[i], lineNum: i + 1, lineNumA: i + 1, lineNumB: null });
+    }
+    for (; j < matchB; j++) {
+      result.push({ type: 'added', line: linesB[j], lineNum: j + 1, lineNumA: null, lineNumB: j + 1 });
+    }
+    if (i < linesA.length && j < linesB.length) {
       result.push({ type: 'context', line: linesA[i], lineNumA: i + 1, lineNumB: j + 1 });
       i++;
       j++;
-    } else {
-      // Lines differ - mark as removed and added
-      result.push({ type: 'removed', line: linesA[i], lineNum: i + 1 });
-      result.push({ type: 'added', line: linesB[j], lineNum: j + 1 });
-      i++;
-      j++;
     }
   }
   
   return result;
 }
 
+/**
+ * Split text into diff lines
+ * A final line without a trailing newline carries the unified diff marker,
+ * so it never matches the same line followed by a newline.
+ * @param {string} text - File text
+ * @returns {Array} - Lines
+ */
+function splitDiffLines(text) {
+  if (text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE_MARKER;
+  }
+  return lines;
+}
+
+/**
+ * Join diff lines back into text (inverse of splitDiffLines)
+ * @param {Array} lines - Lines
+ * @returns {string} - File text
+ */
+function joinDiffLines(lines) {
+  if (lines.length === 0) {
+    return '';
+  }
+  const text = lines.join('\n');
+  return text.endsWith(NO_NEWLINE_MARKER)
+    ? text.substring(0, text.length - NO_NEWLINE_MARKER.length)
+    : `${text}\n`;
+}
+
+/**
+ * Group diffLines output into unified diff hunks
+ * @param {Array} diffResult - Result from diffLines
+ * @param {number} contextLines - Unchanged lines to keep around each change
+ * @returns {Array} - [{oldStart, oldLines, newStart, newLines, lines}]
+ */
+function buildHunks(diffResult, contextLines = 3) {
+  const context = Math.max(0, contextLines);
+  const hunks = [];
+  let current = null;
+  let lastChange = -1;
+  let posA = 0;
+  let posB = 0;
+
+  // Lines of each side seen before every record, for hunk start positions
+  const before = diffResult.map(item => {
+    const position = [posA, posB];
+    if (item.type !== 'added') posA++;
+    if (item.type !== 'removed') posB++;
+    return position;
+  });
+
+  for (let i = 0; i < diffResult.length; i++) {
+    if (diffResult[i].type === 'context') {
+      continue;
+    }
+
+    if (current && i - lastChange - 1 <= 2 * context) {
+      current.end = i;
+    } else {
+      if (current) {
+        current.end = Math.min(diffResult.length - 1, lastChange + context);
+        hunks.push(current);
+      }
+      current = { start: Math.max(0, i - context), end: i };
+    }
+    lastChange = i;
+  }
+
+  if (current) {
+    current.end = Math.min(diffResult.length - 1, lastChange + context);
+    hunks.push(current);
+  }
+
+  return hunks.map(({ start, end }) => {
+    const lines = diffResult.slice(start, end + 1);
+    const oldLines = lines.filter(item => item.type !== 'added').length;
+    const newLines = lines.filter(item => item.type !== 'removed').length;
+    // An empty side starts at the line before the hunk
+    return {
+      oldStart: oldLines > 0 ? before[start][0] + 1 : before[start][0],
+      oldLines,
+      newStart: newLines > 0 ? before[start][1] + 1 : before[start][1],
+      newLines,
+      lines
+    };
+  });
+}
+
+/**
+ * Format a hunk header (@@ -a,b +c,d @@)
+ * @param {Object} hunk - Hunk from buildHunks
+ * @returns {string} - Header line
+ */
+function formatHunkHeader(hunk) {
+  const range = (start, count) => count === 1 ? `${start}` : `${start},${count}`;
+  return `@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@`;
+}
+
+/**
+ * Format diffLines output as unified diff hunks
+ * @param {Array} diffResult - Result from diffLines
+ * @param {number} contextLines - Unchanged lines to keep around each change
+ * @returns {string} - Hunks with @@ headers, or 'Files are identical'
+ */
 function formatDiff(diffResult, contextLines = 3) {
-  if (diffResult.length === 0) {
+  const hunks = buildHunks(diffResult, contextLines);
+  if (hunks.length === 0) {
     return 'Files are identical';
   }
   
   const output = [];
   
-  // Find chunks of changes with context
-  for (let i = 0; i < diffResult.length; i++) {
-    const item = diffResult[i];
-    
-    if (item.type === 'context') {
-      // Only show context lines near changes
-      const hasChangesNearby = (
-        (i > 0 && diffResult[i-1].type !== 'context') ||
-        (i < diffResult.length - 1 && diffResult[i+1].type !== 'context')
-      );
-      
-      if (hasChangesNearby) {
-        output.push(`  ${item.line}`);
-      }
-    } else if (item.type === 'removed') {
-      output.push(`- ${item.line}`);
-    } else if (item.type === 'added') {
-      output.push(`+ ${item.line}`);
+  for (const hunk of hunks) {
+    output.push(formatHunkHeader(hunk));
+    for (const item of hunk.lines) {
+      output.push(`${DIFF_PREFIXES[item.type]}${item.line}`);
     }
   }
   
   return output.join('\n');
 }
 
-function diffFiles(fileA, fileB, nameA = 'file A', nameB = 'file B') {
+/**
+ * Compare two file contents
+ * Text files yield a unified diff that patch and git apply can consume.
+ * @param {Uint8Array|null} fileA - Old content (null for a new file)
+ * @param {Uint8Array|null} fileB - New content (null for a deleted file)
+ * @param {string} nameA - Old file name for the --- header
+ * @param {string} nameB - New file name for the +++ header
+ * @param {Object} options - {contextLines (default 3), algorithm}
+ * @returns {Object} - {type: 'identical'|'binary'|'text', content, ...}
+ */
+function diffFiles(fileA, fileB, nameA = 'file A', nameB = 'file B', options = {}) {
+  fileA = fileA || new Uint8Array(0);
+  fileB = fileB || new Uint8Array(0);
+
   // Check if files are identical
   if (fileA.length === fileB.length && fileA.every((byte, i) => byte === fileB[i])) {
     return {
@@ -106,11 +466,12 @@ function diffFiles(fileA, fileB, nameA = 'file A', nameB = 'file B') {
   const textA = new TextDecoder().decode(fileA);
   const textB = new TextDecoder().decode(fileB);
   
-  const linesA = textA.split('\n');
-  const linesB = textB.split('\n');
+  const linesA = splitDiffLines(textA);
+  const linesB = splitDiffLines(textB);
   
-  const diffResult = diffLines(linesA, linesB);
-  const formattedDiff = formatDiff(diffResult);
+  const diffResult = diffLines(linesA, linesB, options);
+  const contextLines = options.contextLines !== undefined ? options.contextLines : 3;
+  const formattedDiff = formatDiff(diffResult, contextLines);
   
   return {
     type: 'text',
@@ -119,11 +480,13 @@ function diffFiles(fileA, fileB, nameA = 'file A', nameB = 'file B') {
       `+++ ${nameB}`,
       formattedDiff
     ].join('\n'),
-    lines: diffResult
+    lines: diffResult,
+    additions: diffResult.filter(item => item.type === 'added').length,
+    deletions: diffResult.filter(item => item.type === 'removed').length
   };
 }
 
-function getDiffSummary(fileA, fileB) {
+function getDiffSummary(fileA, fileB, options = {}) {
   if (isBinary(fileA) || isBinary(fileB)) {
     return {
       type: 'binary',
@@ -138,7 +501,7 @@ function getDiffSummary(fileA, fileB) {
   const linesA = textA.split('\n');
   const linesB = textB.split('\n');
   
-  const diffResult = diffLines(linesA, linesB);
+  const diffResult = diffLines(linesA, linesB, options);
   
   let added = 0, removed = 0, context = 0;
   for (const item of diffResult) {
@@ -159,7 +522,14 @@ function getDiffSummary(fileA, fileB) {
 }
 
 module.exports = {
+  DIFF_ALGORITHMS,
+  NO_NEWLINE_MARKER,
+  splitDiffLines,
+  joinDiffLines,
+  matchLinePairs,
   diffLines,
+  buildHunks,
+  formatHunkHeader,
   formatDiff,
   diffFiles,
   getDiffSummary
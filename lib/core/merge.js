@@ -0,0 +1,174 @@
+/**
+ * Three-way text merge
+ * diff3-style line merge of two descendants against their common base
+ */
+
+const { matchLinePairs } = require('./diff');
+
+/**
+ * Split text content into lines (inverse of lines.join('\n'))
+ * @param {Uint8Array|string} content - File content
+ * @returns {Array} - Array of lines
+ */
+function splitLines(content) {
+  const text = typeof content === 'string' ? content : new TextDecoder().decode(content);
+  return text.split('\n');
+}
+
+/**
+ * Match the lines two line arrays have in common (Myers, linear space)
+ * @param {Array} linesA - First line array
+ * @param {Array} linesB - Second line array
+ * @returns {Array} - matches[i] is the index in linesB matched to linesA[i], or -1
+ */
+function matchLines(linesA, linesB) {
+  const matches = new Array(linesA.length).fill(-1);
+  for (const [indexA, indexB] of matchLinePairs(linesA, linesB)) {
+    matches[indexA] = indexB;
+  }
+  return matches;
+}
+
+/**
+ * Compare two line ranges for equality
+ */
+function rangesEqual(linesA, linesB) {
+  return linesA.length === linesB.length && linesA.every((line, i) => line === linesB[i]);
+}
+
+/**
+ * Split base/ours/theirs into alternating stable and unstable chunks (diff3)
+ * @param {Array} baseLines - Lines of the merge base
+ * @param {Array} oursLines - Lines of the current side
+ * @param {Array} theirsLines - Lines of the incoming side
+ * @returns {Array} - Chunks [{stable, base: {start, lines}, ours: {...}, theirs: {...}}]
+ */
+function diff3Chunks(baseLines, oursLines, theirsLines) {
+  const matchesOurs = matchLines(baseLines, oursLines);
+  const matchesTheirs = matchLines(baseLines, theirsLines);
+  const chunks = [];
+
+  const pushChunk = (stable, b, bEnd, o, oEnd, t, tEnd) => {
+    chunks.push({
+      stable,
+      base: { start: b, lines: baseLines.slice(b, bEnd) },
+      ours: { start: o, lines: oursLines.slice(o, oEnd) },
+      theirs: { start: t, lines: theirsLines.slice(t, tEnd) }
+    });
+  };
+
+  let b = 0, o = 0, t = 0;
+  while (b < baseLines.length || o < oursLines.length || t < theirsLines.length) {
+    // Stable run: base lines matched at the current position on both sides
+    let run = 0;
+    while (b + run < baseLines.length &&
+           matchesOurs[b + run] === o + run &&
+           matchesTheirs[b + run] === t + run) {
+      run++;
+    }
+
+    if (run > 0) {
+      pushChunk(true, b, b + run, o, o + run, t, t + run);
+      b += run;
+      o += run;
+      t += run;
+      continue;
+    }
+
+    // Unstable run: up to the next base line matched on both sides
+    let next = b;
+    while (next < baseLines.length && (matchesOurs[next] === -1 || matchesTheirs[next] === -1)) {
+      next++;
+    }
+
+    if (next === baseLines.length) {
+      pushChunk(false, b, baseLines.length, o, oursLines.length, t, theirsLines.length);
+      break;
+    }
+
+    pushChunk(false, b, next, o, matchesOurs[next], t, matchesTheirs[next]);
+    b = next;
+    o = matchesOurs[next];
+    t = matchesTheirs[next];
+  }
+
+  return chunks;
+}
+
+/**
+ * Three-way merge of text content
+ * Non-overlapping changes are combined; overlapping changes become conflict
+ * regions, written to the merged lines between conflict markers.
+ * @param {Uint8Array|string|null} base - Merge base content (null if absent)
+ * @param {Uint8Array|string} ours - Current branch content
+ * @param {Uint8Array|string} theirs - Incoming branch content
+ * @param {Object} options - {oursLabel, theirsLabel}
+ * @returns {Object} - {clean, lines, content, conflicts: [{base, ours, theirs}]}
+ */
+function mergeText(base, ours, theirs, options = {}) {
+  const oursLabel = options.oursLabel || 'ours';
+  const theirsLabel = options.theirsLabel || 'theirs';
+
+  const baseLines = base === null || base === undefined ? [] : splitLines(base);
+  const oursLines = splitLines(ours);
+  const theirsLines = splitLines(theirs);
+
+  const merged = [];
+  const conflicts = [];
+
+  for (const chunk of diff3Chunks(baseLines, oursLines, theirsLines)) {
+    if (chunk.stable) {
+      merged.push(...chunk.base.lines);
+    } else if (rangesEqual(chunk.ours.lines, chunk.base.lines)) {
+      // Only theirs changed this region
+      merged.push(...chunk.theirs.lines);
+    } else if (rangesEqual(chunk.theirs.lines, chunk.base.lines)) {
+      // Only ours changed this region
+      merged.push(...chunk.ours.lines);
+    } else if (rangesEqual(chunk.ours.lines, chunk.theirs.lines)) {
+      // Both sides made the same change
+      merged.push(...chunk.ours.lines);
+    } else {
+      // Line ranges are 1-based; an empty range starts after the preceding line
+      conflicts.push({
+        base: { start: chunk.base.start + 1, length: chunk.base.lines.length },
+        ours: { start: chunk.ours.start + 1, length: chunk.ours.lines.length },
+        theirs: { start: chunk.theirs.start + 1, length: chunk.theirs.lines.length },
+        mergedStart: merged.length + 1
+      });
+      merged.push(`<<<<<<< ${oursLabel}`);
+      merged.push(...chunk.ours.lines);
+      merged.push('=======');
+      merged.push(...chunk.theirs.lines);
+      merged.push(`>>>>>>> ${theirsLabel}`);
+    }
+  }
+
+  return {
+    clean: conflicts.length === 0,
+    lines: merged,
+    content: new TextEncoder().encode(merged.join('\n')),
+    conflicts
+  };
+}
+
+/**
+ * Format a conflict region's line ranges for display
+ * @param {Object} region - Conflict region from mergeText
+ * @returns {string} - e.g. "ours 3-4, theirs 3-5 (base 3)"
+ */
+function formatConflictRegion(region) {
+  const range = ({ start, length }) => {
+    if (length === 0) return `before ${start}`;
+    return length === 1 ? `${start}` : `${start}-${start + length - 1}`;
+  };
+  return `ours ${range(region.ours)}, theirs ${range(region.theirs)} (base ${range(region.base)})`;
+}
+
+module.exports = {
+  splitLines,
+  matchLines,
+  diff3Chunks,
+  mergeText,
+  formatConflictRegion
+};
@@ -0,0 +1,97 @@
+/**
+ * Schema Migrations
+ * Ordered steps that bring a repository database up to the layout this code
+ * expects. The version reached is stored as 'schema_version' in metadata;
+ * databases created before versioning have no entry and count as version 1.
+ *
+ * To change the layout, append a step with the next version number. Never
+ * edit or reorder a step that has shipped - existing repositories have
+ * already run it.
+ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create objects, refs, metadata and deltas tables',
+    up(db) {
+      db.exec(`
+        -- Pure content-addressed object storage
+        CREATE TABLE IF NOT EXISTS objects (
+          hash TEXT PRIMARY KEY,           -- SHA-256 content hash
+          type TEXT NOT NULL,              -- 'blob', 'tree', 'commit', 'tag'
+          size INTEGER NOT NULL,           -- Uncompressed size
+          data BLOB NOT NULL,              -- Compressed object data
+          compression TEXT DEFAULT 'zlib', -- Compression algorithm
+          created_at INTEGER NOT NULL,
+          CHECK(length(hash) = 64)         -- SHA-256 = 64 chars
+        );
+
+        -- Reference pointers (branches, tags)
+        CREATE TABLE IF NOT EXISTS refs (
+          name TEXT PRIMARY KEY,           -- 'refs/heads/main', 'refs/tags/v1.0'
+          hash TEXT NOT NULL,              -- Commit hash (or annotated tag object hash)
+          type TEXT DEFAULT 'branch',      -- 'branch', 'tag', 'stash'
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          CHECK(length(hash) = 64)
+        );
+
+        -- Repository metadata
+        CREATE TABLE IF NOT EXISTS metadata (
+          key TEXT PRIMARY KEY,
+          value TEXT,
+          CHECK(length(key) > 0)
+        );
+
+        -- Delta compression storage
+        CREATE TABLE IF NOT EXISTS deltas (
+          hash TEXT PRIMARY KEY,           -- Hash of the new (delta) object
+          base_hash TEXT NOT NULL,         -- Hash of the base object
+          delta_data BLOB NOT NULL,        -- Serialized delta operations
+          original_size INTEGER NOT NULL, -- Size of original data
+          delta_size INTEGER NOT NULL,    -- Size of delta
+          compression_ratio REAL,         -- Compression achieved
+          created_at INTEGER NOT NULL,
+          CHECK(length(hash) = 64),       -- SHA-256 = 64 chars
+          CHECK(length(base_hash) = 64)   -- SHA-256 = 64 chars
+        );
+
+        -- Performance indexes
+        CREATE INDEX IF NOT EXISTS idx_objects_type ON objects(type);
+        CREATE INDEX IF NOT EXISTS idx_objects_created ON objects(created_at);
+        CREATE INDEX IF NOT EXISTS idx_refs_updated ON refs(updated_at);
+        CREATE INDEX IF NOT EXISTS idx_deltas_base ON deltas(base_hash);
+        CREATE INDEX IF NOT EXISTS idx_deltas_created ON deltas(created_at);
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Add reflog table for ref movements',
+    up(db) {
+      // IF NOT EXISTS: unversioned repositories may already have the table
+      db.exec(`
+        -- Reflog: every ref movement, kept after the ref itself is deleted
+        CREATE TABLE IF NOT EXISTS reflog (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          ref_name TEXT NOT NULL,          -- 'refs/heads/main'
+          old_hash TEXT,                   -- NULL when the ref was created
+          new_hash TEXT,                   -- NULL when the ref was deleted
+          operation TEXT NOT NULL,         -- 'commit', 'reset: moving to HEAD~1', ...
+          author TEXT,                     -- 'Name <email>' of the configured author
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_reflog_ref ON reflog(ref_name, id);
+      `);
+    }
+  }
+];
+
+// Schema version this code reads and writes
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+module.exports = {
+  MIGRATIONS,
+  SCHEMA_VERSION
+};
@@ -4,6 +4,7 @@
  */
 
 const { ContentAddressedStore } = require('./storage');
+const { getManifest, readChunkedBlob } = require('./chunking');
 
 /**
  * Store a blob object
@@ -23,32 +24,81 @@ function storeBlob(content, store) {
  */
 function getBlob(hash, store) {
   const obj = store.getObject(hash);
-  if (!obj || obj.type !== 'blob') return null;
+  if (obj && obj.type === 'manifest') return readChunkedBlob(hash, store);
+  // A small file can share its content, and so its object, with a chunk
+  if (!obj || (obj.type !== 'blob' && obj.type !== 'chunk')) return null;
   return obj.data;
 }
 
+const TREE_FORMAT_HEADER = 'tree-format 2';
+const TREE_MODE = 40000;
+
+/**
+ * Escape a tree field so it can hold spaces, tabs and newlines
+ * @param {string} value - Field value
+ * @returns {string} - Escaped value
+ */
+function escapeTreeField(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n');
+}
+
+/**
+ * Reverse escapeTreeField
+ * @param {string} value - Escaped value
+ * @returns {string} - Original value
+ */
+function unescapeTreeField(value) {
+  return value.replace(/\\(.)/g, (match, char) => (char === 't' ? '\t' : char === 'n' ? '\n' : char));
+}
+
 /**
  * Store a tree object
- * @param {Array} entries - Tree entries [{name, type, hash, mode, mtime, size, target}]
+ * Full paths are split into one tree object per directory, so unchanged
+ * subdirectories hash identically and are shared between commits.
+ * Format: a 'tree-format 2' line, then per entry the tab-separated, escaped
+ * fields mode, type, hash, size, text|binary, mtime, target and name.
+ * @param {Array} entries - Tree entries [{name, type, hash, mode, mtime, size, target}]; names may contain '/'
  * @param {ContentAddressedStore} store - Storage instance
  * @returns {string} - Tree hash
  */
 function storeTree(entries, store) {
-  // Sort entries by name for consistent hashing
-  const sortedEntries = [...entries].sort((a, b) => a.name.localeCompare(b.name));
+  const levelEntries = [];
+  const subdirectories = new Map();
 
-  // Serialize tree format:
-  // mode name hash type [mtime size target binary]
-  const lines = [];
-  for (const entry of sortedEntries) {
-    let line = `${entry.mode || '100644'} ${entry.name} ${entry.hash || ''} ${entry.type}`;
+  for (const entry of entries) {
+    const slash = entry.name.indexOf('/');
+    if (slash === -1) {
+      levelEntries.push(entry);
+      continue;
+    }
 
-    if (entry.mtime !== undefined) line += ` ${entry.mtime}`;
-    if (entry.size !== undefined) line += ` ${entry.size}`;
-    if (entry.target) line += ` ${entry.target}`;
-    if (entry.binary !== undefined) line += ` ${entry.binary ? 'binary' : 'text'}`;
+    const directory = entry.name.substring(0, slash);
+    if (!subdirectories.has(directory)) {
+      subdirectories.set(directory, []);
+    }
+    subdirectories.get(directory).push({ ...entry, name: entry.name.substring(slash + 1) });
+  }
 
-    lines.push(line);
+  for (const [directory, children] of subdirectories) {
+    levelEntries.push({ name: directory, type: 'tree', mode: TREE_MODE, hash: storeTree(children, store) });
+  }
+
+  // Sort entries by name for consistent hashing
+  const sortedEntries = levelEntries.sort((a, b) => a.name.localeCompare(b.name));
+
+  const lines = [TREE_FORMAT_HEADER];
+  for (const entry of sortedEntries) {
+    const fields = [
+      entry.mode || (entry.type === 'tree' ? TREE_MODE : '100644'),
+      entry.type,
+      entry.hash || '',
+      entry.size !== undefined ? entry.size : '',
+      entry.binary !== undefined ? (entry.binary ? 'binary' : 'text') : '',
+      entry.mtime !== undefined ? entry.mtime : '',
+      entry.target || '',
+      entry.name
+    ];
+    lines.push(fields.map(escapeTreeField).join('\t'));
   }
 
   const treeContent = lines.join('\n');
@@ -59,16 +109,66 @@ function storeTree(entries, store) {
 }
 
 /**
- * Get a tree object
+ * Get the format version of a stored tree
  * @param {string} hash - Tree hash
  * @param {ContentAddressedStore} store - Storage instance
- * @returns {Array|null} - Tree entries
+ * @returns {number|null} - 1 for flat space-separated trees, 2 for nested trees, null if not a tree
  */
-function getTree(hash, store) {
+function getTreeFormat(hash, store) {
+  const obj = store.getObject(hash);
+  if (!obj || obj.type !== 'tree') return null;
+  return new TextDecoder().decode(obj.data).startsWith(TREE_FORMAT_HEADER) ? 2 : 1;
+}
+
+/**
+ * Read one tree object without expanding subtrees
+ * @param {string} hash - Tree hash
+ * @param {ContentAddressedStore} store - Storage instance
+ * @returns {Array|null} - Entries of this directory; subdirectories have type 'tree'
+ */
+function readTree(hash, store) {
   const obj = store.getObject(hash);
   if (!obj || obj.type !== 'tree') return null;
 
   const treeContent = new TextDecoder().decode(obj.data);
+  if (!treeContent.startsWith(TREE_FORMAT_HEADER)) {
+    return parseLegacyTree(treeContent);
+  }
+
+  const entries = [];
+  for (const line of treeContent.split('\n').slice(1)) {
+    if (!line) continue;
+
+    const [mode, type, hash, size, kind, mtime, target, name] = line.split('\t').map(unescapeTreeField);
+    const entry = {
+      mode: parseInt(mode),
+      name,
+      hash: hash || null,
+      type
+    };
+    if (mtime !== '') entry.mtime = parseInt(mtime);
+    if (size !== '') entry.size = parseInt(size);
+    if (target !== '') entry.target = target;
+    if (kind !== '') entry.binary = kind === 'binary';
+
+    // Set binary flag for files if not already set
+    if (entry.type === 'file' && entry.binary === undefined) {
+      entry.binary = false; // Default to text if not specified
+    }
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Parse a flat tree written before nested trees: one space-separated line per
+ * file, named by its full path
+ * @param {string} treeContent - Decoded tree object
+ * @returns {Array} - Tree entries
+ */
+function parseLegacyTree(treeContent) {
   if (!treeContent.trim()) return [];
 
   const entries = [];
@@ -116,18 +216,124 @@ function getTree(hash, store) {
   return entries;
 }
 
+/**
+ * Get a tree object
+ * Subtrees are expanded, so every entry is a file named by its full path
+ * whichever format the tree was stored in.
+ * @param {string} hash - Tree hash
+ * @param {ContentAddressedStore} store - Storage instance
+ * @returns {Array|null} - Tree entries
+ */
+function getTree(hash, store) {
+  const entries = readTree(hash, store);
+  if (!entries) return null;
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.type !== 'tree') {
+      files.push(entry);
+      continue;
+    }
+
+    for (const child of getTree(entry.hash, store) || []) {
+      files.push({ ...child, name: `${entry.name}/${child.name}` });
+    }
+  }
+
+  return files;
+}
+
+const COMMIT_CORE_HEADERS = ['tree', 'parent', 'author', 'committer'];
+const TRAILER_PATTERN = /^([A-Za-z0-9][A-Za-z0-9-]*): (.+)$/;
+const IDENTITY_PATTERN = /^(.+) <(.*)> (\d+)(?: ([+-]\d{4}))?$/;
+
+/**
+ * Format a UTC offset in minutes as +hhmm/-hhmm
+ * @param {number} offsetMinutes - Minutes east of UTC (defaults to the local zone)
+ * @returns {string} - e.g. '+0200'
+ */
+function formatTimezone(offsetMinutes = -new Date().getTimezoneOffset()) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const minutes = Math.abs(offsetMinutes);
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Append trailers to a message, extending its trailer paragraph if it has one
+ * Trailers the message already has, or given twice, are added once.
+ * @param {string} message - Commit message
+ * @param {Array} trailers - [{key, value}]
+ * @returns {string} - Message with trailers
+ */
+function appendTrailers(message, trailers) {
+  const existing = parseTrailers(message);
+  const seen = existing.slice();
+  const added = [];
+  for (const trailer of trailers) {
+    if (seen.some(e => e.key === trailer.key && e.value === trailer.value)) continue;
+    seen.push(trailer);
+
+    const line = `${trailer.key}: ${trailer.value}`;
+    if (!TRAILER_PATTERN.test(line)) {
+      throw new Error(`Invalid trailer: ${line}`);
+    }
+    added.push(line);
+  }
+
+  if (added.length === 0) {
+    return message;
+  }
+  const base = message.replace(/\n+$/, '');
+  const separator = existing.length > 0 ? '\n' : base ? '\n\n' : '';
+  return `${base}${separator}${added.join('\n')}`;
+}
+
+/**
+ * Parse the trailer paragraph ("Key: value" lines) ending a message
+ * @param {string} message - Commit message
+ * @returns {Array} - [{key, value}]
+ */
+function parseTrailers(message) {
+  const paragraphs = (message || '').replace(/\n+$/, '').split(/\n\n+/);
+  if (paragraphs.length < 2) {
+    return [];
+  }
+
+  const lines = paragraphs[paragraphs.length - 1].split('\n');
+  const matches = lines.map(line => line.match(TRAILER_PATTERN));
+  if (matches.some(match => !match)) {
+    return [];
+  }
+  return matches.map(match => ({ key: match[1], value: match[2] }));
+}
+
 /**
  * Create a commit object
+ * Header lines (tree, parents, author, committer and any extra headers), a
+ * blank line, then the full message. Trailers join the message's final
+ * "Key: value" paragraph.
  * @param {string} treeHash - Tree hash
- * @param {string} message - Commit message
+ * @param {string} message - Commit message (may span several lines)
  * @param {string} author - Author name
  * @param {string} email - Author email
  * @param {string|null} parentHash - Parent commit hash
  * @param {ContentAddressedStore} store - Storage instance
+ * @param {number|null} timestamp - Author time in seconds (defaults to now)
+ * @param {Object} options - {timezone: author offset like '+0200' (defaults to local),
+ *   committer: {name, email, timestamp, timezone} (defaults to the author),
+ *   trailers: [{key, value}], headers: {name: value}}
  * @returns {string} - Commit hash
  */
-function createCommit(treeHash, message, author, email, parentHash, store) {
-  const timestamp = Math.floor(Date.now() / 1000);
+function createCommit(treeHash, message, author, email, parentHash, store, timestamp = null, options = {}) {
+  timestamp = timestamp !== null ? timestamp : Math.floor(Date.now() / 1000);
+  const timezone = options.timezone || formatTimezone();
+  const committer = {
+    name: author,
+    email,
+    timestamp,
+    timezone,
+    ...options.committer
+  };
 
   // Serialize commit format
   const lines = [`tree ${treeHash}`];
@@ -144,8 +350,23 @@ function createCommit(treeHash, message, author, email, parentHash, store) {
     // Single parent (regular commit)
     lines.push(`parent ${parentHash}`);
   }
-  lines.push(`author ${author} <${email || 'unknown@example.com'}> ${timestamp}`);
-  lines.push(`message ${message}`);
+  lines.push(`author ${author} <${email || 'unknown@example.com'}> ${timestamp} ${timezone}`);
+  lines.push(`committer ${committer.name} <${committer.email || 'unknown@example.com'}> ${committer.timestamp} ${committer.timezone || timezone}`);
+
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    if (!/^[a-z][a-z0-9-]*$/.test(name) || COMMIT_CORE_HEADERS.includes(name) || name === 'message') {
+      throw new Error(`Invalid commit header: ${name}`);
+    }
+    if (/\n/.test(String(value))) {
+      throw new Error(`Commit header ${name} cannot span lines`);
+    }
+    lines.push(`${name} ${value}`);
+  }
+
+  const body = options.trailers && options.trailers.length > 0
+    ? appendTrailers(message || '', options.trailers)
+    : message || '';
+  lines.push('', body);
 
   const commitContent = lines.join('\n');
   const contentArray = new TextEncoder().encode(commitContent);
@@ -156,16 +377,27 @@ function createCommit(treeHash, message, author, email, parentHash, store) {
 
 /**
  * Get a commit object
+ * Older commits end with a single "message ..." header instead of a body.
  * @param {string} hash - Commit hash
  * @param {ContentAddressedStore} store - Storage instance
- * @returns {Object|null} - Commit object
+ * @returns {Object|null} - Commit object; committer fields fall back to the author
  */
 function getCommit(hash, store) {
   const obj = store.getObject(hash);
   if (!obj || obj.type !== 'commit') return null;
 
   const commitContent = new TextDecoder().decode(obj.data);
-  const lines = commitContent.split('\n');
+  const headerEnd = commitContent.indexOf('\n\n');
+  const headerBlock = headerEnd === -1 ? commitContent : commitContent.substring(0, headerEnd);
+  const legacyStart = headerBlock.indexOf('\nmessage ');
+  const lines = (legacyStart === -1 ? headerBlock : headerBlock.substring(0, legacyStart)).split('\n');
+
+  let message = '';
+  if (legacyStart !== -1) {
+    message = commitContent.substring(legacyStart + 9);
+  } else if (headerEnd !== -1) {
+    message = commitContent.substring(headerEnd + 2);
+  }
 
   const commit = {
     hash: hash,
@@ -175,7 +407,14 @@ function getCommit(hash, store) {
     author: 'Unknown',
     email: null,
     timestamp: 0,
-    message: ''
+    timezone: null,
+    committer: null,
+    committerEmail: null,
+    committerTimestamp: null,
+    committerTimezone: null,
+    headers: {},
+    message,
+    trailers: parseTrailers(message)
   };
 
   for (const line of lines) {
@@ -189,29 +428,123 @@ function getCommit(hash, store) {
         commit.parent = parentHash;
       }
     } else if (line.startsWith('author ')) {
-      const authorLine = line.substring(7);
-      const match = authorLine.match(/^(.+) <(.*)> (\d+)$/);
+      const match = line.substring(7).match(IDENTITY_PATTERN);
       if (match) {
         commit.author = match[1];
         commit.email = match[2];
         commit.timestamp = parseInt(match[3]);
+        commit.timezone = match[4] || null;
+      }
+    } else if (line.startsWith('committer ')) {
+      const match = line.substring(10).match(IDENTITY_PATTERN);
+      if (match) {
+        commit.committer = match[1];
+        commit.committerEmail = match[2];
+        commit.committerTimestamp = parseInt(match[3]);
+        commit.committerTimezone = match[4] || null;
+      }
+    } else if (line) {
+      const space = line.indexOf(' ');
+      if (space > 0) {
+        commit.headers[line.substring(0, space)] = line.substring(space + 1);
       }
-    } else if (line.startsWith('message ')) {
-      commit.message = line.substring(8);
     }
   }
 
+  if (commit.committer === null) {
+    commit.committer = commit.author;
+    commit.committerEmail = commit.email;
+    commit.committerTimestamp = commit.timestamp;
+    commit.committerTimezone = commit.timezone;
+  }
+
   return commit;
 }
 
+/**
+ * Create an annotated tag object
+ * @param {string} targetHash - Tagged commit hash
+ * @param {string} tagName - Tag name
+ * @param {string} tagger - Tagger name
+ * @param {string} email - Tagger email
+ * @param {string} message - Tag message (may span several lines)
+ * @param {ContentAddressedStore} store - Storage instance
+ * @param {number|null} timestamp - Tag time in seconds (defaults to now)
+ * @returns {string} - Tag object hash
+ */
+function createTag(targetHash, tagName, tagger, email, message, store, timestamp = null) {
+  timestamp = timestamp !== null ? timestamp : Math.floor(Date.now() / 1000);
+
+  // Header lines, a blank line, then the message
+  const lines = [
+    `object ${targetHash}`,
+    'type commit',
+    `tag ${tagName}`,
+    `tagger ${tagger} <${email || 'unknown@example.com'}> ${timestamp}`,
+    '',
+    message
+  ];
+
+  const contentArray = new TextEncoder().encode(lines.join('\n'));
+  const result = store.storeObject(contentArray, 'tag', 'zlib');
+  return result.hash;
+}
+
+/**
+ * Get an annotated tag object
+ * @param {string} hash - Tag object hash
+ * @param {ContentAddressedStore} store - Storage instance
+ * @returns {Object|null} - Tag object
+ */
+function getTag(hash, store) {
+  const obj = store.getObject(hash);
+  if (!obj || obj.type !== 'tag') return null;
+
+  const tagContent = new TextDecoder().decode(obj.data);
+  const headerEnd = tagContent.indexOf('\n\n');
+  const headers = (headerEnd === -1 ? tagContent : tagContent.substring(0, headerEnd)).split('\n');
+
+  const tag = {
+    hash: hash,
+    object: null,
+    type: 'commit',
+    name: null,
+    tagger: 'Unknown',
+    email: null,
+    timestamp: 0,
+    message: headerEnd === -1 ? '' : tagContent.substring(headerEnd + 2)
+  };
+
+  for (const line of headers) {
+    if (line.startsWith('object ')) {
+      tag.object = line.substring(7);
+    } else if (line.startsWith('type ')) {
+      tag.type = line.substring(5);
+    } else if (line.startsWith('tag ')) {
+      tag.name = line.substring(4);
+    } else if (line.startsWith('tagger ')) {
+      const match = line.substring(7).match(/^(.+) <(.*)> (\d+)$/);
+      if (match) {
+        tag.tagger = match[1];
+        tag.email = match[2];
+        tag.timestamp = parseInt(match[3]);
+      }
+    }
+  }
+
+  return tag;
+}
+
 /**
  * Get commit history
  * @param {string} startHash - Starting commit hash
  * @param {number} maxCount - Maximum commits to return
  * @param {ContentAddressedStore} store - Storage instance
+ * @param {Function} filter - Optional filter(commit): commits it rejects are
+ *   walked through but not returned, and do not count toward maxCount
  * @returns {Array} - Array of commit objects
  */
-function getCommitHistory(startHash, maxCount, store) {
+function getCommitHistory(startHash, maxCount, store, filter = null) {
   const commits = [];
   const visited = new Set();
   const queue = [startHash];
@@ -225,7 +558,9 @@ function getCommitHistory(startHash, maxCount, store) {
     const commit = getCommit(commitHash, store);
     if (!commit) continue;
 
-    commits.push(commit);
+    if (!filter || filter(commit)) {
+      commits.push(commit);
+    }
 
     // Add parent(s) to queue for traversal
     // Handle both single parent and multiple parents (merge commits)
@@ -376,14 +711,22 @@ function collectReachableObjects(commitHash, store) {
     if (obj.type === 'commit') {
       const commit = getCommit(hash, store);
       if (commit.tree) queue.push(commit.tree);
-      if (commit.parent) queue.push(commit.parent);
+      queue.push(...commit.parents);
+    } else if (obj.type === 'tag') {
+      const tag = getTag(hash, store);
+      if (tag.object) queue.push(tag.object);
     } else if (obj.type === 'tree') {
-      const tree = getTree(hash, store);
+      const tree = readTree(hash, store);
       for (const entry of tree) {
         if (entry.hash) queue.push(entry.hash);
       }
+    } else if (obj.type === 'manifest') {
+      const manifest = getManifest(hash, store);
+      for (const chunk of manifest.chunks) {
+        reachable.add(chunk.hash);
+      }
     }
-    // Blobs have no references
+    // Blobs and chunks have no references
   }
 
   return reachable;
@@ -394,12 +737,19 @@ module.exports = {
   getBlob,
   storeTree,
   getTree,
+  readTree,
+  getTreeFormat,
   createCommit,
   getCommit,
+  createTag,
+  getTag,
   getCommitHistory,
   commitExists,
   getTreeFiles,
   findMergeBase,
   getOptimizedCommitHistory,
-  collectReachableObjects
+  collectReachableObjects,
+  formatTimezone,
+  parseTrailers,
+  TREE_FORMAT_HEADER
 };
\ No newline at end of file
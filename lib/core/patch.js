@@ -0,0 +1,368 @@
+/**
+ * Patch files
+ * One commit per patch in a mail-like format (format-patch / am):
+ * author, date and message headers followed by a unified diff per file.
+ * Binary blobs are carried as base64 so the patch stays plain text.
+ */
+
+const { isBinary } = require('./utils');
+const { diffFiles, splitDiffLines, joinDiffLines, NO_NEWLINE_MARKER } = require('./diff');
+
+const PATCH_SEPARATOR_DATE = 'Mon Sep 17 00:00:00 2001';
+const BINARY_HEADER = 'Binary content base64';
+const BASE64_LINE_LENGTH = 76;
+
+/**
+ * Format one commit as a patch
+ * @param {Object} commit - Commit object from getCommit
+ * @param {Array} changes - [{file, type: 'added'|'modified'|'removed', oldContent, newContent}]
+ * @param {Object} options - {index, total} for the [PATCH n/m] subject prefix
+ * @returns {string} - Patch text
+ */
+function formatPatch(commit, changes, options = {}) {
+  const { index = 1, total = 1 } = options;
+  const [subject, ...body] = (commit.message || '').split('\n');
+  const prefix = total > 1 ? `[PATCH ${index}/${total}]` : '[PATCH]';
+
+  const lines = [
+    `From ${commit.hash} ${PATCH_SEPARATOR_DATE}`,
+    `From: ${commit.author} <${commit.email || 'unknown@example.com'}>`,
+    `Date: ${new Date(commit.timestamp * 1000).toUTCString()}`,
+    `Subject: ${prefix} ${subject}`,
+    ''
+  ];
+
+  // mboxrd quoting: body lines that read like a patch separator get one more '>'
+  const bodyText = body.join('\n').trim().replace(/^(>*From )/gm, '>$1');
+  if (bodyText) {
+    lines.push(bodyText, '');
+  }
+
+  const sections = changes
+    .slice()
+    .sort((a, b) => a.file.localeCompare(b.file))
+    .map(change => formatFileSection(change));
+
+  // Diffstat
+  lines.push('---');
+  let insertions = 0;
+  let deletions = 0;
+  for (const section of sections) {
+    if (section.binary) {
+      lines.push(` ${section.file} | Bin ${section.sizeA} -> ${section.sizeB} bytes`);
+    } else {
+      insertions += section.additions;
+      deletions += section.deletions;
+      const count = section.additions + section.deletions;
+      lines.push(` ${section.file} | ${count} ${'+'.repeat(Math.min(section.additions, 40))}${'-'.repeat(Math.min(section.deletions, 40))}`);
+    }
+  }
+  lines.push(` ${sections.length} file${sections.length !== 1 ? 's' : ''} changed, ${insertions} insertion${insertions !== 1 ? 's' : ''}(+), ${deletions} deletion${deletions !== 1 ? 's' : ''}(-)`);
+  lines.push('');
+
+  for (const section of sections) {
+    lines.push(...section.lines);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format the diff --git section of one file
+ */
+function formatFileSection(change) {
+  const { file, type } = change;
+  const oldContent = type === 'added' ? null : change.oldContent;
+  const newContent = type === 'removed' ? null : change.newContent;
+  const lines = [`diff --git a/${file} b/${file}`];
+
+  if (type === 'added') {
+    lines.push('new file mode 100644');
+  } else if (type === 'removed') {
+    lines.push('deleted file mode 100644');
+  }
+
+  const binary = (oldContent && isBinary(oldContent, file)) || (newContent && isBinary(newContent, file));
+  if (binary) {
+    // Deletions need no content: the file is simply removed
+    if (newContent) {
+      lines.push(`${BINARY_HEADER} ${newContent.length}`);
+      const encoded = Buffer.from(newContent).toString('base64');
+      for (let i = 0; i < encoded.length; i += BASE64_LINE_LENGTH) {
+        lines.push(encoded.substring(i, i + BASE64_LINE_LENGTH));
+      }
+      lines.push('');
+    }
+    return {
+      file,
+      binary: true,
+      sizeA: oldContent ? oldContent.length : 0,
+      sizeB: newContent ? newContent.length : 0,
+      lines
+    };
+  }
+
+  const result = diffFiles(
+    oldContent,
+    newContent,
+    oldContent ? `a/${file}` : '/dev/null',
+    newContent ? `b/${file}` : '/dev/null'
+  );
+  if (result.type === 'text') {
+    lines.push(...result.content.split('\n'));
+  }
+
+  return {
+    file,
+    binary: false,
+    additions: result.additions || 0,
+    deletions: result.deletions || 0,
+    lines
+  };
+}
+
+/**
+ * File name for a patch, e.g. 0001-fix-the-parser.patch
+ * @param {number} index - 1-based patch number
+ * @param {string} message - Commit message
+ * @returns {string} - File name
+ */
+function patchFileName(index, message) {
+  const slug = (message || '').split('\n')[0]
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 52)
+    .replace(/-+$/, '');
+  return `${String(index).padStart(4, '0')}-${slug || 'patch'}.patch`;
+}
+
+/**
+ * Split text holding one or more patches (e.g. an mbox) and parse each
+ * @param {string} text - Patch text
+ * @returns {Array} - Parsed patches (see parsePatch)
+ */
+function parsePatches(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const separator = new RegExp(`^From [0-9a-f]+ ${PATCH_SEPARATOR_DATE}$`);
+  const starts = [];
+  lines.forEach((line, i) => {
+    // Later patches start at a full separator line; the first one at any From line
+    if (starts.length === 0 ? /^From [0-9a-f]+ /.test(line) : separator.test(line)) {
+      starts.push(i);
+    }
+  });
+
+  if (starts.length === 0) {
+    throw new Error('Not a patch: missing "From <commit>" line');
+  }
+
+  return starts.map((start, i) => parsePatch(lines.slice(start, starts[i + 1]).join('\n')));
+}
+
+/**
+ * Parse one patch
+ * @param {string} text - Patch text
+ * @returns {Object} - {commitHash, author, email, timestamp, message, files}
+ *   files: [{file, type, binary, content, hunks}]
+ */
+function parsePatch(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const patch = {
+    commitHash: null,
+    author: null,
+    email: null,
+    timestamp: null,
+    message: '',
+    files: []
+  };
+
+  const fromLine = lines[0] && lines[0].match(/^From ([0-9a-f]+) /);
+  if (!fromLine) {
+    throw new Error('Not a patch: missing "From <commit>" line');
+  }
+  patch.commitHash = fromLine[1];
+
+  // Mail headers up to the first blank line
+  let i = 1;
+  let subject = '';
+  for (; i < lines.length && lines[i] !== ''; i++) {
+    const header = lines[i].match(/^([A-Za-z-]+): ?(.*)$/);
+    if (!header) continue;
+    const [, name, value] = header;
+    if (name === 'From') {
+      const author = value.match(/^(.*?)\s*<(.*)>$/);
+      patch.author = author ? author[1] : value;
+      patch.email = author ? author[2] : null;
+    } else if (name === 'Date') {
+      const time = Date.parse(value);
+      if (!isNaN(time)) {
+        patch.timestamp = Math.floor(time / 1000);
+      }
+    } else if (name === 'Subject') {
+      subject = value.replace(/^\[PATCH[^\]]*\]\s*/, '');
+    }
+  }
+
+  const diffStart = lines.findIndex(line => line.startsWith('diff --git '));
+  const end = diffStart === -1 ? lines.length : diffStart;
+
+  // Message body ends at the last '---' line before the diffs
+  let bodyEnd = end;
+  for (let j = end - 1; j > i; j--) {
+    if (lines[j] === '---') {
+      bodyEnd = j;
+      break;
+    }
+  }
+  const body = lines.slice(i + 1, bodyEnd).join('\n').trim().replace(/^>(>*From )/gm, '$1');
+  patch.message = body ? `${subject}\n\n${body}` : subject;
+
+  if (!patch.author || patch.timestamp === null) {
+    throw new Error('Invalid patch: missing From or Date header');
+  }
+
+  if (diffStart !== -1) {
+    patch.files = parseFileSections(lines.slice(diffStart));
+  }
+
+  return patch;
+}
+
+/**
+ * Parse the diff --git sections of a patch
+ */
+function parseFileSections(lines) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('diff --git a/')) {
+      // Both sides name the same path: "a/<path> b/<path>"
+      const names = line.substring('diff --git a/'.length);
+      const file = names.substring(0, (names.length - 3) / 2);
+      current = { file, type: 'modified', binary: false, content: null, hunks: [] };
+      files.push(current);
+      hunk = null;
+    } else if (line === '-- ') {
+      // Mail signature
+      break;
+    } else if (!current) {
+      continue;
+    } else if (line === 'new file mode 100644') {
+      current.type = 'added';
+    } else if (line === 'deleted file mode 100644') {
+      current.type = 'removed';
+    } else if (line.startsWith(`${BINARY_HEADER} `)) {
+      const size = parseInt(line.substring(BINARY_HEADER.length + 1));
+      let encoded = '';
+      while (i + 1 < lines.length && lines[i + 1] !== '') {
+        encoded += lines[++i];
+      }
+      current.binary = true;
+      current.content = new Uint8Array(Buffer.from(encoded, 'base64'));
+      if (current.content.length !== size) {
+        throw new Error(`Corrupt binary content for ${current.file}: expected ${size} bytes, got ${current.content.length}`);
+      }
+    } else if (line.startsWith('@@')) {
+      const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (!header) {
+        throw new Error(`Invalid hunk header in ${current.file}: ${line}`);
+      }
+      hunk = {
+        oldStart: parseInt(header[1]),
+        oldLines: header[2] !== undefined ? parseInt(header[2]) : 1,
+        newStart: parseInt(header[3]),
+        newLines: header[4] !== undefined ? parseInt(header[4]) : 1,
+        lines: []
+      };
+      current.hunks.push(hunk);
+    } else if (hunk && line.startsWith('\\')) {
+      // "\ No newline at end of file" belongs to the previous line
+      const previous = hunk.lines[hunk.lines.length - 1];
+      if (previous) {
+        previous.line += NO_NEWLINE_MARKER;
+      }
+    } else if (hunk && !isHunkComplete(hunk)) {
+      if (line === '') {
+        // Blank context line whose leading space was stripped in transit
+        hunk.lines.push({ type: 'context', line: '' });
+      } else if (line.startsWith(' ') || line.startsWith('-') || line.startsWith('+')) {
+        const type = line[0] === ' ' ? 'context' : line[0] === '-' ? 'removed' : 'added';
+        hunk.lines.push({ type, line: line.substring(1) });
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Check whether a hunk already holds the line counts from its header
+ */
+function isHunkComplete(hunk) {
+  const oldCount = hunk.lines.filter(item => item.type !== 'added').length;
+  const newCount = hunk.lines.filter(item => item.type !== 'removed').length;
+  return oldCount >= hunk.oldLines && newCount >= hunk.newLines;
+}
+
+/**
+ * Apply parsed hunks to file content
+ * Each hunk must match exactly; it may sit at a different line than recorded.
+ * @param {Uint8Array|null} content - Current content (null for a new file)
+ * @param {Array} hunks - Hunks from parsePatch
+ * @param {string} fileName - File name for error messages
+ * @returns {Uint8Array} - Patched content
+ */
+function applyHunks(content, hunks, fileName) {
+  const text = content ? new TextDecoder().decode(content) : '';
+  const lines = splitDiffLines(text);
+  const output = [];
+  let position = 0;
+  let offset = 0;
+
+  for (const hunk of hunks) {
+    const oldLines = hunk.lines.filter(item => item.type !== 'added').map(item => item.line);
+    const newLines = hunk.lines.filter(item => item.type !== 'removed').map(item => item.line);
+
+    // An empty old side starts after the recorded line
+    const expected = (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+    const at = findHunk(lines, oldLines, expected, position);
+    if (at === -1) {
+      throw new Error(`Patch does not apply to ${fileName}: hunk @@ -${hunk.oldStart},${hunk.oldLines} @@ does not match`);
+    }
+
+    output.push(...lines.slice(position, at), ...newLines);
+    position = at + oldLines.length;
+    offset = at - (expected - offset);
+  }
+
+  output.push(...lines.slice(position));
+  return new TextEncoder().encode(joinDiffLines(output));
+}
+
+/**
+ * Find where a hunk's old lines occur, nearest to the expected line first
+ */
+function findHunk(lines, oldLines, expected, minimum) {
+  const matchesAt = at => at >= minimum &&
+    at + oldLines.length <= lines.length &&
+    oldLines.every((line, k) => lines[at + k] === line);
+
+  for (let distance = 0; distance <= lines.length; distance++) {
+    if (matchesAt(expected - distance)) return expected - distance;
+    if (distance > 0 && matchesAt(expected + distance)) return expected + distance;
+  }
+  return -1;
+}
+
+module.exports = {
+  formatPatch,
+  patchFileName,
+  parsePatches,
+  parsePatch,
+  applyHunks
+};
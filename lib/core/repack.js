@@ -0,0 +1,91 @@
+/**
+ * Delta Repacking
+ * Decides how each blob should be stored: in full, or as a delta against a
+ * similar blob. Blobs are grouped by file name and path and visited largest
+ * first, so the versions of a file sit together and newer (usually larger)
+ * versions become the bases of older ones. Each blob is compared with the
+ * previous `window` blobs of similar size; the smallest delta that beats the
+ * compressed full object wins, provided the chain stays within `depth`.
+ * Hot blobs (those in branch heads) are always kept in full so reading the
+ * current state of a branch never replays a delta.
+ */
+
+const zlib = require('zlib');
+const { createDelta, serializeDelta } = require('./delta');
+const { DELTA_EFFICIENCY_THRESHOLD, MAX_DELTA_CHAIN_DEPTH } = require('./constants');
+
+const DEFAULT_REPACK_WINDOW = 10;
+
+// Blobs more than this many times larger or smaller than each other are not compared
+const MAX_SIZE_RATIO = 2;
+
+/**
+ * Order blobs so likely delta partners are neighbours
+ * @param {Array} blobs - [{hash, data, path, hot}]
+ * @returns {Array} - Sorted copy: by file name, then path, hot first, then largest first
+ */
+function sortForRepack(blobs) {
+  const baseName = path => path.substring(path.lastIndexOf('/') + 1);
+
+  return blobs.slice().sort((a, b) =>
+    baseName(a.path).localeCompare(baseName(b.path)) ||
+    a.path.localeCompare(b.path) ||
+    (b.hot ? 1 : 0) - (a.hot ? 1 : 0) ||
+    b.data.length - a.data.length ||
+    a.hash.localeCompare(b.hash)
+  );
+}
+
+/**
+ * Choose a storage representation for every blob
+ * @param {Array} blobs - [{hash, data, path, hot}] with the full content of each blob
+ * @param {Object} options - {depth: longest allowed delta chain, window: candidates compared per blob}
+ * @returns {Map} - hash -> {base, delta, depth}; base and delta are null for full objects
+ */
+function planRepack(blobs, options = {}) {
+  const maxDepth = options.depth === undefined ? MAX_DELTA_CHAIN_DEPTH : options.depth;
+  const window = options.window === undefined ? DEFAULT_REPACK_WINDOW : options.window;
+
+  const order = sortForRepack(blobs);
+  const plan = new Map();
+
+  for (let i = 0; i < order.length; i++) {
+    const target = order[i];
+    const full = { base: null, delta: null, depth: 0 };
+
+    if (target.hot || maxDepth === 0 || target.data.length === 0) {
+      plan.set(target.hash, full);
+      continue;
+    }
+
+    // Anything bigger than this is better stored as a compressed full object
+    let best = null;
+    let limit = zlib.deflateSync(Buffer.from(target.data)).length * DELTA_EFFICIENCY_THRESHOLD;
+
+    for (let j = Math.max(0, i - window); j < i; j++) {
+      const candidate = order[j];
+      const candidatePlan = plan.get(candidate.hash);
+      if (candidatePlan.depth >= maxDepth) continue;
+
+      const larger = Math.max(candidate.data.length, target.data.length);
+      const smaller = Math.min(candidate.data.length, target.data.length);
+      if (smaller === 0 || larger / smaller > MAX_SIZE_RATIO) continue;
+
+      const delta = serializeDelta(createDelta(candidate.data, target.data));
+      if (delta.length < limit) {
+        limit = delta.length;
+        best = { base: candidate.hash, delta, depth: candidatePlan.depth + 1 };
+      }
+    }
+
+    plan.set(target.hash, best || full);
+  }
+
+  return plan;
+}
+
+module.exports = {
+  planRepack,
+  sortForRepack,
+  DEFAULT_REPACK_WINDOW
+};
@@ -3,10 +3,11 @@
  * These functions have no instance state dependencies
  */
 
-const fs = require('fs');
 const { hashData } = require('./utils');
 const { diffLines, formatDiff } = require('./diff');
 const { getFile } = require('./file-storage');
+const { readTree, getCommit, getTag } = require('./objects');
+const { getManifest } = require('./chunking');
 
 /**
  * Compare if two files are equal - optimized version using hash comparison
@@ -89,84 +90,342 @@ function getFileSizeFromHash(hash, store) {
 }
 
 /**
- * Get detailed storage analytics
+ * Storage analytics built from the objects and deltas tables
+ * Blobs stored as deltas have type 'delta' in the objects table with an empty
+ * data column; their bytes live in deltas.delta_data. Both are reported as
+ * blobs, with the delta-stored ones counted separately.
+ * @param {ContentAddressedStore} store - Storage instance
+ * @param {Object} options - {top: number of largest blobs to list (default 10)}
+ * @returns {Object} - {database, totals, types, savings, chains, largestBlobs, branches, unreachable, growth}
+ *   Sizes are in bytes: size is the uncompressed content, stored what the tables hold.
  */
-function storageAnalytics(store) {
-  // Use existing database connection instead of opening a new one
-  const db = store.db;
+function storageAnalytics(store, options = {}) {
+  const top = options.top === undefined ? 10 : options.top;
+  const objects = readObjectSizes(store);
 
-  // Get chunk statistics
-  const chunkStats = db.prepare(`
-    SELECT
-      COUNT(*) as total_chunks,
-      SUM(size) as total_data_size,
-      AVG(size) as avg_chunk_size,
-      MIN(size) as min_chunk_size,
-      MAX(size) as max_chunk_size,
-      SUM(LENGTH(hash) + size + 16) as estimated_chunk_overhead
-    FROM chunks
+  const types = {};
+  const totals = { objects: 0, size: 0, stored: 0 };
+  const savings = { compression: 0, delta: 0 };
+  for (const obj of objects.values()) {
+    const type = obj.delta ? 'blob' : obj.type;
+    const entry = types[type] || (types[type] = { count: 0, size: 0, stored: 0, deltas: 0 });
+    entry.count++;
+    entry.size += obj.size;
+    entry.stored += obj.stored;
+    if (obj.delta) entry.deltas++;
+
+    totals.objects++;
+    totals.size += obj.size;
+    totals.stored += obj.stored;
+    savings[obj.delta ? 'delta' : 'compression'] += obj.size - obj.stored;
+  }
+  savings.total = savings.compression + savings.delta;
+  savings.percent = totals.size > 0 ? Math.round(savings.total / totals.size * 1000) / 10 : 0;
+
+  const stale = store.db.prepare(`
+    SELECT COUNT(*) AS count, COALESCE(SUM(LENGTH(delta_data)), 0) AS stored
+    FROM deltas WHERE hash NOT IN (SELECT hash FROM objects)
   `).get();
 
-  // Get size distribution
-  const sizeDistribution = db.prepare(`
-    SELECT
-      CASE
-        WHEN size <= 1024 THEN '≤1KB'
-        WHEN size <= 4096 THEN '1-4KB'
-        WHEN size <= 16384 THEN '4-16KB'
-        WHEN size <= 65536 THEN '16-64KB'
-        ELSE '>64KB'
-      END as size_range,
-      COUNT(*) as chunk_count,
-      SUM(size) as total_size
-    FROM chunks
-    GROUP BY size_range
-    ORDER BY MIN(size)
+  const dbSize = store.getStats().dbSize;
+  const { commits, reachable, paths, branchObjects } = walkHistory(store, objects);
+
+  return {
+    database: {
+      size: dbSize,
+      stored: totals.stored + stale.stored,
+      overhead: Math.max(0, dbSize - totals.stored - stale.stored)
+    },
+    totals,
+    types,
+    savings,
+    chains: chainDepths(objects),
+    staleDeltas: { count: stale.count, stored: stale.stored },
+    largestBlobs: largestBlobs(objects, paths, top),
+    branches: branchStorage(objects, branchObjects),
+    unreachable: sumStored(objects, Array.from(objects.keys()).filter(hash => !reachable.has(hash))),
+    growth: storageGrowth(store, objects, commits)
+  };
+}
+
+/**
+ * Type, content size and stored size of every object
+ * @private
+ */
+function readObjectSizes(store) {
+  const rows = store.db.prepare(`
+    SELECT o.hash, o.type, o.size, LENGTH(o.data) AS stored,
+           d.base_hash, LENGTH(d.delta_data) AS delta_stored
+    FROM objects o
+    LEFT JOIN deltas d ON d.hash = o.hash
   `).all();
 
-  // Get staging area metadata size
-  const stagingMeta = store.getMeta('staging_area') || {};
-  const stagingSize = JSON.stringify(stagingMeta).length;
+  const objects = new Map();
+  for (const row of rows) {
+    const delta = !!row.base_hash;
+    objects.set(row.hash, {
+      type: row.type,
+      size: row.size,
+      stored: delta ? row.delta_stored : row.stored,
+      delta,
+      base: row.base_hash || null
+    });
+  }
+  return objects;
+}
+
+/**
+ * Delta chain depth histogram; blobs stored in full have depth 0
+ * @private
+ */
+function chainDepths(objects) {
+  const depths = new Map();
+  let broken = 0;
 
-  // Get file metadata size
-  const fileMeta = store.getMeta('file_metadata') || {};
-  const fileMetaSize = JSON.stringify(fileMeta).length;
+  const depthOf = hash => {
+    const chain = [];
+    let current = hash;
+    while (!depths.has(current)) {
+      const obj = objects.get(current);
+      // Missing base or circular chain
+      if (!obj || chain.includes(current)) return null;
+      if (!obj.delta) {
+        depths.set(current, 0);
+        break;
+      }
+      chain.push(current);
+      current = obj.base;
+    }
+
+    let depth = depths.get(current);
+    while (chain.length > 0) {
+      depths.set(chain.pop(), ++depth);
+    }
+    return depths.get(hash);
+  };
 
-  // Calculate database file size
-  const dbFileSize = fs.statSync(store.dbPath).size;
+  const histogram = [];
+  let deltaCount = 0;
+  let depthSum = 0;
+  for (const [hash, obj] of objects) {
+    if (obj.type !== 'blob' && !obj.delta) continue;
 
-  // Calculate efficiency metrics
-  const dataSize = chunkStats.total_data_size || 0;
-  const overhead = dbFileSize - dataSize;
-  const efficiency = dataSize > 0 ? (dataSize / dbFileSize * 100) : 0;
+    const depth = depthOf(hash);
+    if (depth === null) {
+      broken++;
+      continue;
+    }
+    histogram[depth] = (histogram[depth] || 0) + 1;
+    if (depth > 0) {
+      deltaCount++;
+      depthSum += depth;
+    }
+  }
 
   return {
-    database: {
-      file_path: store.dbPath,
-      file_size_bytes: dbFileSize,
-      file_size_mb: (dbFileSize / 1024 / 1024).toFixed(2)
-    },
-    chunks: {
-      total_count: chunkStats.total_chunks || 0,
-      total_data_size_bytes: dataSize,
-      total_data_size_mb: (dataSize / 1024 / 1024).toFixed(2),
-      avg_chunk_size_bytes: Math.round(chunkStats.avg_chunk_size || 0),
-      min_chunk_size_bytes: chunkStats.min_chunk_size || 0,
-      max_chunk_size_bytes: chunkStats.max_chunk_size || 0,
-      estimated_metadata_overhead_bytes: chunkStats.estimated_chunk_overhead || 0
-    },
-    size_distribution: sizeDistribution,
-    metadata: {
-      staging_area_size_bytes: stagingSize,
-      file_metadata_size_bytes: fileMetaSize
-    },
-    efficiency: {
-      data_efficiency_percent: efficiency.toFixed(1),
-      overhead_bytes: overhead,
-      overhead_mb: (overhead / 1024 / 1024).toFixed(2),
-      overhead_ratio: dataSize > 0 ? (overhead / dataSize).toFixed(2) : 'N/A'
+    maxDepth: Math.max(0, histogram.length - 1),
+    averageDepth: deltaCount > 0 ? Math.round(depthSum / deltaCount * 10) / 10 : 0,
+    histogram: Array.from(histogram, (count, depth) => ({ depth, count: count || 0 })),
+    broken
+  };
+}
+
+/**
+ * Walk every commit reachable from a ref
+ * Returns commits parents-first, every reachable object, the first path each
+ * file object was seen under (branch heads first, so current names win) and
+ * the objects each branch reaches.
+ * @private
+ */
+function walkHistory(store, objects) {
+  const refs = store.listRefs().filter(ref => ref.hash);
+  const branches = refs.filter(ref => ref.name.startsWith('refs/heads/'));
+  const reachable = new Set();
+  const paths = new Map();
+  const branchObjects = new Map();
+
+  const trees = new Set();
+  const notePaths = (treeHash, prefix) => {
+    if (trees.has(treeHash)) return;
+    trees.add(treeHash);
+    for (const entry of readTree(treeHash, store) || []) {
+      if (!entry.hash) continue;
+      const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.type === 'tree') {
+        notePaths(entry.hash, entryPath);
+      } else if (!paths.has(entry.hash)) {
+        paths.set(entry.hash, entryPath);
+      }
     }
   };
+  for (const ref of branches) {
+    const commit = getCommit(ref.hash, store);
+    if (commit && commit.tree) notePaths(commit.tree, '');
+  }
+
+  for (const ref of branches) {
+    const seen = new Set();
+    collectObjects([ref.hash], store, objects, seen);
+    branchObjects.set(ref.name.substring('refs/heads/'.length), { head: ref.hash, objects: seen });
+  }
+  collectObjects(refs.map(ref => ref.hash), store, objects, reachable);
+
+  // Parents before children, so growth follows history
+  const commits = [];
+  const done = new Set();
+  const stack = refs.map(ref => ({ hash: peelTag(ref.hash, store, objects), expanded: false }));
+  while (stack.length > 0) {
+    const item = stack.pop();
+    if (!item.hash || done.has(item.hash)) continue;
+    const commit = getCommit(item.hash, store);
+    if (!commit) continue;
+
+    if (item.expanded) {
+      done.add(item.hash);
+      commits.push({ hash: item.hash, ...commit });
+      if (commit.tree) notePaths(commit.tree, '');
+      continue;
+    }
+    stack.push({ hash: item.hash, expanded: true });
+    for (const parent of commit.parents) {
+      if (!done.has(parent)) stack.push({ hash: parent, expanded: false });
+    }
+  }
+
+  return { commits, reachable, paths, branchObjects };
+}
+
+/**
+ * Follow annotated tags to the object they point at
+ * @private
+ */
+function peelTag(hash, store, objects) {
+  let current = hash;
+  while (current && objects.has(current) && objects.get(current).type === 'tag') {
+    current = getTag(current, store).object;
+  }
+  return current;
+}
+
+/**
+ * Add every object reachable from roots to a set
+ * Objects in skip are not entered, nor is anything only reachable through them.
+ * @private
+ */
+function collectObjects(roots, store, objects, into, skip = null) {
+  const queue = roots.slice();
+  while (queue.length > 0) {
+    const hash = queue.pop();
+    if (!hash || into.has(hash) || !objects.has(hash) || (skip && skip.has(hash))) continue;
+    into.add(hash);
+
+    const type = objects.get(hash).type;
+    if (type === 'commit') {
+      const commit = getCommit(hash, store);
+      if (commit.tree) queue.push(commit.tree);
+      queue.push(...commit.parents);
+    } else if (type === 'tag') {
+      queue.push(getTag(hash, store).object);
+    } else if (type === 'tree') {
+      for (const entry of readTree(hash, store) || []) {
+        if (entry.hash) queue.push(entry.hash);
+      }
+    } else if (type === 'manifest') {
+      queue.push(...getManifest(hash, store).chunks.map(chunk => chunk.hash));
+    }
+    // Blobs read through a delta also need its base
+    if (objects.get(hash).delta) queue.push(objects.get(hash).base);
+  }
+  return into;
+}
+
+/**
+ * Count and stored bytes of a list of objects
+ * @private
+ */
+function sumStored(objects, hashes) {
+  let stored = 0;
+  for (const hash of hashes) stored += objects.get(hash).stored;
+  return { objects: hashes.length, stored };
+}
+
+/**
+ * Largest files by content size, named by path
+ * A chunked file's stored size counts its manifest and every chunk.
+ * @private
+ */
+function largestBlobs(objects, paths, top) {
+  const files = [];
+  for (const [hash, path] of paths) {
+    const obj = objects.get(hash);
+    if (!obj) continue;
+
+    files.push({
+      path,
+      hash,
+      size: obj.size,
+      stored: obj.stored,
+      delta: obj.delta,
+      chunked: obj.type === 'manifest'
+    });
+  }
+  files.sort((a, b) => b.size - a.size || a.path.localeCompare(b.path));
+  return files.slice(0, top);
+}
+
+/**
+ * Per-branch reachable storage and the part no other branch shares
+ * @private
+ */
+function branchStorage(objects, branchObjects) {
+  const owners = new Map();
+  for (const { objects: reached } of branchObjects.values()) {
+    for (const hash of reached) owners.set(hash, (owners.get(hash) || 0) + 1);
+  }
+
+  return Array.from(branchObjects, ([name, { head, objects: reached }]) => {
+    const all = Array.from(reached);
+    const unique = sumStored(objects, all.filter(hash => owners.get(hash) === 1));
+    const total = sumStored(objects, all);
+    return {
+      name,
+      head,
+      objects: total.objects,
+      stored: total.stored,
+      uniqueObjects: unique.objects,
+      uniqueStored: unique.stored
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Bytes each commit added to storage, in history order
+ * An object counts toward the first commit that reaches it.
+ * @private
+ */
+function storageGrowth(store, objects, commits) {
+  const seen = new Set();
+  let total = 0;
+
+  return commits.map(commit => {
+    // Parents come first, so they and everything they reach are skipped
+    const added = collectObjects([commit.hash], store, objects, new Set(), seen);
+    let stored = 0;
+    for (const hash of added) {
+      seen.add(hash);
+      stored += objects.get(hash).stored;
+    }
+    total += stored;
+
+    return {
+      hash: commit.hash,
+      timestamp: commit.timestamp,
+      message: (commit.message || '').split('\n')[0],
+      objects: added.size,
+      stored,
+      totalStored: total
+    };
+  });
 }
 
 module.exports = {
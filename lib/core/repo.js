@@ -9,13 +9,36 @@ const {
   getBlob,
   storeTree,
   getTree,
+  readTree,
+  getTreeFormat,
   createCommit,
   getCommit,
-  getCommitHistory
+  createTag,
+  getTag,
+  getCommitHistory,
+  findMergeBase
 } = require('./objects');
 const BranchTransfer = require('./branch-transfer-true-fix');
-const { isBinary } = require('./utils');
-const { diffFiles } = require('./diff');
+const { isBinary, hashData } = require('./utils');
+const { diffFiles, diffLines } = require('./diff');
+const { mergeText } = require('./merge');
+const { formatPatch, patchFileName, parsePatches, applyHunks } = require('./patch');
+const { planRepack, DEFAULT_REPACK_WINDOW } = require('./repack');
+const { storeChunkedBlob, getManifest, readChunks } = require('./chunking');
+const { SYNC_PROTOCOL_VERSION, buildPack, applyPack, encodePack, decodePack, openTransport, checkRemoteUrl } = require('./sync');
+const { parseRevision, parseRange, isHashPrefix, parseDate } = require('./revision');
+const { storageAnalytics } = require('./repo-utils');
+const {
+  DEFAULT_REFLOG_EXPIRE_DAYS,
+  MAX_DELTA_CHAIN_DEPTH,
+  LARGE_FILE_THRESHOLD,
+  STREAM_PIECE_SIZE,
+  RENAME_SIMILARITY_THRESHOLD
+} = require('./constants');
+
+// Object types a file entry can point at: a blob, a chunk manifest, or a
+// blob whose content was first stored as a chunk of a larger file
+const FILE_OBJECT_TYPES = ['blob', 'manifest', 'chunk'];
 
 class ContentAddressedRepo {
   constructor(dbPath = 'webdvcs.sqlite', debugMode = false, DatabaseConstructor = null) {
@@ -60,8 +83,8 @@ class ContentAddressedRepo {
     // Detect if binary
     const binary = forceBinary || isBinary(contentArray);
 
-    // Store blob
-    const result = storeBlob(contentArray, this.store);
+    // Store blob (chunked above LARGE_FILE_THRESHOLD)
+    const result = this._storeContent(contentArray);
 
     if (this.debugMode) {
       console.log(`🔍 Stored blob for ${fileName}: ${result.hash ? result.hash.substring(0, 8) : 'null'} (${contentArray.length} bytes, ${binary ? 'binary' : 'text'})`);
@@ -77,6 +100,9 @@ class ContentAddressedRepo {
     // Remove from deleted files if it was marked for deletion
     this.removedFiles.delete(fileName);
 
+    // Staging a conflicted path marks it resolved
+    this._markConflictResolved(fileName);
+
     // Save staging area
     this._saveStagingArea();
 
@@ -89,6 +115,20 @@ class ContentAddressedRepo {
     };
   }
 
+  /**
+   * Add a file from a stream of pieces without holding it in memory
+   * The content is always stored as chunks plus a manifest.
+   * @param {string} fileName - File name/path
+   * @param {Iterable} pieces - Uint8Array pieces of the file, in order
+   * @param {boolean} forceBinary - Force binary mode
+   * @returns {Object} - Add result with chunk counts
+   */
+  addFileStream(fileName, pieces, forceBinary = false) {
+    const result = this._addFileStreamInternal(fileName, pieces, forceBinary);
+    this._saveStagingArea();
+    return result;
+  }
+
   /**
    * Remove file (mark for deletion)
    * @param {string} fileName - File name to remove
@@ -124,6 +164,7 @@ class ContentAddressedRepo {
 
     // Mark for deletion (Git-like behavior: track removal of any file, staged or committed)
     this.removedFiles.add(fileName);
+    this._markConflictResolved(fileName);
 
     // Save changes
     this._saveStagingArea();
@@ -181,20 +222,42 @@ class ContentAddressedRepo {
   /**
    * Get file content
    * @param {string} fileName - File name
-   * @param {string} commitHash - Optional commit hash
+   * @param {string} commitHash - Optional commit hash or revision
    * @returns {Uint8Array} - File content
    */
   getFile(fileName, commitHash = null) {
+    return getBlob(this._fileHash(fileName, commitHash), this.store);
+  }
+
+  /**
+   * Read file content one piece at a time
+   * Chunked files yield one chunk per piece; other files yield a single piece.
+   * @param {string} fileName - File name
+   * @param {string} commitHash - Optional commit hash or revision
+   * @returns {Iterator} - Uint8Array pieces in file order
+   */
+  streamFile(fileName, commitHash = null) {
+    return readChunks(this._fileHash(fileName, commitHash), this.store);
+  }
+
+  /**
+   * Find the blob (or manifest) hash of a file
+   * @param {string} fileName - File name
+   * @param {string} commitHash - Commit hash or revision; staging area then HEAD when omitted
+   * @returns {string} - Object hash
+   * @private
+   */
+  _fileHash(fileName, commitHash = null) {
     if (commitHash) {
       // Get from specific commit
-      const commit = getCommit(commitHash, this.store);
+      const commit = getCommit(this._requireCommit(commitHash), this.store);
       if (!commit) throw new Error('Commit not found');
 
       const tree = getTree(commit.tree, this.store);
       const entry = tree.find(e => e.name === fileName);
       if (!entry) throw new Error('File not found in commit');
 
-      return getBlob(entry.hash, this.store);
+      return entry.hash;
     } else {
       // Check if file is marked for deletion
       if (this.removedFiles.has(fileName)) {
@@ -204,7 +267,7 @@ class ContentAddressedRepo {
       // Get from staging area first
       const staged = this.stagingArea.get(fileName);
       if (staged) {
-        return getBlob(staged.hash, this.store);
+        return staged.hash;
       }
 
       // Fall back to current commit if not staged and not marked for deletion
@@ -226,7 +289,7 @@ class ContentAddressedRepo {
         throw new Error('File not staged');
       }
 
-      return getBlob(entry.hash, this.store);
+      return entry.hash;
     }
   }
 
@@ -364,22 +427,78 @@ class ContentAddressedRepo {
       .sort();
   }
 
+  /**
+   * List files in a specific commit
+   * @param {string} commitRef - Commit hash or revision
+   * @returns {Array} - Array of file names
+   */
+  listCommitFiles(commitRef) {
+    const commit = getCommit(this._requireCommit(commitRef), this.store);
+    if (!commit) {
+      throw new Error('Commit not found');
+    }
+
+    const tree = getTree(commit.tree, this.store);
+    return tree
+      .filter(entry => entry.type === 'file')
+      .map(entry => entry.name)
+      .sort();
+  }
+
   /**
    * Create commit from staging area
-   * @param {string} message - Commit message
+   * With options.amend the HEAD commit is rebuilt instead: same parents, HEAD's
+   * tree plus the staging area, and its author, date and (by default) message.
+   * Its committer, timezones, extra headers and trailers carry over too, with
+   * given headers and trailers added. The replaced commit stays reachable
+   * through the reflog until it expires.
+   * Otherwise the configured user is recorded as committer, with the current time.
+   * @param {string} message - Commit message (optional when amending; may span several lines)
    * @param {string} author - Author name
    * @param {string} email - Author email
+   * @param {Object} options - {timestamp, timezone} to keep an existing author time, {amend},
+   *   {trailers: [{key, value}]} such as Signed-off-by, {headers} extra commit headers
    * @returns {Object} - Commit result
    */
-  commit(message, author = null, email = null) {
+  commit(message, author = null, email = null, options = {}) {
     if (this.debugMode) {
       console.log(`🔍 Starting commit: "${message}" with ${this.stagingArea.size} staged files and ${this.removedFiles.size} removed files`);
     }
 
-    if (this.stagingArea.size === 0 && this.removedFiles.size === 0) {
+    // A commit during a merge concludes it with both parents
+    const mergeState = this.getMergeState();
+    if (mergeState && mergeState.conflicts.length > 0) {
+      throw new Error(`Cannot commit: unresolved merge conflicts in ${mergeState.conflicts.join(', ')}`);
+    }
+
+    if (options.amend && mergeState) {
+      throw new Error(`Cannot amend during a ${mergeState.operation || 'merge'}. Finish or abort it first`);
+    }
+
+    if (!options.amend && !mergeState && this.stagingArea.size === 0 && this.removedFiles.size === 0) {
       throw new Error('Nothing to commit');
     }
 
+    // Get current branch and head
+    const currentBranch = this.getCurrentBranch();
+    const currentHead = this.store.getRef(`refs/heads/${currentBranch}`);
+    const parentHash = currentHead ? currentHead.hash : null;
+
+    // Amending keeps the replaced commit's author, date and message unless given
+    const amended = options.amend && parentHash ? getCommit(parentHash, this.store) : null;
+    let timezone = options.timezone;
+    if (options.amend && !amended) {
+      throw new Error('Nothing to amend: no commits exist yet');
+    }
+    if (amended) {
+      message = message || amended.message;
+      if (!author) {
+        author = amended.author;
+        email = amended.email || 'unknown@example.com';
+      }
+      timezone = timezone || amended.timezone;
+    }
+
     // Get author info
     if (!author) {
       author = this.store.getMeta('author.name') || 'Unknown';
@@ -390,11 +509,6 @@ class ContentAddressedRepo {
       console.log(`🔍 Committing as ${author} <${email}>`);
     }
 
-    // Get current branch and head
-    const currentBranch = this.getCurrentBranch();
-    const currentHead = this.store.getRef(`refs/heads/${currentBranch}`);
-    const parentHash = currentHead ? currentHead.hash : null;
-
     // Build tree from staging area (excluding removed files)
     const treeEntries = [];
 
@@ -425,23 +539,96 @@ class ContentAddressedRepo {
     // Create tree
     const treeHash = storeTree(treeEntries, this.store);
 
-    // Create commit
-    const commitHash = createCommit(treeHash, message, author, email, parentHash, this.store);
+    // Create commit (a concluded cherry-pick or revert has a single parent)
+    const operationName = mergeState ? mergeState.operation || 'merge' : null;
+    let parents = operationName === 'merge' ? [parentHash, mergeState.mergeHead] : parentHash;
+    let timestamp = options.timestamp !== undefined ? options.timestamp : Math.floor(Date.now() / 1000);
+    let committer = this._committer();
+    let trailers = options.trailers;
+    let headers = options.headers;
+    if (amended) {
+      parents = amended.parents;
+      timestamp = options.timestamp !== undefined ? options.timestamp : amended.timestamp;
+      committer = {
+        name: amended.committer,
+        email: amended.committerEmail || 'unknown@example.com',
+        timestamp: committer.timestamp,
+        timezone: amended.committerTimezone || undefined
+      };
+      // Trailers already in a kept message are not repeated
+      trailers = [...amended.trailers, ...(options.trailers || [])];
+      headers = { ...amended.headers, ...options.headers };
+    }
+    const commitHash = createCommit(treeHash, message, author, email, parents, this.store, timestamp, {
+      timezone: timezone || undefined,
+      committer,
+      trailers,
+      headers
+    });
 
     // Update branch reference
-    this.store.setRef(`refs/heads/${currentBranch}`, commitHash, 'branch');
+    let operation = parentHash ? (mergeState ? `commit (${operationName})` : 'commit') : 'commit (initial)';
+    if (amended) {
+      operation = 'commit (amend)';
+    }
+    this.store.setRef(`refs/heads/${currentBranch}`, commitHash, 'branch', `${operation}: ${message || ''}`);
 
     // Clear staging area
     this.stagingArea.clear();
     this.removedFiles.clear();
     this._saveStagingArea();
 
+    if (mergeState) {
+      this._clearMergeState();
+    }
+
     return {
       commitHash,
       treeHash,
-      message,
+      message: getCommit(commitHash, this.store).message,
       author,
-      timestamp: Math.floor(Date.now() / 1000),
+      timestamp,
+      branch: currentBranch,
+      ...(amended ? { amended: amended.hash } : {})
+    };
+  }
+
+  /**
+   * Replace the message of the HEAD commit, leaving the staging area alone
+   * Older commits can be reworded with a rebase todo list.
+   * @param {string} commitRef - Commit to reword (must resolve to HEAD)
+   * @param {string} message - New commit message
+   * @returns {Object} - {commitHash, previous, message, branch}
+   */
+  reword(commitRef, message) {
+    if (!message) {
+      throw new Error('Commit message required');
+    }
+
+    const mergeState = this.getMergeState();
+    if (mergeState) {
+      throw new Error(`Cannot reword during a ${mergeState.operation || 'merge'}. Finish or abort it first`);
+    }
+
+    const commitHash = this._requireCommit(commitRef);
+    const head = this.getCurrentHead();
+    if (commitHash !== head) {
+      throw new Error(`Only HEAD can be reworded; use rebase with a reword step for ${commitRef}`);
+    }
+
+    const commit = getCommit(head, this.store);
+    const newHash = createCommit(commit.tree, message, commit.author, commit.email || 'unknown@example.com', commit.parents, this.store, commit.timestamp, {
+      timezone: commit.timezone || undefined,
+      headers: commit.headers,
+      committer: this._committer()
+    });
+    const currentBranch = this.getCurrentBranch();
+    this.store.setRef(`refs/heads/${currentBranch}`, newHash, 'branch', `reword: ${message}`);
+
+    return {
+      commitHash: newHash,
+      previous: head,
+      message,
       branch: currentBranch
     };
   }
@@ -508,7 +695,7 @@ class ContentAddressedRepo {
       throw new Error('Cannot create branch: no commits exist yet');
     }
 
-    this.store.setRef(`refs/heads/${name}`, fromCommit, 'branch');
+    this.store.setRef(`refs/heads/${name}`, fromCommit, 'branch', 'branch: created');
     return name;
   }
 
@@ -523,6 +710,13 @@ class ContentAddressedRepo {
       throw new Error(`Branch '${name}' does not exist`);
     }
 
+    if (this.getMergeState()) {
+      throw new Error('Cannot switch branches during a merge. Use merge --continue or merge --abort');
+    }
+    if (this.getRebaseState()) {
+      throw new Error('Cannot switch branches during a rebase. Use rebase --continue, --skip or --abort');
+    }
+
     this.store.setMeta('current_branch', name);
 
     // Clear staging area when switching branches
@@ -547,7 +741,7 @@ class ContentAddressedRepo {
       throw new Error('Cannot delete current branch');
     }
 
-    const deleted = this.store.removeRef(`refs/heads/${name}`);
+    const deleted = this.store.removeRef(`refs/heads/${name}`, 'branch: deleted');
     if (!deleted) {
       throw new Error(`Branch '${name}' does not exist`);
     }
@@ -566,22 +760,40 @@ class ContentAddressedRepo {
 
   /**
    * Run garbage collection to remove unreachable objects
+   * Objects recorded in reflog entries younger than the expiry are kept so
+   * reset or deleted branches can still be recovered; older entries are dropped.
+   * @param {Object} options - {reflogExpireDays} overriding the configured expiry
    * @returns {Object} - Garbage collection statistics
    */
-  garbageCollect() {
+  garbageCollect(options = {}) {
     const startTime = Date.now();
+    const { collectReachableObjects } = require('./objects');
 
-    // Get all reachable objects from all branch heads
+    const expireDays = options.reflogExpireDays !== undefined ? options.reflogExpireDays : this.getReflogExpiry();
+    const reflogCutoff = startTime - expireDays * 24 * 60 * 60 * 1000;
+    const expiredReflogEntries = this.store.expireReflog(reflogCutoff);
+
+    // Get all reachable objects from the roots fsck checks, minus expired reflog entries
     const reachableObjects = new Set();
-    const allRefs = this.store.listRefs();
+    const roots = this._reachabilityRoots({ reflogSince: reflogCutoff })
+      .map(root => root.hash)
+      .filter(Boolean);
+
+    for (const root of roots) {
+      if (reachableObjects.has(root)) continue;
+      const reachable = collectReachableObjects(root, this.store);
+      for (const hash of reachable) {
+        reachableObjects.add(hash);
+      }
+    }
 
-    for (const ref of allRefs) {
-      if (ref.name.startsWith('refs/heads/') && ref.hash) {
-        const { collectReachableObjects } = require('./objects');
-        const reachable = collectReachableObjects(ref.hash, this.store);
-        for (const hash of reachable) {
-          reachableObjects.add(hash);
-        }
+    // Deltas cannot be read without their bases
+    const deltaBases = new Map(this.store.listDeltas().map(delta => [delta.hash, delta.base_hash]));
+    for (const hash of Array.from(reachableObjects)) {
+      let base = deltaBases.get(hash);
+      while (base && !reachableObjects.has(base)) {
+        reachableObjects.add(base);
+        base = deltaBases.get(base);
       }
     }
 
@@ -600,9 +812,8 @@ class ContentAddressedRepo {
     // Delete unreachable objects
     let deletedCount = 0;
     if (unreachableObjects.length > 0) {
-      const deleteStmt = this.store.db.prepare('DELETE FROM objects WHERE hash = ?');
       for (const hash of unreachableObjects) {
-        deleteStmt.run(hash);
+        this.store.removeObject(hash);
         deletedCount++;
       }
     }
@@ -612,6 +823,7 @@ class ContentAddressedRepo {
       totalObjects,
       reachableObjects: reachableObjects.size,
       deletedObjects: deletedCount,
+      expiredReflogEntries,
       duration: endTime - startTime
     };
   }
@@ -637,7 +849,7 @@ class ContentAddressedRepo {
       }
     }
 
-    // Check if commit is in the history of any branch
+    // Check if commit is in the history of any branch or tag
     const { getCommitHistory } = require('./objects');
     for (const ref of allRefs) {
       if (ref.name.startsWith('refs/heads/') && ref.hash) {
@@ -645,6 +857,11 @@ class ContentAddressedRepo {
         if (history.some(c => c.hash === commitHash)) {
           throw new Error('Cannot delete commit: it is reachable from existing branches');
         }
+      } else if (ref.name.startsWith('refs/tags/') && ref.hash) {
+        const history = getCommitHistory(this._peelTag(ref.hash), 1000, this.store);
+        if (history.some(c => c.hash === commitHash)) {
+          throw new Error(`Cannot delete commit: it is reachable from tag '${ref.name.replace('refs/tags/', '')}'`);
+        }
       }
     }
 
@@ -662,17 +879,398 @@ class ContentAddressedRepo {
     };
   }
 
+  // ===== Tags =====
+
+  /**
+   * Create a tag
+   * A message makes it an annotated tag object; without one the tag is lightweight.
+   * @param {string} name - Tag name
+   * @param {string} target - Commit reference to tag (default HEAD)
+   * @param {Object} options - {message, tagger, email, force}
+   * @returns {Object} - {name, hash, commit, annotated}
+   */
+  createTag(name, target = 'HEAD', options = {}) {
+    if (!name || /[\s~^:?*[\\]|\.\.|^-|\/$/.test(name)) {
+      throw new Error(`Invalid tag name: '${name}'`);
+    }
+
+    const refName = `refs/tags/${name}`;
+    if (this.store.getRef(refName) && !options.force) {
+      throw new Error(`Tag '${name}' already exists`);
+    }
+
+    const commitHash = this.resolveCommitReference(target || 'HEAD');
+    if (!commitHash || !getCommit(commitHash, this.store)) {
+      throw new Error(`Invalid commit reference: ${target}`);
+    }
+
+    let hash = commitHash;
+    const annotated = options.message !== undefined && options.message !== null;
+    if (annotated) {
+      const tagger = options.tagger || this.store.getMeta('author.name') || 'Unknown';
+      const email = options.email || this.store.getMeta('author.email') || 'unknown@example.com';
+      hash = createTag(commitHash, name, tagger, email, options.message, this.store);
+    }
+
+    this.store.setRef(refName, hash, 'tag', 'tag: created');
+
+    return {
+      name,
+      hash,
+      commit: commitHash,
+      annotated
+    };
+  }
+
+  /**
+   * List tags
+   * @returns {Array} - [{name, hash, commit, annotated, tagger, email, timestamp, message}]
+   */
+  listTags() {
+    return this.store.listRefs()
+      .filter(ref => ref.name.startsWith('refs/tags/'))
+      .map(ref => {
+        const tag = getTag(ref.hash, this.store);
+        return {
+          name: ref.name.replace('refs/tags/', ''),
+          hash: ref.hash,
+          commit: this._peelTag(ref.hash),
+          annotated: !!tag,
+          tagger: tag ? tag.tagger : null,
+          email: tag ? tag.email : null,
+          timestamp: tag ? tag.timestamp : null,
+          message: tag ? tag.message : null
+        };
+      });
+  }
+
+  /**
+   * Delete a tag (the tagged commit is kept)
+   * @param {string} name - Tag name
+   * @returns {Object} - {name, deleted}
+   */
+  deleteTag(name) {
+    const deleted = this.store.removeRef(`refs/tags/${name}`, 'tag: deleted');
+    if (!deleted) {
+      throw new Error(`Tag '${name}' does not exist`);
+    }
+
+    return {
+      name,
+      deleted: true
+    };
+  }
+
+  /**
+   * Follow annotated tag objects down to the tagged commit
+   * @private
+   */
+  _peelTag(hash) {
+    let tag = getTag(hash, this.store);
+    while (tag) {
+      hash = tag.object;
+      tag = getTag(hash, this.store);
+    }
+    return hash;
+  }
+
+  // ===== Reflog =====
+
+  /**
+   * Get the reflog of a branch or tag, newest first
+   * Entries outlive the ref, so a deleted branch's history can still be read.
+   * @param {string} ref - Branch/tag name or full ref name (default: current branch)
+   * @returns {Array} - [{selector, ref, oldHash, newHash, operation, author, timestamp}]
+   */
+  getReflog(ref = null) {
+    const refName = this._revisionRefName(ref);
+    if (!refName) {
+      throw new Error(`No reflog for '${ref}'`);
+    }
+
+    const shortName = refName.replace(/^refs\/(heads|tags)\//, '');
+    return this.store.getReflog(refName).map((entry, index) => ({
+      selector: `${shortName}@{${index}}`,
+      ...entry
+    }));
+  }
+
+  /**
+   * Get reflog retention used by garbage collection
+   * @returns {number} - Days before reflog entries expire
+   */
+  getReflogExpiry() {
+    const configured = parseFloat(this.store.getMeta('gc.reflogExpire'));
+    return isNaN(configured) ? DEFAULT_REFLOG_EXPIRE_DAYS : configured;
+  }
+
+  /**
+   * Set reflog retention used by garbage collection
+   * @param {number} days - Days before reflog entries expire
+   */
+  setReflogExpiry(days) {
+    const value = Number(days);
+    if (String(days).trim() === '' || isNaN(value) || value < 0) {
+      throw new Error(`Invalid reflog expiry: ${days} (expected a number of days)`);
+    }
+    this.store.setMeta('gc.reflogExpire', String(value));
+  }
+
+  // ===== Stash =====
+
+  /**
+   * Set the staging area aside as a stash commit
+   * The stash commit's tree is the staged snapshot (HEAD plus staged files minus
+   * removed files) and its parent is HEAD, so it can be inspected like any commit.
+   * Stashes are stacked as refs/stash/<n>; stash@{0} is the newest.
+   * @param {string} message - Optional description
+   * @returns {Object} - {hash, message, files, removed}
+   */
+  stashPush(message = null) {
+    if (this.getMergeState()) {
+      throw new Error('Cannot stash during a merge. Use merge --continue or merge --abort');
+    }
+    if (this.stagingArea.size === 0 && this.removedFiles.size === 0) {
+      throw new Error('No local changes to save');
+    }
+
+    const branch = this.getCurrentBranch();
+    const head = this.getCurrentHead();
+    const headCommit = head ? getCommit(head, this.store) : null;
+    const description = message
+      ? `On ${branch}: ${message}`
+      : `WIP on ${branch}: ${head ? `${head.substring(0, 8)} ${headCommit.message.split('\n')[0]}` : '(no commits)'}`;
+
+    const entries = new Map(headCommit ? getTree(headCommit.tree, this.store).map(e => [e.name, e]) : []);
+    for (const fileName of this.removedFiles) {
+      entries.delete(fileName);
+    }
+    for (const [fileName, fileInfo] of this.stagingArea) {
+      entries.set(fileName, {
+        name: fileName,
+        type: 'file',
+        hash: fileInfo.hash,
+        mode: 100644,
+        size: fileInfo.size,
+        binary: fileInfo.binary
+      });
+    }
+
+    const treeHash = storeTree(Array.from(entries.values()), this.store);
+    const author = this.getAuthor();
+    const hash = createCommit(
+      treeHash,
+      description.split('\n')[0],
+      author.name || 'Unknown',
+      author.email || 'unknown@example.com',
+      head,
+      this.store
+    );
+
+    const stashes = this._stashRefs();
+    const next = stashes.length > 0 ? stashes[0].seq + 1 : 0;
+    this.store.setRef(`refs/stash/${next}`, hash, 'stash', `stash: ${description}`);
+
+    const result = {
+      hash,
+      message: description,
+      files: Array.from(this.stagingArea.keys()).sort(),
+      removed: Array.from(this.removedFiles).sort()
+    };
+
+    this.stagingArea.clear();
+    this.removedFiles.clear();
+    this._saveStagingArea();
+
+    return result;
+  }
+
+  /**
+   * List stashes, newest first
+   * @returns {Array} - [{index, name, hash, message, base, timestamp}]
+   */
+  stashList() {
+    return this._stashRefs().map((ref, index) => {
+      const commit = getCommit(ref.hash, this.store);
+      return {
+        index,
+        name: `stash@{${index}}`,
+        hash: ref.hash,
+        message: commit ? commit.message : '',
+        base: commit ? commit.parent : null,
+        timestamp: commit ? commit.timestamp : null
+      };
+    });
+  }
+
+  /**
+   * Show the changes recorded in a stash relative to the commit it was taken on
+   * @param {number} index - Stash index (default 0)
+   * @param {Object} options - {contextLines, algorithm}
+   * @returns {Object} - {name, hash, message, base, changes: [{file, type, diff, additions, deletions, binary}]}
+   */
+  stashShow(index = 0, options = {}) {
+    const stash = this._stashEntry(index);
+    const changes = this._stashChanges(stash).map(change => ({
+      file: change.file,
+      type: change.type,
+      ...this._generateFileDiff(change.baseEntry, change.entry, change.file, options)
+    }));
+
+    return {
+      name: `stash@{${index}}`,
+      hash: stash.hash,
+      message: stash.commit.message,
+      base: stash.commit.parent,
+      changes
+    };
+  }
+
+  /**
+   * Restore a stash into the staging area, keeping it on the stack
+   * Refuses files that are staged now or changed in HEAD since the stash was taken.
+   * @param {number} index - Stash index (default 0)
+   * @returns {Object} - {name, staged, removed}
+   */
+  stashApply(index = 0) {
+    if (this.getMergeState()) {
+      throw new Error('Cannot apply a stash during a merge');
+    }
+
+    const stash = this._stashEntry(index);
+    const changes = this._stashChanges(stash);
+
+    const head = this.getCurrentHead();
+    const headTree = head ? getTree(getCommit(head, this.store).tree, this.store) : [];
+    const headFiles = new Map(headTree.filter(e => e.type === 'file').map(e => [e.name, e.hash]));
+
+    const conflicts = changes
+      .filter(change => {
+        if (this.stagingArea.has(change.file) || this.removedFiles.has(change.file)) {
+          return true;
+        }
+        const current = headFiles.get(change.file) || null;
+        const base = change.baseEntry ? change.baseEntry.hash : null;
+        const stashed = change.entry ? change.entry.hash : null;
+        return current !== base && current !== stashed;
+      })
+      .map(change => change.file);
+
+    if (conflicts.length > 0) {
+      throw new Error(`Cannot apply stash@{${index}}: local changes to ${conflicts.join(', ')} would be overwritten`);
+    }
+
+    const staged = [];
+    const removed = [];
+    for (const change of changes) {
+      if (change.entry) {
+        this.stagingArea.set(change.file, {
+          hash: change.entry.hash,
+          binary: change.entry.binary || false,
+          size: change.entry.size
+        });
+        staged.push(change.file);
+      } else if (headFiles.has(change.file)) {
+        this.removedFiles.add(change.file);
+        removed.push(change.file);
+      }
+    }
+    this._saveStagingArea();
+
+    return { name: `stash@{${index}}`, staged, removed };
+  }
+
+  /**
+   * Apply a stash and drop it from the stack
+   * @param {number} index - Stash index (default 0)
+   * @returns {Object} - {name, staged, removed, dropped}
+   */
+  stashPop(index = 0) {
+    const result = this.stashApply(index);
+    const dropped = this.stashDrop(index);
+    return { ...result, dropped: dropped.hash };
+  }
+
+  /**
+   * Remove a stash from the stack (its reflog entry keeps it recoverable until expiry)
+   * @param {number} index - Stash index (default 0)
+   * @returns {Object} - {name, hash}
+   */
+  stashDrop(index = 0) {
+    const stash = this._stashEntry(index);
+    this.store.removeRef(stash.ref, 'stash: dropped');
+    return { name: `stash@{${index}}`, hash: stash.hash };
+  }
+
+  /**
+   * Stash refs ordered newest first
+   * @private
+   */
+  _stashRefs() {
+    return this.store.listRefs()
+      .filter(ref => ref.name.startsWith('refs/stash/'))
+      .map(ref => ({ ...ref, seq: parseInt(ref.name.substring('refs/stash/'.length)) }))
+      .sort((a, b) => b.seq - a.seq);
+  }
+
+  /**
+   * Look up a stash by stack index
+   * @private
+   */
+  _stashEntry(index) {
+    const stashes = this._stashRefs();
+    const position = Number(index);
+    if (stashes.length === 0) {
+      throw new Error('No stash entries found');
+    }
+    if (!Number.isInteger(position) || position < 0 || position >= stashes.length) {
+      throw new Error(`stash@{${index}} does not exist (${stashes.length} ${stashes.length === 1 ? 'entry' : 'entries'})`);
+    }
+
+    const ref = stashes[position];
+    return { ref: ref.name, hash: ref.hash, commit: getCommit(ref.hash, this.store) };
+  }
+
+  /**
+   * Files a stash changes relative to its base commit
+   * @private
+   */
+  _stashChanges(stash) {
+    const baseTree = stash.commit.parent
+      ? getTree(getCommit(stash.commit.parent, this.store).tree, this.store)
+      : [];
+    const baseFiles = new Map(baseTree.filter(e => e.type === 'file').map(e => [e.name, e]));
+    const stashFiles = new Map(getTree(stash.commit.tree, this.store).filter(e => e.type === 'file').map(e => [e.name, e]));
+
+    const changes = [];
+    for (const [file, entry] of stashFiles) {
+      const baseEntry = baseFiles.get(file) || null;
+      if (!baseEntry) {
+        changes.push({ file, type: 'added', baseEntry, entry });
+      } else if (baseEntry.hash !== entry.hash) {
+        changes.push({ file, type: 'modified', baseEntry, entry });
+      }
+    }
+    for (const [file, baseEntry] of baseFiles) {
+      if (!stashFiles.has(file)) {
+        changes.push({ file, type: 'removed', baseEntry, entry: null });
+      }
+    }
+
+    return changes.sort((a, b) => a.file.localeCompare(b.file));
+  }
+
   // ===== Checkout Operations =====
 
   /**
    * Checkout files from a specific commit into staging area
-   * @param {string} commitHash - Commit hash to checkout
+   * @param {string} commitHash - Commit hash or revision to checkout
    * @param {string} fileName - Optional specific file to checkout
    * @param {boolean} writeToDisk - Whether to write to disk (CLI feature)
    * @returns {Object} - Checkout result
    */
   checkout(commitHash, fileName = null, writeToDisk = false) {
-    const commit = getCommit(commitHash, this.store);
+    const commit = getCommit(this._requireCommit(commitHash), this.store);
     if (!commit) {
       throw new Error('Commit not found');
     }
@@ -685,13 +1283,15 @@ class ContentAddressedRepo {
         throw new Error(`File '${fileName}' not found in commit`);
       }
 
-      const content = getBlob(entry.hash, this.store);
+      // Chunked files are streamed to disk by the caller instead of loaded here
+      const chunked = writeToDisk && !!getManifest(entry.hash, this.store);
+      const content = chunked ? null : getBlob(entry.hash, this.store);
 
       // Add to staging area
       this.stagingArea.set(fileName, {
         hash: entry.hash,
         binary: entry.binary || false,
-        size: entry.size || content.length
+        size: entry.size || (content ? content.length : 0)
       });
       this.removedFiles.delete(fileName);
       this._saveStagingArea();
@@ -702,7 +1302,9 @@ class ContentAddressedRepo {
           mode: entry.mode,
           mtime: entry.mtime,
           size: entry.size,
-          type: entry.type
+          type: entry.type,
+          hash: entry.hash,
+          chunked
         }
       };
     } else {
@@ -725,16 +1327,18 @@ class ContentAddressedRepo {
             size: entry.size || 0
           });
 
-          // Get file content for the files property
-          const content = getBlob(entry.hash, this.store);
-          files[entry.name] = content;
+          // Get file content for the files property (null for chunked files written to disk)
+          const chunked = writeToDisk && !!getManifest(entry.hash, this.store);
+          files[entry.name] = chunked ? null : getBlob(entry.hash, this.store);
 
           // Store metadata
           filesMetadata[entry.name] = {
             mode: entry.mode,
             mtime: entry.mtime,
             size: entry.size,
-            type: entry.type
+            type: entry.type,
+            hash: entry.hash,
+            chunked
           };
         }
       }
@@ -755,24 +1359,349 @@ class ContentAddressedRepo {
   /**
    * Get commit history
    * @param {number} maxCount - Maximum commits to return
+   * @param {string} revision - Optional start revision or 'A..B' / 'A...B' range (defaults to HEAD)
+   * @param {Object} options - Filters, all optional:
+   *   path: only commits that changed this file or directory
+   *   follow: also follow path back across renames (sets commit.path and commit.renamedFrom)
+   *   author, grep: case-insensitive regular expressions matched against 'Name <email>' and the message
+   *   since, until: dates bounding the author date (see parseDate in revision.js)
    * @returns {Array} - Commit history
    */
-  log(maxCount = 10) {
-    const currentBranch = this.getCurrentBranch();
-    const ref = this.store.getRef(`refs/heads/${currentBranch}`);
+  log(maxCount = 10, revision = null, options = {}) {
+    // Fail on bad filters before walking anything
+    this._logFilter(options);
 
-    if (!ref || !ref.hash) {
+    if (revision && parseRange(revision)) {
+      return this._logRange(revision, maxCount, options);
+    }
+
+    const start = revision ? this._requireCommit(revision) : this.getCurrentHead();
+    if (!start) {
       return [];
     }
 
-    return getCommitHistory(ref.hash, maxCount, this.store);
+    return getCommitHistory(start, maxCount, this.store, this._logFilter(options));
   }
 
-  // ===== Branch Export/Import =====
-
   /**
-   * Export branch to binary data
-   * @param {string} branchName - Branch name
+   * Commits selected by a range, newest first
+   * @private
+   */
+  _logRange(range, maxCount, options = {}) {
+    const { from, to, symmetric } = this.resolveRange(range);
+    const fromCommits = getCommitHistory(from, Infinity, this.store);
+    const toCommits = getCommitHistory(to, Infinity, this.store);
+    const fromHashes = new Set(fromCommits.map(c => c.hash));
+    const toHashes = new Set(toCommits.map(c => c.hash));
+    // Each walk gets its own filter: following a path keeps state per walk
+    const filtered = (start, commits) => {
+      const filter = this._logFilter(options);
+      return filter ? getCommitHistory(start, Infinity, this.store, filter) : commits;
+    };
+
+    const selected = filtered(to, toCommits).filter(c => !fromHashes.has(c.hash));
+    if (symmetric) {
+      selected.push(...filtered(from, fromCommits).filter(c => !toHashes.has(c.hash)));
+    }
+
+    return selected
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, maxCount);
+  }
+
+  /**
+   * Build the per-commit filter for log options, or null when nothing filters
+   * @private
+   */
+  _logFilter(options) {
+    const tests = [];
+    const pattern = (value, flag) => {
+      try {
+        return new RegExp(value, 'i');
+      } catch (error) {
+        throw new Error(`Invalid ${flag} pattern: ${value}`);
+      }
+    };
+
+    if (options.follow && !options.path) {
+      throw new Error('--follow needs a path');
+    }
+    // First, so the followed name reaches every parent even when other tests fail
+    if (options.path) {
+      // 'dir/' names the same directory as 'dir'
+      const path = options.path.replace(/\/+$/, '') || options.path;
+      tests.push(options.follow ? this._followPath(path) : commit => this._changesPath(commit, path));
+    }
+    if (options.author) {
+      const author = pattern(options.author, '--author');
+      tests.push(commit => author.test(`${commit.author} <${commit.email || ''}>`));
+    }
+    if (options.grep) {
+      const grep = pattern(options.grep, '--grep');
+      tests.push(commit => grep.test(commit.message));
+    }
+    if (options.since) {
+      const since = parseDate(options.since);
+      tests.push(commit => commit.timestamp >= since);
+    }
+    if (options.until) {
+      const until = parseDate(options.until);
+      tests.push(commit => commit.timestamp <= until);
+    }
+
+    if (tests.length === 0) return null;
+    return commit => {
+      let keep = true;
+      for (const test of tests) {
+        keep = test(commit) && keep;
+      }
+      return keep;
+    };
+  }
+
+  /**
+   * Object a path points at in a commit (blob, manifest or tree), or null
+   * @private
+   */
+  _pathObjectAt(commitHash, path) {
+    const commit = getCommit(commitHash, this.store);
+    const entry = commit && commit.tree ? this._treeEntryAt(commit.tree, path) : null;
+    return entry ? entry.hash : null;
+  }
+
+  /**
+   * Whether a commit changed a path
+   * Root commits change the paths they contain; merges only count when the
+   * path differs from every parent, as a merge that took one side unchanged
+   * did not change it.
+   * @private
+   */
+  _changesPath(commit, path) {
+    // Flat trees have no entries for directories, so when one is involved the
+    // files under the path are compared instead
+    const commits = [commit.hash, ...commit.parents];
+    const flat = commits.some(hash => getTreeFormat(getCommit(hash, this.store).tree, this.store) === 1);
+    const [own, ...parents] = commits.map(hash => flat ? this._flatPathState(hash, path) : this._pathObjectAt(hash, path));
+    if (parents.length === 0) {
+      return own !== null;
+    }
+    return parents.every(state => state !== own);
+  }
+
+  /**
+   * What a path holds at a commit, read from the flattened tree: a file's
+   * hash, or the names and hashes of the files under a directory
+   * @private
+   * @returns {string|null} - Comparable state, or null when the path is absent
+   */
+  _flatPathState(commitHash, path) {
+    const files = getTree(getCommit(commitHash, this.store).tree, this.store) || [];
+    const exact = files.find(entry => entry.name === path);
+    if (exact) return exact.hash;
+
+    const under = files
+      .filter(entry => entry.name.startsWith(`${path}/`))
+      .map(entry => `${entry.name} ${entry.hash}`);
+    return under.length > 0 ? under.join('\n') : null;
+  }
+
+  /**
+   * Filter for log --follow
+   * Tracks the name the file had at each commit: when a commit adds the path
+   * and deletes a file with the same or similar content, its parents are
+   * followed under the old name.
+   * @private
+   */
+  _followPath(path) {
+    const names = new Map();
+    let started = false;
+
+    return commit => {
+      const name = names.has(commit.hash) ? names.get(commit.hash) : (started ? null : path);
+      started = true;
+      const hash = name ? this._pathObjectAt(commit.hash, name) : null;
+      // Not reached through a commit that had the file
+      if (!hash) return false;
+
+      commit.path = name;
+      let changed = true;
+      for (const parent of commit.parents) {
+        let parentName = name;
+        const parentHash = this._pathObjectAt(parent, name);
+        if (parentHash === hash) {
+          changed = false;
+        } else if (!parentHash) {
+          parentName = this._findRenameSource(parent, commit, name);
+          if (parentName) commit.renamedFrom = parentName;
+        }
+        if (parentName && !names.has(parent)) names.set(parent, parentName);
+      }
+      return changed;
+    };
+  }
+
+  /**
+   * Name in a parent of the file a commit added at path, if it was a rename
+   * Candidates are the files the commit deleted; an identical blob wins,
+   * otherwise the most similar text file above RENAME_SIMILARITY_THRESHOLD.
+   * Directories are not followed.
+   * @private
+   */
+  _findRenameSource(parentHash, commit, path) {
+    const parent = getCommit(parentHash, this.store);
+    const files = getTree(commit.tree, this.store);
+    const added = files.find(entry => entry.name === path && entry.type !== 'tree');
+    if (!parent || !added) return null;
+
+    const hash = added.hash;
+    const kept = new Set(files.map(entry => entry.name));
+    const deleted = getTree(parent.tree, this.store).filter(entry => entry.type !== 'tree' && entry.hash && !kept.has(entry.name));
+
+    const exact = deleted.find(entry => entry.hash === hash);
+    if (exact) return exact.name;
+
+    const content = getBlob(hash, this.store);
+    if (isBinary(content)) return null;
+    const lines = this._contentLines(content);
+
+    let best = null;
+    for (const entry of deleted) {
+      const candidate = getBlob(entry.hash, this.store);
+      if (isBinary(candidate)) continue;
+
+      const candidateLines = this._contentLines(candidate);
+      const total = lines.length + candidateLines.length;
+      const common = diffLines(candidateLines, lines).filter(change => change.type === 'context').length;
+      const similarity = total === 0 ? 1 : (2 * common) / total;
+      if (similarity >= RENAME_SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { name: entry.name, similarity };
+      }
+    }
+    return best ? best.name : null;
+  }
+
+  /**
+   * Attribute every line of a file to the commit that last changed it
+   * Walks first-parent history, diffing each version of the file against the
+   * one before it. Without a revision a staged version is blamed too; its new
+   * lines carry a null hash.
+   * @param {string} fileName - File path
+   * @param {string} revision - Commit to blame at (defaults to the staged file, then HEAD)
+   * @returns {Object} - {file, revision, lines: [{line, content, hash, originalLine, author, email, timestamp, timezone, summary}]}
+   *   originalLine is the line's number in the commit that introduced it
+   */
+  blame(fileName, revision = null) {
+    const head = revision ? this._requireCommit(revision) : this.getCurrentHead();
+    const staged = !revision && this.stagingArea.get(fileName);
+
+    let current;
+    if (staged) {
+      current = { commit: null, hash: staged.hash };
+    } else {
+      const entry = head && this._treeEntryAt(getCommit(head, this.store).tree, fileName);
+      if (!entry || entry.type === 'tree') {
+        throw new Error(`File '${fileName}' not found in ${revision || 'HEAD'}`);
+      }
+      current = { commit: head, hash: entry.hash };
+    }
+
+    const content = getBlob(current.hash, this.store);
+    if (isBinary(content)) {
+      throw new Error(`Cannot blame binary file '${fileName}'`);
+    }
+    current.lines = this._contentLines(content);
+
+    const lines = current.lines.map((text, index) => ({ line: index + 1, content: text, hash: null, originalLine: index + 1 }));
+    // pending[i]: index into lines of line i of the current version, or null once attributed
+    let pending = lines.map((line, index) => index);
+    const commits = new Map();
+    const attribute = (index, commitHash, originalLine) => {
+      if (!commits.has(commitHash)) {
+        const commit = commitHash ? getCommit(commitHash, this.store) : null;
+        commits.set(commitHash, commit ? {
+          author: commit.author,
+          email: commit.email,
+          timestamp: commit.timestamp,
+          timezone: commit.timezone,
+          summary: commit.message.split('\n')[0]
+        } : { author: 'Not Committed Yet', email: null, timestamp: null, timezone: null, summary: '' });
+      }
+      Object.assign(lines[index], { hash: commitHash, originalLine }, commits.get(commitHash));
+    };
+
+    while (pending.some(index => index !== null)) {
+      const parent = current.commit === null ? head : getCommit(current.commit, this.store).parent;
+      const parentEntry = parent ? this._treeEntryAt(getCommit(parent, this.store).tree, fileName) : null;
+      const parentHash = parentEntry && parentEntry.type !== 'tree' ? parentEntry.hash : null;
+
+      // Unchanged in this commit: its lines belong further back
+      if (parentHash === current.hash) {
+        current = { ...current, commit: parent };
+        continue;
+      }
+
+      let parentLines = [];
+      if (parentHash) {
+        const parentContent = getBlob(parentHash, this.store);
+        if (!isBinary(parentContent)) parentLines = this._contentLines(parentContent);
+      }
+
+      const nextPending = parentLines.map(() => null);
+      for (const change of diffLines(parentLines, current.lines)) {
+        const index = pending[change.lineNumB - 1];
+        if (change.type === 'added' && index !== null) {
+          attribute(index, current.commit, change.lineNumB);
+        } else if (change.type === 'context') {
+          nextPending[change.lineNumA - 1] = index;
+        }
+      }
+
+      if (parentLines.length === 0) break;
+      pending = nextPending;
+      current = { commit: parent, hash: parentHash, lines: parentLines };
+    }
+
+    return { file: fileName, revision: staged ? null : head, lines };
+  }
+
+  /**
+   * Split text file content into lines
+   * @private
+   */
+  _contentLines(content) {
+    const text = new TextDecoder().decode(content);
+    if (text === '') return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  /**
+   * Find the entry for a path in a tree, descending into subtrees
+   * @param {string} treeHash - Root tree hash
+   * @param {string} path - Slash-separated path
+   * @returns {Object|null} - Tree entry, or null if the path does not exist
+   * @private
+   */
+  _treeEntryAt(treeHash, path) {
+    const entries = readTree(treeHash, this.store);
+    if (!entries) return null;
+
+    // Flat trees name files by their full path
+    const exact = entries.find(entry => entry.name === path);
+    if (exact) return exact;
+
+    const slash = path.indexOf('/');
+    if (slash === -1) return null;
+    const dir = entries.find(entry => entry.type === 'tree' && entry.name === path.substring(0, slash));
+    return dir ? this._treeEntryAt(dir.hash, path.substring(slash + 1)) : null;
+  }
+
+  // ===== Branch Export/Import =====
+
+  /**
+   * Export branch to binary data
+   * @param {string} branchName - Branch name
    * @returns {Object} - {data, filename}
    */
   exportBranchToFile(branchName) {
@@ -799,6 +1728,293 @@ class ContentAddressedRepo {
     return this.branchTransfer.getExportStats(branchName);
   }
 
+  // ===== Remotes and Sync =====
+
+  /**
+   * Register a remote repository
+   * A local path must already hold a repository.
+   * @param {string} name - Remote name (e.g. 'origin')
+   * @param {string} url - Repository path or http(s) URL
+   * @returns {Object} - {name, url}
+   */
+  addRemote(name, url) {
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name || '')) {
+      throw new Error(`Invalid remote name: ${name}`);
+    }
+    if (!url) {
+      throw new Error('Remote URL required');
+    }
+
+    const remotes = this._remotes();
+    if (remotes[name]) {
+      throw new Error(`Remote '${name}' already exists`);
+    }
+    checkRemoteUrl(url);
+    remotes[name] = { url };
+    this.store.setMeta('remotes', JSON.stringify(remotes));
+    return { name, url };
+  }
+
+  /**
+   * Forget a remote and its remote-tracking branches
+   * @param {string} name - Remote name
+   * @returns {Object} - {name, url, removedRefs}
+   */
+  removeRemote(name) {
+    const remote = this._remote(name);
+    const remotes = this._remotes();
+    delete remotes[name];
+    this.store.setMeta('remotes', JSON.stringify(remotes));
+
+    const trackingRefs = this._trackingRefs(name);
+    for (const ref of trackingRefs) {
+      this.store.removeRef(ref.name, `remote remove ${name}`);
+    }
+    return { name, url: remote.url, removedRefs: trackingRefs.length };
+  }
+
+  /**
+   * List remotes with their remote-tracking branches
+   * @returns {Array} - [{name, url, branches: [{name, hash}]}] sorted by name
+   */
+  listRemotes() {
+    const remotes = this._remotes();
+    return Object.keys(remotes).sort().map(name => ({
+      name,
+      url: remotes[name].url,
+      branches: this._trackingRefs(name).map(ref => ({
+        name: ref.name.substring(`refs/remotes/${name}/`.length),
+        hash: ref.hash
+      }))
+    }));
+  }
+
+  /**
+   * Download the branches and new tags of a remote
+   * Only objects this repository lacks are transferred. Branches land in
+   * refs/remotes/<remote>/<branch>; tracking branches the remote no longer
+   * has are removed.
+   * @param {string} remoteName - Remote name
+   * @returns {Promise<Object>} - {remote, url, updated: [{ref, old, new}], pruned, objects, deltas}
+   */
+  async fetch(remoteName) {
+    const remote = this._remote(remoteName);
+    const transport = this._openRemote(remote);
+
+    try {
+      const advertised = await this._advertisedRefs(transport);
+      const heads = advertised.refs.filter(ref => ref.name.startsWith('refs/heads/'));
+      // Tags already defined locally are left alone
+      const tags = advertised.refs.filter(ref => ref.name.startsWith('refs/tags/') && !this.store.getRef(ref.name));
+      const wants = Array.from(new Set([...heads, ...tags].map(ref => ref.hash)))
+        .filter(hash => !this.store.hasObject(hash));
+
+      let stats = { objects: 0, deltas: 0 };
+      if (wants.length > 0) {
+        const response = await transport.request({
+          type: 'fetch',
+          version: SYNC_PROTOCOL_VERSION,
+          wants,
+          haves: this._knownCommits()
+        });
+        stats = applyPack(this.store, decodePack(response.objects));
+      }
+
+      const trackingName = ref => `refs/remotes/${remoteName}/${ref.name.substring('refs/heads/'.length)}`;
+      const updated = [];
+      const record = (refName, hash, type) => {
+        const current = this.store.getRef(refName);
+        if (!current || current.hash !== hash) {
+          this.store.setRef(refName, hash, type, `fetch ${remoteName}`);
+          updated.push({ ref: refName, old: current ? current.hash : null, new: hash });
+        }
+      };
+      heads.forEach(ref => record(trackingName(ref), ref.hash, 'remote'));
+      tags.forEach(ref => record(ref.name, ref.hash, 'tag'));
+
+      const advertisedNames = new Set(heads.map(trackingName));
+      const stale = this._trackingRefs(remoteName).filter(ref => !advertisedNames.has(ref.name));
+      for (const ref of stale) {
+        this.store.removeRef(ref.name, `fetch ${remoteName}: pruned`);
+      }
+
+      return {
+        remote: remoteName,
+        url: remote.url,
+        updated,
+        pruned: stale.map(ref => ref.name),
+        objects: stats.objects,
+        deltas: stats.deltas
+      };
+    } finally {
+      transport.close();
+    }
+  }
+
+  /**
+   * Fetch a remote and merge one of its branches into the current branch
+   * @param {string} remoteName - Remote name
+   * @param {string} branchName - Remote branch (defaults to the current branch's name)
+   * @param {Object} options - Merge options
+   * @returns {Promise<Object>} - {fetch, merge}: the fetch result and the merge result
+   */
+  async pull(remoteName, branchName = null, options = {}) {
+    const fetched = await this.fetch(remoteName);
+    const tracking = `${remoteName}/${branchName || this.getCurrentBranch()}`;
+    if (!this.store.getRef(`refs/remotes/${tracking}`)) {
+      throw new Error(`Remote branch '${tracking}' not found`);
+    }
+
+    return { fetch: fetched, merge: this.merge(tracking, options) };
+  }
+
+  /**
+   * Send a branch to a remote
+   * The remote branch only moves forward unless force is set; a remote that
+   * has moved on must be pulled first.
+   * @param {string} remoteName - Remote name
+   * @param {string} branchName - Local branch (defaults to the current branch)
+   * @param {Object} options - {force: overwrite the remote branch even if its commits are lost}
+   * @returns {Promise<Object>} - {remote, branch, old, new, status, objects, deltas}
+   *   status is 'new', 'fast-forward', 'forced' or 'up-to-date'
+   */
+  async push(remoteName, branchName = null, options = {}) {
+    const remote = this._remote(remoteName);
+    const branch = branchName || this.getCurrentBranch();
+    const refName = `refs/heads/${branch}`;
+    const local = this.store.getRef(refName);
+    if (!local || !local.hash) {
+      throw new Error(`Branch '${branch}' has no commits to push`);
+    }
+
+    const transport = this._openRemote(remote);
+    try {
+      const advertised = await this._advertisedRefs(transport);
+      const remoteRef = advertised.refs.find(ref => ref.name === refName);
+      const remoteHash = remoteRef ? remoteRef.hash : null;
+      const result = { remote: remoteName, branch, old: remoteHash, new: local.hash, objects: 0, deltas: 0 };
+      const trackingRef = `refs/remotes/${remoteName}/${branch}`;
+
+      if (remoteHash === local.hash) {
+        this.store.setRef(trackingRef, local.hash, 'remote', `push ${remoteName}`);
+        return { ...result, status: 'up-to-date' };
+      }
+
+      const fastForward = !remoteHash ||
+        (this.store.hasObject(remoteHash) && findMergeBase(remoteHash, local.hash, this.store) === remoteHash);
+      if (!fastForward && !options.force) {
+        throw new Error(`Push to '${remoteName}' rejected: its ${branch} has commits that are not here. Pull first, or push with force`);
+      }
+
+      // Whatever the remote advertises and this side also has is common ground
+      const haves = advertised.refs.map(ref => ref.hash).filter(hash => this.store.hasObject(hash));
+      const pack = buildPack(this.store, [local.hash], haves);
+      const response = await transport.request({
+        type: 'push',
+        version: SYNC_PROTOCOL_VERSION,
+        objects: encodePack(pack),
+        updates: [{ name: refName, old: remoteHash, new: local.hash, force: !fastForward }]
+      });
+
+      if (response.rejected && response.rejected.length > 0) {
+        throw new Error(`Push to '${remoteName}' rejected: ${response.rejected[0].reason}`);
+      }
+
+      this.store.setRef(trackingRef, local.hash, 'remote', `push ${remoteName}`);
+      return {
+        ...result,
+        status: !remoteHash ? 'new' : fastForward ? 'fast-forward' : 'forced',
+        objects: pack.filter(entry => !entry.base).length,
+        deltas: pack.filter(entry => entry.base).length
+      };
+    } finally {
+      transport.close();
+    }
+  }
+
+  /**
+   * Copy a branch from another open repository
+   * Works like a fetch without a transport: only objects this repository
+   * lacks are copied, deltas and chunked files included.
+   * @param {ContentAddressedRepo} source - Repository to copy from
+   * @param {string} branchName - Branch in the source repository
+   * @param {string} targetName - Name of the new branch here (defaults to branchName)
+   * @returns {Object} - {branch, head, objects, deltas}
+   */
+  importBranchFrom(source, branchName, targetName = null) {
+    const branch = targetName || branchName;
+    const sourceRef = source.store.getRef(`refs/heads/${branchName}`);
+    if (!sourceRef || !sourceRef.hash) {
+      throw new Error(`Branch '${branchName}' not found or has no commits`);
+    }
+    if (this.store.getRef(`refs/heads/${branch}`)) {
+      throw new Error(`Branch '${branch}' already exists`);
+    }
+
+    const stats = applyPack(this.store, buildPack(source.store, [sourceRef.hash], this._knownCommits()));
+    this.store.setRef(`refs/heads/${branch}`, sourceRef.hash, 'branch', `branch: imported ${branchName}`);
+    return { branch, head: sourceRef.hash, objects: stats.objects, deltas: stats.deltas };
+  }
+
+  /**
+   * Configured remotes by name
+   * @private
+   */
+  _remotes() {
+    return JSON.parse(this.store.getMeta('remotes') || '{}');
+  }
+
+  /**
+   * Look up one remote
+   * @private
+   */
+  _remote(name) {
+    const remote = this._remotes()[name];
+    if (!remote) {
+      throw new Error(`Remote '${name}' not found`);
+    }
+    return remote;
+  }
+
+  /**
+   * Remote-tracking refs of a remote
+   * @private
+   */
+  _trackingRefs(name) {
+    return this.store.listRefs().filter(ref => ref.name.startsWith(`refs/remotes/${name}/`));
+  }
+
+  /**
+   * Open the transport for a remote
+   * @private
+   */
+  _openRemote(remote) {
+    return openTransport(remote.url, { DatabaseConstructor: this.store.db.constructor });
+  }
+
+  /**
+   * Ask a remote for its refs and check it speaks the same protocol
+   * @private
+   */
+  async _advertisedRefs(transport) {
+    const advertised = await transport.request({ type: 'advertise', version: SYNC_PROTOCOL_VERSION });
+    if (advertised.version !== SYNC_PROTOCOL_VERSION) {
+      throw new Error(`Remote speaks sync protocol version ${advertised.version}, expected ${SYNC_PROTOCOL_VERSION}`);
+    }
+    return advertised;
+  }
+
+  /**
+   * Commits local refs point at, offered as common ground when fetching
+   * The other side walks back from the ones it knows, so tips are enough;
+   * remote-tracking refs cover local branches it has never seen.
+   * @private
+   */
+  _knownCommits() {
+    const tips = this.store.listRefs().filter(ref => ref.hash).map(ref => this._peelTag(ref.hash));
+    return Array.from(new Set(tips.filter(hash => hash && getCommit(hash, this.store))));
+  }
+
   // ===== Configuration =====
 
   /**
@@ -827,53 +2043,53 @@ class ContentAddressedRepo {
     };
   }
 
+  /**
+   * Committer identity for commits created now
+   * @private
+   * @returns {Object} - {name, email, timestamp}
+   */
+  _committer() {
+    return {
+      name: this.store.getMeta('author.name') || 'Unknown',
+      email: this.store.getMeta('author.email') || 'unknown@example.com',
+      timestamp: Math.floor(Date.now() / 1000)
+    };
+  }
+
   // ===== Diff Operations =====
 
   /**
    * Compare two files and return diff
    * @param {string} fileA - First file name
    * @param {string} fileB - Second file name
+   * @param {Object} options - {contextLines, algorithm}
    * @returns {Object} - Diff result
    */
-  diffFiles(fileA, fileB) {
+  diffFiles(fileA, fileB, options = {}) {
     // Get content of both files from staging area
     const contentA = this.getFile(fileA);
     const contentB = this.getFile(fileB);
 
     // Use the core diffFiles function (expects Uint8Array)
-    return diffFiles(contentA, contentB, fileA, fileB);
+    return diffFiles(contentA, contentB, fileA, fileB, options);
   }
 
   /**
    * Show changes between staging area and last commit
-   * @returns {Array} - Array of changes with diff content
+   * @param {Object} options - {contextLines, algorithm}
+   * @returns {Array} - Array of changes with unified diff content
    */
-  showChanges() {
+  showChanges(options = {}) {
     const currentBranch = this.getCurrentBranch();
     const ref = this.store.getRef(`refs/heads/${currentBranch}`);
 
-    if (!ref || !ref.hash) {
-      // No commits yet - all staged files are additions
-      const changes = [];
-      for (const [fileName, fileInfo] of this.stagingArea) {
-        const content = getBlob(fileInfo.hash, this.store);
-        const text = new TextDecoder().decode(content);
-        const diff = text.split('\n').map(line => `+${line}`).join('\n');
-
-        changes.push({
-          type: 'added',
-          file: fileName,
-          diff: diff
-        });
-      }
-      return changes;
+    let committedFiles = new Map();
+    if (ref && ref.hash) {
+      const commit = getCommit(ref.hash, this.store);
+      const tree = getTree(commit.tree, this.store);
+      committedFiles = new Map(tree.filter(e => e.type === 'file').map(e => [e.name, e]));
     }
 
-    // Get current commit tree
-    const commit = getCommit(ref.hash, this.store);
-    const tree = getTree(commit.tree, this.store);
-    const committedFiles = new Map(tree.filter(e => e.type === 'file').map(e => [e.name, e]));
-
     const changes = [];
 
     // Check staged files for additions and modifications
@@ -882,25 +2098,17 @@ class ContentAddressedRepo {
 
       if (!committedFile) {
         // File is new (added)
-        const content = getBlob(fileInfo.hash, this.store);
-        const text = new TextDecoder().decode(content);
-        const diff = text.split('\n').map(line => `+${line}`).join('\n');
-
         changes.push({
           type: 'added',
           file: fileName,
-          diff: diff
+          ...this._generateFileDiff(null, fileInfo, fileName, options)
         });
       } else if (committedFile.hash !== fileInfo.hash) {
         // File is modified
-        const oldContent = getBlob(committedFile.hash, this.store);
-        const newContent = getBlob(fileInfo.hash, this.store);
-        const diffResult = diffFiles(oldContent, newContent, fileName, fileName);
-
         changes.push({
           type: 'modified',
           file: fileName,
-          diff: diffResult.content
+          ...this._generateFileDiff(committedFile, fileInfo, fileName, options)
         });
       }
     }
@@ -909,14 +2117,10 @@ class ContentAddressedRepo {
     for (const fileName of this.removedFiles) {
       const committedFile = committedFiles.get(fileName);
       if (committedFile) {
-        const content = getBlob(committedFile.hash, this.store);
-        const text = new TextDecoder().decode(content);
-        const diff = text.split('\n').map(line => `-${line}`).join('\n');
-
         changes.push({
           type: 'deleted',
           file: fileName,
-          diff: diff
+          ...this._generateFileDiff(committedFile, null, fileName, options)
         });
       }
     }
@@ -926,13 +2130,14 @@ class ContentAddressedRepo {
 
   /**
    * Compare two commits and return file changes
-   * @param {string} commitHashA - First commit hash
-   * @param {string} commitHashB - Second commit hash
-   * @returns {Array} - Array of file changes
+   * @param {string} commitHashA - First commit hash or revision
+   * @param {string} commitHashB - Second commit hash or revision
+   * @param {Object} options - {contextLines, algorithm}
+   * @returns {Array} - Array of file changes with unified diff content
    */
-  diffCommits(commitHashA, commitHashB) {
-    const commitA = getCommit(commitHashA, this.store);
-    const commitB = getCommit(commitHashB, this.store);
+  diffCommits(commitHashA, commitHashB, options = {}) {
+    const commitA = getCommit(this._requireCommit(commitHashA), this.store);
+    const commitB = getCommit(this._requireCommit(commitHashB), this.store);
 
     if (!commitA || !commitB) {
       throw new Error('One or both commits not found');
@@ -952,24 +2157,21 @@ class ContentAddressedRepo {
       const entryB = filesB.get(fileName);
       if (!entryB) {
         // File was removed
-        const contentA = getBlob(entryA.hash, this.store);
-        const contentStr = entryA.binary ? '[Binary content]' : new TextDecoder().decode(contentA);
         changes.push({
           file: fileName,
           type: 'removed',
           hashA: entryA.hash,
           hashB: null,
-          diff: `- ${contentStr.split('\n').join('\n- ')}`
+          ...this._generateFileDiff(entryA, null, fileName, options)
         });
       } else if (entryA.hash !== entryB.hash) {
         // File was modified
-        const diff = this._generateFileDiff(entryA, entryB);
         changes.push({
           file: fileName,
           type: 'modified',
           hashA: entryA.hash,
           hashB: entryB.hash,
-          diff: diff
+          ...this._generateFileDiff(entryA, entryB, fileName, options)
         });
       }
     }
@@ -978,14 +2180,12 @@ class ContentAddressedRepo {
     for (const [fileName, entryB] of filesB) {
       if (!filesA.has(fileName)) {
         // File was added
-        const contentB = getBlob(entryB.hash, this.store);
-        const contentStr = entryB.binary ? '[Binary content]' : new TextDecoder().decode(contentB);
         changes.push({
           file: fileName,
           type: 'added',
           hashA: null,
           hashB: entryB.hash,
-          diff: `+ ${contentStr.split('\n').join('\n+ ')}`
+          ...this._generateFileDiff(null, entryB, fileName, options)
         });
       }
     }
@@ -994,510 +2194,2228 @@ class ContentAddressedRepo {
   }
 
   /**
-   * Generate diff content between two file entries
+   * Generate a unified diff between two versions of a file
+   * A missing entry stands for an added or deleted file (/dev/null).
    * @private
+   * @returns {Object} - {diff, additions, deletions, binary}
    */
-  _generateFileDiff(entryA, entryB) {
-    const contentA = getBlob(entryA.hash, this.store);
-    const contentB = getBlob(entryB.hash, this.store);
-
-    // Handle binary files
-    if (entryA.binary || entryB.binary) {
-      return 'Binary files differ';
-    }
-
-    // Convert to text
-    const textA = new TextDecoder().decode(contentA);
-    const textB = new TextDecoder().decode(contentB);
+  _generateFileDiff(entryA, entryB, fileName, options = {}) {
+    const contentA = entryA ? getBlob(entryA.hash, this.store) : null;
+    const contentB = entryB ? getBlob(entryB.hash, this.store) : null;
+
+    const result = diffFiles(
+      contentA,
+      contentB,
+      entryA ? `a/${fileName}` : '/dev/null',
+      entryB ? `b/${fileName}` : '/dev/null',
+      options
+    );
 
-    // Simple line-based diff
-    const linesA = textA.split('\n');
-    const linesB = textB.split('\n');
+    return {
+      diff: result.content,
+      additions: result.additions || 0,
+      deletions: result.deletions || 0,
+      binary: result.type === 'binary'
+    };
+  }
 
-    const diffLines = [];
+  // ===== Patches =====
 
-    // This is a simplified diff - just show removed and added lines
-    // A real diff would show context and be more sophisticated
-    const maxLines = Math.max(linesA.length, linesB.length);
+  /**
+   * Format commits as patches, one per commit (format-patch)
+   * @param {string} range - 'A..B', '<since>' (since..HEAD) or '-n' (last n commits)
+   * @returns {Array} - [{commitHash, fileName, content}] in commit order
+   */
+  formatPatch(range) {
+    const commits = this._resolvePatchRange(range);
 
-    for (let i = 0; i < maxLines; i++) {
-      const lineA = linesA[i];
-      const lineB = linesB[i];
+    return commits.map((commit, i) => {
+      const parentTree = commit.parent
+        ? getTree(getCommit(commit.parent, this.store).tree, this.store)
+        : [];
+      const filesA = new Map(parentTree.filter(e => e.type === 'file').map(e => [e.name, e]));
+      const filesB = new Map(getTree(commit.tree, this.store).filter(e => e.type === 'file').map(e => [e.name, e]));
 
-      if (lineA !== lineB) {
-        if (lineA !== undefined) {
-          diffLines.push(`- ${lineA}`);
+      const changes = [];
+      for (const [fileName, entryA] of filesA) {
+        const entryB = filesB.get(fileName);
+        if (!entryB) {
+          changes.push({ file: fileName, type: 'removed', oldContent: getBlob(entryA.hash, this.store) });
+        } else if (entryA.hash !== entryB.hash) {
+          changes.push({
+            file: fileName,
+            type: 'modified',
+            oldContent: getBlob(entryA.hash, this.store),
+            newContent: getBlob(entryB.hash, this.store)
+          });
         }
-        if (lineB !== undefined) {
-          diffLines.push(`+ ${lineB}`);
+      }
+      for (const [fileName, entryB] of filesB) {
+        if (!filesA.has(fileName)) {
+          changes.push({ file: fileName, type: 'added', newContent: getBlob(entryB.hash, this.store) });
         }
       }
-    }
 
-    return diffLines.length > 0 ? diffLines.join('\n') : 'Files differ but no line changes detected';
+      return {
+        commitHash: commit.hash,
+        fileName: patchFileName(i + 1, commit.message),
+        content: formatPatch(commit, changes, { index: i + 1, total: commits.length })
+      };
+    });
   }
 
-  // ===== Repository Status =====
-
   /**
-   * Get repository status
-   * @returns {Object} - Repository status
+   * Recreate the commits of one or more patches on the current branch (am)
+   * Stops at the first patch that does not apply; earlier patches stay committed.
+   * @param {string} patchText - Patch text (several patches may be concatenated)
+   * @returns {Object} - {applied: [{commitHash, originalHash, message}]}
    */
-  status() {
-    const currentBranch = this.getCurrentBranch();
-    const ref = this.store.getRef(`refs/heads/${currentBranch}`);
-    const stats = this.store.getStats();
+  applyPatch(patchText) {
+    if (this.getMergeState()) {
+      throw new Error('Cannot apply patches while a merge is in progress');
+    }
+    if (this.stagingArea.size > 0 || this.removedFiles.size > 0) {
+      throw new Error('Cannot apply patches with staged changes. Commit or reset them first');
+    }
 
-    return {
-      current_branch: currentBranch,
-      head: ref ? ref.hash : null,
-      db_path: stats.dbPath,
-      db_size: stats.dbSize,
-      objects: stats.objects,
-      store_objects: stats.objects, // Alias for test compatibility
-      branches: this.listBranches().length,
-      staged: Array.from(this.stagingArea.keys()).sort(),
-      deleted: Array.from(this.removedFiles)
-    };
-  }
-
-  // ===== CLI Compatibility Methods =====
-
-  /**
-   * Internal file addition without saving (for bulk operations)
-   * Compatibility method for CLI filesystem operations
-   * @param {string} fileName - File name
-   * @param {Uint8Array} content - File content
-   * @param {boolean} forceBinary - Force binary mode
-   * @param {Object} metadata - File metadata (ignored in v2)
-   * @returns {Object} - Add result
-   */
-  _addFileInternal(fileName, content, forceBinary = false, metadata = null) {
-    // Convert content to Uint8Array
-    const contentArray = typeof content === 'string'
-      ? new TextEncoder().encode(content)
-      : new Uint8Array(content);
+    const patches = parsePatches(patchText);
+    const applied = [];
 
-    // Detect if binary
-    const binary = forceBinary || isBinary(contentArray);
+    for (const [i, patch] of patches.entries()) {
+      try {
+        for (const file of patch.files) {
+          const current = this._headFileContent(file.file);
 
-    // Store blob
-    const result = storeBlob(contentArray, this.store);
+          if (file.type === 'added' && current) {
+            throw new Error(`${file.file} already exists`);
+          }
+          if (file.type !== 'added' && !current) {
+            throw new Error(`${file.file} does not exist`);
+          }
 
-    // Add to staging area (but don't save yet - for bulk operations)
-    this.stagingArea.set(fileName, {
-      hash: result.hash,
-      binary: binary,
-      size: contentArray.length
-    });
+          if (file.type === 'removed') {
+            this.removeFile(file.file);
+          } else if (file.binary) {
+            this.addFile(file.file, file.content, true);
+          } else {
+            this.addFile(file.file, applyHunks(current, file.hunks, file.file));
+          }
+        }
 
-    // Remove from deleted files if it was marked for deletion
-    this.removedFiles.delete(fileName);
+        const result = this.commit(patch.message, patch.author, patch.email, { timestamp: patch.timestamp });
+        applied.push({ commitHash: result.commitHash, originalHash: patch.commitHash, message: patch.message });
+      } catch (error) {
+        // Drop the partially applied patch
+        this.stagingArea.clear();
+        this.removedFiles.clear();
+        this._saveStagingArea();
+
+        const subject = patch.message.split('\n')[0];
+        const failure = new Error(`Patch ${i + 1}/${patches.length} (${subject}) failed: ${error.message}. ${applied.length} patch(es) applied`);
+        failure.applied = applied;
+        throw failure;
+      }
+    }
 
-    return {
-      fileName,
-      hash: result.hash,
-      binary,
-      size: contentArray.length,
-      isNew: result.isNew
-    };
+    return { applied };
   }
 
   /**
-   * Save staging area (called after bulk operations)
-   * Compatibility method for CLI
+   * Commits selected by a format-patch range, oldest first
+   * Takes the commits reachable from the end of the range and not from its
+   * start, as log does. They must form one line of history so the patches
+   * apply in order; merge commits on that line are skipped.
+   * @private
    */
-  saveStagingArea() {
-    this._saveStagingArea();
-  }
+  _resolvePatchRange(range) {
+    if (!range) {
+      throw new Error('A commit range is required');
+    }
 
-  // ===== Internal Methods =====
+    let fromHash = null;
+    let toHash;
 
-  /**
-   * Load staging area from metadata
-   * @private
-   */
-  _loadStagingArea() {
-    const stagingData = this.store.getMeta('staging_area');
-    if (stagingData) {
-      try {
-        const parsed = JSON.parse(stagingData);
-        this.stagingArea = new Map(Object.entries(parsed.files || {}));
-        this.removedFiles = new Set(parsed.removed || []);
-      } catch (error) {
-        // Ignore invalid staging data
+    const lastN = range.match(/^-(\d+)$/);
+    if (lastN) {
+      toHash = this.getCurrentHead();
+      // Past the root commit everything is in range
+      fromHash = this.resolveCommitReference(`HEAD~${parseInt(lastN[1])}`);
+    } else {
+      const { from, to } = parseRange(range) || { from: range, to: 'HEAD' };
+      fromHash = this.resolveCommitReference(from);
+      toHash = this.resolveCommitReference(to);
+      if (!fromHash) {
+        throw new Error(`Invalid commit reference: ${from}`);
+      }
+    }
+    if (!toHash) {
+      throw new Error(`Invalid commit reference: ${range}`);
+    }
+
+    const excluded = new Set(fromHash ? getCommitHistory(fromHash, Infinity, this.store).map(c => c.hash) : []);
+    const selected = new Map(getCommitHistory(toHash, Infinity, this.store)
+      .filter(c => !excluded.has(c.hash))
+      .map(c => [c.hash, c]));
+
+    // Every selected commit is reached from the end through selected parents,
+    // so if none has two of them the walk below visits the whole range
+    const commits = [];
+    let current = selected.get(toHash);
+    while (current) {
+      const inRange = current.parents.filter(parent => selected.has(parent));
+      if (inRange.length > 1) {
+        throw new Error(`Cannot format ${range} as a series of patches: merge ${current.hash.substring(0, 8)} joins branches that are both in the range`);
+      }
+      if (current.parents.length <= 1) {
+        commits.push(current);
       }
+      current = inRange.length > 0 ? selected.get(inRange[0]) : null;
     }
+
+    return commits.reverse();
   }
 
   /**
-   * Save staging area to metadata
+   * Content of a file at HEAD, or null when absent
    * @private
    */
-  _saveStagingArea() {
-    const stagingData = {
-      files: Object.fromEntries(this.stagingArea),
-      removed: Array.from(this.removedFiles)
-    };
-    this.store.setMeta('staging_area', JSON.stringify(stagingData));
+  _headFileContent(fileName) {
+    const head = this.getCurrentHead();
+    if (!head) {
+      return null;
+    }
+    const entry = getTree(getCommit(head, this.store).tree, this.store).find(e => e.name === fileName);
+    return entry ? getBlob(entry.hash, this.store) : null;
   }
 
-  /**
-   * Get current HEAD commit hash
-   * @returns {string|null} - Current HEAD commit hash
-   */
-  getCurrentHead() {
-    const currentBranch = this.getCurrentBranch();
-    const ref = this.store.getRef(`refs/heads/${currentBranch}`);
-    return ref ? ref.hash : null;
-  }
+  // ===== Format Upgrade =====
 
   /**
-   * Resolve commit reference to actual commit hash
-   * @param {string} commitRef - Commit reference (e.g., 'HEAD', 'HEAD~1', direct hash)
-   * @returns {string|null} - Resolved commit hash or null if invalid
+   * Rewrite history stored as flat trees into nested trees
+   * Flat trees stay readable, so upgrading is optional; it lets unchanged
+   * directories be shared between commits. Commits whose tree or ancestry
+   * changes get new hashes, branches, tags and stashes follow, and the old
+   * commits stay reachable through the reflog until it expires.
+   * @param {Object} options - {dryRun: only count what would be rewritten}
+   * @returns {Object} - {commits, trees, refs, dryRun}
    */
-  resolveCommitReference(commitRef) {
-    if (!commitRef) {
-      return null;
+  upgrade(options = {}) {
+    const mergeState = this.getMergeState();
+    if (mergeState || this.getRebaseState()) {
+      throw new Error(`Cannot upgrade during a ${mergeState ? mergeState.operation || 'merge' : 'rebase'}. Finish or abort it first`);
     }
 
-    // Handle HEAD reference
-    if (commitRef === 'HEAD') {
-      return this.getCurrentHead();
-    }
+    const refs = this.store.listRefs().filter(ref => ref.hash);
+    const order = this._commitsParentsFirst(refs.map(ref => this._peelTag(ref.hash)));
+
+    const changed = new Set();
+    const trees = new Map();
+    const mapping = new Map();
+
+    this.store.transaction(() => {
+      for (const hash of order) {
+        const commit = getCommit(hash, this.store);
+        const flatTree = getTreeFormat(commit.tree, this.store) === 1;
+        if (!flatTree && !commit.parents.some(parent => changed.has(parent))) {
+          continue;
+        }
+
+        changed.add(hash);
+        if (flatTree && !trees.has(commit.tree)) {
+          trees.set(commit.tree, options.dryRun ? null : storeTree(getTree(commit.tree, this.store), this.store));
+        }
+        if (options.dryRun) {
+          continue;
+        }
 
-    // Handle HEAD~n references
-    if (commitRef.startsWith('HEAD~')) {
-      const stepsBack = parseInt(commitRef.substring(5));
-      if (isNaN(stepsBack) || stepsBack < 0) {
-        return null;
+        // Same author, committer and message; only tree and parents move
+        mapping.set(hash, createCommit(
+          flatTree ? trees.get(commit.tree) : commit.tree,
+          commit.message,
+          commit.author,
+          commit.email || 'unknown@example.com',
+          commit.parents.map(parent => mapping.get(parent) || parent),
+          this.store,
+          commit.timestamp,
+          {
+            timezone: commit.timezone || '+0000',
+            committer: {
+              name: commit.committer,
+              email: commit.committerEmail || 'unknown@example.com',
+              timestamp: commit.committerTimestamp,
+              timezone: commit.committerTimezone || '+0000'
+            },
+            headers: commit.headers
+          }
+        ));
       }
 
-      const currentHead = this.getCurrentHead();
-      if (!currentHead) {
-        return null;
+      if (options.dryRun) {
+        return;
       }
 
-      // Walk back through commit history
-      let current = currentHead;
-      for (let i = 0; i < stepsBack; i++) {
-        const commit = getCommit(current, this.store);
-        if (!commit || !commit.parent) {
-          return null;
+      for (const ref of refs) {
+        const target = this._peelTag(ref.hash);
+        if (!mapping.has(target)) continue;
+
+        let newHash = mapping.get(target);
+        if (target !== ref.hash) {
+          const tag = getTag(ref.hash, this.store);
+          newHash = createTag(newHash, tag.name, tag.tagger, tag.email, tag.message, this.store, tag.timestamp);
         }
-        current = commit.parent;
+        this.store.setRef(ref.name, newHash, ref.type, 'upgrade: nested trees');
       }
-      return current;
-    }
+    });
+
+    return {
+      commits: changed.size,
+      trees: trees.size,
+      refs: refs.filter(ref => changed.has(this._peelTag(ref.hash))).length,
+      dryRun: !!options.dryRun
+    };
+  }
 
-    // For direct hashes, validate and return as-is
-    if (this.store.hasObject(commitRef)) {
-      return commitRef;
+  /**
+   * Every commit reachable from the given commits, each after all its parents
+   * @private
+   */
+  _commitsParentsFirst(roots) {
+    const order = [];
+    const visited = new Set();
+    const stack = roots.map(hash => ({ hash, expanded: false }));
+
+    while (stack.length > 0) {
+      const { hash, expanded } = stack.pop();
+      if (expanded) {
+        order.push(hash);
+        continue;
+      }
+      if (visited.has(hash)) continue;
+      visited.add(hash);
+
+      const commit = getCommit(hash, this.store);
+      if (!commit) continue;
+
+      stack.push({ hash, expanded: true });
+      for (const parent of commit.parents) {
+        stack.push({ hash: parent, expanded: false });
+      }
     }
 
-    return null;
+    return order;
   }
 
+  // ===== Integrity Check =====
+
   /**
-   * Reset branch to a specific commit
-   * @param {string} commitRef - Commit hash or reference (e.g., 'HEAD~1')
-   * @param {Object} options - Reset options {mode: 'soft'|'hard'}
-   * @returns {Object} - Reset result
+   * Check the repository for corruption
+   * Walks every ref, the reflog, any merge or rebase in progress and the
+   * staging area, reporting missing objects, objects of the wrong type and
+   * broken delta chains. Stored objects nothing refers to are listed as
+   * dangling. With full, every object is also re-hashed and every delta
+   * rebuilt, which reads the whole database.
+   * @param {Object} options - {full: verify the content of every object}
+   * @returns {Object} - {ok, full, checked, errors, warnings, dangling, duration}
+   *   errors and warnings are [{type, hash, message}], plus ref or path where one applies
    */
-  reset(commitRef, options = {}) {
-    const mode = options.mode || 'soft';
-
-    if (!['soft', 'hard'].includes(mode)) {
-      throw new Error(`Invalid reset mode: ${mode}`);
+  fsck(options = {}) {
+    const startTime = Date.now();
+    const full = !!options.full;
+    const errors = [];
+    const warnings = [];
+
+    const objects = this.store.listObjects();
+    const deltas = this.store.listDeltas();
+    const deltaBases = new Map(deltas.map(delta => [delta.hash, delta.base_hash]));
+
+    // Delta-compressed blobs are readable as long as their deltas row is
+    const known = new Map();
+    for (const obj of objects) {
+      known.set(obj.hash, obj.type === 'delta' ? 'blob' : obj.type);
+      if (obj.type === 'delta' && !deltaBases.has(obj.hash)) {
+        errors.push({ type: 'missing-delta', hash: obj.hash, message: `Object ${obj.hash.substring(0, 8)} is marked as a delta but has no delta data` });
+      }
+    }
+    for (const delta of deltas) {
+      if (!known.has(delta.hash)) known.set(delta.hash, 'blob');
     }
 
-    // Resolve commit reference
-    let targetCommitHash;
-    if (commitRef.startsWith('HEAD~')) {
-      const stepsBack = parseInt(commitRef.substring(5));
-      const currentHead = this.getCurrentHead();
-      if (!currentHead) {
-        throw new Error('No commits exist to reset from');
+    for (const delta of deltas) {
+      const issue = this._fsckDelta(delta, full);
+      if (issue) {
+        (issue.type === 'deep-delta-chain' ? warnings : errors).push(issue);
       }
+    }
 
-      // Walk back through commit history
-      let current = currentHead;
-      for (let i = 0; i < stepsBack; i++) {
-        const commit = getCommit(current, this.store);
-        if (!commit || !commit.parent) {
-          throw new Error(`Cannot go back ${stepsBack} commits`);
-        }
-        current = commit.parent;
+    let verified = 0;
+    if (full) {
+      for (const obj of objects) {
+        if (obj.type === 'delta') continue;
+        const issue = this._fsckObject(obj);
+        if (issue) errors.push(issue);
+        verified++;
       }
-      targetCommitHash = current;
-    } else {
-      targetCommitHash = commitRef;
+      verified += deltas.length;
     }
 
-    // Verify target commit exists
-    const targetCommit = getCommit(targetCommitHash, this.store);
-    if (!targetCommit) {
-      throw new Error(`Commit ${targetCommitHash} not found`);
+    // Everything the repository points at must exist with the right type;
+    // the reflog may outlive objects removed by delete-commit, so a missing
+    // reflog object is only a warning
+    const refs = this.store.listRefs();
+    const roots = [];
+    for (const root of this._reachabilityRoots({ errors })) {
+      if (root.reflog && !known.has(root.hash)) {
+        warnings.push({ type: 'missing-reflog-object', hash: root.hash, message: `Reflog entry refers to missing object ${root.hash.substring(0, 8)}` });
+      } else {
+        roots.push(root);
+      }
     }
 
-    // Update branch reference
-    const currentBranch = this.getCurrentBranch();
-    this.store.setRef(`refs/heads/${currentBranch}`, targetCommitHash, 'branch');
+    const reachable = new Set();
+    this._fsckWalk(roots, known, reachable, errors);
 
-    // Handle reset mode
-    if (mode === 'hard') {
-      // Clear staging area and removed files
-      this.stagingArea.clear();
-      this.removedFiles.clear();
-      this._saveStagingArea();
+    // Delta bases are needed by whatever is built on them
+    for (const hash of Array.from(reachable)) {
+      let base = deltaBases.get(hash);
+      while (base && !reachable.has(base)) {
+        reachable.add(base);
+        base = deltaBases.get(base);
+      }
     }
-    // For soft reset, preserve staging area
 
-    return { success: true };
+    const dangling = Array.from(known.keys())
+      .filter(hash => !reachable.has(hash))
+      .sort()
+      .map(hash => ({ hash, type: known.get(hash) }));
+
+    return {
+      ok: errors.length === 0,
+      full,
+      checked: {
+        objects: known.size,
+        deltas: deltas.length,
+        refs: refs.length,
+        reachable: reachable.size,
+        verified
+      },
+      errors,
+      warnings,
+      dangling,
+      duration: Date.now() - startTime
+    };
   }
 
   /**
-   * Merge a branch into the current branch
-   * @param {string} branchName - Name of branch to merge
-   * @returns {Object} - Merge result {type, conflicts?}
+   * Check one delta chain resolves to a full object, rebuilding it when full
+   * @private
    */
-  merge(branchName, options = {}) {
-    const { findMergeBase } = require('./objects');
-    const isPreview = options.preview === true;
-
-    // Get current and target branch heads
-    const currentBranch = this.getCurrentBranch();
-    const currentHead = this.getCurrentHead();
-    const targetRef = this.store.getRef(`refs/heads/${branchName}`);
+  _fsckDelta(delta, full) {
+    const short = delta.hash.substring(0, 8);
+    let depth;
+    try {
+      depth = this.store.validateDeltaChain(delta.hash, Infinity);
+    } catch (error) {
+      return { type: 'broken-delta', hash: delta.hash, message: `Delta ${short}: ${error.message}` };
+    }
 
+    const chain = this.store.getDeltaChain(delta.hash).chain;
+    const end = chain[chain.length - 1];
+    if (!end.isBase) {
+      return { type: 'broken-delta', hash: delta.hash, message: `Delta ${short} is built on missing object ${end.baseHash.substring(0, 8)}` };
+    }
 
-    if (!targetRef || !targetRef.hash) {
-      throw new Error(`Branch '${branchName}' not found`);
+    if (full) {
+      let data;
+      try {
+        data = this.store.getObjectWithDelta(delta.hash);
+      } catch (error) {
+        return { type: 'broken-delta', hash: delta.hash, message: `Delta ${short} cannot be rebuilt: ${error.message}` };
+      }
+      if (data.length !== delta.original_size || hashData(data) !== delta.hash) {
+        return { type: 'hash-mismatch', hash: delta.hash, message: `Delta ${short} rebuilds to different content` };
+      }
     }
 
-    const targetHead = targetRef.hash;
+    if (depth > MAX_DELTA_CHAIN_DEPTH) {
+      return { type: 'deep-delta-chain', hash: delta.hash, message: `Delta ${short} is ${depth} deltas away from a full object` };
+    }
+    return null;
+  }
 
+  /**
+   * Re-hash one stored object
+   * @private
+   */
+  _fsckObject(obj) {
+    const short = obj.hash.substring(0, 8);
+    let data;
+    try {
+      data = this.store.getObjectData(obj.hash).data;
+    } catch (error) {
+      return { type: 'corrupt-object', hash: obj.hash, message: `${obj.type} ${short} cannot be read: ${error.message}` };
+    }
 
-    // Handle same commit case
-    if (currentHead === targetHead) {
-      return { type: 'up-to-date' };
+    if (hashData(data) !== obj.hash) {
+      return { type: 'hash-mismatch', hash: obj.hash, message: `${obj.type} ${short} does not hash to its key` };
+    }
+    if (data.length !== obj.size) {
+      return { type: 'size-mismatch', hash: obj.hash, message: `${obj.type} ${short} is ${data.length} bytes, recorded as ${obj.size}` };
     }
+    return null;
+  }
 
-    // Handle case where current branch has no commits (empty branch)
-    if (!currentHead) {
-      // Fast-forward to target
-      if (!isPreview) {
-        this.store.setRef(`refs/heads/${currentBranch}`, targetHead, 'branch');
+  /**
+   * Follow commits, trees and tags from roots, recording what is reachable
+   * @private
+   */
+  _fsckWalk(roots, known, reachable, errors) {
+    const queue = roots.slice();
+
+    while (queue.length > 0) {
+      const { hash, expect, from, ref, path } = queue.shift();
+      const type = known.get(hash);
+      const location = {};
+      if (ref) location.ref = ref;
+      if (path) location.path = path;
+
+      if (!type) {
+        errors.push({ type: 'missing-object', hash, ...location, message: `${from} refers to missing ${expect ? expect.join('/') : 'object'} ${hash.substring(0, 8)}` });
+        continue;
+      }
+      if (expect && !expect.includes(type)) {
+        errors.push({ type: 'wrong-type', hash, ...location, message: `${from} expects ${expect.join('/')} but ${hash.substring(0, 8)} is a ${type}` });
+        continue;
+      }
+      if (reachable.has(hash)) continue;
+      reachable.add(hash);
+
+      const label = `${type} ${hash.substring(0, 8)}`;
+      try {
+        if (type === 'commit') {
+          const commit = getCommit(hash, this.store);
+          if (!commit.tree) throw new Error('no tree header');
+          queue.push({ hash: commit.tree, expect: ['tree'], from: label });
+          for (const parent of commit.parents) {
+            queue.push({ hash: parent, expect: ['commit'], from: label });
+          }
+        } else if (type === 'tag') {
+          const tag = getTag(hash, this.store);
+          if (!tag.object) throw new Error('no object header');
+          queue.push({ hash: tag.object, expect: [tag.type], from: label });
+        } else if (type === 'tree') {
+          for (const entry of readTree(hash, this.store)) {
+            if (!entry.hash) continue;
+            const entryPath = path ? `${path}/${entry.name}` : entry.name;
+            queue.push({ hash: entry.hash, expect: entry.type === 'tree' ? ['tree'] : FILE_OBJECT_TYPES, from: `${label} (${entryPath})`, path: entryPath });
+          }
+        } else if (type === 'manifest') {
+          const manifest = getManifest(hash, this.store);
+          const total = manifest.chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+          if (total !== manifest.size) throw new Error(`chunks add up to ${total} bytes, expected ${manifest.size}`);
+          for (const chunk of manifest.chunks) {
+            queue.push({ hash: chunk.hash, expect: ['chunk', 'blob'], from: label, path });
+          }
+        }
+      } catch (error) {
+        errors.push({ type: 'corrupt-object', hash, message: `${label} cannot be parsed: ${error.message}` });
       }
-      return { type: 'fast-forward' };
     }
+  }
 
-    // Find merge base
-    const mergeBase = findMergeBase(currentHead, targetHead, this.store);
+  /**
+   * Everything the repository keeps alive
+   * Refs, reflog entries, MERGE_HEAD, the saved staging area and both sides
+   * of each conflict of a merge in progress, a rebase in progress and the
+   * staging area. gc keeps what these reach and fsck requires it, so the two
+   * agree on what is garbage.
+   * @private
+   * @param {Object} options - {reflogSince: skip older reflog entries, errors: collects unreadable metadata}
+   * @returns {Array} - [{hash, expect, from, ref, path, reflog}] for _fsckWalk
+   */
+  _reachabilityRoots(options = {}) {
+    const errors = options.errors || [];
+    const roots = this.store.listRefs()
+      .map(ref => ({ hash: ref.hash, expect: ['commit', 'tag'], from: ref.name, ref: ref.name }));
 
+    for (const hash of this.store.getReflogHashes(options.reflogSince || 0)) {
+      roots.push({ hash, from: 'reflog', reflog: true });
+    }
 
-    // Handle case where branches have no common ancestor (imported branches)
-    if (mergeBase === null) {
-      // Treat as three-way merge with empty base (will likely cause conflicts)
-      try {
-        const mergeCommitHash = this._performThreeWayMerge(currentHead, targetHead, null, branchName, isPreview);
-        return { type: 'three-way', commitHash: mergeCommitHash, conflicts: [] };
-      } catch (error) {
-        if (error.conflicts) {
-          return {
-            type: 'conflict',
-            conflicts: error.conflicts
-          };
-        } else {
-          throw error;
+    const mergeHead = this.store.getMeta('MERGE_HEAD');
+    if (mergeHead) {
+      roots.push({ hash: mergeHead, expect: ['commit'], from: 'MERGE_HEAD', ref: 'MERGE_HEAD' });
+    }
+    const mergeState = this._jsonMeta('merge_state', errors);
+    if (mergeState) {
+      if (mergeState.savedStaging) {
+        roots.push(...this._stagedRoots(mergeState.savedStaging, 'merge_state', 'Saved staged file', errors));
+      }
+      for (const [fileName, sides] of Object.entries(mergeState.sides || {})) {
+        for (const side of ['base', 'ours', 'theirs']) {
+          if (sides[side]) {
+            roots.push({ hash: sides[side].hash, expect: FILE_OBJECT_TYPES, from: `Merge ${side} side of ${fileName}`, path: fileName });
+          }
         }
       }
     }
 
-    // Check for fast-forward merge (current is ancestor of target)
-    if (mergeBase === currentHead) {
-      // Fast-forward: just move current branch to target
-      if (!isPreview) {
-        this.store.setRef(`refs/heads/${currentBranch}`, targetHead, 'branch');
+    const rebaseState = this._jsonMeta('rebase_state', errors);
+    if (rebaseState) {
+      for (const key of ['origHead', 'onto']) {
+        if (rebaseState[key]) roots.push({ hash: rebaseState[key], expect: ['commit'], from: `rebase ${key}` });
       }
-      return { type: 'fast-forward' };
     }
 
-    // Check if target is ancestor of current (already up-to-date)
-    if (mergeBase === targetHead) {
-      return { type: 'up-to-date' };
+    const staging = this._jsonMeta('staging_area', errors);
+    if (staging) {
+      roots.push(...this._stagedRoots(staging, 'staging_area', 'Staged file', errors));
     }
 
-    // Three-way merge needed - full implementation with conflict detection
-    try {
-      const mergeCommitHash = this._performThreeWayMerge(currentHead, targetHead, mergeBase, branchName, isPreview);
-      return { type: 'three-way', commitHash: mergeCommitHash, conflicts: [] };
-    } catch (error) {
-      // Check if it's a merge conflict error
-      if (error.conflicts) {
+    return roots;
+  }
+
+  /**
+   * Roots for the files of a saved staging area, recording entries that do not parse
+   * @private
+   */
+  _stagedRoots(staging, key, label, errors) {
+    if (typeof staging.files !== 'object' || staging.files === null || (staging.removed && !Array.isArray(staging.removed))) {
+      errors.push({ type: 'invalid-metadata', key, message: `Metadata ${key} has an unexpected shape` });
+      return [];
+    }
+
+    const roots = [];
+    for (const [fileName, entry] of Object.entries(staging.files)) {
+      if (!entry || typeof entry.hash !== 'string') {
+        errors.push({ type: 'invalid-metadata', key, path: fileName, message: `${label} ${fileName} has no hash` });
+      } else {
+        // Walked so the chunks of a staged manifest are checked too
+        roots.push({ hash: entry.hash, expect: FILE_OBJECT_TYPES, from: `${label} ${fileName}`, path: fileName });
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * Parse a JSON metadata value, recording an error if it is not valid JSON
+   * @private
+   */
+  _jsonMeta(key, errors) {
+    const value = this.store.getMeta(key);
+    if (!value) return null;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      errors.push({ type: 'invalid-metadata', key, message: `Metadata ${key} is not valid JSON` });
+      return null;
+    }
+  }
+
+  // ===== Delta Repacking =====
+
+  /**
+   * Re-choose delta bases for every blob
+   * Replaces the chains built up one version at a time with bases picked by
+   * file name, size and delta size (see repack.js), caps chain depth and
+   * stores the blobs of every branch head in full. Content and hashes do not
+   * change. Delta rows left behind by garbage collection are dropped.
+   * @param {Object} options - {depth: longest chain (default 10), window: candidates per blob (default 10)}
+   * @returns {Object} - {objects, deltas, full, hot, skipped, staleDeltas, depth, window, before, after, saved, duration}
+   *   before and after are {bytes, deltas, maxDepth}
+   */
+  repack(options = {}) {
+    const depth = options.depth === undefined ? MAX_DELTA_CHAIN_DEPTH : options.depth;
+    const window = options.window === undefined ? DEFAULT_REPACK_WINDOW : options.window;
+    if (!Number.isInteger(depth) || depth < 0) {
+      throw new Error(`Invalid repack depth: ${options.depth}`);
+    }
+    if (!Number.isInteger(window) || window < 0) {
+      throw new Error(`Invalid repack window: ${options.window}`);
+    }
+
+    const startTime = Date.now();
+    const before = this._packStats();
+    const { paths, hot } = this._blobPaths();
+
+    // Read everything first: rewriting a base would break deltas still built on it
+    const blobs = [];
+    let skipped = 0;
+    const stored = new Set();
+    for (const obj of this.store.listObjects()) {
+      stored.add(obj.hash);
+      if (obj.type !== 'blob' && obj.type !== 'delta') continue;
+
+      let data;
+      try {
+        data = this.store.getObjectWithDelta(obj.hash);
+      } catch (error) {
+        skipped++;
+        continue;
+      }
+      blobs.push({ hash: obj.hash, data, path: paths.get(obj.hash) || '', hot: hot.has(obj.hash) });
+    }
+    const staleDeltas = this.store.listDeltas().filter(delta => !stored.has(delta.hash));
+
+    const plan = planRepack(blobs, { depth, window });
+
+    this.store.transaction(() => {
+      for (const blob of blobs) {
+        const choice = plan.get(blob.hash);
+        this.store.rewriteBlob(blob.hash, blob.data, choice.base, choice.delta);
+      }
+      for (const delta of staleDeltas) {
+        this.store.removeDelta(delta.hash);
+      }
+    });
+
+    const after = this._packStats();
+    const deltas = blobs.filter(blob => plan.get(blob.hash).base).length;
+    return {
+      objects: blobs.length,
+      deltas,
+      full: blobs.length - deltas,
+      hot: blobs.filter(blob => blob.hot).length,
+      skipped,
+      staleDeltas: staleDeltas.length,
+      depth,
+      window,
+      before,
+      after,
+      saved: before.bytes - after.bytes,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Stored bytes, delta count and deepest chain
+   * @private
+   */
+  _packStats() {
+    const deltas = this.store.listDeltas();
+    let maxDepth = 0;
+    for (const delta of deltas) {
+      try {
+        maxDepth = Math.max(maxDepth, this.store.validateDeltaChain(delta.hash, Infinity));
+      } catch (error) {
+        // Circular chains are fsck's business
+      }
+    }
+
+    return {
+      bytes: this.store.getStoredSize().total,
+      deltas: deltas.length,
+      maxDepth
+    };
+  }
+
+  /**
+   * Name every blob by a path it has had, and collect the blobs of branch heads
+   * Heads are walked first so blobs are named by their current path.
+   * @private
+   */
+  _blobPaths() {
+    const paths = new Map();
+    const hot = new Set();
+    const refs = this.store.listRefs().filter(ref => ref.hash);
+    refs.sort((a, b) => (b.name.startsWith('refs/heads/') ? 1 : 0) - (a.name.startsWith('refs/heads/') ? 1 : 0));
+
+    for (const ref of refs) {
+      if (!ref.name.startsWith('refs/heads/')) continue;
+      const commit = getCommit(ref.hash, this.store);
+      for (const entry of commit ? getTree(commit.tree, this.store) : []) {
+        if (entry.hash) hot.add(entry.hash);
+      }
+    }
+
+    const visited = new Set();
+    const queue = refs.map(ref => this._peelTag(ref.hash));
+    while (queue.length > 0) {
+      const hash = queue.shift();
+      if (!hash || visited.has(hash)) continue;
+      visited.add(hash);
+
+      const commit = getCommit(hash, this.store);
+      if (!commit) continue;
+
+      for (const entry of getTree(commit.tree, this.store)) {
+        if (entry.hash && !paths.has(entry.hash)) paths.set(entry.hash, entry.name);
+      }
+      queue.push(...commit.parents);
+    }
+
+    for (const [fileName, entry] of this.stagingArea) {
+      if (!paths.has(entry.hash)) paths.set(entry.hash, fileName);
+    }
+
+    return { paths, hot };
+  }
+
+  // ===== Repository Status =====
+
+  /**
+   * Get repository status
+   * @returns {Object} - Repository status
+   */
+  status() {
+    const currentBranch = this.getCurrentBranch();
+    const ref = this.store.getRef(`refs/heads/${currentBranch}`);
+    const stats = this.store.getStats();
+
+    return {
+      current_branch: currentBranch,
+      head: ref ? ref.hash : null,
+      db_path: stats.dbPath,
+      db_size: stats.dbSize,
+      objects: stats.objects,
+      store_objects: stats.objects, // Alias for test compatibility
+      branches: this.listBranches().length,
+      staged: Array.from(this.stagingArea.keys()).sort(),
+      deleted: Array.from(this.removedFiles),
+      merging: this._mergeStatus(),
+      rebasing: this._rebaseStatus()
+    };
+  }
+
+  /**
+   * Where the repository's bytes go: per-type totals, compression and delta
+   * savings, delta chain depths, largest files, per-branch storage and growth
+   * over history (see storageAnalytics in repo-utils.js)
+   * @param {Object} options - {top: number of largest files to list (default 10)}
+   * @returns {Object} - Plain JSON-serializable analytics
+   */
+  storageAnalytics(options = {}) {
+    return storageAnalytics(this.store, options);
+  }
+
+  // ===== CLI Compatibility Methods =====
+
+  /**
+   * Internal file addition without saving (for bulk operations)
+   * Compatibility method for CLI filesystem operations
+   * @param {string} fileName - File name
+   * @param {Uint8Array} content - File content
+   * @param {boolean} forceBinary - Force binary mode
+   * @param {Object} metadata - File metadata; mode and mtime are kept on the staged entry
+   * @returns {Object} - Add result
+   */
+  _addFileInternal(fileName, content, forceBinary = false, metadata = null) {
+    // Convert content to Uint8Array
+    const contentArray = typeof content === 'string'
+      ? new TextEncoder().encode(content)
+      : new Uint8Array(content);
+
+    // Detect if binary
+    const binary = forceBinary || isBinary(contentArray);
+
+    // Store blob (chunked above LARGE_FILE_THRESHOLD)
+    const result = this._storeContent(contentArray);
+
+    // Add to staging area (but don't save yet - for bulk operations)
+    this.stagingArea.set(fileName, this._stagedEntry(result.hash, binary, contentArray.length, metadata));
+
+    // Remove from deleted files if it was marked for deletion
+    this.removedFiles.delete(fileName);
+
+    // Staging a conflicted path marks it resolved
+    this._markConflictResolved(fileName);
+
+    return {
+      fileName,
+      hash: result.hash,
+      binary,
+      size: contentArray.length,
+      isNew: result.isNew
+    };
+  }
+
+  /**
+   * Streamed file addition without saving (for bulk operations)
+   * @param {string} fileName - File name
+   * @param {Iterable} pieces - Uint8Array pieces of the file, in order
+   * @param {boolean} forceBinary - Force binary mode
+   * @param {Object} metadata - File metadata, as for _addFileInternal
+   * @returns {Object} - Add result with chunk counts
+   */
+  _addFileStreamInternal(fileName, pieces, forceBinary = false, metadata = null) {
+    const result = storeChunkedBlob(pieces, this.store);
+    const binary = forceBinary || result.binary;
+
+    if (this.debugMode) {
+      console.log(`🔍 Stored ${fileName} as ${result.chunks} chunks (${result.newChunks} new, ${result.size} bytes)`);
+    }
+
+    this.stagingArea.set(fileName, this._stagedEntry(result.hash, binary, result.size, metadata));
+    this.removedFiles.delete(fileName);
+    this._markConflictResolved(fileName);
+
+    return {
+      fileName,
+      hash: result.hash,
+      binary,
+      size: result.size,
+      isNew: result.isNew,
+      chunks: result.chunks,
+      newChunks: result.newChunks
+    };
+  }
+
+  /**
+   * Staging area entry, with the file mode and mtime when they are known
+   * @private
+   */
+  _stagedEntry(hash, binary, size, metadata) {
+    const entry = { hash, binary, size };
+    if (metadata && metadata.mode !== undefined) entry.mode = metadata.mode;
+    if (metadata && metadata.mtime !== undefined) entry.mtime = metadata.mtime;
+    return entry;
+  }
+
+  /**
+   * Store file content as a blob, or as chunks once it reaches LARGE_FILE_THRESHOLD
+   * @param {Uint8Array} contentArray - File content
+   * @returns {Object} - {hash, isNew}
+   * @private
+   */
+  _storeContent(contentArray) {
+    if (contentArray.length < LARGE_FILE_THRESHOLD) {
+      return storeBlob(contentArray, this.store);
+    }
+
+    const pieces = [];
+    for (let offset = 0; offset < contentArray.length; offset += STREAM_PIECE_SIZE) {
+      pieces.push(contentArray.subarray(offset, offset + STREAM_PIECE_SIZE));
+    }
+    return storeChunkedBlob(pieces, this.store);
+  }
+
+  /**
+   * Save staging area (called after bulk operations)
+   * Compatibility method for CLI
+   */
+  saveStagingArea() {
+    this._saveStagingArea();
+  }
+
+  // ===== Internal Methods =====
+
+  /**
+   * Load staging area from metadata
+   * @private
+   */
+  _loadStagingArea() {
+    const stagingData = this.store.getMeta('staging_area');
+    if (stagingData) {
+      try {
+        const parsed = JSON.parse(stagingData);
+        this.stagingArea = new Map(Object.entries(parsed.files || {}));
+        this.removedFiles = new Set(parsed.removed || []);
+      } catch (error) {
+        // Ignore invalid staging data
+      }
+    }
+  }
+
+  /**
+   * Save staging area to metadata
+   * @private
+   */
+  _saveStagingArea() {
+    const stagingData = {
+      files: Object.fromEntries(this.stagingArea),
+      removed: Array.from(this.removedFiles)
+    };
+    this.store.setMeta('staging_area', JSON.stringify(stagingData));
+  }
+
+  /**
+   * Get current HEAD commit hash
+   * @returns {string|null} - Current HEAD commit hash
+   */
+  getCurrentHead() {
+    const currentBranch = this.getCurrentBranch();
+    const ref = this.store.getRef(`refs/heads/${currentBranch}`);
+    return ref ? ref.hash : null;
+  }
+
+  /**
+   * Resolve a revision expression to a commit hash
+   * Accepts HEAD (or @), branch and tag names, full or abbreviated hashes, an
+   * optional @{n} reflog selector and any chain of ~n (nth first-parent
+   * ancestor) and ^n (nth parent) steps, e.g. 'main~2', 'HEAD^2', 'v1.0^', 'abc1234'.
+   * @param {string} commitRef - Revision expression
+   * @returns {string|null} - Resolved commit hash or null if invalid
+   * @throws {Error} - If an abbreviated hash matches more than one commit
+   */
+  resolveCommitReference(commitRef) {
+    const revision = parseRevision(commitRef);
+    if (!revision) {
+      return null;
+    }
+
+    let current;
+    if (revision.name === 'stash' && revision.reflog !== null) {
+      // stash@{n} indexes the stash stack rather than a reflog
+      const stash = this._stashRefs()[revision.reflog];
+      current = stash ? stash.hash : null;
+    } else if (revision.reflog !== null) {
+      const refName = this._revisionRefName(revision.name);
+      current = refName ? this._reflogEntry(refName, revision.reflog) : null;
+    } else {
+      current = this._resolveRevisionName(revision.name);
+    }
+
+    for (const step of revision.steps) {
+      for (let i = 0; i < (step.type === '~' ? step.count : 1) && current; i++) {
+        const commit = getCommit(current, this.store);
+        if (!commit) {
+          return null;
+        }
+        if (step.type === '~') {
+          current = commit.parent;
+        } else if (step.count > 0) {
+          current = commit.parents[step.count - 1] || null;
+        }
+      }
+    }
+
+    return current || null;
+  }
+
+  /**
+   * Resolve a revision range for log and diff
+   * @param {string} range - 'A..B' or 'A...B' (an omitted side means HEAD)
+   * @returns {Object} - {from, to, symmetric, base} where base is the merge base of a symmetric range
+   * @throws {Error} - If the range is malformed or a side does not resolve
+   */
+  resolveRange(range) {
+    const parsed = parseRange(range);
+    if (!parsed) {
+      throw new Error(`Invalid revision range: ${range}`);
+    }
+
+    const from = this._requireCommit(parsed.from);
+    const to = this._requireCommit(parsed.to);
+    const base = parsed.symmetric ? findMergeBase(from, to, this.store) : null;
+
+    return { from, to, symmetric: parsed.symmetric, base };
+  }
+
+  /**
+   * Resolve a revision or throw
+   * @private
+   */
+  _requireCommit(commitRef) {
+    const hash = this.resolveCommitReference(commitRef);
+    if (!hash) {
+      throw new Error(`Invalid commit reference: ${commitRef}`);
+    }
+    return hash;
+  }
+
+  /**
+   * Resolve the base name of a revision (no ~ / ^ / @{n} suffixes)
+   * Refs win over hash prefixes; tags win over branches of the same name.
+   * @private
+   */
+  _resolveRevisionName(name) {
+    if (name === 'HEAD') {
+      return this.getCurrentHead();
+    }
+
+    for (const refName of [name, `refs/${name}`, `refs/tags/${name}`, `refs/heads/${name}`, `refs/remotes/${name}`]) {
+      if (!refName.startsWith('refs/')) continue;
+      const ref = this.store.getRef(refName);
+      if (ref) {
+        return this._peelTag(ref.hash);
+      }
+    }
+
+    if (name === 'stash') {
+      const [top] = this._stashRefs();
+      return top ? top.hash : null;
+    }
+
+    if (!isHashPrefix(name)) {
+      return null;
+    }
+    if (name.length === 64) {
+      return this.store.hasObject(name) ? this._peelTag(name) : null;
+    }
+
+    const matches = this.store.findObjectsByPrefix(name)
+      .filter(obj => obj.type === 'commit' || obj.type === 'tag');
+    if (matches.length > 1) {
+      const candidates = matches.map(obj => `${obj.hash.substring(0, 12)} (${obj.type})`).join(', ');
+      throw new Error(`Ambiguous commit reference '${name}': matches ${candidates}`);
+    }
+    return matches.length === 1 ? this._peelTag(matches[0].hash) : null;
+  }
+
+  /**
+   * Full ref name targeted by a reflog selector ('' means the current branch)
+   * @private
+   */
+  _revisionRefName(name) {
+    if (!name || name === 'HEAD') {
+      return `refs/heads/${this.getCurrentBranch()}`;
+    }
+    for (const refName of [name, `refs/${name}`, `refs/heads/${name}`, `refs/tags/${name}`, `refs/remotes/${name}`]) {
+      if (!refName.startsWith('refs/')) continue;
+      // Deleted refs keep their reflog
+      if (this.store.getRef(refName) || this.store.getReflog(refName).length > 0) {
+        return refName;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Commit a ref pointed to n updates ago (@{0} is its current value)
+   * @private
+   */
+  _reflogEntry(refName, n) {
+    if (n === 0) {
+      const ref = this.store.getRef(refName);
+      return ref ? this._peelTag(ref.hash) : null;
+    }
+
+    const entry = this.store.getReflog(refName)[n - 1];
+    return entry && entry.oldHash ? this._peelTag(entry.oldHash) : null;
+  }
+
+  /**
+   * Reset branch to a specific commit
+   * @param {string} commitRef - Commit hash or reference (e.g., 'HEAD~1')
+   * @param {Object} options - Reset options {mode: 'soft'|'hard'}
+   * @returns {Object} - Reset result
+   */
+  reset(commitRef, options = {}) {
+    const mode = options.mode || 'soft';
+
+    if (!['soft', 'hard'].includes(mode)) {
+      throw new Error(`Invalid reset mode: ${mode}`);
+    }
+
+    // Resolve commit reference
+    const targetCommitHash = this.resolveCommitReference(commitRef);
+    if (!targetCommitHash) {
+      if (!this.getCurrentHead()) {
+        throw new Error('No commits exist to reset from');
+      }
+      throw new Error(`Invalid commit reference: ${commitRef}`);
+    }
+
+    // Verify target commit exists
+    const targetCommit = getCommit(targetCommitHash, this.store);
+    if (!targetCommit) {
+      throw new Error(`Commit ${targetCommitHash} not found`);
+    }
+
+    // Update branch reference
+    const currentBranch = this.getCurrentBranch();
+    this.store.setRef(`refs/heads/${currentBranch}`, targetCommitHash, 'branch', `reset: moving to ${commitRef}`);
+
+    // Handle reset mode
+    if (mode === 'hard') {
+      // Clear staging area and removed files
+      this.stagingArea.clear();
+      this.removedFiles.clear();
+      this._saveStagingArea();
+
+      // A hard reset also discards any merge in progress
+      this._clearMergeState();
+    }
+    // For soft reset, preserve staging area
+
+    return { success: true };
+  }
+
+  /**
+   * Merge a branch into the current branch
+   * @param {string} branchName - Name of branch to merge
+   * @returns {Object} - Merge result {type, conflicts?}
+   */
+  merge(branchName, options = {}) {
+    const { findMergeBase } = require('./objects');
+    const isPreview = options.preview === true;
+
+    if (!isPreview && this.getMergeState()) {
+      throw new Error('A merge is already in progress. Use merge --continue or merge --abort');
+    }
+
+    // Get current and target branch heads
+    const currentBranch = this.getCurrentBranch();
+    const currentHead = this.getCurrentHead();
+    // Remote-tracking branches ('origin/main') can be merged like local ones
+    const targetRef = this.store.getRef(`refs/heads/${branchName}`) || this.store.getRef(`refs/remotes/${branchName}`);
+
+
+    if (!targetRef || !targetRef.hash) {
+      throw new Error(`Branch '${branchName}' not found`);
+    }
+
+    const targetHead = targetRef.hash;
+
+
+    // Handle same commit case
+    if (currentHead === targetHead) {
+      return { type: 'up-to-date' };
+    }
+
+    // Handle case where current branch has no commits (empty branch)
+    if (!currentHead) {
+      // Fast-forward to target
+      if (!isPreview) {
+        this.store.setRef(`refs/heads/${currentBranch}`, targetHead, 'branch', `merge ${branchName}: fast-forward`);
+      }
+      return { type: 'fast-forward' };
+    }
+
+    // Find merge base
+    const mergeBase = findMergeBase(currentHead, targetHead, this.store);
+
+
+    // Handle case where branches have no common ancestor (imported branches)
+    if (mergeBase === null) {
+      // Treat as three-way merge with empty base (will likely cause conflicts)
+      try {
+        const mergeCommitHash = this._performThreeWayMerge(currentHead, targetHead, null, branchName, isPreview);
+        return { type: 'three-way', commitHash: mergeCommitHash, conflicts: [] };
+      } catch (error) {
+        if (error.conflicts) {
+          return {
+            type: 'conflict',
+            conflicts: error.conflicts
+          };
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Check for fast-forward merge (current is ancestor of target)
+    if (mergeBase === currentHead) {
+      // Fast-forward: just move current branch to target
+      if (!isPreview) {
+        this.store.setRef(`refs/heads/${currentBranch}`, targetHead, 'branch', `merge ${branchName}: fast-forward`);
+      }
+      return { type: 'fast-forward' };
+    }
+
+    // Check if target is ancestor of current (already up-to-date)
+    if (mergeBase === targetHead) {
+      return { type: 'up-to-date' };
+    }
+
+    // Three-way merge needed - full implementation with conflict detection
+    try {
+      const mergeCommitHash = this._performThreeWayMerge(currentHead, targetHead, mergeBase, branchName, isPreview);
+      return { type: 'three-way', commitHash: mergeCommitHash, conflicts: [] };
+    } catch (error) {
+      // Check if it's a merge conflict error
+      if (error.conflicts) {
         return {
           type: 'conflict',
           conflicts: error.conflicts
         };
       } else {
-        // Other error
+        // Other error
+        return {
+          type: 'conflict',
+          conflicts: [{ file: 'unknown', type: 'error', message: error.message }]
+        };
+      }
+    }
+  }
+
+  /**
+   * Perform three-way merge (simplified implementation)
+   * @private
+   */
+  _performThreeWayMerge(currentHead, targetHead, mergeBase, branchName, isPreview = false) {
+    if (this.debugMode) {
+      console.log(`🔍 Performing three-way merge: ${currentHead.substring(0, 8)} + ${targetHead.substring(0, 8)} (base: ${mergeBase ? mergeBase.substring(0, 8) : 'none'})`);
+    }
+
+    const currentCommit = getCommit(currentHead, this.store);
+    const targetCommit = getCommit(targetHead, this.store);
+    const baseCommit = mergeBase ? getCommit(mergeBase, this.store) : null;
+
+    const { mergedEntries, conflicts, baseFiles, currentFiles, targetFiles } = this._mergeTrees(
+      baseCommit ? getTree(baseCommit.tree, this.store) : [],
+      getTree(currentCommit.tree, this.store),
+      getTree(targetCommit.tree, this.store)
+    );
+
+    // If there are conflicts, throw an error to trigger conflict handling
+    if (conflicts.length > 0) {
+      if (!isPreview) {
+        this._startConflictedMerge(currentHead, targetHead, branchName, mergedEntries, conflicts, {
+          baseFiles, currentFiles, targetFiles
+        });
+      }
+      const error = new Error('Merge conflicts detected');
+      error.conflicts = conflicts;
+      throw error;
+    }
+    if (this.debugMode) {
+      console.log(`🔍 Merge successful: ${mergedEntries.length} files in result`);
+    }
+
+    // Create merged tree
+    const mergedTreeHash = storeTree(mergedEntries, this.store);
+
+    // In preview mode, don't create actual commit or update references
+    if (isPreview) {
+      return 'preview-merge-success'; // Placeholder to indicate merge would succeed
+    }
+
+    // Create merge commit with both parents
+    const mergeMessage = `Merge branch '${branchName}' into ${this.getCurrentBranch()}`;
+    const mergeCommitHash = createCommit(
+      mergedTreeHash,
+      mergeMessage,
+      this.store.getMeta('author.name') || 'Unknown',
+      this.store.getMeta('author.email') || 'unknown@example.com',
+      [currentHead, targetHead],  // Both parents for proper merge commit
+      this.store
+    );
+
+    // Update current branch to point to merge commit
+    const currentBranch = this.getCurrentBranch();
+    this.store.setRef(`refs/heads/${currentBranch}`, mergeCommitHash, 'branch', `merge ${branchName}: merge commit`);
+
+    return mergeCommitHash;
+  }
+
+  /**
+   * Three-way merge of tree entries
+   * Files changed on one side take that side; text changed on both is merged
+   * line by line; anything else is reported as a conflict.
+   * @private
+   * @returns {Object} - {mergedEntries, conflicts, baseFiles, currentFiles, targetFiles}
+   */
+  _mergeTrees(baseTree, currentTree, targetTree) {
+    // Build maps for easier lookup
+    const currentFiles = new Map(currentTree.map(entry => [entry.name, entry]));
+    const targetFiles = new Map(targetTree.map(entry => [entry.name, entry]));
+    const baseFiles = new Map(baseTree.map(entry => [entry.name, entry]));
+
+    // Collect all file names from all trees
+    const allFileNames = new Set([
+      ...currentFiles.keys(),
+      ...targetFiles.keys(),
+      ...baseFiles.keys()
+    ]);
+
+
+    const mergedEntries = [];
+    const conflicts = [];
+
+    for (const fileName of allFileNames) {
+      const baseEntry = baseFiles.get(fileName);
+      const currentEntry = currentFiles.get(fileName);
+      const targetEntry = targetFiles.get(fileName);
+
+
+      if (this.debugMode) {
+        console.log(`🔍 Merging file: ${fileName} (base:${baseEntry ? 'Y' : 'N'}, current:${currentEntry ? 'Y' : 'N'}, target:${targetEntry ? 'Y' : 'N'})`);
+      }
+
+      // Apply three-way merge logic
+      if (!baseEntry && !currentEntry && targetEntry) {
+        // File added in target only
+        mergedEntries.push(targetEntry);
+      } else if (!baseEntry && currentEntry && !targetEntry) {
+        // File added in current only
+        mergedEntries.push(currentEntry);
+      } else if (!baseEntry && currentEntry && targetEntry) {
+        // File added in both - check if identical
+        if (currentEntry.hash === targetEntry.hash) {
+          mergedEntries.push(currentEntry);
+        } else {
+          // Conflict: same file added with different content
+          conflicts.push({
+            file: fileName,
+            type: 'both-added',
+            message: `File added in both branches with different content`
+          });
+        }
+      } else if (baseEntry && !currentEntry && !targetEntry) {
+        // File deleted in both - remove it
+        continue;
+      } else if (baseEntry && !currentEntry && targetEntry) {
+        // File deleted in current, modified in target
+        if (baseEntry.hash === targetEntry.hash) {
+          // File unchanged in target, deleted in current - delete it
+          continue;
+        } else {
+          // Conflict: deleted in current, modified in target
+          conflicts.push({
+            file: fileName,
+            type: 'deleted-modified',
+            message: `File deleted in current branch but modified in target`
+          });
+        }
+      } else if (baseEntry && currentEntry && !targetEntry) {
+        // File modified in current, deleted in target
+        if (baseEntry.hash === currentEntry.hash) {
+          // File unchanged in current, deleted in target - delete it
+          continue;
+        } else {
+          // Conflict: modified in current, deleted in target
+          conflicts.push({
+            file: fileName,
+            type: 'modified-deleted',
+            message: `File modified in current branch but deleted in target`
+          });
+        }
+      } else if (baseEntry && currentEntry && targetEntry) {
+        // File exists in all three
+        if (currentEntry.hash === targetEntry.hash) {
+          // Both branches have same content
+          mergedEntries.push(currentEntry);
+        } else if (baseEntry.hash === currentEntry.hash) {
+          // File unchanged in current, modified in target
+          mergedEntries.push(targetEntry);
+        } else if (baseEntry.hash === targetEntry.hash) {
+          // File unchanged in target, modified in current
+          mergedEntries.push(currentEntry);
+        } else {
+          // File modified in both branches - try a line-level merge
+          const contentMerge = this._mergeFileContents(baseEntry, currentEntry, targetEntry);
+          if (contentMerge.clean) {
+            mergedEntries.push(contentMerge.entry);
+          } else {
+            conflicts.push({
+              file: fileName,
+              type: 'both-modified',
+              message: contentMerge.regions.length > 0
+                ? `File modified in both branches (${contentMerge.regions.length} overlapping region(s))`
+                : `File modified in both branches`,
+              regions: contentMerge.regions
+            });
+          }
+        }
+      }
+    }
+
+    return { mergedEntries, conflicts, baseFiles, currentFiles, targetFiles };
+  }
+
+  /**
+   * Line-level three-way merge of a file modified on both sides
+   * @private
+   * @returns {Object} - {clean, entry?, regions}
+   */
+  _mergeFileContents(baseEntry, currentEntry, targetEntry) {
+    // Binary content cannot be merged line by line
+    if (baseEntry.binary || currentEntry.binary || targetEntry.binary) {
+      return { clean: false, regions: [] };
+    }
+
+    const result = mergeText(
+      getBlob(baseEntry.hash, this.store),
+      getBlob(currentEntry.hash, this.store),
+      getBlob(targetEntry.hash, this.store)
+    );
+
+    if (!result.clean) {
+      return { clean: false, regions: result.conflicts };
+    }
+
+    const stored = storeBlob(result.content, this.store);
+    return {
+      clean: true,
+      entry: { ...currentEntry, hash: stored.hash, size: result.content.length },
+      regions: []
+    };
+  }
+
+  // ===== Cherry-pick and Revert =====
+
+  /**
+   * Replay the changes a commit made to its parent onto HEAD
+   * @param {string} commitRef - Commit to pick
+   * @param {Object} options - {mainline: parent number for merge commits, recordOrigin: note the picked hash in the message}
+   * @returns {Object} - Merge-style result {type: 'cherry-pick'|'up-to-date'|'conflict', commitHash?, conflicts}
+   */
+  cherryPick(commitRef, options = {}) {
+    return this._replayCommit(commitRef, 'cherry-pick', options);
+  }
+
+  /**
+   * Undo the changes a commit made to its parent with a new commit on HEAD
+   * @param {string} commitRef - Commit to revert
+   * @param {Object} options - {mainline: parent number for merge commits}
+   * @returns {Object} - Merge-style result {type: 'revert'|'up-to-date'|'conflict', commitHash?, conflicts}
+   */
+  revert(commitRef, options = {}) {
+    return this._replayCommit(commitRef, 'revert', options);
+  }
+
+  /**
+   * Three-way merge of a commit's changes onto HEAD
+   * Cherry-pick merges parent -> commit, revert merges commit -> parent.
+   * Conflicts leave a merge state that resolveConflict, mergeContinue and
+   * mergeAbort handle like any conflicted merge.
+   * @private
+   */
+  _replayCommit(commitRef, operation, options = {}) {
+    if (this.getMergeState()) {
+      throw new Error(`Cannot ${operation} while a merge is in progress. Use merge --continue or merge --abort`);
+    }
+    if (this.stagingArea.size > 0 || this.removedFiles.size > 0) {
+      throw new Error(`Cannot ${operation} with staged changes. Commit or stash them first`);
+    }
+
+    const head = this.getCurrentHead();
+    if (!head) {
+      throw new Error(`Cannot ${operation}: no commits exist yet`);
+    }
+
+    const commitHash = this._requireCommit(commitRef);
+    const commit = getCommit(commitHash, this.store);
+    if (!commit) {
+      throw new Error('Commit not found');
+    }
+    const shortHash = commitHash.substring(0, 8);
+
+    let parentHash = commit.parent;
+    if (commit.parents.length > 1) {
+      if (!options.mainline) {
+        throw new Error(`Commit ${shortHash} is a merge; choose the parent to compare against with mainline (-m <n>)`);
+      }
+      parentHash = commit.parents[options.mainline - 1];
+      if (!parentHash) {
+        throw new Error(`Commit ${shortHash} has no parent ${options.mainline}`);
+      }
+    } else if (options.mainline) {
+      throw new Error(`Mainline was specified but commit ${shortHash} is not a merge`);
+    }
+
+    const commitTree = getTree(commit.tree, this.store);
+    const parentTree = parentHash ? getTree(getCommit(parentHash, this.store).tree, this.store) : [];
+    const headCommit = getCommit(head, this.store);
+    const merged = this._mergeTrees(
+      operation === 'revert' ? commitTree : parentTree,
+      getTree(headCommit.tree, this.store),
+      operation === 'revert' ? parentTree : commitTree
+    );
+
+    const subject = commit.message.split('\n')[0];
+    const message = operation === 'revert'
+      ? `Revert "${subject}"\n\nThis reverts commit ${commitHash}.`
+      : options.recordOrigin ? `${commit.message.replace(/\n+$/, '')}\n\n(cherry picked from commit ${commitHash})` : commit.message;
+    const author = operation === 'revert' ? null : this._commitAuthor(commit);
+
+    if (merged.conflicts.length > 0) {
+      this._startConflictedMerge(head, commitHash, `${shortHash} (${subject})`, merged.mergedEntries, merged.conflicts, {
+        baseFiles: merged.baseFiles,
+        currentFiles: merged.currentFiles,
+        targetFiles: merged.targetFiles
+      }, {
+        operation,
+        message,
+        author
+      });
+      return { type: 'conflict', conflicts: merged.conflicts };
+    }
+
+    if (this._isUnchangedMerge(merged)) {
+      return { type: 'up-to-date', conflicts: [] };
+    }
+
+    // A picked commit keeps its author and date; a revert is authored now
+    const treeHash = storeTree(merged.mergedEntries, this.store);
+    const committer = this._committer();
+    const newHash = author
+      ? createCommit(treeHash, message, author.name, author.email, head, this.store, author.timestamp, { timezone: author.timezone, committer })
+      : createCommit(treeHash, message, committer.name, committer.email, head, this.store, committer.timestamp);
+
+    this.store.setRef(`refs/heads/${this.getCurrentBranch()}`, newHash, 'branch', `${operation}: ${subject}`);
+
+    return { type: operation, commitHash: newHash, conflicts: [] };
+  }
+
+  /**
+   * Author identity of an existing commit, for recreating it elsewhere
+   * @private
+   * @returns {Object} - {name, email, timestamp, timezone}
+   */
+  _commitAuthor(commit) {
+    return {
+      name: commit.author,
+      email: commit.email || 'unknown@example.com',
+      timestamp: commit.timestamp,
+      timezone: commit.timezone || undefined
+    };
+  }
+
+  /**
+   * Check whether a clean tree merge leaves the current side as it was
+   * @private
+   */
+  _isUnchangedMerge(merged) {
+    return merged.mergedEntries.length === merged.currentFiles.size &&
+      merged.mergedEntries.every(entry => {
+        const current = merged.currentFiles.get(entry.name);
+        return current && current.hash === entry.hash;
+      });
+  }
+
+  // ===== Rebase =====
+
+  /**
+   * List the commits a rebase would replay
+   * Commits reachable from HEAD but not from upstream are picked oldest first;
+   * merge commits are dropped. The todo can be edited and passed back to
+   * rebase() as options.todo.
+   * @param {string} upstream - Branch or revision to rebase onto
+   * @param {Object} options - {onto: revision to replay onto instead of upstream}
+   * @returns {Object} - {upstream, onto, base, todo: [{action, commit, message}]}
+   */
+  rebasePlan(upstream, options = {}) {
+    const head = this.getCurrentHead();
+    if (!head) {
+      throw new Error('Cannot rebase: no commits exist yet');
+    }
+
+    const upstreamHash = this._requireCommit(upstream);
+    const onto = options.onto ? this._requireCommit(options.onto) : upstreamHash;
+    const upstreamHashes = new Set(getCommitHistory(upstreamHash, Infinity, this.store).map(c => c.hash));
+
+    const todo = getCommitHistory(head, Infinity, this.store)
+      .filter(commit => !upstreamHashes.has(commit.hash) && commit.parents.length <= 1)
+      .reverse()
+      .map(commit => ({ action: 'pick', commit: commit.hash, message: commit.message.split('\n')[0] }));
+
+    return {
+      upstream: upstreamHash,
+      onto,
+      base: findMergeBase(head, upstreamHash, this.store),
+      todo
+    };
+  }
+
+  /**
+   * Replay the current branch's commits onto another branch
+   * Each commit is recreated on top of onto with its original author and date,
+   * and the branch follows. A conflict pauses the rebase until rebaseContinue(),
+   * rebaseSkip() or rebaseAbort().
+   * @param {string} upstream - Branch or revision to rebase onto
+   * @param {Object} options - {onto, todo: edited rebasePlan() todo whose actions are
+   *   'pick', 'reword' (new message), 'squash' (combined or new message), 'fixup' or 'drop'}
+   * @returns {Object} - {type: 'rebased'|'fast-forward'|'up-to-date'|'conflict', branch, head, applied, skipped, conflicts, current}
+   */
+  rebase(upstream, options = {}) {
+    if (this.getRebaseState()) {
+      throw new Error('A rebase is already in progress. Use rebase --continue, --skip or --abort');
+    }
+    if (this.getMergeState()) {
+      throw new Error('Cannot rebase while a merge is in progress. Use merge --continue or merge --abort');
+    }
+    if (this.stagingArea.size > 0 || this.removedFiles.size > 0) {
+      throw new Error('Cannot rebase with staged changes. Commit or stash them first');
+    }
+
+    const plan = this.rebasePlan(upstream, options);
+    const branch = this.getCurrentBranch();
+    const head = this.getCurrentHead();
+    const result = { branch, head, onto: plan.onto, applied: 0, skipped: [], conflicts: [] };
+
+    if (!options.todo) {
+      if (plan.base === plan.onto) {
+        return { type: 'up-to-date', ...result };
+      }
+      if (plan.todo.length === 0) {
+        this.store.setRef(`refs/heads/${branch}`, plan.onto, 'branch', `rebase: fast-forward to ${upstream}`);
+        return { type: 'fast-forward', ...result, head: plan.onto };
+      }
+    }
+
+    const state = {
+      branch,
+      origHead: head,
+      upstream,
+      onto: plan.onto,
+      todo: options.todo ? this._normalizeRebaseTodo(options.todo) : plan.todo,
+      current: null,
+      applied: 0,
+      skipped: []
+    };
+
+    this.store.setRef(`refs/heads/${branch}`, plan.onto, 'branch', `rebase (start): onto ${upstream}`);
+    return this._runRebase(state);
+  }
+
+  /**
+   * Get the paused rebase, if any
+   * @returns {Object|null} - {branch, origHead, upstream, onto, todo, current, applied, skipped} or null
+   */
+  getRebaseState() {
+    const stateData = this.store.getMeta('rebase_state');
+    if (!stateData) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(stateData);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Commit the resolved step of a paused rebase and replay the rest
+   * A step resolved to no changes is skipped.
+   * @returns {Object} - Rebase result, as for rebase()
+   */
+  rebaseContinue() {
+    const state = this.getRebaseState();
+    if (!state) {
+      throw new Error('No rebase in progress');
+    }
+
+    const mergeState = this.getMergeState();
+    if (mergeState) {
+      if (mergeState.conflicts.length > 0) {
+        throw new Error(`Cannot continue: unresolved conflicts in ${mergeState.conflicts.join(', ')}`);
+      }
+
+      if (this.stagingArea.size === 0 && this.removedFiles.size === 0) {
+        this._clearMergeState();
+        state.skipped.push(state.current.commit);
+      } else if (this._isRebaseSquash(state.current, state)) {
+        const head = getCommit(this.getCurrentHead(), this.store);
+        const picked = this._commitMergeState(mergeState);
+        const author = this._commitAuthor(head);
+        const squashed = createCommit(picked.treeHash, mergeState.message, author.name, author.email, head.parent, this.store, author.timestamp, {
+          timezone: author.timezone,
+          committer: this._committer()
+        });
+        this.store.setRef(`refs/heads/${state.branch}`, squashed, 'branch', `rebase (${state.current.action}): ${mergeState.message}`);
+      } else {
+        this._commitMergeState(mergeState);
+        state.applied++;
+      }
+    }
+
+    state.current = null;
+    return this._runRebase(state);
+  }
+
+  /**
+   * Drop the conflicted step of a paused rebase and replay the rest
+   * @returns {Object} - Rebase result, as for rebase()
+   */
+  rebaseSkip() {
+    const state = this.getRebaseState();
+    if (!state) {
+      throw new Error('No rebase in progress');
+    }
+
+    this.store.transaction(() => {
+      this.stagingArea.clear();
+      this.removedFiles.clear();
+      this._saveStagingArea();
+      this._clearMergeState();
+    });
+
+    state.skipped.push(state.current.commit);
+    state.current = null;
+    return this._runRebase(state);
+  }
+
+  /**
+   * Abandon a paused rebase, restoring the branch to where it started
+   * @returns {Object} - {branch, head}
+   */
+  rebaseAbort() {
+    const state = this.getRebaseState();
+    if (!state) {
+      throw new Error('No rebase in progress');
+    }
+
+    this.store.transaction(() => {
+      this.store.setMeta('current_branch', state.branch);
+      this.store.setRef(`refs/heads/${state.branch}`, state.origHead, 'branch', 'rebase: abort');
+
+      this.stagingArea.clear();
+      this.removedFiles.clear();
+      this._saveStagingArea();
+
+      this._clearMergeState();
+      this.store.removeMeta('rebase_state');
+    });
+
+    return {
+      branch: state.branch,
+      head: state.origHead
+    };
+  }
+
+  /**
+   * Replay the remaining todo steps, pausing at the first conflict
+   * @private
+   */
+  _runRebase(state) {
+    while (state.todo.length > 0) {
+      const step = state.todo.shift();
+      if (step.action === 'drop') {
+        continue;
+      }
+
+      const outcome = this._rebaseStep(step, state);
+      if (outcome.type === 'conflict') {
+        state.current = step;
+        this.store.setMeta('rebase_state', JSON.stringify(state));
         return {
           type: 'conflict',
-          conflicts: [{ file: 'unknown', type: 'error', message: error.message }]
+          branch: state.branch,
+          head: this.getCurrentHead(),
+          onto: state.onto,
+          applied: state.applied,
+          skipped: state.skipped,
+          conflicts: outcome.conflicts,
+          current: step
         };
       }
     }
+
+    this.store.removeMeta('rebase_state');
+    return {
+      type: 'rebased',
+      branch: state.branch,
+      head: this.getCurrentHead(),
+      onto: state.onto,
+      applied: state.applied,
+      skipped: state.skipped,
+      conflicts: []
+    };
   }
 
   /**
-   * Perform three-way merge (simplified implementation)
+   * Replay one todo step onto the branch head
+   * Picks whose changes are already present are skipped; squash and fixup
+   * replace the head commit instead of adding one.
    * @private
+   * @returns {Object} - {type: 'applied'|'skipped'|'conflict', conflicts}
    */
-  _performThreeWayMerge(currentHead, targetHead, mergeBase, branchName, isPreview = false) {
-    if (this.debugMode) {
-      console.log(`🔍 Performing three-way merge: ${currentHead.substring(0, 8)} + ${targetHead.substring(0, 8)} (base: ${mergeBase ? mergeBase.substring(0, 8) : 'none'})`);
+  _rebaseStep(step, state) {
+    const commit = getCommit(step.commit, this.store);
+    const head = this.getCurrentHead();
+    const headCommit = getCommit(head, this.store);
+    const squash = this._isRebaseSquash(step, state);
+
+    const parentTree = commit.parent ? getTree(getCommit(commit.parent, this.store).tree, this.store) : [];
+    const merged = this._mergeTrees(parentTree, getTree(headCommit.tree, this.store), getTree(commit.tree, this.store));
+
+    // A squash keeps both messages as separate paragraphs
+    let message = commit.message;
+    if (step.action === 'reword' && step.message) {
+      message = step.message;
+    } else if (squash) {
+      message = step.action === 'fixup' ? headCommit.message : step.message || `${headCommit.message.replace(/\n+$/, '')}\n\n${commit.message}`;
+    }
+    const author = this._commitAuthor(squash ? headCommit : commit);
+
+    if (merged.conflicts.length > 0) {
+      this._startConflictedMerge(head, step.commit, `${step.commit.substring(0, 8)} (${commit.message.split('\n')[0]})`, merged.mergedEntries, merged.conflicts, {
+        baseFiles: merged.baseFiles,
+        currentFiles: merged.currentFiles,
+        targetFiles: merged.targetFiles
+      }, {
+        operation: 'rebase',
+        message,
+        author
+      });
+      return { type: 'conflict', conflicts: merged.conflicts };
     }
 
-    const currentCommit = getCommit(currentHead, this.store);
-    const targetCommit = getCommit(targetHead, this.store);
-    const baseCommit = mergeBase ? getCommit(mergeBase, this.store) : null;
+    if (!squash && this._isUnchangedMerge(merged)) {
+      state.skipped.push(step.commit);
+      return { type: 'skipped', conflicts: [] };
+    }
 
-    // Get trees for all three commits
-    const currentTree = getTree(currentCommit.tree, this.store);
-    const targetTree = getTree(targetCommit.tree, this.store);
-    const baseTree = baseCommit ? getTree(baseCommit.tree, this.store) : [];
+    const treeHash = storeTree(merged.mergedEntries, this.store);
+    const parent = squash ? headCommit.parent : head;
+    const newHash = createCommit(treeHash, message, author.name, author.email, parent, this.store, author.timestamp, {
+      timezone: author.timezone,
+      committer: this._committer()
+    });
+    this.store.setRef(`refs/heads/${state.branch}`, newHash, 'branch', `rebase (${step.action}): ${message}`);
 
-    // Build maps for easier lookup
-    const currentFiles = new Map(currentTree.map(entry => [entry.name, entry]));
-    const targetFiles = new Map(targetTree.map(entry => [entry.name, entry]));
-    const baseFiles = new Map(baseTree.map(entry => [entry.name, entry]));
+    if (!squash) {
+      state.applied++;
+    }
+    return { type: 'applied', conflicts: [] };
+  }
 
-    // Collect all file names from all trees
-    const allFileNames = new Set([
-      ...currentFiles.keys(),
-      ...targetFiles.keys(),
-      ...baseFiles.keys()
-    ]);
+  /**
+   * Whether a step folds into the previous commit; with nothing replayed yet
+   * a squash or fixup is applied as a pick
+   * @private
+   */
+  _isRebaseSquash(step, state) {
+    return (step.action === 'squash' || step.action === 'fixup') && state.applied > 0;
+  }
 
+  /**
+   * Validate an edited todo list, resolving each commit reference
+   * @private
+   */
+  _normalizeRebaseTodo(todo) {
+    const actions = ['pick', 'reword', 'squash', 'fixup', 'drop'];
 
-    const mergedEntries = [];
-    const conflicts = [];
+    return todo.map(step => {
+      if (!actions.includes(step.action)) {
+        throw new Error(`Invalid rebase action: ${step.action}. Use ${actions.join(', ')}`);
+      }
+      // Plan steps carry each commit's subject; only an edited one replaces the message
+      const commitHash = this._requireCommit(step.commit);
+      const commitMessage = getCommit(commitHash, this.store).message;
+      const edited = step.message && step.message !== commitMessage && step.message !== commitMessage.split('\n')[0];
+      return {
+        action: step.action,
+        commit: commitHash,
+        message: edited ? step.message : null
+      };
+    });
+  }
 
-    for (const fileName of allFileNames) {
-      const baseEntry = baseFiles.get(fileName);
-      const currentEntry = currentFiles.get(fileName);
-      const targetEntry = targetFiles.get(fileName);
+  /**
+   * Summarize the paused rebase for status()
+   * @private
+   */
+  _rebaseStatus() {
+    const state = this.getRebaseState();
+    return state
+      ? {
+        branch: state.branch,
+        upstream: state.upstream,
+        onto: state.onto,
+        applied: state.applied,
+        remaining: state.todo.length,
+        current: state.current
+      }
+      : null;
+  }
 
+  // ===== Merge State =====
 
-      if (this.debugMode) {
-        console.log(`🔍 Merging file: ${fileName} (base:${baseEntry ? 'Y' : 'N'}, current:${currentEntry ? 'Y' : 'N'}, target:${targetEntry ? 'Y' : 'N'})`);
+  /**
+   * Get the merge in progress, if any
+   * @returns {Object|null} - {mergeHead, branch, origHead, mergeBranch, operation, message, conflicts} or null
+   */
+  getMergeState() {
+    const mergeHead = this.store.getMeta('MERGE_HEAD');
+    const stateData = this.store.getMeta('merge_state');
+    if (!mergeHead || !stateData) {
+      return null;
+    }
+
+    try {
+      return { mergeHead, ...JSON.parse(stateData) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Conclude a conflicted merge with a two-parent commit (one parent for cherry-pick and revert)
+   * @param {string} message - Optional commit message (defaults to the merge message)
+   * @returns {Object} - Commit result
+   */
+  mergeContinue(message = null) {
+    const mergeState = this.getMergeState();
+    if (!mergeState) {
+      throw new Error('No merge in progress');
+    }
+    if (mergeState.operation === 'rebase') {
+      throw new Error('A rebase is in progress. Use rebase --continue or rebase --abort');
+    }
+
+    return this._commitMergeState(mergeState, message);
+  }
+
+  /**
+   * Commit the resolved merge state, as its recorded author when it has one
+   * @private
+   */
+  _commitMergeState(mergeState, message = null) {
+    const author = mergeState.author;
+    return author
+      ? this.commit(message || mergeState.message, author.name, author.email, { timestamp: author.timestamp, timezone: author.timezone })
+      : this.commit(message || mergeState.message);
+  }
+
+  /**
+   * Abandon a conflicted merge, restoring the pre-merge branch and staging area
+   * @returns {Object} - {branch, head}
+   */
+  mergeAbort() {
+    const mergeState = this.getMergeState();
+    if (!mergeState) {
+      throw new Error('No merge in progress');
+    }
+    if (mergeState.operation === 'rebase') {
+      throw new Error('A rebase is in progress. Use rebase --continue or rebase --abort');
+    }
+
+    this.store.transaction(() => {
+      this.store.setMeta('current_branch', mergeState.branch);
+      this.store.setRef(`refs/heads/${mergeState.branch}`, mergeState.origHead, 'branch', 'merge: abort');
+
+      this.stagingArea.clear();
+      this.removedFiles.clear();
+      for (const [fileName, fileInfo] of Object.entries(mergeState.savedStaging.files || {})) {
+        this.stagingArea.set(fileName, fileInfo);
+      }
+      for (const fileName of mergeState.savedStaging.removed || []) {
+        this.removedFiles.add(fileName);
       }
+      this._saveStagingArea();
 
-      // Apply three-way merge logic
-      if (!baseEntry && !currentEntry && targetEntry) {
-        // File added in target only
-        mergedEntries.push(targetEntry);
-      } else if (!baseEntry && currentEntry && !targetEntry) {
-        // File added in current only
-        mergedEntries.push(currentEntry);
-      } else if (!baseEntry && currentEntry && targetEntry) {
-        // File added in both - check if identical
-        if (currentEntry.hash === targetEntry.hash) {
-          mergedEntries.push(currentEntry);
-        } else {
-          // Conflict: same file added with different content
-          conflicts.push({
-            file: fileName,
-            type: 'both-added',
-            message: `File added in both branches with different content`
-          });
+      this._clearMergeState();
+    });
+
+    return {
+      branch: mergeState.branch,
+      head: mergeState.origHead
+    };
+  }
+
+  /**
+   * List the conflicts of the merge in progress
+   * @returns {Array} - [{file, type, resolved, base, ours, theirs}] (sides are {hash, binary, size} or null)
+   */
+  getConflicts() {
+    const mergeState = this.getMergeState();
+    if (!mergeState) {
+      throw new Error('No merge in progress');
+    }
+
+    return Object.entries(mergeState.sides || {}).map(([file, side]) => ({
+      file,
+      type: side.type,
+      resolved: !mergeState.conflicts.includes(file),
+      base: side.base,
+      ours: side.ours,
+      theirs: side.theirs
+    }));
+  }
+
+  /**
+   * Resolve one conflicted file of the merge in progress
+   * Picking a side that doesn't have the file resolves the conflict as a deletion.
+   * @param {string} fileName - Conflicted file
+   * @param {string|Object} resolution - 'ours', 'theirs', 'base' or {content}
+   * @returns {Object} - {file, resolution, deleted, remaining}
+   */
+  resolveConflict(fileName, resolution) {
+    const mergeState = this.getMergeState();
+    if (!mergeState) {
+      throw new Error('No merge in progress');
+    }
+
+    const side = (mergeState.sides || {})[fileName];
+    if (!side) {
+      throw new Error(`'${fileName}' is not a conflicted file`);
+    }
+
+    let resolutionName;
+    let deleted = false;
+
+    if (resolution && typeof resolution === 'object' && resolution.content !== undefined) {
+      resolutionName = 'content';
+      this.addFile(fileName, resolution.content);
+    } else if (['ours', 'theirs', 'base'].includes(resolution)) {
+      resolutionName = resolution;
+      const entry = side[resolution];
+
+      if (entry) {
+        this.stagingArea.set(fileName, { hash: entry.hash, binary: entry.binary, size: entry.size });
+        this.removedFiles.delete(fileName);
+      } else {
+        // The chosen side doesn't have the file
+        this.stagingArea.delete(fileName);
+        if (side.ours) {
+          this.removedFiles.add(fileName);
         }
-      } else if (baseEntry && !currentEntry && !targetEntry) {
-        // File deleted in both - remove it
-        continue;
-      } else if (baseEntry && !currentEntry && targetEntry) {
-        // File deleted in current, modified in target
-        if (baseEntry.hash === targetEntry.hash) {
-          // File unchanged in target, deleted in current - delete it
-          continue;
-        } else {
-          // Conflict: deleted in current, modified in target
-          conflicts.push({
-            file: fileName,
-            type: 'deleted-modified',
-            message: `File deleted in current branch but modified in target`
+        deleted = true;
+      }
+
+      this._markConflictResolved(fileName);
+      this._saveStagingArea();
+    } else {
+      throw new Error(`Invalid resolution: ${resolution}. Use 'ours', 'theirs', 'base' or {content}`);
+    }
+
+    return {
+      file: fileName,
+      resolution: resolutionName,
+      deleted,
+      remaining: this.getMergeState().conflicts
+    };
+  }
+
+  /**
+   * Record a conflicted merge: stage the merged result, write conflict
+   * markers into conflicted text files and persist MERGE_HEAD
+   * Cherry-pick, revert and rebase reuse this state with options.operation;
+   * their conclusion is a single-parent commit.
+   * @private
+   * @param {Object} options - {operation: 'merge'|'cherry-pick'|'revert'|'rebase', message,
+   *   author: {name, email, timestamp} to commit as instead of the configured author}
+   */
+  _startConflictedMerge(currentHead, targetHead, branchName, mergedEntries, conflicts, trees, options = {}) {
+    const currentBranch = this.getCurrentBranch();
+    const savedStaging = {
+      files: Object.fromEntries(this.stagingArea),
+      removed: Array.from(this.removedFiles)
+    };
+    const conflictedPaths = conflicts.map(conflict => conflict.file);
+
+    this.store.transaction(() => {
+      this.stagingArea.clear();
+      this.removedFiles.clear();
+
+      // Stage cleanly merged files that differ from HEAD
+      const mergedNames = new Set();
+      for (const entry of mergedEntries) {
+        mergedNames.add(entry.name);
+        const currentEntry = trees.currentFiles.get(entry.name);
+        if (!currentEntry || currentEntry.hash !== entry.hash) {
+          this.stagingArea.set(entry.name, {
+            hash: entry.hash,
+            binary: entry.binary || false,
+            size: entry.size
           });
         }
-      } else if (baseEntry && currentEntry && !targetEntry) {
-        // File modified in current, deleted in target
-        if (baseEntry.hash === currentEntry.hash) {
-          // File unchanged in current, deleted in target - delete it
-          continue;
-        } else {
-          // Conflict: modified in current, deleted in target
-          conflicts.push({
-            file: fileName,
-            type: 'modified-deleted',
-            message: `File modified in current branch but deleted in target`
-          });
+      }
+
+      // Files the merge deletes
+      for (const fileName of trees.currentFiles.keys()) {
+        if (!mergedNames.has(fileName) && !conflictedPaths.includes(fileName)) {
+          this.removedFiles.add(fileName);
         }
-      } else if (baseEntry && currentEntry && targetEntry) {
-        // File exists in all three
-        if (currentEntry.hash === targetEntry.hash) {
-          // Both branches have same content
-          mergedEntries.push(currentEntry);
-        } else if (baseEntry.hash === currentEntry.hash) {
-          // File unchanged in current, modified in target
-          mergedEntries.push(targetEntry);
-        } else if (baseEntry.hash === targetEntry.hash) {
-          // File unchanged in target, modified in current
-          mergedEntries.push(currentEntry);
-        } else {
-          // File modified in both branches - conflict
-          conflicts.push({
-            file: fileName,
-            type: 'both-modified',
-            message: `File modified in both branches`
-          });
+      }
+
+      // Conflicted files get marker content where possible
+      for (const fileName of conflictedPaths) {
+        const entry = this._conflictedStagingEntry(
+          trees.baseFiles.get(fileName),
+          trees.currentFiles.get(fileName),
+          trees.targetFiles.get(fileName),
+          currentBranch,
+          branchName
+        );
+        if (entry) {
+          this.stagingArea.set(fileName, entry);
         }
       }
-    }
 
-    // If there are conflicts, throw an error to trigger conflict handling
-    if (conflicts.length > 0) {
-      const error = new Error('Merge conflicts detected');
-      error.conflicts = conflicts;
-      throw error;
+      this._saveStagingArea();
+
+      // Remember each side of every conflict for per-file resolution
+      const sideInfo = entry => entry
+        ? { hash: entry.hash, binary: entry.binary || false, size: entry.size }
+        : null;
+      const sides = {};
+      for (const conflict of conflicts) {
+        sides[conflict.file] = {
+          type: conflict.type,
+          base: sideInfo(trees.baseFiles.get(conflict.file)),
+          ours: sideInfo(trees.currentFiles.get(conflict.file)),
+          theirs: sideInfo(trees.targetFiles.get(conflict.file))
+        };
+      }
+
+      this.store.setMeta('MERGE_HEAD', targetHead);
+      this.store.setMeta('merge_state', JSON.stringify({
+        branch: currentBranch,
+        origHead: currentHead,
+        mergeBranch: branchName,
+        operation: options.operation || 'merge',
+        message: options.message || `Merge branch '${branchName}' into ${currentBranch}`,
+        author: options.author || null,
+        conflicts: conflictedPaths,
+        sides,
+        savedStaging
+      }));
+    });
+  }
+
+  /**
+   * Staging entry for a conflicted file
+   * Text modified on both sides gets conflict markers; a file deleted on the
+   * current side is restored from the incoming side; otherwise HEAD is kept.
+   * @private
+   * @returns {Object|null} - Staging entry or null to keep the HEAD version
+   */
+  _conflictedStagingEntry(baseEntry, currentEntry, targetEntry, oursLabel, theirsLabel) {
+    if (!currentEntry) {
+      return targetEntry
+        ? { hash: targetEntry.hash, binary: targetEntry.binary || false, size: targetEntry.size }
+        : null;
     }
-    if (this.debugMode) {
-      console.log(`🔍 Merge successful: ${mergedEntries.length} files in result`);
+
+    if (!targetEntry || currentEntry.binary || targetEntry.binary || (baseEntry && baseEntry.binary)) {
+      return null;
     }
 
-    // Create merged tree
-    const mergedTreeHash = storeTree(mergedEntries, this.store);
+    const result = mergeText(
+      baseEntry ? getBlob(baseEntry.hash, this.store) : null,
+      getBlob(currentEntry.hash, this.store),
+      getBlob(targetEntry.hash, this.store),
+      { oursLabel, theirsLabel }
+    );
+    const stored = storeBlob(result.content, this.store);
+    return { hash: stored.hash, binary: false, size: result.content.length };
+  }
 
-    // In preview mode, don't create actual commit or update references
-    if (isPreview) {
-      return 'preview-merge-success'; // Placeholder to indicate merge would succeed
+  /**
+   * Remove a path from the unresolved conflicts of the merge in progress
+   * @private
+   */
+  _markConflictResolved(fileName) {
+    const stateData = this.store.getMeta('merge_state');
+    if (!stateData) {
+      return;
     }
 
-    // Create merge commit with both parents
-    const mergeMessage = `Merge branch '${branchName}' into ${this.getCurrentBranch()}`;
-    const mergeCommitHash = createCommit(
-      mergedTreeHash,
-      mergeMessage,
-      this.store.getMeta('author.name') || 'Unknown',
-      this.store.getMeta('author.email') || 'unknown@example.com',
-      [currentHead, targetHead],  // Both parents for proper merge commit
-      this.store
-    );
+    const state = JSON.parse(stateData);
+    if (state.conflicts.includes(fileName)) {
+      state.conflicts = state.conflicts.filter(path => path !== fileName);
+      this.store.setMeta('merge_state', JSON.stringify(state));
+    }
+  }
 
-    // Update current branch to point to merge commit
-    const currentBranch = this.getCurrentBranch();
-    this.store.setRef(`refs/heads/${currentBranch}`, mergeCommitHash, 'branch');
+  /**
+   * Summary of the merge in progress for status()
+   * @private
+   */
+  _mergeStatus() {
+    const mergeState = this.getMergeState();
+    return mergeState
+      ? {
+        branch: mergeState.mergeBranch,
+        head: mergeState.mergeHead,
+        operation: mergeState.operation || 'merge',
+        conflicts: mergeState.conflicts
+      }
+      : null;
+  }
 
-    return mergeCommitHash;
+  /**
+   * Forget the merge in progress
+   * @private
+   */
+  _clearMergeState() {
+    this.store.removeMeta('MERGE_HEAD');
+    this.store.removeMeta('merge_state');
   }
 
   /**
@@ -1508,10 +4426,15 @@ class ContentAddressedRepo {
   forceMerge(branchName, strategy = 'accept_all_target') {
     const { findMergeBase, getCommit, getTree, storeTree, createCommit } = require('./objects');
 
+    if (this.getMergeState()) {
+      throw new Error('A merge is already in progress. Resolve conflicts with resolveConflict() or use merge --abort');
+    }
+
     // Get current and target branch heads
     const currentBranch = this.getCurrentBranch();
     const currentHead = this.getCurrentHead();
-    const targetRef = this.store.getRef(`refs/heads/${branchName}`);
+    // Remote-tracking branches ('origin/main') can be merged like local ones
+    const targetRef = this.store.getRef(`refs/heads/${branchName}`) || this.store.getRef(`refs/remotes/${branchName}`);
 
     if (!targetRef || !targetRef.hash) {
       throw new Error(`Branch '${branchName}' not found`);
@@ -1634,7 +4557,7 @@ class ContentAddressedRepo {
     );
 
     // Update current branch to point to merge commit
-    this.store.setRef(`refs/heads/${currentBranch}`, mergeCommitHash, 'branch');
+    this.store.setRef(`refs/heads/${currentBranch}`, mergeCommitHash, 'branch', `merge ${branchName}: forced (${strategy})`);
 
     return {
       type: 'force-merge',
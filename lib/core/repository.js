@@ -6,6 +6,8 @@
 const { storeFile, getFile } = require('./file-storage');
 const { storeTree, getTree, createCommit, getCommit, getCommitHistory } = require('./objects');
 const { diffFiles } = require('./diff');
+const { mergeText } = require('./merge');
+const { isBinary } = require('./utils');
 const { areFilesEqual, generateAddDiff, generateModifyDiff, generateDeleteDiff } = require('./repo-utils');
 const { createLogger } = require('./logger');
 
@@ -854,12 +856,27 @@ class Repository {
           // Same modification - no conflict
           return { file: fileName, content: currentFile };
         } else {
-          // Different modifications - conflict
+          // Different modifications - merge line by line unless binary
+          if (isBinary(baseFile) || isBinary(currentFile) || isBinary(sourceFile)) {
+            return {
+              file: fileName,
+              conflict: true,
+              type: 'both-modified',
+              message: `'${fileName}' modified differently in both branches`,
+              regions: []
+            };
+          }
+
+          const merged = mergeText(baseFile, currentFile, sourceFile);
+          if (merged.clean) {
+            return { file: fileName, content: merged.content };
+          }
           return {
             file: fileName,
             conflict: true,
             type: 'both-modified',
-            message: `'${fileName}' modified differently in both branches`
+            message: `'${fileName}' modified differently in both branches`,
+            regions: merged.conflicts
           };
         }
       } else if (currentChanged) {
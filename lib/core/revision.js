@@ -0,0 +1,127 @@
+/**
+ * Revision expressions
+ * Parses the commit-naming syntax shared by every command that takes a commit:
+ * a base name (HEAD, @, branch, tag or hash prefix), an optional @{n} reflog
+ * selector and any chain of ~n / ^n ancestry steps, plus A..B and A...B ranges,
+ * and the dates that limit history by time. Resolution against the object
+ * store lives in the repository.
+ */
+
+const REVISION_PATTERN = /^(.*?)(?:@\{(\d+)\})?((?:[~^]\d*)*)$/;
+const MIN_ABBREV_LENGTH = 4;
+const RELATIVE_DATE_PATTERN = /^(\d+)[ .]?(second|minute|hour|day|week|month|year)s?(?:[ .]ago)?$/i;
+const UNIT_SECONDS = {
+  second: 1,
+  minute: 60,
+  hour: 3600,
+  day: 86400,
+  week: 7 * 86400,
+  month: 30 * 86400,
+  year: 365 * 86400
+};
+
+/**
+ * Parse a single revision expression
+ * @param {string} spec - e.g. 'HEAD~2', 'main^2', 'v1.0', 'abc1234', 'main@{1}'
+ * @returns {Object|null} - {name, reflog, steps: [{type: '~'|'^', count}]}, or null if malformed.
+ *   name is '' for a bare @{n} (the current branch); reflog is null when absent.
+ */
+function parseRevision(spec) {
+  if (typeof spec !== 'string' || spec === '') {
+    return null;
+  }
+
+  const match = spec.match(REVISION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, rawName, reflog, suffix] = match;
+  const name = rawName === '@' ? 'HEAD' : rawName;
+  if (!name && reflog === undefined) {
+    return null;
+  }
+  if (/[~^:\s]|\.\.|@\{/.test(name)) {
+    return null;
+  }
+
+  const steps = (suffix.match(/[~^]\d*/g) || []).map(step => ({
+    type: step[0],
+    count: step.length > 1 ? parseInt(step.substring(1)) : 1
+  }));
+
+  return {
+    name,
+    reflog: reflog === undefined ? null : parseInt(reflog),
+    steps
+  };
+}
+
+/**
+ * Parse a revision range
+ * 'A..B' selects commits reachable from B but not A; 'A...B' selects commits
+ * reachable from either side but not both. An omitted side means HEAD.
+ * @param {string} spec - Range expression
+ * @returns {Object|null} - {from, to, symmetric}, or null if spec is not a range
+ */
+function parseRange(spec) {
+  if (typeof spec !== 'string') {
+    return null;
+  }
+
+  const symmetric = spec.includes('...');
+  const separator = symmetric ? '...' : '..';
+  const index = spec.indexOf(separator);
+  if (index === -1) {
+    return null;
+  }
+
+  return {
+    from: spec.substring(0, index) || 'HEAD',
+    to: spec.substring(index + separator.length) || 'HEAD',
+    symmetric
+  };
+}
+
+/**
+ * Check whether a name could be an abbreviated object hash
+ * @param {string} name - Revision base name
+ * @returns {boolean}
+ */
+function isHashPrefix(name) {
+  return new RegExp(`^[0-9a-f]{${MIN_ABBREV_LENGTH},64}$`, 'i').test(name);
+}
+
+/**
+ * Parse a date used to limit history (log --since/--until)
+ * Accepts a Unix timestamp in seconds, a relative age such as '2 weeks ago'
+ * or '3.days', and anything Date.parse understands ('2024-05-01', ISO 8601).
+ * @param {string} spec - Date expression
+ * @param {number} now - Current time in seconds (for relative ages)
+ * @returns {number} - Unix timestamp in seconds
+ */
+function parseDate(spec, now = Math.floor(Date.now() / 1000)) {
+  const text = String(spec).trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text);
+  }
+
+  const relative = text.match(RELATIVE_DATE_PATTERN);
+  if (relative) {
+    return now - parseInt(relative[1]) * UNIT_SECONDS[relative[2].toLowerCase()];
+  }
+
+  const parsed = Date.parse(text);
+  if (isNaN(parsed)) {
+    throw new Error(`Invalid date: ${spec}`);
+  }
+  return Math.floor(parsed / 1000);
+}
+
+module.exports = {
+  parseRevision,
+  parseRange,
+  isHashPrefix,
+  parseDate,
+  MIN_ABBREV_LENGTH
+};
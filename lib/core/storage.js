@@ -6,6 +6,8 @@
 const zlib = require('zlib');
 const { hashData } = require('./utils');
 const { createDelta, applyDelta, isDeltaWorthwhile, serializeDelta, deserializeDelta } = require('./delta');
+const { MIGRATIONS, SCHEMA_VERSION } = require('./migrations');
+const { MAX_DELTA_CHAIN_DEPTH } = require('./constants');
 
 // SQLite database instance - will be injected
 let Database;
@@ -20,7 +22,13 @@ if (typeof window === 'undefined' && typeof global !== 'undefined') {
 }
 
 class ContentAddressedStore {
-  constructor(dbPath = 'webdvcs.sqlite', DatabaseConstructor = null) {
+  /**
+   * @param {string|Uint8Array} dbPath - Database path (or sql.js data)
+   * @param {Function} DatabaseConstructor - better-sqlite3 compatible constructor
+   * @param {Object} options - {migrate}: false opens without running pending migrations,
+   *   leaving only the schema methods usable until migrate() is called
+   */
+  constructor(dbPath = 'webdvcs.sqlite', DatabaseConstructor = null, options = {}) {
     this.dbPath = dbPath;
 
     // Use injected Database constructor or default
@@ -32,61 +40,80 @@ class ContentAddressedStore {
 
     // Initialize database with injected or default constructor
     this.db = new DbConstructor(dbPath);
-    this.initSchema();
-    this.prepareStatements();
-  }
-
-  initSchema() {
-    // NO foreign key constraints - pure content addressing
-    this.db.exec(`
-      -- Pure content-addressed object storage
-      CREATE TABLE IF NOT EXISTS objects (
-        hash TEXT PRIMARY KEY,           -- SHA-256 content hash
-        type TEXT NOT NULL,              -- 'blob', 'tree', 'commit'
-        size INTEGER NOT NULL,           -- Uncompressed size
-        data BLOB NOT NULL,              -- Compressed object data
-        compression TEXT DEFAULT 'zlib', -- Compression algorithm
-        created_at INTEGER NOT NULL,
-        CHECK(length(hash) = 64)         -- SHA-256 = 64 chars
-      );
+    this.initSchema(options.migrate !== false);
+  }
 
-      -- Reference pointers (branches, tags)
-      CREATE TABLE IF NOT EXISTS refs (
-        name TEXT PRIMARY KEY,           -- 'refs/heads/main', 'refs/tags/v1.0'
-        hash TEXT NOT NULL,              -- Points to commit object hash
-        type TEXT DEFAULT 'branch',      -- 'branch', 'tag'
-        created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL,
-        CHECK(length(hash) = 64)
-      );
+  /**
+   * Check the recorded schema version and bring the database up to date
+   * @param {boolean} migrate - Apply pending migrations (false leaves them for migrate())
+   */
+  initSchema(migrate = true) {
+    const version = this.getSchemaVersion();
+    if (version > SCHEMA_VERSION) {
+      this.db.close();
+      throw new Error(`Repository schema version ${version} is newer than this WebDVCS supports (${SCHEMA_VERSION}). Upgrade WebDVCS to open it`);
+    }
 
-      -- Repository metadata
-      CREATE TABLE IF NOT EXISTS metadata (
-        key TEXT PRIMARY KEY,
-        value TEXT,
-        CHECK(length(key) > 0)
-      );
+    if (migrate) {
+      this.migrate();
+    }
+  }
 
-      -- Delta compression storage
-      CREATE TABLE IF NOT EXISTS deltas (
-        hash TEXT PRIMARY KEY,           -- Hash of the new (delta) object
-        base_hash TEXT NOT NULL,         -- Hash of the base object
-        delta_data BLOB NOT NULL,        -- Serialized delta operations
-        original_size INTEGER NOT NULL, -- Size of original data
-        delta_size INTEGER NOT NULL,    -- Size of delta
-        compression_ratio REAL,         -- Compression achieved
-        created_at INTEGER NOT NULL,
-        CHECK(length(hash) = 64),       -- SHA-256 = 64 chars
-        CHECK(length(base_hash) = 64)   -- SHA-256 = 64 chars
-      );
+  /**
+   * Get the schema version recorded in the database
+   * @returns {number} - 0 for an empty database, 1 for repositories created before versioning
+   */
+  getSchemaVersion() {
+    const hasObjects = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'objects'").get();
+    if (!hasObjects) {
+      return 0;
+    }
 
-      -- Performance indexes
-      CREATE INDEX IF NOT EXISTS idx_objects_type ON objects(type);
-      CREATE INDEX IF NOT EXISTS idx_objects_created ON objects(created_at);
-      CREATE INDEX IF NOT EXISTS idx_refs_updated ON refs(updated_at);
-      CREATE INDEX IF NOT EXISTS idx_deltas_base ON deltas(base_hash);
-      CREATE INDEX IF NOT EXISTS idx_deltas_created ON deltas(created_at);
-    `);
+    const hasMetadata = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'metadata'").get();
+    const row = hasMetadata ? this.db.prepare('SELECT value FROM metadata WHERE key = ?').get('schema_version') : null;
+    return row ? parseInt(row.value) : 1;
+  }
+
+  /**
+   * List migration steps the database has not run yet
+   * @returns {Array} - [{version, description}] in the order they will run
+   */
+  getPendingMigrations() {
+    const current = this.getSchemaVersion();
+    return MIGRATIONS
+      .filter(step => step.version > current)
+      .map(({ version, description }) => ({ version, description }));
+  }
+
+  /**
+   * Run pending migration steps in a single transaction
+   * @param {Object} options - {dryRun}: report the steps without running them
+   * @returns {Object} - {from, to, steps: [{version, description}], dryRun}
+   */
+  migrate(options = {}) {
+    const from = this.getSchemaVersion();
+    const steps = this.getPendingMigrations();
+    const dryRun = !!options.dryRun;
+
+    if (steps.length > 0 && !dryRun) {
+      this.transaction(() => {
+        for (const step of MIGRATIONS.filter(migration => migration.version > from)) {
+          step.up(this.db);
+        }
+        this.db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)').run('schema_version', String(SCHEMA_VERSION));
+      });
+    }
+
+    if (!dryRun) {
+      this.prepareStatements();
+    }
+
+    return {
+      from,
+      to: dryRun ? from : this.getSchemaVersion(),
+      steps,
+      dryRun
+    };
   }
 
   prepareStatements() {
@@ -96,6 +123,9 @@ class ContentAddressedStore {
     this.deleteObject = this.db.prepare('DELETE FROM objects WHERE hash = ?');
     this.listObjectsByType = this.db.prepare('SELECT hash, type, size, created_at FROM objects WHERE type = ? ORDER BY created_at DESC');
     this.countObjects = this.db.prepare('SELECT COUNT(*) as count FROM objects');
+    this.selectObjectsByPrefix = this.db.prepare('SELECT hash, type FROM objects WHERE hash LIKE ? ORDER BY hash');
+    this.selectObjectType = this.db.prepare('SELECT type FROM objects WHERE hash = ?');
+    this.selectAllObjectInfo = this.db.prepare('SELECT hash, type, size, compression FROM objects ORDER BY hash');
 
     // Reference operations
     this.insertRef = this.db.prepare('INSERT OR REPLACE INTO refs (name, hash, type, created_at, updated_at) VALUES (?, ?, ?, ?, ?)');
@@ -103,6 +133,13 @@ class ContentAddressedStore {
     this.deleteRef = this.db.prepare('DELETE FROM refs WHERE name = ?');
     this.selectAllRefs = this.db.prepare('SELECT * FROM refs ORDER BY name');
 
+    // Reflog operations
+    this.insertReflog = this.db.prepare('INSERT INTO reflog (ref_name, old_hash, new_hash, operation, author, created_at) VALUES (?, ?, ?, ?, ?, ?)');
+    this.selectReflog = this.db.prepare('SELECT * FROM reflog WHERE ref_name = ? ORDER BY id DESC');
+    this.selectAllReflog = this.db.prepare('SELECT * FROM reflog ORDER BY id DESC');
+    this.selectReflogSince = this.db.prepare('SELECT old_hash, new_hash FROM reflog WHERE created_at > ?');
+    this.deleteReflogBefore = this.db.prepare('DELETE FROM reflog WHERE created_at <= ?');
+
     // Metadata operations
     this.insertMeta = this.db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)');
     this.selectMeta = this.db.prepare('SELECT value FROM metadata WHERE key = ?');
@@ -115,6 +152,7 @@ class ContentAddressedStore {
     `);
     this.selectDelta = this.db.prepare('SELECT * FROM deltas WHERE hash = ?');
     this.deleteDelta = this.db.prepare('DELETE FROM deltas WHERE hash = ?');
+    this.selectAllDeltas = this.db.prepare('SELECT hash, base_hash, original_size, delta_size FROM deltas ORDER BY hash');
     this.selectObjectOrDelta = this.db.prepare(`
       SELECT o.hash, o.type, o.size, o.data, o.compression,
              d.base_hash, d.delta_data, d.original_size, d.delta_size
@@ -129,7 +167,7 @@ class ContentAddressedStore {
   /**
    * Store an object with automatic content addressing
    * @param {Uint8Array} content - Raw object content
-   * @param {string} type - Object type ('blob', 'tree', 'commit')
+   * @param {string} type - Object type ('blob', 'tree', 'commit', 'tag')
    * @param {string} compression - Compression algorithm ('zlib', 'none')
    * @returns {Object} - {hash, isNew}
    */
@@ -198,6 +236,19 @@ class ContentAddressedStore {
     }
 
     try {
+      // Reads replay every delta in the chain, so stop stacking at the cap
+      if (this.validateDeltaChain(baseHash, Infinity) >= MAX_DELTA_CHAIN_DEPTH) {
+        const result = this.storeObject(data, 'blob');
+        return {
+          hash: result.hash,
+          size: data.length,
+          usedDelta: false,
+          deltaSize: data.length,
+          compressionRatio: 0,
+          reason: 'delta_chain_too_deep'
+        };
+      }
+
       // Get base data for delta compression
       const baseObject = this.getObject(baseHash);
       if (!baseObject) {
@@ -377,12 +428,12 @@ class ContentAddressedStore {
    * @param {number} maxDepth - Maximum allowed chain depth
    * @returns {number} Actual chain depth
    */
-  validateDeltaChain(hash, maxDepth = 10) {
+  validateDeltaChain(hash, maxDepth = MAX_DELTA_CHAIN_DEPTH) {
     const visited = new Set();
     let currentHash = hash;
     let depth = 0;
 
-    while (currentHash && depth < maxDepth) {
+    while (currentHash && depth <= maxDepth) {
       if (visited.has(currentHash)) {
         throw new Error(`Circular delta chain detected: ${currentHash}`);
       }
@@ -395,7 +446,7 @@ class ContentAddressedStore {
       depth++;
     }
 
-    if (depth >= maxDepth) {
+    if (depth > maxDepth) {
       throw new Error(`Delta chain too deep (>${maxDepth}): possible infinite loop`);
     }
 
@@ -477,15 +528,110 @@ class ContentAddressedStore {
   }
 
   /**
-   * Delete an object
+   * Read the stored delta of a blob without rebuilding it
+   * @param {string} hash - Blob hash
+   * @returns {Object|null} - {hash, baseHash, delta, size}: serialized delta and full size, or null if stored in full
+   */
+  getDelta(hash) {
+    const row = this.selectDelta.get(hash);
+    if (!row) return null;
+    return {
+      hash,
+      baseHash: row.base_hash,
+      delta: new Uint8Array(row.delta_data),
+      size: row.original_size
+    };
+  }
+
+  /**
+   * Look up an object's type without reading its data
+   * @param {string} hash - Object hash
+   * @returns {string|null} - Object type, or null if not stored
+   */
+  getObjectType(hash) {
+    const row = this.selectObjectType.get(hash);
+    return row ? row.type : null;
+  }
+
+  /**
+   * Find objects whose hash starts with a prefix
+   * @param {string} prefix - Hex hash prefix
+   * @returns {Array} - [{hash, type}] sorted by hash
+   */
+  findObjectsByPrefix(prefix) {
+    if (!/^[0-9a-f]+$/i.test(prefix)) {
+      return [];
+    }
+    return this.selectObjectsByPrefix.all(`${prefix.toLowerCase()}%`);
+  }
+
+  /**
+   * List every stored object without reading its data
+   * Delta-compressed blobs appear with type 'delta'.
+   * @returns {Array} - [{hash, type, size, compression}] sorted by hash
+   */
+  listObjects() {
+    return this.selectAllObjectInfo.all();
+  }
+
+  /**
+   * List every row of the deltas table
+   * @returns {Array} - [{hash, base_hash, original_size, delta_size}] sorted by hash
+   */
+  listDeltas() {
+    return this.selectAllDeltas.all();
+  }
+
+  /**
+   * Rewrite how a blob is stored without changing its content
+   * Used by repack: the hash stays the same while the blob moves between a
+   * full object and a delta against another blob.
+   * @param {string} hash - Blob hash
+   * @param {Uint8Array} data - Blob content
+   * @param {string|null} baseHash - Base blob, or null to store in full
+   * @param {Uint8Array|null} delta - Serialized delta from the base to data
+   */
+  rewriteBlob(hash, data, baseHash = null, delta = null) {
+    this.deleteDelta.run(hash);
+    this.deleteObject.run(hash);
+
+    if (!baseHash) {
+      this.storeObject(data, 'blob');
+      return;
+    }
+
+    this.insertObject.run(hash, 'delta', data.length, new Uint8Array(0), 'none', Date.now());
+    this.insertDelta.run(
+      hash,
+      baseHash,
+      delta,
+      data.length,
+      delta.length,
+      ((data.length - delta.length) / data.length) * 100,
+      Math.floor(Date.now() / 1000)
+    );
+  }
+
+  /**
+   * Delete an object, including its delta data
    * @param {string} hash - Object hash
    * @returns {boolean} - True if deleted
    */
   removeObject(hash) {
     const result = this.deleteObject.run(hash);
+    this.deleteDelta.run(hash);
     return result.changes > 0;
   }
 
+  /**
+   * Delete delta data whose object entry is gone
+   * @param {string} hash - Object hash
+   * @returns {boolean} - True if deleted
+   */
+  removeDelta(hash) {
+    return this.deleteDelta.run(hash).changes > 0;
+  }
+
   // Reference operations
 
   /**
@@ -493,13 +639,18 @@ class ContentAddressedStore {
    * @param {string} name - Reference name (e.g., 'refs/heads/main')
    * @param {string} hash - Target object hash
    * @param {string} type - Reference type ('branch', 'tag')
+   * @param {string} operation - Reflog description of the move (e.g. 'commit', 'reset: moving to HEAD~1')
    */
-  setRef(name, hash, type = 'branch') {
+  setRef(name, hash, type = 'branch', operation = 'update') {
     const now = Date.now();
     const existing = this.selectRef.get(name);
     const createdAt = existing ? existing.created_at : now;
 
     this.insertRef.run(name, hash, type, createdAt, now);
+
+    if (!existing || existing.hash !== hash) {
+      this._logRefChange(name, existing ? existing.hash : null, hash, operation, now);
+    }
   }
 
   /**
@@ -515,13 +666,73 @@ class ContentAddressedStore {
   /**
    * Delete a reference
    * @param {string} name - Reference name
+   * @param {string} operation - Reflog description of the deletion
    * @returns {boolean} - True if deleted
    */
-  removeRef(name) {
+  removeRef(name, operation = 'delete') {
+    const existing = this.selectRef.get(name);
     const result = this.deleteRef.run(name);
+
+    if (existing && result.changes > 0) {
+      this._logRefChange(name, existing.hash, null, operation, Date.now());
+    }
     return result.changes > 0;
   }
 
+  /**
+   * Append a reflog entry attributed to the configured author
+   * Only the first line of a description (e.g. a commit subject) is kept.
+   * @private
+   */
+  _logRefChange(name, oldHash, newHash, operation, timestamp) {
+    const authorName = this.getMeta('author.name');
+    const authorEmail = this.getMeta('author.email');
+    const author = authorName ? `${authorName}${authorEmail ? ` <${authorEmail}>` : ''}` : null;
+
+    this.insertReflog.run(name, oldHash, newHash, (operation || '').split('\n')[0], author, timestamp);
+  }
+
+  /**
+   * Get reflog entries, newest first
+   * @param {string} name - Reference name, or null for every ref
+   * @returns {Array} - [{id, ref, oldHash, newHash, operation, author, timestamp}]
+   */
+  getReflog(name = null) {
+    const rows = name ? this.selectReflog.all(name) : this.selectAllReflog.all();
+    return rows.map(row => ({
+      id: row.id,
+      ref: row.ref_name,
+      oldHash: row.old_hash,
+      newHash: row.new_hash,
+      operation: row.operation,
+      author: row.author,
+      timestamp: row.created_at
+    }));
+  }
+
+  /**
+   * Hashes recorded in reflog entries newer than a cutoff
+   * @param {number} since - Cutoff timestamp in milliseconds (exclusive)
+   * @returns {Set} - Old and new hashes of the retained entries
+   */
+  getReflogHashes(since = 0) {
+    const hashes = new Set();
+    for (const row of this.selectReflogSince.all(since)) {
+      if (row.old_hash) hashes.add(row.old_hash);
+      if (row.new_hash) hashes.add(row.new_hash);
+    }
+    return hashes;
+  }
+
+  /**
+   * Drop reflog entries at or before a cutoff
+   * @param {number} before - Cutoff timestamp in milliseconds (inclusive)
+   * @returns {number} - Number of entries removed
+   */
+  expireReflog(before) {
+    return this.deleteReflogBefore.run(before).changes;
+  }
+
   /**
    * List all references
    * @returns {Array} - Array of reference objects
@@ -575,10 +786,21 @@ class ContentAddressedStore {
       dbPath: this.dbPath,
       objects: objectCount,
       refs: refCount,
+      schemaVersion: this.getSchemaVersion(),
       dbSize: this.db.prepare("SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()").get().size
     };
   }
 
+  /**
+   * Bytes stored for object and delta data (before SQLite page overhead)
+   * @returns {Object} - {objects, deltas, total}
+   */
+  getStoredSize() {
+    const objects = this.db.prepare('SELECT COALESCE(SUM(LENGTH(data)), 0) AS size FROM objects').get().size;
+    const deltas = this.db.prepare('SELECT COALESCE(SUM(LENGTH(delta_data)), 0) AS size FROM deltas').get().size;
+    return { objects, deltas, total: objects + deltas };
+  }
+
   /**
    * Execute a function in a transaction
    * @param {Function} fn - Function to execute
@@ -598,5 +820,5 @@ class ContentAddressedStore {
 
 module.exports = {
   ContentAddressedStore,
-  initStore: (dbPath, DatabaseConstructor) => new ContentAddressedStore(dbPath, DatabaseConstructor)
+  initStore: (dbPath, DatabaseConstructor, options) => new ContentAddressedStore(dbPath, DatabaseConstructor, options)
 };
\ No newline at end of file
@@ -0,0 +1,580 @@
+/**
+ * Repository Synchronisation
+ * Incremental fetch and push between two repositories. The serving side
+ * advertises its branch and tag heads; the requesting side answers with the
+ * heads it wants and the commits it already has, and only objects reachable
+ * from the wants but not from those commits travel. Blobs stored as deltas
+ * go as deltas when the receiver has, or is sent, their base.
+ *
+ * Requests and responses are plain JSON-safe objects, so any transport that
+ * can carry one request and return one response works:
+ *   {type: 'advertise'}                      -> {version, head, refs: [{name, hash}]}
+ *   {type: 'fetch', wants, haves}            -> {objects: pack}
+ *   {type: 'push', objects: pack, updates}   -> {stored, updated, rejected}
+ * A pack is a list of {hash, type, data} or {hash, type, base, delta, size}
+ * entries with binary fields base64-encoded.
+ */
+
+const { getCommit, getTag, readTree, findMergeBase, TREE_FORMAT_HEADER } = require('./objects');
+const { getManifest, MANIFEST_HEADER } = require('./chunking');
+const { applyDelta, deserializeDelta } = require('./delta');
+const { hashData } = require('./utils');
+const { ContentAddressedStore } = require('./storage');
+const { MAX_DELTA_CHAIN_DEPTH } = require('./constants');
+
+const SYNC_PROTOCOL_VERSION = 1;
+
+// Local remotes are database files, which only Node can check for
+let fs = null;
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  try {
+    fs = require('fs');
+  } catch (error) {
+    // Paths are left for the database constructor to open
+  }
+}
+
+/**
+ * Walk the object graph from roots, without reading blob or chunk content
+ * @param {ContentAddressedStore} store - Storage instance
+ * @param {Array} roots - Hashes to start from
+ * @param {Set} stop - Hashes not to enter (the other side has them)
+ * @returns {Array} - Reachable hashes in discovery order
+ */
+function walkObjects(store, roots, stop = new Set()) {
+  const seen = new Set();
+  const order = [];
+  const queue = roots.slice();
+
+  for (let next = 0; next < queue.length; next++) {
+    const hash = queue[next];
+    if (!hash || seen.has(hash) || stop.has(hash)) continue;
+    seen.add(hash);
+
+    const type = store.getObjectType(hash);
+    if (!type) {
+      throw new Error(`Object ${hash.substring(0, 8)} not found`);
+    }
+    order.push(hash);
+
+    if (type === 'commit') {
+      const commit = getCommit(hash, store);
+      queue.push(commit.tree, ...commit.parents);
+    } else if (type === 'tag') {
+      queue.push(getTag(hash, store).object);
+    } else if (type === 'tree') {
+      for (const entry of readTree(hash, store)) {
+        queue.push(entry.hash);
+      }
+    } else if (type === 'manifest') {
+      for (const chunk of getManifest(hash, store).chunks) {
+        queue.push(chunk.hash);
+      }
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Split the history behind wants into commits the other side lacks and commits it has
+ * Walks newest first from wants and haves together, marking everything behind a
+ * have as common, and stops once only common commits are left to visit, so
+ * history older than the new commits is never read.
+ * @param {ContentAddressedStore} store - Storage instance
+ * @param {Array} wants - Commit hashes to send
+ * @param {Array} haves - Commit hashes the other side has
+ * @returns {Object} - {missing: [hashes] newest first, common: Set of commits known to be on the other side}
+ */
+function negotiateCommits(store, wants, haves) {
+  const common = new Set();
+  const visited = new Set();
+  const missing = [];
+  // Max-heap on timestamp; ties keep insertion order
+  const heap = [];
+  let order = 0;
+  let interesting = 0;
+
+  const newer = (a, b) => a.timestamp > b.timestamp || (a.timestamp === b.timestamp && a.order < b.order);
+  const push = (hash, isCommon) => {
+    if (isCommon) {
+      if (common.has(hash)) return;
+      common.add(hash);
+    } else if (common.has(hash) || visited.has(hash)) {
+      return;
+    }
+    const commit = getCommit(hash, store);
+    if (!commit) {
+      throw new Error(`Object ${hash.substring(0, 8)} not found`);
+    }
+    const item = { commit, common: isCommon, timestamp: commit.timestamp || 0, order: order++ };
+    if (!isCommon) interesting++;
+    heap.push(item);
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (!newer(heap[i], heap[parent])) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let largest = i;
+        if (left < heap.length && newer(heap[left], heap[largest])) largest = left;
+        if (right < heap.length && newer(heap[right], heap[largest])) largest = right;
+        if (largest === i) break;
+        [heap[i], heap[largest]] = [heap[largest], heap[i]];
+        i = largest;
+      }
+    }
+    return top;
+  };
+
+  haves.forEach(hash => push(hash, true));
+  wants.forEach(hash => push(hash, false));
+
+  while (interesting > 0) {
+    const item = pop();
+    const { commit } = item;
+    if (!item.common) {
+      interesting--;
+      if (common.has(commit.hash) || visited.has(commit.hash)) continue;
+      visited.add(commit.hash);
+      missing.push(commit.hash);
+    }
+    commit.parents.forEach(parent => push(parent, item.common));
+  }
+
+  // A commit reached from a want before a have got to it (clock skew) is still common
+  return { missing: missing.filter(hash => !common.has(hash)), common };
+}
+
+/**
+ * Collect the objects the other side is missing
+ * Objects already in the trees of the common commits the new history builds
+ * on are left out; older objects that reappear are sent again, which the
+ * receiver skips.
+ * @param {ContentAddressedStore} store - Storage instance
+ * @param {Array} wants - Commit or tag hashes the other side asked for
+ * @param {Array} haves - Commit hashes the other side already has; unknown ones are ignored
+ * @returns {Array} - Pack entries with raw Uint8Array data
+ */
+function buildPack(store, wants, haves = []) {
+  const tags = [];
+  const wantCommits = [];
+  const otherWants = [];
+  for (const want of wants) {
+    let hash = want;
+    while (store.getObjectType(hash) === 'tag') {
+      tags.push(hash);
+      hash = getTag(hash, store).object;
+    }
+    if (store.getObjectType(hash) === 'commit') {
+      wantCommits.push(hash);
+    } else {
+      otherWants.push(hash);
+    }
+  }
+
+  const { missing: missingCommits, common: commonCommits } = negotiateCommits(
+    store, wantCommits, haves.filter(hash => store.getObjectType(hash) === 'commit'));
+
+  // Common commits the new ones build on: the other side has their whole trees
+  const sendingCommits = new Set(missingCommits);
+  const edges = new Set();
+  for (const hash of missingCommits) {
+    getCommit(hash, store).parents.filter(parent => !sendingCommits.has(parent)).forEach(parent => edges.add(parent));
+  }
+  const common = new Set(walkObjects(store, Array.from(edges, hash => getCommit(hash, store).tree)));
+  commonCommits.forEach(hash => common.add(hash));
+
+  const missing = walkObjects(store, [...tags, ...missingCommits, ...otherWants], common);
+  const sending = new Set(missing);
+
+  return missing.map(hash => {
+    const delta = store.getDelta(hash);
+    if (delta && (common.has(delta.baseHash) || sending.has(delta.baseHash))) {
+      return { hash, type: 'blob', base: delta.baseHash, delta: delta.delta, size: delta.size };
+    }
+
+    const obj = store.getObject(hash);
+    return { hash, type: obj.type, data: obj.data };
+  });
+}
+
+// Types a pack entry may claim; delta-compressed blobs travel as base and delta fields
+const PACK_OBJECT_TYPES = ['commit', 'tree', 'blob', 'tag', 'manifest', 'chunk'];
+const HASH = /^[0-9a-f]{64}$/;
+
+/**
+ * Check received content is well-formed for the type it claims
+ * Readers trust the stored type, so a blob sent as a commit must not be
+ * stored as one. Blobs and chunks may hold any bytes.
+ * @param {string} type - Claimed object type
+ * @param {Uint8Array} data - Object content
+ * @returns {boolean} - True if the content can be an object of that type
+ */
+function matchesObjectType(type, data) {
+  if (type === 'blob' || type === 'chunk') return true;
+  if (!PACK_OBJECT_TYPES.includes(type)) return false;
+
+  let lines;
+  try {
+    lines = new TextDecoder('utf-8', { fatal: true }).decode(data).split('\n');
+  } catch (error) {
+    return false;
+  }
+  const field = (line, name) => line.startsWith(`${name} `) && HASH.test(line.substring(name.length + 1));
+
+  if (type === 'commit') {
+    // Older commits end with a single "message ..." header instead of a body
+    const headerEnd = lines.findIndex(line => line === '' || line.startsWith('message '));
+    const headers = headerEnd === -1 ? lines : lines.slice(0, headerEnd);
+    return field(headers[0], 'tree') && headers.filter(line => line.startsWith('parent ')).every(line => field(line, 'parent'));
+  }
+  if (type === 'tag') {
+    const typeLine = lines.find(line => line.startsWith('type '));
+    return field(lines[0], 'object') && (!typeLine || PACK_OBJECT_TYPES.includes(typeLine.substring(5)));
+  }
+  if (type === 'tree') {
+    const nested = lines[0] === TREE_FORMAT_HEADER;
+    return (nested ? lines.slice(1) : lines).filter(line => line.trim()).every(line => {
+      const fields = nested ? line.split('\t') : line.split(' ');
+      return (nested ? fields.length === 8 : fields.length >= 4) && (fields[2] === '' || HASH.test(fields[2]));
+    });
+  }
+
+  // manifest
+  if (lines[0] !== MANIFEST_HEADER) return false;
+  let size = null;
+  let total = 0;
+  for (const line of lines.slice(1)) {
+    const [key, value, extra] = line.split(' ');
+    if (key === 'size') {
+      size = parseInt(value);
+    } else if (key === 'chunk') {
+      if (!HASH.test(value) || !/^\d+$/.test(extra)) return false;
+      total += parseInt(extra);
+    } else if (key !== 'content') {
+      return false;
+    }
+  }
+  return size === total;
+}
+
+/**
+ * Store a received pack, checking every object against its hash and type
+ * Runs in one transaction: a bad object leaves the repository untouched.
+ * @param {ContentAddressedStore} store - Storage instance
+ * @param {Array} entries - Pack entries with raw Uint8Array data
+ * @returns {Object} - {objects, deltas, skipped}
+ */
+function applyPack(store, entries) {
+  const stats = { objects: 0, deltas: 0, skipped: 0 };
+
+  store.transaction(() => {
+    const pending = [];
+    for (const entry of entries) {
+      if (store.hasObject(entry.hash)) {
+        stats.skipped++;
+      } else if (entry.base) {
+        if (entry.type !== 'blob') {
+          throw new Error(`Received delta ${entry.hash.substring(0, 8)} is a ${entry.type}; only blobs travel as deltas`);
+        }
+        pending.push(entry);
+      } else {
+        if (hashData(entry.data) !== entry.hash) {
+          throw new Error(`Received ${entry.type} ${entry.hash.substring(0, 8)} does not match its hash`);
+        }
+        if (!matchesObjectType(entry.type, entry.data)) {
+          throw new Error(`Received object ${entry.hash.substring(0, 8)} is not a valid ${entry.type}`);
+        }
+        store.storeObject(entry.data, entry.type);
+        stats.objects++;
+      }
+    }
+
+    // Deltas may be built on other deltas in the same pack
+    while (pending.length > 0) {
+      const ready = pending.findIndex(entry => store.hasObject(entry.base));
+      if (ready === -1) {
+        throw new Error(`Received delta ${pending[0].hash.substring(0, 8)} is built on missing object ${pending[0].base.substring(0, 8)}`);
+      }
+
+      const [entry] = pending.splice(ready, 1);
+      const delta = deserializeDelta(Buffer.from(entry.delta), entry.base, entry.hash, entry.size);
+      const data = applyDelta(store.getObjectWithDelta(entry.base), delta);
+      if (hashData(data) !== entry.hash) {
+        throw new Error(`Received delta ${entry.hash.substring(0, 8)} does not rebuild its content`);
+      }
+
+      if (store.validateDeltaChain(entry.base, Infinity) >= MAX_DELTA_CHAIN_DEPTH) {
+        store.storeObject(data, 'blob');
+      } else {
+        store.rewriteBlob(entry.hash, data, entry.base, entry.delta);
+      }
+      stats.deltas++;
+    }
+  });
+
+  return stats;
+}
+
+/**
+ * Encode a pack for the wire
+ * @param {Array} entries - Pack entries with raw Uint8Array data
+ * @returns {Array} - Entries with base64 data and delta fields
+ */
+function encodePack(entries) {
+  return entries.map(entry => entry.base
+    ? { ...entry, delta: Buffer.from(entry.delta).toString('base64') }
+    : { ...entry, data: Buffer.from(entry.data).toString('base64') });
+}
+
+/**
+ * Reverse encodePack
+ * @param {Array} entries - Entries with base64 data and delta fields
+ * @returns {Array} - Pack entries with raw Uint8Array data
+ */
+function decodePack(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('Malformed pack: expected a list of objects');
+  }
+  return entries.map(entry => entry.base
+    ? { ...entry, delta: new Uint8Array(Buffer.from(entry.delta, 'base64')) }
+    : { ...entry, data: new Uint8Array(Buffer.from(entry.data, 'base64')) });
+}
+
+/**
+ * Branch and tag heads offered to the other side
+ * @param {ContentAddressedStore} store - Storage instance
+ * @returns {Object} - {version, head, refs: [{name, hash}]}
+ */
+function advertiseRefs(store) {
+  return {
+    version: SYNC_PROTOCOL_VERSION,
+    head: store.getMeta('current_branch') || 'main',
+    refs: store.listRefs()
+      .filter(ref => ref.hash && /^refs\/(heads|tags)\//.test(ref.name))
+      .map(ref => ({ name: ref.name, hash: ref.hash }))
+  };
+}
+
+/**
+ * Move refs after a push, refusing stale and non-fast-forward updates
+ * @param {ContentAddressedStore} store - Storage instance
+ * @param {Array} updates - [{name, old, new, force}]; old is the value the pusher saw advertised
+ * @param {Object} options - {allowForce}: honour force on updates (off by default)
+ * @returns {Object} - {updated: [names], rejected: [{name, reason}]}
+ */
+function applyRefUpdates(store, updates, options = {}) {
+  const updated = [];
+  const rejected = [];
+
+  for (const update of updates) {
+    const reject = reason => rejected.push({ name: update.name, reason });
+    const current = store.getRef(update.name);
+    const currentHash = current ? current.hash : null;
+    const isTag = /^refs\/tags\//.test(update.name);
+    const newType = typeof update.new === 'string' ? store.getObjectType(update.new) : null;
+    const force = !!update.force && !!options.allowForce;
+
+    if (!isTag && !/^refs\/heads\//.test(update.name)) {
+      reject(`${update.name} is not a branch or tag`);
+    } else if (currentHash !== (update.old || null)) {
+      reject(`${update.name} has moved since it was advertised; fetch again`);
+    } else if (!(isTag ? ['commit', 'tag'] : ['commit']).includes(newType)) {
+      reject(`${update.name} would point at ${String(update.new).substring(0, 8)}, which was not received`);
+    } else if (currentHash && currentHash !== update.new && !force &&
+      (isTag || findMergeBase(currentHash, update.new, store) !== currentHash)) {
+      const refused = update.force ? ' (forced pushes are not allowed here)' : '';
+      reject(isTag ? `${update.name} already exists${refused}` : `${update.name} is not an ancestor of ${update.new.substring(0, 8)} (non-fast-forward)${refused}`);
+    } else {
+      store.setRef(update.name, update.new, isTag ? 'tag' : 'branch', `push${force ? ' (forced)' : ''}`);
+      updated.push(update.name);
+    }
+  }
+
+  return { updated, rejected };
+}
+
+/**
+ * Answer one sync request on the serving side
+ * @param {ContentAddressedStore} store - Storage instance
+ * @param {Object} request - Decoded request message
+ * @param {Object} options - {allowForce}: accept forced pushes
+ * @returns {Object} - Response message
+ */
+function handleSyncRequest(store, request, options = {}) {
+  if (!request || typeof request.type !== 'string') {
+    throw new Error('Malformed sync request');
+  }
+  if (request.version !== undefined && request.version !== SYNC_PROTOCOL_VERSION) {
+    throw new Error(`Unsupported sync protocol version ${request.version} (this side speaks ${SYNC_PROTOCOL_VERSION})`);
+  }
+
+  switch (request.type) {
+    case 'advertise':
+      return advertiseRefs(store);
+
+    case 'fetch':
+      return { objects: encodePack(buildPack(store, request.wants || [], request.haves || [])) };
+
+    case 'push': {
+      const stored = applyPack(store, decodePack(request.objects || []));
+      return { stored, ...applyRefUpdates(store, request.updates || [], options) };
+    }
+
+    default:
+      throw new Error(`Unknown sync request: ${request.type}`);
+  }
+}
+
+/**
+ * Transport to a repository file on the same machine
+ */
+class LocalTransport {
+  /**
+   * @param {string} path - Path of the other repository's database
+   * @param {Object} options - {DatabaseConstructor}
+   */
+  constructor(path, options = {}) {
+    LocalTransport.checkPath(path);
+    this.path = path;
+    this.DatabaseConstructor = options.DatabaseConstructor || null;
+    this.store = null;
+  }
+
+  /**
+   * Refuse paths with no repository, which opening would create
+   * @param {string} path - Path of the other repository's database
+   */
+  static checkPath(path) {
+    if (fs && fs.existsSync && !fs.existsSync(path)) {
+      throw new Error(`Repository not found: ${path}`);
+    }
+  }
+
+  async request(message) {
+    if (!this.store) {
+      this.store = new ContentAddressedStore(this.path, this.DatabaseConstructor);
+    }
+    // Round-trip through JSON so local and network remotes see identical messages.
+    // Whoever can open the file can rewrite it anyway, so forced pushes are allowed.
+    const response = handleSyncRequest(this.store, JSON.parse(JSON.stringify(message)), { allowForce: true });
+    return JSON.parse(JSON.stringify(response));
+  }
+
+  close() {
+    if (this.store) {
+      this.store.close();
+      this.store = null;
+    }
+  }
+}
+
+/**
+ * Transport to a repository served over HTTP (one JSON POST per request)
+ */
+class HttpTransport {
+  /**
+   * @param {string} url - Endpoint of the serving repository
+   * @param {Object} options - {fetch}: fetch implementation, defaults to the global one
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.fetch = options.fetch || globalThis.fetch;
+    if (!this.fetch) {
+      throw new Error('HTTP remotes need a fetch implementation');
+    }
+  }
+
+  async request(message) {
+    const response = await this.fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Reported below with the status
+    }
+    if (!response.ok || !body) {
+      const reason = body && body.error ? body.error : response.statusText;
+      throw new Error(`Remote ${this.url} answered ${response.status}: ${reason}`);
+    }
+    return body;
+  }
+
+  close() {}
+}
+
+// Tried in order; the first whose matches() accepts the URL is used
+const TRANSPORTS = [
+  {
+    name: 'http',
+    matches: url => /^https?:\/\//i.test(url),
+    create: (url, options) => new HttpTransport(url, options)
+  },
+  {
+    name: 'file',
+    matches: () => true,
+    check: url => LocalTransport.checkPath(url.replace(/^file:\/\//i, '')),
+    create: (url, options) => new LocalTransport(url.replace(/^file:\/\//i, ''), options)
+  }
+];
+
+/**
+ * Add a transport, taking precedence over the built-in ones
+ * @param {Object} transport - {name, matches(url), create(url, options), check(url) optional};
+ *   created objects need request(message) and close(), and check throws for URLs that cannot be opened
+ */
+function registerTransport(transport) {
+  TRANSPORTS.unshift(transport);
+}
+
+/**
+ * Open a transport for a remote URL
+ * @param {string} url - Remote URL or repository path
+ * @param {Object} options - Passed to the transport
+ * @returns {Object} - Transport with request(message) and close()
+ */
+function openTransport(url, options = {}) {
+  return TRANSPORTS.find(transport => transport.matches(url)).create(url, options);
+}
+
+/**
+ * Check a remote URL can be opened, without connecting to it
+ * @param {string} url - Remote URL or repository path
+ */
+function checkRemoteUrl(url) {
+  const transport = TRANSPORTS.find(transport => transport.matches(url));
+  if (transport.check) {
+    transport.check(url);
+  }
+}
+
+module.exports = {
+  SYNC_PROTOCOL_VERSION,
+  buildPack,
+  applyPack,
+  encodePack,
+  decodePack,
+  advertiseRefs,
+  applyRefUpdates,
+  handleSyncRequest,
+  LocalTransport,
+  HttpTransport,
+  registerTransport,
+  openTransport,
+  checkRemoteUrl
+};
@@ -314,4 +314,125 @@ test.describe('WebDVCS Browser Interface', () => {
     const branchCount = await page.textContent('#branchCount');
     expect(branchCount).toBe('2');
   });
+
+  test('repositories survive a reload', async () => {
+    await page.fill('#repoName', 'persist-test-repo');
+    await page.click('#createRepoButton');
+    await page.waitForFunction(() => {
+      const status = document.querySelector('#repoStatus');
+      return status && status.textContent.includes('created successfully');
+    }, { timeout: 15000 });
+
+    await page.locator('#uploadFile').setInputFiles({
+      name: 'kept.txt',
+      mimeType: 'text/plain',
+      buffer: Buffer.from('kept across reloads')
+    });
+    await page.waitForFunction(() => {
+      const items = document.querySelectorAll('#stagedTree .tree-item');
+      return items.length > 0;
+    }, { timeout: 5000 });
+
+    await page.fill('#commitMessage', 'Persisted commit');
+    await page.click('#commitButton');
+
+    // Commits are saved to browser storage straight after they are made
+    await page.waitForFunction(() => {
+      const state = document.querySelector('#storedRepoSaveState');
+      return state && state.textContent.includes("Saved 'persist-test-repo'");
+    }, { timeout: 10000 });
+
+    await page.reload();
+    await page.waitForFunction(() => {
+      const status = document.querySelector('#repoStatus');
+      return status && status.textContent.includes('Open a saved repository');
+    }, { timeout: 20000 });
+
+    const item = page.locator('.stored-repo-item', { hasText: 'persist-test-repo' });
+    await expect(item).toBeVisible();
+    await item.locator('button[data-action="open"]').click();
+
+    await page.waitForFunction(() => {
+      const commitCount = document.querySelector('#commitCount');
+      return commitCount && commitCount.textContent === '1';
+    }, { timeout: 10000 });
+    expect(await page.inputValue('#repoName')).toBe('persist-test-repo');
+
+    // The open repository cannot be deleted; renaming it keeps it open
+    await expect(item.locator('button[data-action="delete"]')).toBeDisabled();
+    page.once('dialog', dialog => dialog.accept('renamed-repo'));
+    await item.locator('button[data-action="rename"]').click();
+    await expect(page.locator('.stored-repo-item', { hasText: 'renamed-repo' })).toBeVisible();
+    expect(await page.inputValue('#repoName')).toBe('renamed-repo');
+  });
+
+  test('several open repositories and branch import between them', async () => {
+    await page.fill('#repoName', 'source-repo');
+    await page.click('#createRepoButton');
+    await page.waitForFunction(() => {
+      const status = document.querySelector('#repoStatus');
+      return status && status.textContent.includes('created successfully');
+    }, { timeout: 15000 });
+
+    await page.locator('#uploadFile').setInputFiles({
+      name: 'shared.txt',
+      mimeType: 'text/plain',
+      buffer: Buffer.from('from the source repository')
+    });
+    await page.waitForFunction(() => document.querySelectorAll('#stagedTree .tree-item').length > 0, { timeout: 5000 });
+    await page.fill('#commitMessage', 'Source commit');
+    await page.click('#commitButton');
+    await page.waitForFunction(() => document.querySelector('#commitCount').textContent === '1', { timeout: 10000 });
+
+    // A second repository opens next to the first instead of replacing it
+    await page.fill('#repoName', 'target-repo');
+    await page.click('#createRepoButton');
+    await page.waitForFunction(() => document.querySelectorAll('#openRepoSelect option').length === 2, { timeout: 15000 });
+    expect(await page.textContent('#commitCount')).toBe('0');
+
+    await page.selectOption('#importSourceRepoSelect', { label: 'source-repo' });
+    await page.waitForFunction(() => document.querySelectorAll('#importSourceBranchSelect option').length > 1, { timeout: 5000 });
+    await page.selectOption('#importSourceBranchSelect', 'main');
+    await page.fill('#importTargetBranchName', 'from-source');
+    await page.click('#importFromRepoButton');
+    await page.waitForFunction(() => document.querySelector('#branchCount').textContent === '2', { timeout: 10000 });
+
+    // Switching back shows the first repository untouched
+    await page.selectOption('#openRepoSelect', { label: 'source-repo (main)' });
+    await page.waitForFunction(() => document.querySelector('#commitCount').textContent === '1', { timeout: 10000 });
+    expect(await page.inputValue('#repoName')).toBe('source-repo');
+    expect(await page.textContent('#branchCount')).toBe('1');
+  });
+
+  test('file viewer blame gutter', async () => {
+    await page.fill('#repoName', 'blame-repo');
+    await page.click('#createRepoButton');
+    await page.waitForFunction(() => document.querySelector('#repoStatus').textContent.includes('Ready'), { timeout: 15000 });
+
+    await page.locator('#uploadFile').setInputFiles({
+      name: 'notes.txt',
+      mimeType: 'text/plain',
+      buffer: Buffer.from('one\ntwo\n')
+    });
+    await page.waitForFunction(() => document.querySelectorAll('#stagedTree .tree-item').length > 0, { timeout: 5000 });
+    await page.fill('#commitMessage', 'Add notes');
+    await page.click('#commitButton');
+    await page.waitForFunction(() => document.querySelector('#commitCount').textContent === '1', { timeout: 10000 });
+
+    // Stage a third line on top of the commit
+    await page.locator('#uploadFile').setInputFiles({
+      name: 'notes.txt',
+      mimeType: 'text/plain',
+      buffer: Buffer.from('one\ntwo\nthree\n')
+    });
+    await page.click('#stagedTab');
+    await page.locator('#stagedTree .tree-item', { hasText: 'notes.txt' }).locator('button[title="View"]').click();
+    await expect(page.locator('#fileViewerBlameButton')).toBeVisible();
+
+    await page.click('#fileViewerBlameButton');
+    await page.waitForSelector('#fileViewerContent .blame-line', { timeout: 5000 });
+    expect(await page.locator('#fileViewerContent .blame-line').count()).toBe(3);
+    expect(await page.locator('#fileViewerContent .blame-start').count()).toBe(2);
+    await expect(page.locator('#fileViewerContent .blame-gutter').last()).toHaveText('Not committed yet');
+  });
 });
\ No newline at end of file
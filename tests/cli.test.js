@@ -4,6 +4,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
 const { MiniRepo } = require('../webdvcs-cli');
 
 // Simple test runner
@@ -404,6 +405,84 @@ function testCLIErrorHandling() {
   console.log('✅ CLI error handling tests passed');
 }
 
+// Run webdvcs.js in the checkout directory and return its output
+function cli(...args) {
+  return execFileSync(process.execPath, [path.join(__dirname, '..', 'webdvcs.js'), ...args], {
+    cwd: TEST_CHECKOUT_DIR,
+    encoding: 'utf8'
+  });
+}
+
+function testCLIDiffRevisions() {
+  console.log('Testing CLI diff between revisions...');
+
+  cleanupTest();
+  fs.mkdirSync(TEST_CHECKOUT_DIR, { recursive: true });
+
+  fs.writeFileSync(path.join(TEST_CHECKOUT_DIR, 'notes.txt'), 'first\n');
+  cli('init', 'diffrepo');
+  cli('diffrepo', 'add', 'notes.txt');
+  cli('diffrepo', 'commit', 'First');
+  fs.writeFileSync(path.join(TEST_CHECKOUT_DIR, 'notes.txt'), 'second\n');
+  cli('diffrepo', 'add', 'notes.txt');
+  cli('diffrepo', 'commit', 'Second');
+
+  const output = cli('diffrepo', 'diff', 'HEAD~1', 'HEAD');
+  assert(!output.includes('Error'), `diff HEAD~1 HEAD should not fail: ${output}`);
+  assert(output.includes('-first') && output.includes('+second'), 'diff HEAD~1 HEAD should show the change between the commits');
+
+  const files = cli('diffrepo', 'diff', 'notes.txt', 'notes.txt');
+  assert(files.includes('Diff: notes.txt vs notes.txt') && !files.includes('Error'), 'Two file names should still compare files');
+
+  console.log('✅ CLI diff revision tests passed');
+}
+
+function testCLILogNoMatches() {
+  console.log('Testing CLI log with filters that match nothing...');
+
+  cleanupTest();
+  fs.mkdirSync(TEST_CHECKOUT_DIR, { recursive: true });
+
+  cli('init', 'logrepo');
+  assert(cli('logrepo', 'log').includes('No commits yet'), 'An empty repository has no commits yet');
+
+  fs.writeFileSync(path.join(TEST_CHECKOUT_DIR, 'notes.txt'), 'first\n');
+  cli('logrepo', 'add', 'notes.txt');
+  cli('logrepo', 'commit', 'First');
+
+  for (const filter of [['--author', 'zzz'], ['--grep', 'zzz'], ['--', 'missing.txt'], ['--until', '2000-01-01']]) {
+    const output = cli('logrepo', 'log', ...filter);
+    assert(output.includes('No commits match') && !output.includes('No commits yet'), `log ${filter.join(' ')} should say nothing matches`);
+  }
+
+  console.log('✅ CLI log filter message tests passed');
+}
+
+function testCLIFormatPatch() {
+  console.log('Testing CLI format-patch...');
+
+  cleanupTest();
+  fs.mkdirSync(TEST_CHECKOUT_DIR, { recursive: true });
+
+  cli('init', 'patchrepo');
+  for (const version of ['first', 'second', 'third']) {
+    fs.writeFileSync(path.join(TEST_CHECKOUT_DIR, 'notes.txt'), `${version}\n`);
+    cli('patchrepo', 'add', 'notes.txt');
+    cli('patchrepo', 'commit', `Write ${version}`);
+  }
+
+  const output = cli('patchrepo', 'format-patch', 'HEAD~2');
+  assert(output.includes('Wrote 2 patch files'), `format-patch <range> should write to the current directory: ${output}`);
+  const written = fs.readdirSync(TEST_CHECKOUT_DIR).filter(name => name.endsWith('.patch'));
+  assert(written.length === 2 && written.some(name => name.startsWith('0001-')), 'Patch files should be numbered from 0001');
+
+  const outputDir = path.join(TEST_CHECKOUT_DIR, 'patches');
+  assert(cli('patchrepo', 'format-patch', '-o', outputDir, 'HEAD~1').includes('Wrote 1 patch file'), 'format-patch -o <dir> <range> should write one patch');
+  assert(fs.readdirSync(outputDir).length === 1, 'The patch should be written to the -o directory');
+
+  console.log('✅ CLI format-patch tests passed');
+}
+
 // Run all CLI tests
 function runCLITests() {
   console.log('Running CLI Tests...\n');
@@ -414,6 +493,9 @@ function runCLITests() {
     testCLILogging();
     testCLIRealWorldScenario();
     testCLIErrorHandling();
+    testCLIDiffRevisions();
+    testCLILogNoMatches();
+    testCLIFormatPatch();
     
     console.log('\n✅ All CLI tests passed!');
     return true;
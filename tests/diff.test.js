@@ -2,7 +2,7 @@
  * Diff Tests - Real tests for diff functionality
  */
 
-const { diffLines, getDiffSummary } = require('../lib/core/diff');
+const { diffLines, getDiffSummary, diffFiles: coreDiffFiles } = require('../lib/core/diff');
 const { formatDiff, diffFiles } = require('../lib/cli/cli-diff');
 const { colorize, diffColors } = require('../lib/cli/cli-colors');
 const { stringToUint8Array } = require('../lib/core/utils');
@@ -55,8 +55,9 @@ function testDiffLines() {
   assert(differentDiff.length === 4, 'Should have 4 changes (2 removed + 2 added)');
   assert(differentDiff[0].type === 'removed', 'First should be removed');
   assert(differentDiff[0].line === 'old1', 'First should be old1');
-  assert(differentDiff[1].type === 'added', 'Second should be added');
-  assert(differentDiff[1].line === 'new1', 'Second should be new1');
+  assert(differentDiff[1].type === 'removed', 'Second should be removed');
+  assert(differentDiff[2].type === 'added', 'Third should be added');
+  assert(differentDiff[2].line === 'new1', 'Third should be new1');
   
   // Test additions only
   const linesE = ['line1'];
@@ -74,6 +75,49 @@ function testDiffLines() {
   console.log('✅ diffLines tests passed');
 }
 
+function testDiffLinesAlignment() {
+  console.log('Testing diffLines alignment...');
+  
+  // A line inserted at the top must not shift every following line
+  const original = ['alpha', 'beta', 'gamma', 'delta'];
+  const inserted = ['header', 'alpha', 'beta', 'gamma', 'delta'];
+  const insertDiff = diffLines(original, inserted);
+  
+  assert(insertDiff.length === 5, 'Should have 1 addition and 4 context lines');
+  assert(insertDiff[0].type === 'added' && insertDiff[0].line === 'header', 'First should be the inserted line');
+  assert(insertDiff[0].lineNumB === 1 && insertDiff[0].lineNumA === null, 'Added line should only have a new line number');
+  assert(insertDiff.slice(1).every(item => item.type === 'context'), 'Remaining lines should be context');
+  assert(insertDiff[4].lineNumA === 4 && insertDiff[4].lineNumB === 5, 'Context should track both line numbers');
+  
+  // Changed blocks list removals before additions
+  const changeDiff = diffLines(['a', 'b', 'c'], ['a', 'x', 'c']);
+  assert(changeDiff.map(item => item.type).join(',') === 'context,removed,added,context', 'Should replace only the changed line');
+  assert(changeDiff[1].lineNumA === 2 && changeDiff[2].lineNumB === 2, 'Changed lines should keep their line numbers');
+  
+  // The diff is minimal
+  const minimalDiff = diffLines(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+  assert(minimalDiff.filter(item => item.type === 'context').length === 4, 'Should keep the longest common subsequence');
+  
+  // Patience mode anchors on unique lines
+  const patienceA = ['}', 'function a() {', '  return 1;', '}', 'function b() {', '  return 2;', '}'];
+  const patienceB = ['}', 'function b() {', '  return 2;', '}'];
+  const patienceDiff = diffLines(patienceA, patienceB, { algorithm: 'patience' });
+  const kept = patienceDiff.filter(item => item.type !== 'removed').map(item => item.line);
+  const dropped = patienceDiff.filter(item => item.type !== 'added').map(item => item.line);
+  assert(kept.join('\n') === patienceB.join('\n') && dropped.join('\n') === patienceA.join('\n'), 'Patience diff should reproduce both sides');
+  assert(patienceDiff.filter(item => item.type === 'context').length === 4, 'Patience diff should keep the unchanged function');
+  
+  let threw = false;
+  try {
+    diffLines(['a'], ['b'], { algorithm: 'unknown' });
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Should reject unknown algorithms');
+  
+  console.log('✅ diffLines alignment tests passed');
+}
+
 function testFormatDiff() {
   console.log('Testing formatDiff...');
   
@@ -93,12 +137,67 @@ function testFormatDiff() {
   const formatted = formatDiff(diffResult);
   assert(typeof formatted === 'string', 'Should return string');
   assert(formatted.includes('unchanged'), 'Should include context lines');
-  assert(formatted.includes('- old line'), 'Should include removed line with prefix');
-  assert(formatted.includes('+ new line'), 'Should include added line with prefix');
+  assert(formatted.includes('-old line'), 'Should include removed line with prefix');
+  assert(formatted.includes('+new line'), 'Should include added line with prefix');
   
   console.log('✅ formatDiff tests passed');
 }
 
+function testUnifiedDiff() {
+  console.log('Testing unified diff output...');
+  
+  const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+  const changed = [...lines];
+  changed[1] = 'changed 2';
+  changed.splice(15, 1);
+  
+  const fileA = stringToUint8Array(lines.join('\n') + '\n');
+  const fileB = stringToUint8Array(changed.join('\n') + '\n');
+  
+  // Changes far apart produce separate hunks
+  const result = coreDiffFiles(fileA, fileB, 'a/file.txt', 'b/file.txt');
+  const expected = [
+    '--- a/file.txt',
+    '+++ b/file.txt',
+    '@@ -1,5 +1,5 @@',
+    ' line 1',
+    '-line 2',
+    '+changed 2',
+    ' line 3',
+    ' line 4',
+    ' line 5',
+    '@@ -13,7 +13,6 @@',
+    ' line 13',
+    ' line 14',
+    ' line 15',
+    '-line 16',
+    ' line 17',
+    ' line 18',
+    ' line 19'
+  ].join('\n');
+  assert(result.content === expected, 'Should produce standard unified diff hunks');
+  assert(result.additions === 1 && result.deletions === 2, 'Should count additions and deletions');
+  
+  // Wider context merges nearby hunks
+  const wide = coreDiffFiles(fileA, fileB, 'a/file.txt', 'b/file.txt', { contextLines: 7 });
+  assert(wide.content.split('\n').filter(line => line.startsWith('@@')).length === 1, 'Overlapping context should merge hunks');
+  assert(wide.content.includes('@@ -1,20 +1,19 @@'), 'Merged hunk should cover the whole file');
+  
+  // Zero context shows only the changed lines
+  const tight = coreDiffFiles(fileA, fileB, 'a/file.txt', 'b/file.txt', { contextLines: 0 });
+  assert(tight.content.includes('@@ -2 +2 @@') && tight.content.includes('@@ -16 +15,0 @@'), 'Zero context should use exact ranges');
+  
+  // New files diff against an empty side
+  const created = coreDiffFiles(null, stringToUint8Array('one\ntwo\n'), '/dev/null', 'b/new.txt');
+  assert(created.content === '--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,2 @@\n+one\n+two', 'New file should start at line 0');
+  
+  // A missing trailing newline is marked
+  const noNewline = coreDiffFiles(stringToUint8Array('same\nend\n'), stringToUint8Array('same\nend'), 'a/f', 'b/f');
+  assert(noNewline.content.endsWith('-end\n+end\n\\ No newline at end of file'), 'Should mark a missing newline at end of file');
+  
+  console.log('✅ Unified diff tests passed');
+}
+
 function testDiffFiles() {
   console.log('Testing diffFiles...');
   
@@ -116,8 +215,8 @@ function testDiffFiles() {
   const textDiff = diffFiles(textA, textB, 'a.txt', 'b.txt');
   assert(textDiff.includes('--- a.txt'), 'Should include file names in header');
   assert(textDiff.includes('+++ b.txt'), 'Should include file names in header');
-  assert(textDiff.includes('- World'), 'Should show removed line');
-  assert(textDiff.includes('+ Universe'), 'Should show added line');
+  assert(textDiff.includes('-World'), 'Should show removed line');
+  assert(textDiff.includes('+Universe'), 'Should show added line');
   
   // Test binary files
   const binaryA = new Uint8Array([0x00, 0x01, 0x02, 0xFF]);
@@ -178,11 +277,11 @@ function testMultilineDiff() {
   const modified = stringToUint8Array(modifiedText);
   
   const diff = diffFiles(original, modified, 'original.txt', 'modified.txt');
-  assert(diff.includes('- line2'), 'Should show removed line');
-  assert(diff.includes('+ modified2'), 'Should show added line');
-  assert(diff.includes('- line4'), 'Should show second removed line');
-  assert(diff.includes('+ new4'), 'Should show second modified line');
-  assert(diff.includes('+ extra'), 'Should show additional line');
+  assert(diff.includes('-line2'), 'Should show removed line');
+  assert(diff.includes('+modified2'), 'Should show added line');
+  assert(diff.includes('-line4'), 'Should show second removed line');
+  assert(diff.includes('+new4'), 'Should show second modified line');
+  assert(diff.includes('+extra'), 'Should show additional line');
   
   const summary = getDiffSummary(original, modified);
   assert(summary.removed === 2, 'Should count 2 removed lines');
@@ -205,15 +304,15 @@ function testEdgeCases() {
   // Test one empty, one with content
   const content = stringToUint8Array('content');
   const emptyToContent = diffFiles(emptyA, content, 'empty', 'content');
-  assert(emptyToContent.includes('+ content'), 'Should show added content');
+  assert(emptyToContent.includes('+content'), 'Should show added content');
   
   // Test single line files
   const singleA = stringToUint8Array('single');
   const singleB = stringToUint8Array('changed');
   
   const singleDiff = diffFiles(singleA, singleB, 'a', 'b');
-  assert(singleDiff.includes('- single'), 'Should show removed single line');
-  assert(singleDiff.includes('+ changed'), 'Should show added single line');
+  assert(singleDiff.includes('-single'), 'Should show removed single line');
+  assert(singleDiff.includes('+changed'), 'Should show added single line');
   
   // Test files with only newlines
   const newlinesA = stringToUint8Array('\n\n\n');
@@ -251,8 +350,10 @@ function runDiffTests() {
   try {
     testColorize();
     testDiffLines();
+    testDiffLinesAlignment();
     testFormatDiff();
     testDiffFiles();
+    testUnifiedDiff();
     testGetDiffSummary();
     testMultilineDiff();
     testEdgeCases();
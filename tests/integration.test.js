@@ -173,8 +173,8 @@ function testBinaryHandling() {
   const binaryDiff = diff.find(d => d.file === 'image.png');
 
   assert(textDiff.type === 'modified', 'Text file should be modified');
-  assert(textDiff.diff.includes('- This is plain text'), 'Should show text diff');
-  assert(textDiff.diff.includes('+ Updated text content'), 'Should show text diff');
+  assert(textDiff.diff.includes('-This is plain text'), 'Should show text diff');
+  assert(textDiff.diff.includes('+Updated text content'), 'Should show text diff');
 
   assert(binaryDiff.type === 'modified', 'Binary file should be modified');
   assert(binaryDiff.diff.includes('Binary files differ'), 'Should indicate binary diff');
@@ -505,6 +505,575 @@ function testMergeFileRenameScenarios() {
   console.log('✅ File rename scenarios test passed');
 }
 
+function testMergeNonOverlappingLineChanges() {
+  console.log('Testing merge of non-overlapping line changes...');
+
+  const { repo, testDB } = createTestRepo();
+
+  repo.addFile('notes.txt', 'line1\nline2\nline3\nline4\nline5');
+  const base = repo.commit('Base');
+
+  // Main edits the first line
+  repo.addFile('notes.txt', 'LINE1\nline2\nline3\nline4\nline5');
+  repo.commit('Main: edit line 1');
+
+  // Feature edits the last line and appends one
+  repo.createBranch('feature', base.commitHash);
+  repo.switchBranch('feature');
+  repo.addFile('notes.txt', 'line1\nline2\nline3\nline4\nLINE5\nline6');
+  repo.commit('Feature: edit line 5');
+
+  repo.switchBranch('main');
+  const mergeResult = repo.merge('feature');
+
+  assert(mergeResult.type === 'three-way', 'Non-overlapping edits should merge cleanly');
+  const merged = new TextDecoder().decode(repo.getFile('notes.txt'));
+  assert(merged === 'LINE1\nline2\nline3\nline4\nLINE5\nline6', 'Merged file should contain both edits');
+
+  cleanupTestDB(testDB);
+  console.log('✅ Non-overlapping line changes test passed');
+}
+
+function testMergeOverlappingLineChangesReportsRegions() {
+  console.log('Testing overlapping line changes report conflict regions...');
+
+  const { repo, testDB } = createTestRepo();
+
+  repo.addFile('notes.txt', 'a\nb\nc\nd\ne');
+  const base = repo.commit('Base');
+
+  repo.addFile('notes.txt', 'A\nb\nc\nmain-d\ne');
+  repo.commit('Main changes');
+
+  repo.createBranch('feature', base.commitHash);
+  repo.switchBranch('feature');
+  repo.addFile('notes.txt', 'a\nb\nc\nfeature-d\nfeature-d2\ne');
+  repo.commit('Feature changes');
+
+  repo.switchBranch('main');
+  const mergeResult = repo.merge('feature');
+
+  assert(mergeResult.type === 'conflict', 'Overlapping edits should conflict');
+  const conflict = mergeResult.conflicts[0];
+  assert(conflict.type === 'both-modified', 'Should be a both-modified conflict');
+  assert(conflict.regions.length === 1, 'Only the overlapping region should conflict');
+
+  const region = conflict.regions[0];
+  assert(region.base.start === 4 && region.base.length === 1, 'Base range should be line 4');
+  assert(region.ours.start === 4 && region.ours.length === 1, 'Ours range should be line 4');
+  assert(region.theirs.start === 4 && region.theirs.length === 2, 'Theirs range should be lines 4-5');
+
+  cleanupTestDB(testDB);
+  console.log('✅ Overlapping line changes regions test passed');
+}
+
+function testMergeTextMarkers() {
+  console.log('Testing mergeText conflict markers...');
+
+  const { mergeText, formatConflictRegion } = require('../lib/core/merge');
+
+  const clean = mergeText('x\ny\nz', 'x\ny\nz\nours', 'theirs\nx\ny\nz');
+  assert(clean.clean, 'Insertions at different ends should merge cleanly');
+  assert(clean.lines.join('\n') === 'theirs\nx\ny\nz\nours', 'Both insertions should be kept');
+
+  const same = mergeText('x\ny', 'x\nY', 'x\nY');
+  assert(same.clean && same.lines.join('\n') === 'x\nY', 'Identical changes should not conflict');
+
+  const conflicted = mergeText('x\ny\nz', 'x\nours\nz', 'x\ntheirs\nz', { oursLabel: 'main', theirsLabel: 'feature' });
+  assert(!conflicted.clean, 'Different changes to the same line should conflict');
+  assert(conflicted.lines.join('\n') === 'x\n<<<<<<< main\nours\n=======\ntheirs\n>>>>>>> feature\nz',
+    'Conflict should be written between markers');
+  assert(conflicted.conflicts[0].mergedStart === 2, 'Conflict should start at merged line 2');
+  assert(formatConflictRegion(conflicted.conflicts[0]) === 'ours 2, theirs 2 (base 2)', 'Region should format as line ranges');
+
+  console.log('✅ mergeText markers test passed');
+}
+
+function testMergeTextLargeFiles() {
+  console.log('Testing mergeText on large files...');
+
+  const { mergeText } = require('../lib/core/merge');
+
+  // 20k lines edited every 100 lines on one side and every 100 lines (offset) on the other
+  const base = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+  const ours = base.map((line, i) => (i % 100 === 0 ? `${line} ours` : line));
+  const theirs = base.map((line, i) => (i % 100 === 50 ? `${line} theirs` : line));
+
+  const rssBefore = process.memoryUsage().rss;
+  const merged = mergeText(base.join('\n'), ours.join('\n'), theirs.join('\n'));
+  const grown = process.memoryUsage().rss - rssBefore;
+
+  assert(merged.clean, 'Edits to different lines of a large file should merge cleanly');
+  assert(merged.lines.length === 20000 && merged.lines[0] === 'line 0 ours' && merged.lines[50] === 'line 50 theirs',
+    'Both sides\' edits should be kept');
+  // A table over every pair of lines would need 20000 * 20000 * 4 bytes (1.6GB)
+  assert(grown < 200 * 1024 * 1024, `Merging should take linear memory (grew ${Math.round(grown / 1024 / 1024)}MB)`);
+
+  console.log('✅ mergeText large file test passed');
+}
+
+function createConflictedMerge() {
+  const { repo, testDB } = createTestRepo();
+
+  repo.addFile('shared.txt', 'top\nmiddle\nbottom');
+  repo.addFile('old.txt', 'to be deleted');
+  const base = repo.commit('Base');
+
+  repo.addFile('shared.txt', 'top\nmain middle\nbottom');
+  repo.commit('Main changes');
+
+  repo.createBranch('feature', base.commitHash);
+  repo.switchBranch('feature');
+  repo.addFile('shared.txt', 'top\nfeature middle\nbottom');
+  repo.addFile('feature.txt', 'feature only');
+  repo.rm('old.txt');
+  const feature = repo.commit('Feature changes');
+
+  repo.switchBranch('main');
+  const mainHead = repo.getCurrentHead();
+
+  return { repo, testDB, mainHead, featureHead: feature.commitHash };
+}
+
+function testMergeConflictStatePersisted() {
+  console.log('Testing conflicted merge state is persisted...');
+
+  const { repo, testDB, featureHead } = createConflictedMerge();
+  const mergeResult = repo.merge('feature');
+  assert(mergeResult.type === 'conflict', 'Should detect conflict');
+
+  // State survives reopening the repository
+  repo.store.close();
+  const reopened = new MiniRepo(testDB);
+
+  const state = reopened.getMergeState();
+  assert(state !== null, 'Merge state should be persisted');
+  assert(state.mergeHead === featureHead, 'MERGE_HEAD should point at the merged branch head');
+  assert(state.conflicts.length === 1 && state.conflicts[0] === 'shared.txt', 'Conflicted paths should be recorded');
+
+  const marked = new TextDecoder().decode(reopened.getFile('shared.txt'));
+  assert(marked === 'top\n<<<<<<< main\nmain middle\n=======\nfeature middle\n>>>>>>> feature\nbottom',
+    'Conflicted file should be staged with conflict markers');
+  assert(reopened.listFiles().includes('feature.txt'), 'Cleanly merged additions should be staged');
+  assert(reopened.status().deleted.includes('old.txt'), 'Cleanly merged deletions should be staged');
+  assert(reopened.status().merging.branch === 'feature', 'Status should report the merge in progress');
+
+  assertThrows(() => reopened.merge('feature'), 'Should refuse to start another merge');
+  assertThrows(() => reopened.switchBranch('feature'), 'Should refuse to switch branches during a merge');
+
+  reopened.store.close();
+  cleanupTestDB(testDB);
+  console.log('✅ Conflicted merge state persistence test passed');
+}
+
+function testMergeContinue() {
+  console.log('Testing merge --continue...');
+
+  const { repo, testDB, mainHead, featureHead } = createConflictedMerge();
+  repo.merge('feature');
+
+  assertThrows(() => repo.mergeContinue(), 'Should refuse to continue with unresolved conflicts');
+
+  repo.addFile('shared.txt', 'top\nresolved middle\nbottom');
+  assert(repo.getMergeState().conflicts.length === 0, 'Adding a conflicted file should mark it resolved');
+
+  const result = repo.mergeContinue();
+  assert(result.message === "Merge branch 'feature' into main", 'Should use the default merge message');
+
+  const { getCommit } = require('../lib/core/objects');
+  const commit = getCommit(result.commitHash, repo.store);
+  assert(commit.parents.length === 2, 'Merge commit should have two parents');
+  assert(commit.parents[0] === mainHead && commit.parents[1] === featureHead, 'Parents should be HEAD and MERGE_HEAD');
+
+  assert(repo.getMergeState() === null, 'Merge state should be cleared');
+  assert(new TextDecoder().decode(repo.getFile('shared.txt')) === 'top\nresolved middle\nbottom', 'Resolution should be committed');
+  assert(repo.getFile('feature.txt') !== null, 'Merged addition should be committed');
+  assert(!repo.listRepoFiles().files.some(f => f.name === 'old.txt'), 'Merged deletion should be committed');
+  assertThrows(() => repo.mergeContinue(), 'Should fail when no merge is in progress');
+
+  cleanupTestDB(testDB);
+  console.log('✅ merge --continue test passed');
+}
+
+function testMergeAbort() {
+  console.log('Testing merge --abort...');
+
+  const { repo, testDB, mainHead } = createConflictedMerge();
+  repo.addFile('wip.txt', 'work in progress');
+
+  repo.merge('feature');
+  assert(!repo.listFiles().includes('wip.txt'), 'Merge should replace the staging area');
+
+  const result = repo.mergeAbort();
+  assert(result.branch === 'main' && result.head === mainHead, 'Should report the restored branch');
+  assert(repo.getCurrentHead() === mainHead, 'Branch should point at the pre-merge head');
+  assert(repo.getMergeState() === null, 'Merge state should be cleared');
+
+  const staged = repo.listFiles();
+  assert(staged.length === 1 && staged[0] === 'wip.txt', 'Pre-merge staging area should be restored');
+  assert(repo.status().deleted.length === 0, 'Merge deletions should be discarded');
+  assert(new TextDecoder().decode(repo.getFile('shared.txt')) === 'top\nmain middle\nbottom', 'Conflict markers should be discarded');
+
+  cleanupTestDB(testDB);
+  console.log('✅ merge --abort test passed');
+}
+
+function testResolveConflictPerFile() {
+  console.log('Testing per-file conflict resolution...');
+
+  const { repo, testDB } = createTestRepo();
+
+  repo.addFile('a.txt', 'base a');
+  repo.addFile('b.txt', 'base b');
+  repo.addFile('c.txt', 'base c');
+  repo.addFile('gone.txt', 'base gone');
+  const base = repo.commit('Base');
+
+  repo.addFile('a.txt', 'main a');
+  repo.addFile('b.txt', 'main b');
+  repo.addFile('c.txt', 'main c');
+  repo.addFile('gone.txt', 'main gone');
+  repo.commit('Main changes');
+
+  repo.createBranch('feature', base.commitHash);
+  repo.switchBranch('feature');
+  repo.addFile('a.txt', 'feature a');
+  repo.addFile('b.txt', 'feature b');
+  repo.addFile('c.txt', 'feature c');
+  repo.rm('gone.txt');
+  repo.commit('Feature changes');
+
+  repo.switchBranch('main');
+  const mergeResult = repo.merge('feature');
+  assert(mergeResult.conflicts.length === 4, 'Should have 4 conflicts');
+
+  const conflicts = repo.getConflicts();
+  assert(conflicts.length === 4 && conflicts.every(c => !c.resolved), 'All conflicts should start unresolved');
+  const gone = conflicts.find(c => c.file === 'gone.txt');
+  assert(gone.type === 'modified-deleted' && gone.theirs === null, 'Sides should be recorded');
+
+  assertThrows(() => repo.resolveConflict('unknown.txt', 'ours'), 'Should reject files that are not conflicted');
+  assertThrows(() => repo.resolveConflict('a.txt', 'mine'), 'Should reject invalid resolutions');
+
+  const decode = name => new TextDecoder().decode(repo.getFile(name));
+
+  repo.resolveConflict('a.txt', 'ours');
+  assert(decode('a.txt') === 'main a', 'Ours should stage the current version');
+
+  repo.resolveConflict('b.txt', 'theirs');
+  assert(decode('b.txt') === 'feature b', 'Theirs should stage the incoming version');
+
+  repo.resolveConflict('c.txt', 'base');
+  assert(decode('c.txt') === 'base c', 'Base should stage the merge base version');
+
+  const deletion = repo.resolveConflict('gone.txt', 'theirs');
+  assert(deletion.deleted, 'Choosing a side without the file should delete it');
+  assert(repo.status().deleted.includes('gone.txt'), 'Deletion should be staged');
+  assert(deletion.remaining.length === 0, 'No conflicts should remain');
+
+  // A resolved file can be resolved again
+  repo.resolveConflict('c.txt', { content: 'hand merged c' });
+  assert(decode('c.txt') === 'hand merged c', 'Explicit content should be staged');
+
+  assert(repo.getConflicts().every(c => c.resolved), 'All conflicts should be resolved');
+
+  const result = repo.mergeContinue();
+  const { getCommit } = require('../lib/core/objects');
+  assert(getCommit(result.commitHash, repo.store).parents.length === 2, 'Should create a merge commit');
+  assert(decode('b.txt') === 'feature b', 'Resolutions should be committed');
+  assertThrows(() => repo.getConflicts(), 'Conflicts should not be available after the merge');
+
+  cleanupTestDB(testDB);
+  console.log('✅ Per-file conflict resolution test passed');
+}
+
+function testGarbageCollectDuringMerge() {
+  console.log('Testing garbage collection during a conflicted merge...');
+
+  const { repo, testDB } = createTestRepo();
+  const decode = name => new TextDecoder().decode(repo.getFile(name));
+
+  repo.addFile('a.txt', 'one\nbase a\nthree');
+  repo.addFile('b.txt', 'base b');
+  const base = repo.commit('Base');
+
+  repo.addFile('a.txt', 'one\nmain a\nthree');
+  repo.addFile('b.txt', 'main b');
+  repo.commit('Main changes');
+
+  repo.createBranch('feature', base.commitHash);
+  repo.switchBranch('feature');
+  repo.addFile('a.txt', 'one\nfeature a\nthree');
+  repo.addFile('b.txt', 'feature b');
+  repo.commit('Feature changes');
+
+  repo.switchBranch('main');
+  assert(repo.merge('feature').conflicts.length === 2, 'Should have 2 conflicts');
+  const markers = decode('a.txt');
+
+  // Deleting a branch collects garbage while the merge is paused
+  repo.createBranch('junk');
+  repo.deleteBranch('junk');
+  assert(decode('a.txt') === markers, 'Staged conflict markers should survive gc');
+
+  repo.resolveConflict('a.txt', { content: 'one\nhand merged a\nthree' });
+  repo.resolveConflict('b.txt', 'theirs');
+  repo.createBranch('junk');
+  repo.deleteBranch('junk');
+
+  const result = repo.mergeContinue();
+  assert(decode('a.txt') === 'one\nhand merged a\nthree', 'Resolved content should survive gc');
+  assert(decode('b.txt') === 'feature b', 'Chosen side should survive gc');
+  assert(repo.fsck().ok, 'Merge commit should not refer to collected objects');
+  assert(result.commitHash === repo.getCurrentHead(), 'Merge should be committed');
+
+  cleanupTestDB(testDB);
+  console.log('✅ Garbage collection during merge test passed');
+}
+
+function testCherryPickAndRevert() {
+  console.log('Testing cherry-pick and revert...');
+
+  const { repo, testDB } = createTestRepo();
+  const { getCommit } = require('../lib/core/objects');
+  const decode = name => new TextDecoder().decode(repo.getFile(name));
+  const committed = name => repo.listRepoFiles().files.some(f => f.name === name);
+
+  repo.addFile('shared.txt', 'one\ntwo\nthree');
+  const base = repo.commit('Base');
+
+  repo.createBranch('feature', base.commitHash);
+  repo.switchBranch('feature');
+  repo.setAuthor('Feature Author', 'feature@example.com');
+  repo.addFile('fix.txt', 'the fix');
+  const fix = repo.commit('Add fix');
+  repo.addFile('shared.txt', 'one\nfeature two\nthree');
+  const conflicting = repo.commit('Change shared');
+
+  repo.switchBranch('main');
+  repo.setAuthor('Test User', 'test@example.com');
+  repo.addFile('shared.txt', 'one\nmain two\nthree');
+  const mainHead = repo.commit('Main change').commitHash;
+
+  // Clean pick keeps the original author and has a single parent
+  const picked = repo.cherryPick(fix.commitHash, { recordOrigin: true });
+  assert(picked.type === 'cherry-pick', 'Should create a cherry-pick commit');
+  const pickedCommit = getCommit(picked.commitHash, repo.store);
+  assert(pickedCommit.parents.length === 1 && pickedCommit.parent === mainHead, 'Pick should have HEAD as its only parent');
+  assert(pickedCommit.author === 'Feature Author', 'Pick should keep the original author');
+  assert(pickedCommit.message === `Add fix\n\n(cherry picked from commit ${fix.commitHash})`, 'Should record the picked commit');
+  assert(decode('fix.txt') === 'the fix', 'Picked changes should be applied');
+  assert(decode('shared.txt') === 'one\nmain two\nthree', 'Unrelated files should be kept');
+
+  assert(repo.cherryPick(fix.commitHash).type === 'up-to-date', 'Picking an applied change should be a no-op');
+
+  // Revert undoes the picked change
+  const reverted = repo.revert('HEAD');
+  assert(reverted.type === 'revert', 'Should create a revert commit');
+  const revertCommit = getCommit(reverted.commitHash, repo.store);
+  assert(revertCommit.message === `Revert "Add fix"\n\nThis reverts commit ${picked.commitHash}.`, 'Should use the revert message');
+  assert(revertCommit.author === 'Test User', 'Revert should be authored by the current user');
+  assert(!committed('fix.txt'), 'Revert should remove the added file');
+
+  // Conflicts reuse the merge state machinery
+  const conflict = repo.cherryPick(conflicting.commitHash);
+  assert(conflict.type === 'conflict' && conflict.conflicts[0].file === 'shared.txt', 'Should report the conflict');
+  assert(repo.getMergeState().operation === 'cherry-pick', 'Merge state should record the operation');
+  assertThrows(() => repo.revert(fix.commitHash), 'Should refuse to start while a pick is in progress');
+
+  repo.resolveConflict('shared.txt', 'theirs');
+  const continued = repo.mergeContinue();
+  assert(continued.message === 'Change shared', 'Should keep the picked message');
+  const continuedCommit = getCommit(continued.commitHash, repo.store);
+  assert(continuedCommit.parents.length === 1, 'Resolved pick should not be a merge commit');
+  assert(decode('shared.txt') === 'one\nfeature two\nthree', 'Resolution should be committed');
+
+  // Aborting restores the pre-revert branch
+  const beforeRevert = repo.getCurrentHead();
+  assert(repo.revert(mainHead).type === 'conflict', 'Reverting an overwritten change should conflict');
+  repo.mergeAbort();
+  assert(repo.getCurrentHead() === beforeRevert && repo.getMergeState() === null, 'Abort should restore the branch');
+
+  repo.addFile('wip.txt', 'work in progress');
+  assertThrows(() => repo.cherryPick(fix.commitHash), 'Should refuse to run with staged changes');
+  repo.commit('WIP');
+
+  // Merge commits need a mainline
+  repo.createBranch('side');
+  repo.switchBranch('side');
+  repo.addFile('side.txt', 'side');
+  repo.commit('Side work');
+  repo.switchBranch('main');
+  repo.addFile('other.txt', 'other');
+  repo.commit('Other work');
+  const merge = repo.merge('side');
+  assertThrows(() => repo.revert(merge.commitHash), 'Should require mainline for merge commits');
+  assertThrows(() => repo.revert(fix.commitHash, { mainline: 1 }), 'Should reject mainline for ordinary commits');
+  repo.revert(merge.commitHash, { mainline: 1 });
+  assert(!committed('side.txt'), 'Reverting against mainline 1 should undo the merged branch');
+  assert(committed('other.txt'), 'Mainline changes should be kept');
+
+  cleanupTestDB(testDB);
+  console.log('✅ Cherry-pick and revert test passed');
+}
+
+function testRebase() {
+  console.log('Testing rebase...');
+
+  const { repo, testDB } = createTestRepo();
+  const { getCommit } = require('../lib/core/objects');
+  const committed = name => repo.listRepoFiles().files.some(f => f.name === name);
+
+  repo.addFile('base.txt', 'base');
+  const base = repo.commit('Base');
+
+  repo.createBranch('feature', base.commitHash);
+  repo.switchBranch('feature');
+  repo.setAuthor('Feature Author', 'feature@example.com');
+  repo.addFile('one.txt', 'one');
+  const one = repo.commit('Add one');
+  repo.addFile('two.txt', 'two');
+  repo.commit('Add two');
+
+  repo.switchBranch('main');
+  repo.setAuthor('Test User', 'test@example.com');
+  repo.addFile('main.txt', 'main');
+  const mainHead = repo.commit('Main work').commitHash;
+
+  repo.switchBranch('feature');
+  const plan = repo.rebasePlan('main');
+  assert(plan.base === base.commitHash && plan.onto === mainHead, 'Plan should report the merge base and target');
+  assert(plan.todo.map(step => step.message).join(',') === 'Add one,Add two', 'Plan should list local commits oldest first');
+
+  const result = repo.rebase('main');
+  assert(result.type === 'rebased' && result.applied === 2, 'Should replay both commits');
+
+  const history = repo.log(3);
+  assert(history.map(c => c.message).join(',') === 'Add two,Add one,Main work', 'Commits should sit on top of main');
+  assert(history[2].hash === mainHead, 'Replayed commits should descend from the upstream head');
+  const replayed = getCommit(history[1].hash, repo.store);
+  assert(replayed.hash !== one.commitHash, 'Replayed commits should be new');
+  assert(replayed.author === 'Feature Author' && replayed.timestamp === getCommit(one.commitHash, repo.store).timestamp,
+    'Replayed commits should keep author and date');
+  assert(committed('main.txt') && committed('two.txt'), 'Branch should contain both sides');
+
+  assert(repo.rebase('main').type === 'up-to-date', 'Rebasing again should be a no-op');
+
+  // A branch with no local commits is fast-forwarded
+  repo.switchBranch('main');
+  const forward = repo.rebase('feature');
+  assert(forward.type === 'fast-forward' && repo.getCurrentHead() === repo.store.getRef('refs/heads/feature').hash,
+    'Should fast-forward to the upstream');
+
+  // Todo lists rewrite history while replaying
+  repo.createBranch('cleanup', mainHead);
+  repo.switchBranch('cleanup');
+  repo.addFile('a.txt', 'a');
+  repo.commit('Add a');
+  repo.addFile('a.txt', 'a fixed');
+  repo.commit('Fix a');
+  repo.addFile('b.txt', 'b');
+  repo.commit('Add b');
+  repo.addFile('debug.txt', 'debug');
+  repo.commit('Debugging');
+
+  const todo = repo.rebasePlan('main').todo;
+  todo[0].action = 'reword';
+  todo[0].message = 'Add file a';
+  todo[1].action = 'fixup';
+  todo[2].action = 'squash';
+  todo[3].action = 'drop';
+  const cleaned = repo.rebase('main', { todo });
+  assert(cleaned.type === 'rebased' && cleaned.applied === 1, 'Squashed commits should fold into one');
+  const cleanedHead = getCommit(repo.getCurrentHead(), repo.store);
+  assert(cleanedHead.message === 'Add file a\n\nAdd b', 'Squash should combine messages after the reword');
+  assert(cleanedHead.parent === repo.store.getRef('refs/heads/main').hash, 'Cleaned history should sit on main');
+  assert(new TextDecoder().decode(repo.getFile('a.txt')) === 'a fixed', 'Fixup changes should be kept');
+  assert(!committed('debug.txt'), 'Dropped commits should not be replayed');
+
+  assertThrows(() => repo.rebase('main', { todo: [{ action: 'edit', commit: 'HEAD' }] }), 'Should reject unknown actions');
+
+  // --onto moves only the commits after upstream
+  repo.createBranch('topic');
+  repo.switchBranch('topic');
+  repo.addFile('topic.txt', 'topic');
+  repo.commit('Topic work');
+  const moved = repo.rebase('cleanup', { onto: base.commitHash });
+  assert(moved.type === 'rebased' && moved.applied === 1, 'Should replay only the topic commit');
+  assert(repo.getCurrentHead() !== null && getCommit(repo.getCurrentHead(), repo.store).parent === base.commitHash,
+    'Topic commit should be replayed onto the new base');
+  assert(!committed('a.txt') && committed('topic.txt'), 'Upstream commits should be left out');
+
+  cleanupTestDB(testDB);
+  console.log('✅ Rebase test passed');
+}
+
+function testRebaseConflicts() {
+  console.log('Testing rebase conflicts...');
+
+  const { repo, testDB } = createTestRepo();
+  const { getCommit } = require('../lib/core/objects');
+  const decode = name => new TextDecoder().decode(repo.getFile(name));
+
+  repo.addFile('shared.txt', 'one\ntwo\nthree');
+  const base = repo.commit('Base');
+  repo.addFile('shared.txt', 'one\nmain two\nthree');
+  const mainHead = repo.commit('Main change').commitHash;
+
+  repo.createBranch('feature', base.commitHash);
+  repo.switchBranch('feature');
+  repo.setAuthor('Feature Author', 'feature@example.com');
+  repo.addFile('shared.txt', 'one\nfeature two\nthree');
+  repo.commit('Feature change');
+  repo.addFile('later.txt', 'later');
+  repo.commit('Later work');
+  const featureHead = repo.getCurrentHead();
+  repo.setAuthor('Test User', 'test@example.com');
+
+  const result = repo.rebase('main');
+  assert(result.type === 'conflict' && result.conflicts[0].file === 'shared.txt', 'Should stop at the conflicting commit');
+  assert(result.current.message === 'Feature change', 'Should report the stopped step');
+  assert(repo.status().rebasing.remaining === 1, 'Status should report the remaining steps');
+  assert(repo.getMergeState().operation === 'rebase', 'Conflict should use the merge state');
+  assertThrows(() => repo.mergeContinue(), 'merge --continue should not conclude a rebase step');
+  assertThrows(() => repo.switchBranch('main'), 'Should refuse to switch branches');
+  assertThrows(() => repo.rebaseContinue(), 'Should refuse to continue with unresolved conflicts');
+
+  repo.resolveConflict('shared.txt', 'theirs');
+  const continued = repo.rebaseContinue();
+  assert(continued.type === 'rebased' && continued.applied === 2, 'Should finish the remaining steps');
+  assert(repo.getRebaseState() === null && repo.getMergeState() === null, 'Rebase state should be cleared');
+  const resolved = getCommit(getCommit(repo.getCurrentHead(), repo.store).parent, repo.store);
+  assert(resolved.author === 'Feature Author' && resolved.message === 'Feature change', 'Resolved step should keep its author');
+  assert(resolved.parent === mainHead, 'Resolved step should sit on main');
+  assert(decode('shared.txt') === 'one\nfeature two\nthree', 'Resolution should be committed');
+
+  // Skip drops the conflicting commit; abort restores the branch
+  repo.createBranch('other', base.commitHash);
+  repo.switchBranch('other');
+  repo.addFile('shared.txt', 'one\nother two\nthree');
+  repo.commit('Other change');
+  repo.addFile('other.txt', 'other');
+  repo.commit('Other work');
+  const otherHead = repo.getCurrentHead();
+
+  assert(repo.rebase('main').type === 'conflict', 'Should stop at the conflicting commit');
+  const skipped = repo.rebaseSkip();
+  assert(skipped.type === 'rebased' && skipped.skipped.length === 1 && skipped.applied === 1, 'Should skip the conflicting commit');
+  assert(decode('shared.txt') === 'one\nmain two\nthree', 'Skipped changes should not be applied');
+
+  repo.reset(otherHead, { mode: 'hard' });
+  assert(repo.rebase('main').type === 'conflict', 'Should stop again after reset');
+  const aborted = repo.rebaseAbort();
+  assert(aborted.branch === 'other' && repo.getCurrentHead() === otherHead, 'Abort should restore the original head');
+  assert(repo.getRebaseState() === null && repo.getMergeState() === null, 'Abort should clear the rebase state');
+  assertThrows(() => repo.rebaseContinue(), 'Should fail when no rebase is in progress');
+  assert(repo.store.getRef('refs/heads/feature').hash !== featureHead, 'Rebased branch should have moved');
+
+  cleanupTestDB(testDB);
+  console.log('✅ Rebase conflicts test passed');
+}
+
 // Run all tests
 function runMergeTests() {
   console.log('Running Merge Tests...\n');
@@ -525,6 +1094,18 @@ function runMergeTests() {
     testMergeMultipleFileConflicts();
     testMergeIndependentFiles();
     testMergeFileRenameScenarios();
+    testMergeNonOverlappingLineChanges();
+    testMergeOverlappingLineChangesReportsRegions();
+    testMergeTextMarkers();
+    testMergeTextLargeFiles();
+    testMergeConflictStatePersisted();
+    testMergeContinue();
+    testMergeAbort();
+    testResolveConflictPerFile();
+    testGarbageCollectDuringMerge();
+    testCherryPickAndRevert();
+    testRebase();
+    testRebaseConflicts();
     
     console.log('\n✅ All merge tests passed!');
     return true;
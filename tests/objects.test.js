@@ -4,8 +4,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const { storeBlob, getBlob, storeTree, getTree, createCommit, getCommit, getCommitHistory, commitExists, getTreeFiles } = require('../lib/core/objects');
+const { storeBlob, getBlob, storeTree, getTree, readTree, getTreeFormat, createCommit, getCommit, getCommitHistory, commitExists, getTreeFiles } = require('../lib/core/objects');
 const { initStore } = require('../lib/core/storage');
+const { Chunker, storeChunkedBlob, getManifest, readChunks } = require('../lib/core/chunking');
 
 // Simple test runner
 function assert(condition, message = 'Assertion failed') {
@@ -307,6 +308,168 @@ function testCommitChain() {
 }
 
 // Run all tests
+function testCommitFormat() {
+  console.log('Testing commit headers, message body and trailers...');
+  
+  cleanupTestDB();
+  const store = initStore(TEST_DB);
+  const treeHash = storeTree([], store);
+  
+  // Multi-line messages survive the round trip
+  const message = 'Fix login\n\nThe form lost focus.\nmessage lines inside the body are not headers.';
+  const commit = getCommit(createCommit(treeHash, message, 'Ann', 'ann@example.com', null, store, 1000, { timezone: '+0530' }), store);
+  assert(commit.message === message, 'Full message should be preserved');
+  assert(commit.timestamp === 1000 && commit.timezone === '+0530', 'Author time and timezone should be recorded');
+  assert(commit.committer === 'Ann' && commit.committerTimestamp === 1000, 'Committer should default to the author');
+  
+  // Committer, extra headers and trailers
+  const signedHash = createCommit(treeHash, 'Add feature', 'Ann', 'ann@example.com', null, store, 1000, {
+    timezone: '-0800',
+    committer: { name: 'Bob', email: 'bob@example.com', timestamp: 2000, timezone: '+0100' },
+    headers: { encoding: 'utf-8' },
+    trailers: [
+      { key: 'Signed-off-by', value: 'Ann <ann@example.com>' },
+      { key: 'Co-authored-by', value: 'Cy <cy@example.com>' }
+    ]
+  });
+  const signed = getCommit(signedHash, store);
+  assert(signed.author === 'Ann' && signed.timezone === '-0800', 'Author should be kept');
+  assert(signed.committer === 'Bob' && signed.committerEmail === 'bob@example.com', 'Committer should be recorded');
+  assert(signed.committerTimestamp === 2000 && signed.committerTimezone === '+0100', 'Committer time should be recorded');
+  assert(signed.headers.encoding === 'utf-8', 'Extra headers should be readable');
+  assert(signed.message === 'Add feature\n\nSigned-off-by: Ann <ann@example.com>\nCo-authored-by: Cy <cy@example.com>',
+    'Trailers should form the final paragraph');
+  assert(signed.trailers.length === 2 && signed.trailers[1].key === 'Co-authored-by', 'Trailers should be parsed');
+  
+  // Trailers extend an existing trailer paragraph without duplicates
+  const extended = getCommit(createCommit(treeHash, signed.message, 'Ann', null, null, store, 1000, {
+    trailers: [{ key: 'Signed-off-by', value: 'Ann <ann@example.com>' }, { key: 'Signed-off-by', value: 'Bob <bob@example.com>' }]
+  }), store);
+  assert(extended.trailers.length === 3 && extended.message.split('\n\n').length === 2, 'Trailers should be appended once');
+  
+  let rejected = false;
+  try {
+    createCommit(treeHash, 'Bad', 'Ann', null, null, store, 1000, { headers: { parent: 'abc' } });
+  } catch (error) {
+    rejected = error.message.includes('Invalid commit header');
+  }
+  assert(rejected, 'Core headers should not be overridable');
+  
+  // Commits written in the old single-line format are still readable
+  const legacy = store.storeObject(new TextEncoder().encode(
+    `tree ${treeHash}\nparent ${signedHash}\nauthor Old Timer <old@example.com> 500\nmessage Legacy commit`
+  ), 'commit', 'zlib');
+  const old = getCommit(legacy.hash, store);
+  assert(old.message === 'Legacy commit' && old.parent === signedHash, 'Legacy message and parent should be read');
+  assert(old.author === 'Old Timer' && old.timestamp === 500 && old.timezone === null, 'Legacy author should be read');
+  assert(old.committer === 'Old Timer' && old.trailers.length === 0, 'Legacy commits should have the author as committer');
+  
+  store.close();
+  console.log('✅ Commit format tests passed');
+}
+
+function testNestedTrees() {
+  console.log('Testing nested trees and special file names...');
+  
+  cleanupTestDB();
+  const store = initStore(TEST_DB);
+  const blob = name => ({ name, type: 'file', hash: storeBlob(new TextEncoder().encode(name), store).hash, binary: false, size: name.length });
+  
+  const names = ['my notes.txt', 'docs/read me.md', 'docs/api/index.md', 'src/tab\tname.js', 'src/line\nbreak.js', 'src/back\\slash.js'];
+  const treeHash = storeTree(names.map(blob), store);
+  assert(getTreeFormat(treeHash, store) === 2, 'New trees should use the nested format');
+  
+  const files = getTree(treeHash, store);
+  assert(files.length === names.length, 'Flattened tree should list every file');
+  for (const name of names) {
+    const entry = files.find(f => f.name === name);
+    assert(entry && entry.type === 'file' && entry.size === name.length, `${JSON.stringify(name)} should round-trip`);
+  }
+  
+  const root = readTree(treeHash, store);
+  assert(root.length === 3, 'Root should hold one file and two directories');
+  const docs = root.find(entry => entry.name === 'docs');
+  assert(docs.type === 'tree' && readTree(docs.hash, store).some(entry => entry.name === 'api' && entry.type === 'tree'),
+    'Directories should be stored as subtrees');
+  
+  // An unchanged directory is shared between trees
+  const changed = storeTree([...names.filter(name => name !== 'my notes.txt'), 'my notes v2.txt'].map(blob), store);
+  const changedDocs = readTree(changed, store).find(entry => entry.name === 'docs');
+  assert(changed !== treeHash && changedDocs.hash === docs.hash, 'Unchanged subtrees should keep their hash');
+  
+  // Flat trees from older repositories are still read
+  const legacyBlob = blob('legacy');
+  const legacy = store.storeObject(new TextEncoder().encode(
+    `100644 dir/legacy.txt ${legacyBlob.hash} file 6 text\n100644 top.txt ${legacyBlob.hash} file 6 binary`
+  ), 'tree', 'zlib');
+  assert(getTreeFormat(legacy.hash, store) === 1, 'Flat trees should be detected');
+  const legacyFiles = getTree(legacy.hash, store);
+  assert(legacyFiles.length === 2 && legacyFiles[0].name === 'dir/legacy.txt' && legacyFiles[1].binary === true,
+    'Flat trees should be read as before');
+  
+  store.close();
+  console.log('✅ Nested tree tests passed');
+}
+
+function testChunking() {
+  console.log('Testing content-defined chunking...');
+  
+  cleanupTestDB();
+  const store = initStore(TEST_DB);
+  const options = { minSize: 1024, avgSize: 4096, maxSize: 16384 };
+  
+  // Deterministic pseudo-random content
+  let seed = 12345;
+  const data = new Uint8Array(200 * 1024);
+  for (let i = 0; i < data.length; i++) {
+    seed ^= seed << 13; seed ^= seed >>> 17; seed ^= seed << 5;
+    data[i] = seed & 0xff;
+  }
+  
+  // Feed through one reused Buffer, the way files are read from disk
+  const split = (bytes, pieceSize) => {
+    const chunker = new Chunker(options);
+    const buffer = Buffer.alloc(pieceSize);
+    const chunks = [];
+    for (let offset = 0; offset < bytes.length; offset += pieceSize) {
+      const piece = bytes.subarray(offset, offset + pieceSize);
+      buffer.set(piece);
+      chunks.push(...chunker.push(buffer.subarray(0, piece.length)));
+    }
+    return chunks.concat(chunker.finish());
+  };
+  const chunks = split(data, data.length);
+  const sizes = chunks.map(chunk => chunk.length);
+  assert(sizes.length > 10 && sizes.every(size => size <= options.maxSize), 'Content should split into bounded chunks');
+  assert(sizes.slice(0, -1).every(size => size >= options.minSize), 'Only the last chunk may be below the minimum');
+  const pieced = split(data, 777);
+  assert(pieced.length === chunks.length && pieced.every((chunk, i) => Buffer.compare(chunk, chunks[i]) === 0),
+    'Chunks should not depend on how the input is fed');
+  
+  const stored = storeChunkedBlob([data], store, options);
+  assert(stored.size === data.length && stored.chunks === sizes.length && stored.newChunks === sizes.length, 'Every chunk should be stored');
+  assert(store.getObjectType(stored.hash) === 'manifest', 'Chunked files should be referred to by a manifest');
+  const manifest = getManifest(stored.hash, store);
+  assert(manifest.size === data.length && manifest.chunks.length === sizes.length, 'Manifest should list every chunk');
+  assert(getManifest(storeBlob(data.subarray(0, 10), store).hash, store) === null, 'Plain blobs have no manifest');
+  
+  const roundTrip = getBlob(stored.hash, store);
+  assert(roundTrip.length === data.length && roundTrip.every((byte, i) => byte === data[i]), 'getBlob should reassemble chunked files');
+  assert(Array.from(readChunks(stored.hash, store)).length === sizes.length, 'readChunks should yield one piece per chunk');
+  
+  // An insert only changes the chunks around it
+  const edited = new Uint8Array(data.length + 5);
+  edited.set(data.subarray(0, 100000));
+  edited.set([1, 2, 3, 4, 5], 100000);
+  edited.set(data.subarray(100000), 100005);
+  const editedStored = storeChunkedBlob([edited], store, options);
+  assert(editedStored.hash !== stored.hash, 'Edited file should get a new manifest');
+  assert(editedStored.newChunks <= 3, `Insert should add few chunks (added ${editedStored.newChunks} of ${editedStored.chunks})`);
+  
+  store.close();
+  console.log('✅ Chunking tests passed');
+}
+
 function runObjectsTests() {
   console.log('Running Objects Tests...\n');
   
@@ -314,9 +477,12 @@ function runObjectsTests() {
     testStoreTree();
     testGetTree();
     testGetTreeErrors();
+    testNestedTrees();
+    testChunking();
     testCreateCommit();
     testGetCommit();
     testGetCommitErrors();
+    testCommitFormat();
     testCommitExists();
     testGetCommitHistory();
     testGetTreeFiles();
@@ -305,6 +305,83 @@ function testBranchOperations() {
   console.log('✅ Branch operations tests passed');
 }
 
+function testTags() {
+  console.log('Testing tags...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  repo.setAuthor('Tagger', 'tagger@example.com');
+  
+  repo.addFile('app.txt', 'version 1');
+  const first = repo.commit('Release 1', 'Author');
+  repo.addFile('app.txt', 'version 2');
+  const second = repo.commit('Release 2', 'Author');
+  
+  // Lightweight tag points straight at the commit
+  const light = repo.createTag('v1.0', first.commitHash);
+  assert(!light.annotated && light.hash === first.commitHash, 'Lightweight tag should store the commit hash');
+  
+  // Annotated tag stores a tag object
+  const annotated = repo.createTag('v2.0', 'HEAD', { message: 'Second release\n\nWith notes' });
+  assert(annotated.annotated && annotated.hash !== second.commitHash, 'Annotated tag should store a tag object');
+  assert(annotated.commit === second.commitHash, 'Annotated tag should point at HEAD');
+  
+  const tags = repo.listTags();
+  assert(tags.length === 2, 'Should list 2 tags');
+  const v2 = tags.find(t => t.name === 'v2.0');
+  assert(v2.tagger === 'Tagger' && v2.email === 'tagger@example.com', 'Should record the tagger');
+  assert(v2.message === 'Second release\n\nWith notes', 'Should keep multi-line tag messages');
+  assert(v2.timestamp > 0, 'Should record the tag date');
+  
+  // Tags resolve like commit references
+  assert(repo.resolveCommitReference('v1.0') === first.commitHash, 'Lightweight tag should resolve');
+  assert(repo.resolveCommitReference('v2.0') === second.commitHash, 'Annotated tag should resolve to its commit');
+  assert(repo.resolveCommitReference('tags/v2.0') === second.commitHash, 'tags/ prefix should resolve');
+  assert(repo.resolveCommitReference(annotated.hash) === second.commitHash, 'Tag object hash should peel to the commit');
+  
+  try {
+    repo.createTag('v1.0');
+    assert(false, 'Should not allow duplicate tag');
+  } catch (error) {
+    assert(error.message.includes('already exists'), 'Duplicate tag should be rejected');
+  }
+  assert(repo.createTag('v1.0', 'HEAD', { force: true }).commit === second.commitHash, 'Force should move the tag');
+  repo.createTag('v1.0', first.commitHash, { force: true });
+  
+  try {
+    repo.createTag('bad name');
+    assert(false, 'Should reject invalid tag names');
+  } catch (error) {
+    assert(error.message.includes('Invalid tag name'), 'Invalid tag name should be rejected');
+  }
+  
+  // Tags keep commits alive through garbage collection
+  repo.createBranch('feature');
+  repo.switchBranch('feature');
+  repo.addFile('feature.txt', 'feature work');
+  const featureCommit = repo.commit('Feature work', 'Author');
+  repo.createTag('feature-snapshot', 'HEAD', { message: 'Keep this' });
+  repo.switchBranch('main');
+  repo.deleteBranch('feature');
+  
+  const { getCommit } = require('../lib/core/objects');
+  assert(getCommit(featureCommit.commitHash, repo.store) !== null, 'Tagged commit should survive GC');
+  assert(repo.getFile('feature.txt', featureCommit.commitHash), 'Tagged tree should survive GC');
+  
+  repo.deleteTag('feature-snapshot');
+  repo.garbageCollect({ reflogExpireDays: 0 });
+  assert(getCommit(featureCommit.commitHash, repo.store) === null, 'Untagged commit should be collected');
+  
+  try {
+    repo.deleteTag('missing');
+    assert(false, 'Should not delete missing tag');
+  } catch (error) {
+    assert(error.message.includes('does not exist'), 'Missing tag should be reported');
+  }
+  
+  console.log('✅ Tags tests passed');
+}
+
 function testCheckout() {
   console.log('Testing checkout operations...');
   
@@ -441,8 +518,8 @@ function testDiffOperations() {
   const diff = repo.diffFiles('fileA.txt', 'fileB.txt');
   assert(typeof diff === 'object', 'Diff should be object');
   assert(typeof diff.content === 'string', 'Diff content should be string');
-  assert(diff.content.includes('- Line 2'), 'Should show removed line');
-  assert(diff.content.includes('+ Modified'), 'Should show added line');
+  assert(diff.content.includes('-Line 2'), 'Should show removed line');
+  assert(diff.content.includes('+Modified'), 'Should show added line');
   
   // Test commit diff
   const result1 = repo.commit('First commit', 'Author');
@@ -576,8 +653,8 @@ function testShowChanges() {
   
   // Verify diff content
   assert(addedChange.diff.includes('+This is new content'), 'Should show added file content');
-  assert(modifiedChange.diff.includes('- Original content'), 'Should show removed lines');
-  assert(modifiedChange.diff.includes('+ Modified content'), 'Should show added lines');
+  assert(modifiedChange.diff.includes('-Original content'), 'Should show removed lines');
+  assert(modifiedChange.diff.includes('+Modified content'), 'Should show added lines');
   assert(deletedChange.diff.includes('-Keep this file'), 'Should show deleted file content');
   
   // Test after committing - should show no changes
@@ -689,6 +766,745 @@ function testNullHashSafety() {
 }
 
 // Run all tests
+function testRevisions() {
+  console.log('Testing revision resolution...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  
+  repo.addFile('main.txt', 'one');
+  const c1 = repo.commit('One', 'Author');
+  repo.addFile('main.txt', 'two');
+  const c2 = repo.commit('Two', 'Author');
+  repo.createBranch('feature');
+  repo.switchBranch('feature');
+  repo.addFile('feature.txt', 'feature');
+  const f1 = repo.commit('Feature', 'Author');
+  repo.switchBranch('main');
+  repo.addFile('main.txt', 'three');
+  const c3 = repo.commit('Three', 'Author');
+  const merge = repo.merge('feature');
+  const m = merge.commitHash;
+  repo.createTag('v1', c1.commitHash);
+  
+  assert(m && repo.resolveCommitReference('HEAD') === m, 'HEAD should resolve to the merge commit');
+  assert(repo.resolveCommitReference('@') === m, '@ should alias HEAD');
+  assert(repo.resolveCommitReference('main') === m, 'Branch name should resolve');
+  assert(repo.resolveCommitReference('feature') === f1.commitHash, 'Other branch should resolve');
+  assert(repo.resolveCommitReference('heads/feature') === f1.commitHash, 'heads/ prefix should resolve');
+  assert(repo.resolveCommitReference('HEAD^') === c3.commitHash, '^ should select the first parent');
+  assert(repo.resolveCommitReference('HEAD^2') === f1.commitHash, '^2 should select the merged parent');
+  assert(repo.resolveCommitReference('HEAD^0') === m, '^0 should select the commit itself');
+  assert(repo.resolveCommitReference('HEAD^3') === null, 'Missing parent should not resolve');
+  assert(repo.resolveCommitReference('main~2') === c2.commitHash, '~n should follow first parents');
+  assert(repo.resolveCommitReference('HEAD^2~1') === c2.commitHash, 'Steps should chain');
+  assert(repo.resolveCommitReference('v1~0') === c1.commitHash, 'Tags should take suffixes');
+  assert(repo.resolveCommitReference('@{0}') === m, '@{0} should be the current branch value');
+  assert(repo.resolveCommitReference('feature@{0}') === f1.commitHash, 'branch@{0} should resolve');
+  assert(repo.resolveCommitReference('main@{5}') === null, 'Unknown reflog entry should not resolve');
+  assert(repo.resolveCommitReference(c2.commitHash.substring(0, 10)) === c2.commitHash, 'Abbreviated hash should resolve');
+  assert(repo.resolveCommitReference(c2.commitHash.substring(0, 10) + '~1') === c1.commitHash, 'Abbreviated hash should take suffixes');
+  assert(repo.resolveCommitReference('abc') === null, 'Too-short prefix should not resolve');
+  assert(repo.resolveCommitReference('missing~1') === null, 'Unknown name should not resolve');
+  
+  // Simulate two commits sharing a prefix
+  const findObjectsByPrefix = repo.store.findObjectsByPrefix;
+  repo.store.findObjectsByPrefix = () => [
+    { hash: c1.commitHash, type: 'commit' },
+    { hash: c2.commitHash, type: 'commit' }
+  ];
+  try {
+    repo.resolveCommitReference('abcd');
+    assert(false, 'Ambiguous prefix should throw');
+  } catch (error) {
+    assert(error.message.includes('Ambiguous commit reference'), 'Ambiguous prefix should throw');
+  }
+  repo.store.findObjectsByPrefix = findObjectsByPrefix;
+  
+  // Ranges
+  const onlyMain = repo.log(10, 'feature..main').map(c => c.hash);
+  assert(onlyMain.length === 2 && onlyMain.includes(m) && onlyMain.includes(c3.commitHash), 'A..B should list commits in B but not A');
+  assert(repo.log(10, 'main..feature').length === 0, 'Merged branch should have nothing new');
+  const symmetric = repo.log(10, `${c3.commitHash}...feature`).map(c => c.hash);
+  assert(symmetric.length === 2 && symmetric.includes(c3.commitHash) && symmetric.includes(f1.commitHash), 'A...B should list both sides');
+  assert(repo.log(10, 'HEAD~1').length === 3, 'log should start from a revision');
+  
+  const range = repo.resolveRange(`${c3.commitHash}...feature`);
+  assert(range.symmetric && range.base === c2.commitHash, 'Symmetric range should report the merge base');
+  try {
+    repo.resolveRange('nope..main');
+    assert(false, 'Unresolvable range side should throw');
+  } catch (error) {
+    assert(error.message.includes('Invalid commit reference'), 'Unresolvable range side should throw');
+  }
+  
+  // Commands taking a commit share the resolver
+  assert(new TextDecoder().decode(repo.getFile('main.txt', 'main~2')) === 'two', 'getFile should take revisions');
+  const changes = repo.diffCommits('HEAD^', 'HEAD^2');
+  assert(changes.some(c => c.file === 'feature.txt' && c.type === 'added'), 'diffCommits should take revisions');
+  repo.reset('HEAD^2', { mode: 'soft' });
+  assert(repo.getCurrentHead() === f1.commitHash, 'reset should take revisions');
+  try {
+    repo.reset('nope');
+    assert(false, 'reset should reject unknown revisions');
+  } catch (error) {
+    assert(error.message.includes('Invalid commit reference'), 'reset should reject unknown revisions');
+  }
+  
+  repo.close();
+  console.log('✅ Revision resolution tests passed');
+}
+
+function testBlame() {
+  console.log('Testing blame...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  repo.setAuthor('Ann', 'ann@example.com');
+  repo.addFile('src/notes.txt', 'one\ntwo\nthree\n');
+  const first = repo.commit('Add notes').commitHash;
+  
+  repo.setAuthor('Bob', 'bob@example.com');
+  repo.addFile('src/notes.txt', 'one\nTWO\nthree\nfour\n');
+  const second = repo.commit('Shout two').commitHash;
+  repo.addFile('other.txt', 'unrelated');
+  repo.commit('Touch another file');
+  
+  const blame = repo.blame('src/notes.txt');
+  assert(blame.revision === repo.getCurrentHead(), 'Blame should default to HEAD');
+  assert(blame.lines.map(line => line.content).join() === 'one,TWO,three,four', 'Blame should list every line');
+  assert(blame.lines.map(line => line.hash).join() === [first, second, first, second].join(), 'Lines should belong to the commit that last changed them');
+  assert(blame.lines[1].author === 'Bob' && blame.lines[1].summary === 'Shout two', 'Lines should carry author and summary');
+  assert(blame.lines[2].originalLine === 3 && typeof blame.lines[0].timestamp === 'number', 'Lines should carry original line and timestamp');
+  
+  const old = repo.blame('src/notes.txt', 'HEAD~2');
+  assert(old.lines.length === 3 && old.lines.every(line => line.hash === first), 'Blame should work at an older revision');
+  
+  repo.addFile('src/notes.txt', 'zero\none\nTWO\nthree\nfour\n');
+  const staged = repo.blame('src/notes.txt');
+  assert(staged.revision === null && staged.lines[0].hash === null && staged.lines[1].hash === first, 'Staged lines should be marked as not committed');
+  
+  try {
+    repo.blame('missing.txt');
+    assert(false, 'Should reject a missing file');
+  } catch (error) {
+    assert(error.message.includes("'missing.txt' not found"), 'Should name the missing file');
+  }
+  
+  repo.addFile('image.bin', new Uint8Array([0, 1, 2, 0, 255]));
+  repo.commit('Add binary');
+  try {
+    repo.blame('image.bin', 'HEAD');
+    assert(false, 'Should refuse binary files');
+  } catch (error) {
+    assert(error.message.includes('binary'), 'Should explain binary files cannot be blamed');
+  }
+  
+  repo.close();
+  console.log('✅ Blame tests passed');
+}
+
+function testLogFilters() {
+  console.log('Testing log filters...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  const hashes = history => history.map(commit => commit.hash).join();
+  const body = 'alpha\nbeta\ngamma\ndelta\nepsilon\nzeta\n';
+  
+  repo.setAuthor('Ann', 'ann@example.com');
+  repo.addFile('old.txt', body);
+  const added = repo.commit('Add old file').commitHash;
+  repo.setAuthor('Bob', 'bob@example.com');
+  repo.addFile('docs/guide.md', 'guide');
+  const docs = repo.commit('Write the guide').commitHash;
+  
+  // Same content under a new name
+  repo.removeFile('old.txt');
+  repo.addFile('middle.txt', body);
+  const moved = repo.commit('Move to middle').commitHash;
+  
+  // Renamed and edited in one commit
+  repo.setAuthor('Ann', 'ann@example.com');
+  repo.removeFile('middle.txt');
+  repo.addFile('src/new.txt', body.replace('beta', 'BETA'));
+  const renamed = repo.commit('Rename and fix beta').commitHash;
+  repo.addFile('docs/guide.md', 'better guide');
+  const guide = repo.commit('Improve the guide').commitHash;
+  
+  assert(hashes(repo.log(10, null, { path: 'src/new.txt' })) === renamed, 'Path log should stop where the file appeared');
+  assert(hashes(repo.log(10, null, { path: 'docs' })) === [guide, docs].join(), 'Path log should accept directories');
+  
+  const followed = repo.log(10, null, { path: 'src/new.txt', follow: true });
+  assert(hashes(followed) === [renamed, moved, added].join(), 'Follow should continue across exact and similar renames');
+  assert(followed[0].renamedFrom === 'middle.txt' && followed[1].renamedFrom === 'old.txt', 'Follow should record the old names');
+  assert(followed[2].path === 'old.txt', 'Follow should report the name at each commit');
+  assert(repo.log(1, null, { path: 'src/new.txt', follow: true }).length === 1, 'Follow should honour the count');
+  
+  assert(hashes(repo.log(10, null, { author: 'bob' })) === [moved, docs].join(), 'Author filter should be case-insensitive');
+  assert(hashes(repo.log(10, null, { author: 'ann@example', grep: 'guide' })) === guide, 'Filters should combine');
+  assert(hashes(repo.log(10, `${docs}..HEAD`, { grep: '^rename' })) === renamed, 'Filters should apply to ranges');
+  
+  assert(repo.log(10, null, { since: '1 hour ago' }).length === 5, 'Since should keep recent commits');
+  assert(repo.log(10, null, { until: '2 days ago' }).length === 0, 'Until should drop later commits');
+  assert(repo.log(10, null, { since: '2000-01-01', until: String(Math.floor(Date.now() / 1000) + 60) }).length === 5, 'Dates may be absolute or Unix seconds');
+  
+  const invalid = [
+    [{ since: 'next tuesday-ish' }, 'Invalid date'],
+    [{ grep: '(' }, 'Invalid --grep pattern'],
+    [{ follow: true }, '--follow needs a path']
+  ];
+  for (const [options, message] of invalid) {
+    try {
+      repo.log(10, null, options);
+      assert(false, `Should reject ${JSON.stringify(options)}`);
+    } catch (error) {
+      assert(error.message.includes(message), `Should explain: ${message}`);
+    }
+  }
+
+  // Flat trees written before nested trees have no directory entries
+  const store = repo.store;
+  const blob = text => store.storeObject(new TextEncoder().encode(text), 'blob', 'zlib').hash;
+  const flatTree = files => store.storeObject(new TextEncoder().encode(
+    Object.entries(files).map(([name, text]) => `100644 ${name} ${blob(text)} file ${text.length} text`).join('\n')
+  ), 'tree', 'zlib').hash;
+  const flatCommit = (files, parent, message, time) => store.storeObject(new TextEncoder().encode(
+    `tree ${flatTree(files)}${parent ? `\nparent ${parent}` : ''}\nauthor Old <old@example.com> ${time}\nmessage ${message}`
+  ), 'commit', 'zlib').hash;
+
+  const flat1 = flatCommit({ 'README': 'one', 'lib/a.txt': 'a' }, null, 'Old one', 100);
+  const flat2 = flatCommit({ 'README': 'two', 'lib/a.txt': 'a' }, flat1, 'Old two', 200);
+  const flat3 = flatCommit({ 'README': 'two', 'lib/a.txt': 'a', 'lib/b.txt': 'b' }, flat2, 'Old three', 300);
+  store.setRef('refs/heads/legacy', flat3, 'branch');
+  repo.switchBranch('legacy');
+  repo.addFile('README', 'three');
+  const nestedOnFlat = repo.commit('Nested on flat').commitHash;
+
+  assert(hashes(repo.log(10, 'legacy', { path: 'lib' })) === [flat3, flat1].join(), 'Path log should accept directories in flat trees');
+  assert(hashes(repo.log(10, 'legacy', { path: 'lib/' })) === [flat3, flat1].join(), 'A trailing slash should name the same directory');
+  assert(hashes(repo.log(10, 'legacy', { path: 'README' })) === [nestedOnFlat, flat2, flat1].join(), 'Files in flat trees should still match exactly');
+
+  repo.close();
+  console.log('✅ Log filter tests passed');
+}
+
+function testReflog() {
+  console.log('Testing reflog...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  repo.setAuthor('Ann', 'ann@example.com');
+  const { getCommit } = require('../lib/core/objects');
+  
+  repo.addFile('a.txt', 'one');
+  const c1 = repo.commit('One', 'Author');
+  repo.addFile('a.txt', 'two');
+  const c2 = repo.commit('Two', 'Author');
+  repo.reset('HEAD~1', { mode: 'hard' });
+  
+  const entries = repo.getReflog();
+  assert(entries.length === 3, 'Commits and reset should each be recorded');
+  assert(entries[0].operation === 'reset: moving to HEAD~1', 'Newest entry should describe the reset');
+  assert(entries[0].oldHash === c2.commitHash && entries[0].newHash === c1.commitHash, 'Entry should record old and new hashes');
+  assert(entries[0].author === 'Ann <ann@example.com>', 'Entry should record the configured author');
+  assert(entries[0].selector === 'main@{0}' && entries[2].operation === 'commit (initial): One', 'Entries should be numbered newest first');
+  assert(entries[0].timestamp > 0, 'Entry should record the time');
+  
+  // The reset-away commit is recoverable
+  assert(repo.resolveCommitReference('main@{1}') === c2.commitHash, 'main@{1} should be the pre-reset commit');
+  assert(repo.resolveCommitReference('@{1}') === c2.commitHash, '@{1} should use the current branch');
+  repo.reset('main@{1}', { mode: 'hard' });
+  assert(repo.getCurrentHead() === c2.commitHash, 'Reset to a reflog entry should undo the reset');
+  
+  // Deleted branches keep their reflog and their commits survive GC
+  repo.createBranch('feature');
+  repo.switchBranch('feature');
+  repo.addFile('f.txt', 'feature');
+  const f1 = repo.commit('Feature', 'Author');
+  repo.switchBranch('main');
+  repo.deleteBranch('feature');
+  
+  const featureLog = repo.getReflog('feature');
+  assert(featureLog[0].operation === 'branch: deleted' && featureLog[0].newHash === null, 'Deletion should be recorded');
+  assert(getCommit(f1.commitHash, repo.store) !== null, 'Reflog should keep deleted branch commits through GC');
+  repo.createBranch('restored', repo.resolveCommitReference('feature@{1}'));
+  assert(repo.resolveCommitReference('restored') === f1.commitHash, 'Branch should be restorable from the reflog');
+  repo.deleteBranch('restored', false);
+  
+  // Expired entries no longer protect objects
+  repo.setReflogExpiry(30);
+  assert(repo.getReflogExpiry() === 30, 'Expiry should be configurable');
+  try {
+    repo.setReflogExpiry('soon');
+    assert(false, 'Should reject a non-numeric expiry');
+  } catch (error) {
+    assert(error.message.includes('Invalid reflog expiry'), 'Should reject a non-numeric expiry');
+  }
+  assert(repo.garbageCollect().expiredReflogEntries === 0, 'Recent entries should not expire');
+  const gc = repo.garbageCollect({ reflogExpireDays: 0 });
+  assert(gc.expiredReflogEntries > 0, 'Old entries should expire');
+  assert(getCommit(f1.commitHash, repo.store) === null, 'Commits only held by expired entries should be collected');
+  assert(getCommit(c2.commitHash, repo.store) !== null, 'Branch commits should survive');
+  
+  repo.close();
+  console.log('✅ Reflog tests passed');
+}
+
+function testAmendAndReword() {
+  console.log('Testing commit amend and reword...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  repo.setAuthor('Ann', 'ann@example.com');
+  const { getCommit } = require('../lib/core/objects');
+  
+  try {
+    repo.commit(null, null, null, { amend: true });
+    assert(false, 'Should refuse to amend without commits');
+  } catch (error) {
+    assert(error.message.includes('Nothing to amend'), 'Should refuse to amend without commits');
+  }
+  
+  repo.addFile('a.txt', 'one');
+  const c1 = repo.commit('One');
+  repo.addFile('a.txt', 'two');
+  const c2 = repo.commit('Twoo', 'Bob', 'bob@example.com', { timestamp: 1000 });
+  
+  // Amend folds staged changes into HEAD, keeping parents, author and date
+  repo.addFile('b.txt', 'forgotten');
+  const amended = repo.commit('Two', null, null, { amend: true });
+  assert(amended.amended === c2.commitHash, 'Result should name the replaced commit');
+  const amendedCommit = getCommit(amended.commitHash, repo.store);
+  assert(amendedCommit.parent === c1.commitHash, 'Amended commit should keep the original parent');
+  assert(amendedCommit.message === 'Two', 'Amended commit should use the new message');
+  assert(amendedCommit.author === 'Bob' && amendedCommit.timestamp === 1000, 'Amended commit should keep author and date');
+  assert(repo.listRepoFiles().files.some(f => f.name === 'b.txt'), 'Staged changes should be included');
+  assert(repo.log(10).length === 2, 'Amend should not add a commit');
+  
+  // Amending with nothing staged keeps the message by default
+  const again = repo.commit(null, null, null, { amend: true });
+  const againCommit = getCommit(again.commitHash, repo.store);
+  assert(againCommit.message === 'Two' && againCommit.tree === amendedCommit.tree, 'Amending with no changes should keep message and tree');
+  assert(againCommit.committer === 'Ann' && againCommit.author === 'Bob', 'Amend should keep author and committer');
+  
+  // Reword only changes the message
+  repo.addFile('c.txt', 'staged');
+  const reworded = repo.reword('HEAD', 'Second');
+  const rewordedCommit = getCommit(reworded.commitHash, repo.store);
+  assert(rewordedCommit.message === 'Second' && rewordedCommit.tree === amendedCommit.tree, 'Reword should keep the tree');
+  assert(rewordedCommit.parent === c1.commitHash, 'Reword should keep the parent');
+  assert(repo.listFiles().includes('c.txt'), 'Reword should leave the staging area alone');
+  
+  try {
+    repo.reword('HEAD~1', 'First');
+    assert(false, 'Should only reword HEAD');
+  } catch (error) {
+    assert(error.message.includes('Only HEAD can be reworded'), 'Should only reword HEAD');
+  }
+  
+  // Replaced commits stay reachable through the reflog until GC expires them
+  const entries = repo.getReflog();
+  assert(entries[0].operation === 'reword: Second' && entries[1].operation === 'commit (amend): Two', 'Rewrites should be logged');
+  assert(repo.resolveCommitReference(`HEAD@{${entries.length - 2}}`) === c2.commitHash, 'Original commit should be in the reflog');
+  repo.garbageCollect();
+  assert(getCommit(c2.commitHash, repo.store) !== null, 'Reflog should keep the original commit through GC');
+  repo.garbageCollect({ reflogExpireDays: 0 });
+  assert(getCommit(c2.commitHash, repo.store) === null, 'Original commit should be collected once the reflog expires');
+
+  // Committer, timezones, extra headers and trailers carry over to a new message
+  repo.addFile('d.txt', 'three');
+  repo.commit('Three', 'Bob', 'bob@example.com', {
+    timezone: '+0530',
+    headers: { 'change-id': 'I1234' },
+    trailers: [{ key: 'Signed-off-by', value: 'Bob <bob@example.com>' }]
+  });
+  repo.setAuthor('Cy', 'cy@example.com');
+  const carried = getCommit(repo.commit('Three, fixed', null, null, {
+    amend: true,
+    trailers: [{ key: 'Signed-off-by', value: 'Bob <bob@example.com>' }, { key: 'Reviewed-by', value: 'Cy <cy@example.com>' }]
+  }).commitHash, repo.store);
+  assert(carried.committer === 'Ann' && carried.committerEmail === 'ann@example.com', 'Amend should keep the committer');
+  assert(carried.timezone === '+0530' && carried.headers['change-id'] === 'I1234', 'Amend should keep the timezone and extra headers');
+  assert(carried.message === 'Three, fixed\n\nSigned-off-by: Bob <bob@example.com>\nReviewed-by: Cy <cy@example.com>',
+    `Amend should keep trailers and add new ones once (got ${JSON.stringify(carried.message)})`);
+  
+  repo.close();
+  console.log('✅ Amend and reword tests passed');
+}
+
+function testTreeUpgrade() {
+  console.log('Testing file names with spaces and tree format upgrade...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  repo.setAuthor('Ann', 'ann@example.com');
+  const { getCommit, getTreeFormat, readTree } = require('../lib/core/objects');
+  const decode = name => new TextDecoder().decode(repo.getFile(name));
+  
+  // Names with spaces survive a commit
+  repo.addFile('my notes.txt', 'notes');
+  repo.addFile('docs/read me.md', 'readme');
+  const spaced = repo.commit('Spaces');
+  assert(decode('my notes.txt') === 'notes' && decode('docs/read me.md') === 'readme', 'Spaced names should round-trip');
+  
+  // Build history in the old flat format by hand
+  const store = repo.store;
+  const blob = repo.store.storeObject(new TextEncoder().encode('old'), 'blob', 'zlib').hash;
+  const flatTree = content => store.storeObject(new TextEncoder().encode(content), 'tree', 'zlib').hash;
+  const flatCommit = (tree, parent, message) => store.storeObject(new TextEncoder().encode(
+    `tree ${tree}${parent ? `\nparent ${parent}` : ''}\nauthor Old <old@example.com> 100\nmessage ${message}`
+  ), 'commit', 'zlib').hash;
+  
+  const tree1 = flatTree(`100644 lib/a.txt ${blob} file 3 text`);
+  const old1 = flatCommit(tree1, null, 'Old one');
+  const old2 = flatCommit(flatTree(`100644 lib/a.txt ${blob} file 3 text\n100644 lib/b.txt ${blob} file 3 text`), old1, 'Old two');
+  store.setRef('refs/heads/legacy', old2, 'branch');
+  repo.createTag('v-old', old1, { message: 'Old release' });
+  
+  repo.switchBranch('legacy');
+  assert(repo.listRepoFiles('lib').files.some(f => f.name === 'lib/b.txt'), 'Flat trees should be read transparently');
+  
+  const plan = repo.upgrade({ dryRun: true });
+  assert(plan.commits === 2 && plan.trees === 2 && plan.refs === 2, 'Dry run should count flat history');
+  assert(repo.getCurrentHead() === old2, 'Dry run should not move refs');
+  
+  const result = repo.upgrade();
+  assert(result.commits === 2 && result.refs === 2, 'Upgrade should rewrite the flat history');
+  const head = getCommit(repo.getCurrentHead(), repo.store);
+  assert(head.hash !== old2 && head.message === 'Old two' && head.author === 'Old' && head.timestamp === 100,
+    'Rewritten commits should keep their metadata');
+  assert(getTreeFormat(head.tree, repo.store) === 2 && readTree(head.tree, repo.store)[0].type === 'tree', 'Trees should be nested');
+  const tagTarget = repo.resolveCommitReference('v-old');
+  assert(head.parent === tagTarget && getCommit(tagTarget, repo.store).message === 'Old one', 'Parents and tags should follow');
+  assert(repo.listTags().find(tag => tag.name === 'v-old').message === 'Old release', 'Annotated tags should be recreated');
+  assert(repo.resolveCommitReference('legacy@{1}') === old2, 'Old commits should stay in the reflog');
+  assert(repo.store.getRef('refs/heads/main').hash === spaced.commitHash, 'Nested history should be left alone');
+  
+  assert(repo.upgrade().commits === 0, 'Upgrading again should do nothing');
+  
+  repo.close();
+  console.log('✅ Tree upgrade tests passed');
+}
+
+function testFsck() {
+  console.log('Testing repository integrity check...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  repo.setAuthor('Ann', 'ann@example.com');
+  const db = repo.store.db;
+  
+  repo.addFile('src/app.js', 'console.log(1);\n'.repeat(50));
+  repo.commit('First');
+  repo.createBranch('feature');
+  repo.switchBranch('feature');
+  repo.addFile('feature.txt', 'feature');
+  repo.commit('Feature');
+  repo.switchBranch('main');
+  repo.addFile('main.txt', 'main');
+  repo.commit('Main');
+  repo.merge('feature');
+  repo.deleteBranch('feature', false);
+  
+  let report = repo.fsck({ full: true });
+  assert(report.ok && report.errors.length === 0, 'A healthy repository should pass');
+  assert(report.dangling.length === 0, 'Commits behind a merge should not be dangling');
+  assert(report.checked.verified === report.checked.objects, 'Full check should verify every object');
+  
+  // A commit only the reflog remembers is kept by gc, so it is not dangling either
+  repo.addFile('undone.txt', 'undone');
+  const undone = repo.commit('Undone').commitHash;
+  repo.reset('HEAD~1', { mode: 'hard' });
+  assert(!repo.fsck().dangling.some(obj => obj.hash === undone), 'Commits kept by the reflog should not be dangling');
+  repo.garbageCollect();
+  assert(repo.store.hasObject(undone), 'gc should keep the same commit');
+  repo.garbageCollect({ reflogExpireDays: 0 });
+  assert(repo.fsck().ok, 'gc should keep history reachable through merge parents');
+
+  // gc and fsck share their roots, so a staged file fsck requires is kept
+  repo.addFile('staged.txt', 'staged but not committed');
+  repo.garbageCollect();
+  assert(repo.fsck().ok, 'gc should keep staged files');
+  repo.removeFile('staged.txt');
+
+  // Delta chains must resolve to a full object
+  const base = repo.store.storeObject(new TextEncoder().encode('line\n'.repeat(400)), 'blob').hash;
+  const delta = repo.store.storeBlobWithDelta(new TextEncoder().encode('line\n'.repeat(400) + 'more\n'), base);
+  assert(delta.usedDelta, 'Test data should be stored as a delta');
+  report = repo.fsck();
+  assert(report.ok && report.dangling.some(obj => obj.hash === delta.hash), 'Unreferenced deltas should be dangling');
+  db.prepare('DELETE FROM objects WHERE hash = ?').run(base);
+  report = repo.fsck();
+  assert(report.errors.some(error => error.type === 'broken-delta' && error.hash === delta.hash), 'Missing delta base should be reported');
+  
+  // Content that no longer hashes to its key is only found by a full check
+  const head = repo.getCurrentHead();
+  const { getCommit, readTree } = require('../lib/core/objects');
+  const blob = readTree(getCommit(head, repo.store).tree, repo.store).find(entry => entry.name === 'main.txt').hash;
+  db.prepare('UPDATE objects SET data = ?, compression = ? WHERE hash = ?').run(Buffer.from('tampered'), 'none', blob);
+  assert(!repo.fsck().errors.some(error => error.hash === blob), 'Quick check should not read blob content');
+  assert(repo.fsck({ full: true }).errors.some(error => error.type === 'hash-mismatch' && error.hash === blob), 'Full check should re-hash objects');
+  
+  // Missing objects and unreadable metadata
+  db.prepare('DELETE FROM objects WHERE hash = ?').run(blob);
+  db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)').run('staging_area', '{not json');
+  report = repo.fsck();
+  const missing = report.errors.find(error => error.type === 'missing-object');
+  assert(missing && missing.hash === blob && missing.path === 'main.txt', 'Missing tree entries should be reported with their path');
+  assert(report.errors.some(error => error.type === 'invalid-metadata' && error.key === 'staging_area'), 'Corrupt staging metadata should be reported');
+  assert(!report.ok, 'Report should fail');
+  assert(JSON.parse(JSON.stringify(report)).errors.length === report.errors.length, 'Report should be plain JSON');
+  
+  repo.close();
+  console.log('✅ Integrity check tests passed');
+}
+
+function testRepack() {
+  console.log('Testing delta repacking...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  repo.setAuthor('Ann', 'ann@example.com');
+  const { getCommit, readTree } = require('../lib/core/objects');
+  
+  let text = '';
+  for (let i = 0; i < 300; i++) {
+    text += `line ${i}: ${(i * 7919) % 1000} lorem ipsum dolor sit amet\n`;
+  }
+  const versions = [];
+  for (let v = 0; v < 14; v++) {
+    text = text.replace(`line ${v * 20}:`, `LINE ${v * 20}:`);
+    repo.addFile('docs/guide.txt', text);
+    versions.push({ commit: repo.commit(`Version ${v}`).commitHash, text });
+  }
+  
+  const result = repo.repack({ depth: 4 });
+  assert(result.objects === 14 && result.deltas > 0, 'Old versions should become deltas');
+  assert(result.after.bytes < result.before.bytes && result.saved > 0, 'Repack should report the space saved');
+  assert(result.after.maxDepth <= 4, 'Chains should stay within the requested depth');
+  
+  const headBlob = readTree(getCommit(repo.getCurrentHead(), repo.store).tree, repo.store)[0];
+  assert(repo.store.listObjects().find(obj => obj.hash === readTree(headBlob.hash, repo.store)[0].hash).type === 'blob',
+    'Blobs in branch heads should stay full objects');
+  for (const version of versions) {
+    const tree = readTree(readTree(getCommit(version.commit, repo.store).tree, repo.store)[0].hash, repo.store);
+    assert(new TextDecoder().decode(repo.store.getObject(tree[0].hash).data) === version.text, 'Every version should read back unchanged');
+  }
+  assert(repo.fsck({ full: true }).ok, 'Repacked repository should pass a full check');
+  
+  const flat = repo.repack({ depth: 0 });
+  assert(flat.deltas === 0 && flat.after.deltas === 0, 'Depth 0 should store everything in full');
+  
+  try {
+    repo.repack({ window: -1 });
+    assert(false, 'Should reject a negative window');
+  } catch (error) {
+    assert(error.message.includes('Invalid repack window'), 'Should explain the invalid window');
+  }
+  
+  repo.close();
+  console.log('✅ Delta repacking tests passed');
+}
+
+function testStorageAnalytics() {
+  console.log('Testing storage analytics...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  repo.setAuthor('Ann', 'ann@example.com');
+  
+  let text = '';
+  for (let i = 0; i < 200; i++) {
+    text += `line ${i}: ${(i * 7919) % 1000} lorem ipsum dolor sit amet\n`;
+  }
+  for (let v = 0; v < 6; v++) {
+    text = text.replace(`line ${v * 20}:`, `LINE ${v * 20}:`);
+    repo.addFile('docs/guide.txt', text);
+    repo.addFile('small.txt', `version ${v}`);
+    repo.commit(`Version ${v}`);
+  }
+  repo.createBranch('feature');
+  repo.switchBranch('feature');
+  repo.addFile('feature.txt', 'only on the feature branch');
+  repo.commit('Feature work');
+  repo.switchBranch('main');
+  repo.repack({ depth: 2 });
+  
+  const analytics = repo.storageAnalytics({ top: 2 });
+  assert(JSON.parse(JSON.stringify(analytics)).totals.objects === analytics.totals.objects, 'Analytics should be plain JSON');
+  
+  const objects = repo.store.listObjects();
+  assert(analytics.totals.objects === objects.length, 'Totals should count every object');
+  assert(analytics.types.commit.count === 7, 'Commits should be counted by type');
+  assert(analytics.types.blob.count === objects.filter(obj => obj.type === 'blob' || obj.type === 'delta').length,
+    'Delta-stored blobs should count as blobs');
+  assert(analytics.types.blob.deltas > 0 && !analytics.types.delta, 'Deltas should be counted under blobs');
+  assert(analytics.totals.stored === repo.store.getStoredSize().total, 'Stored bytes should match the tables');
+  assert(analytics.savings.delta > 0 && analytics.savings.compression > 0, 'Both delta and compression savings should show');
+  
+  assert(analytics.chains.maxDepth === 2 && analytics.chains.broken === 0, 'Chain depths should respect the repack depth');
+  const chained = analytics.chains.histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+  assert(chained === analytics.types.blob.count, 'Every blob should appear in the depth histogram');
+  
+  assert(analytics.largestBlobs.length === 2 && analytics.largestBlobs[0].path === 'docs/guide.txt', 'Largest blobs should be named by path');
+  
+  const feature = analytics.branches.find(branch => branch.name === 'feature');
+  const main = analytics.branches.find(branch => branch.name === 'main');
+  assert(feature.uniqueObjects === 3 && main.uniqueObjects === 0, 'Only the feature commit, its root tree and its file are unique');
+  assert(feature.stored > feature.uniqueStored, 'Shared history should not count as unique');
+  
+  assert(analytics.growth.length === 7 && analytics.growth[0].message === 'Version 0', 'Growth should follow history oldest first');
+  const last = analytics.growth[analytics.growth.length - 1];
+  assert(last.totalStored === analytics.totals.stored - analytics.unreachable.stored, 'Growth should add up to reachable storage');
+  
+  repo.addFile('staged.txt', 'not committed yet');
+  assert(repo.storageAnalytics().unreachable.objects === 1, 'Staged blobs should be unreachable from refs');
+  
+  repo.close();
+  console.log('✅ Storage analytics tests passed');
+}
+
+function testLargeFiles() {
+  console.log('Testing chunked large files...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  repo.setAuthor('Ann', 'ann@example.com');
+  
+  let seed = 42;
+  const data = new Uint8Array(6 * 1024 * 1024);
+  for (let i = 0; i < data.length; i++) {
+    seed ^= seed << 13; seed ^= seed >>> 17; seed ^= seed << 5;
+    data[i] = seed & 0xff;
+  }
+  const pieces = bytes => {
+    const list = [];
+    for (let offset = 0; offset < bytes.length; offset += 1024 * 1024) {
+      list.push(bytes.subarray(offset, offset + 1024 * 1024));
+    }
+    return list;
+  };
+  const same = (a, b) => a.length === b.length && Buffer.compare(Buffer.from(a), Buffer.from(b)) === 0;
+  
+  const added = repo.addFileStream('assets/big.bin', pieces(data));
+  assert(added.size === data.length && added.binary && added.chunks > 1, 'Streamed file should be stored as several chunks');
+  assert(same(repo.getFile('assets/big.bin'), data), 'Staged chunked file should read back whole');
+  const first = repo.commit('Add asset').commitHash;
+  
+  const streamed = Array.from(repo.streamFile('assets/big.bin', first));
+  assert(streamed.length === added.chunks && same(Buffer.concat(streamed), data), 'streamFile should yield the chunks in order');
+  
+  // A small edit stores only the chunks around it
+  const edited = data.slice();
+  edited.set([1, 2, 3, 4], 3 * 1024 * 1024);
+  const second = repo.addFileStream('assets/big.bin', pieces(edited));
+  assert(second.newChunks < second.chunks, `Unchanged chunks should be shared (${second.newChunks} of ${second.chunks} new)`);
+  repo.commit('Edit asset');
+  assert(same(repo.getFile('assets/big.bin', first), data) && same(repo.getFile('assets/big.bin'), edited), 'Both versions should read back');
+  
+  const checkedOut = repo.checkout(first, 'assets/big.bin');
+  assert(same(checkedOut.content, data) && checkedOut.metadata.chunked === false, 'Checkout without disk writes should return content');
+  
+  assert(repo.fsck({ full: true }).ok, 'Chunked files should pass a full check');
+  repo.garbageCollect({ reflogExpireDays: 0 });
+  assert(same(repo.getFile('assets/big.bin', first), data), 'Garbage collection should keep reachable chunks');
+
+  // Files streamed from disk are staged with the same metadata as files read whole
+  const metadata = { mode: 0o100755, mtime: 1700000000, size: 1024, type: 'file', target: null };
+  repo._addFileInternal('bin/small.sh', data.subarray(0, 1024), false, metadata);
+  repo._addFileStreamInternal('bin/large.sh', pieces(data.subarray(0, 1024)), false, metadata);
+  for (const name of ['bin/small.sh', 'bin/large.sh']) {
+    const staged = repo.stagingArea.get(name);
+    assert(staged.mode === metadata.mode && staged.mtime === metadata.mtime, `${name} should be staged with its mode and mtime`);
+  }
+
+  repo.close();
+  console.log('✅ Chunked large file tests passed');
+}
+
+function testStash() {
+  console.log('Testing stash...');
+  
+  cleanupTest();
+  const repo = new MiniRepo(TEST_DB);
+  
+  repo.addFile('a.txt', 'one');
+  repo.addFile('b.txt', 'bee');
+  const base = repo.commit('Base', 'Author');
+  
+  try {
+    repo.stashPush();
+    assert(false, 'Should refuse an empty stash');
+  } catch (error) {
+    assert(error.message.includes('No local changes'), 'Should refuse an empty stash');
+  }
+  
+  repo.addFile('a.txt', 'two');
+  repo.addFile('new.txt', 'new');
+  repo.removeFile('b.txt');
+  const pushed = repo.stashPush('work in progress');
+  assert(pushed.message === 'On main: work in progress', 'Stash should describe branch and message');
+  assert(pushed.files.join() === 'a.txt,new.txt' && pushed.removed.join() === 'b.txt', 'Stash should capture staged and removed files');
+  assert(repo.listFiles().length === 2 && repo.removedFiles.size === 0, 'Push should clear the staging area');
+  
+  const { getCommit } = require('../lib/core/objects');
+  const stashCommit = getCommit(pushed.hash, repo.store);
+  assert(stashCommit.parent === base.commitHash, 'Stash commit should sit on HEAD');
+  assert(repo.resolveCommitReference('stash@{0}') === pushed.hash, 'stash@{0} should resolve');
+  assert(new TextDecoder().decode(repo.getFile('a.txt', 'stash')) === 'two', 'Stash tree should hold the staged content');
+  
+  // Switching branches is possible once work is stashed
+  repo.createBranch('other');
+  repo.switchBranch('other');
+  repo.addFile('c.txt', 'sea');
+  const second = repo.stashPush();
+  assert(second.message.startsWith('WIP on other: '), 'Default message should name the branch and HEAD');
+  repo.switchBranch('main');
+  
+  const list = repo.stashList();
+  assert(list.length === 2 && list[0].hash === second.hash && list[1].name === 'stash@{1}', 'List should be newest first');
+  
+  const shown = repo.stashShow(1);
+  const types = shown.changes.map(c => `${c.file}:${c.type}`).join();
+  assert(types === 'a.txt:modified,b.txt:removed,new.txt:added', 'Show should list stashed changes');
+  assert(shown.changes[0].diff.includes('+two'), 'Show should include diffs');
+  
+  // Stashes survive GC
+  repo.garbageCollect({ reflogExpireDays: 0 });
+  assert(getCommit(pushed.hash, repo.store) !== null, 'Stash commits should survive GC');
+  
+  // Apply keeps the entry, pop drops it
+  const applied = repo.stashApply(1);
+  assert(applied.staged.join() === 'a.txt,new.txt' && applied.removed.join() === 'b.txt', 'Apply should restore staged and removed files');
+  assert(repo.removedFiles.has('b.txt') && new TextDecoder().decode(repo.getFile('a.txt')) === 'two', 'Apply should restore the staging area');
+  assert(repo.stashList().length === 2, 'Apply should keep the stash');
+  
+  try {
+    repo.stashApply(1);
+    assert(false, 'Should refuse to overwrite staged files');
+  } catch (error) {
+    assert(error.message.includes('would be overwritten'), 'Should refuse to overwrite staged files');
+  }
+  
+  repo.commit('Stashed work', 'Author');
+  const popped = repo.stashPop(0);
+  assert(popped.staged.join() === 'c.txt' && popped.dropped === second.hash, 'Pop should apply and drop');
+  assert(repo.stashList().length === 1, 'Pop should remove the entry');
+  
+  repo.stashDrop(0);
+  assert(repo.stashList().length === 0, 'Drop should empty the stack');
+  try {
+    repo.stashDrop(0);
+    assert(false, 'Should report an empty stack');
+  } catch (error) {
+    assert(error.message.includes('No stash entries'), 'Should report an empty stack');
+  }
+  
+  repo.close();
+  console.log('✅ Stash tests passed');
+}
+
 function runRepoTests() {
   console.log('Running Repo Tests...\n');
   
@@ -699,6 +1515,18 @@ function runRepoTests() {
     testDirectoryOperations();
     testCommits();
     testBranchOperations();
+    testTags();
+    testRevisions();
+    testBlame();
+    testLogFilters();
+    testReflog();
+    testAmendAndReword();
+    testStash();
+    testTreeUpgrade();
+    testFsck();
+    testRepack();
+    testStorageAnalytics();
+    testLargeFiles();
     testCheckout();
     testCheckoutToDisk();
     testDiffOperations();
@@ -16,7 +16,9 @@ const { runIntegrationTests } = require('./integration.test');
 const { runRmTests } = require('./rm.test');
 const { runResetTests } = require('./reset.test');
 const { runMergeTests } = require('./merge.test');
+const { runPatchTests } = require('./patch.test');
 const { runDeltaTests } = require('./delta-comprehensive.test');
+const { runSyncTests } = require('./sync.test');
 
 // Test modules in dependency order
 const testModules = [
@@ -30,10 +32,14 @@ const testModules = [
   { name: 'Rm', runner: runRmTests },
   { name: 'Reset', runner: runResetTests },
   { name: 'Merge', runner: runMergeTests },
-  { name: 'Integration', runner: runIntegrationTests }
+  { name: 'Patch', runner: runPatchTests },
+  { name: 'Sync', runner: runSyncTests },
+  { name: 'Integration', runner: runIntegrationTests },
+  // Last: stands in for the worker's browser globals while it runs
+  { name: 'Worker', runner: require('./worker.test').runWorkerTests }
 ];
 
-function runAllTests() {
+async function runAllTests() {
   console.log('🧪 WebDVCS Library Test Suite');
   console.log('============================\n');
   
@@ -47,7 +53,8 @@ function runAllTests() {
     const moduleStartTime = Date.now();
     
     try {
-      const success = module.runner();
+      // Runners may be async
+      const success = await module.runner();
       const moduleEndTime = Date.now();
       const duration = moduleEndTime - moduleStartTime;
       
@@ -120,7 +127,7 @@ function printUsage() {
   });
 }
 
-function runSpecificModule(moduleName) {
+async function runSpecificModule(moduleName) {
   const module = testModules.find(m => m.name.toLowerCase() === moduleName.toLowerCase());
   
   if (!module) {
@@ -130,7 +137,7 @@ function runSpecificModule(moduleName) {
   }
   
   console.log(`🧪 Running ${module.name} tests only...\n`);
-  const success = module.runner();
+  const success = await module.runner();
   
   if (success) {
     console.log(`\n✅ ${module.name} tests completed successfully!`);
@@ -142,7 +149,7 @@ function runSpecificModule(moduleName) {
 }
 
 // Parse command line arguments
-function main() {
+async function main() {
   const args = process.argv.slice(2);
   
   if (args.includes('--help') || args.includes('-h')) {
@@ -153,7 +160,7 @@ function main() {
   const moduleIndex = args.findIndex(arg => arg === '--module' || arg === '-m');
   if (moduleIndex !== -1 && moduleIndex + 1 < args.length) {
     const moduleName = args[moduleIndex + 1];
-    const success = runSpecificModule(moduleName);
+    const success = await runSpecificModule(moduleName);
     process.exit(success ? 0 : 1);
   }
   
@@ -162,7 +169,7 @@ function main() {
     const originalLog = console.log;
     console.log = () => {};
     
-    const success = runAllTests();
+    const success = await runAllTests();
     
     // Restore console.log
     console.log = originalLog;
@@ -172,7 +179,7 @@ function main() {
   }
   
   // Run all tests normally
-  const success = runAllTests();
+  const success = await runAllTests();
   process.exit(success ? 0 : 1);
 }
 
@@ -5,6 +5,9 @@
 const fs = require('fs');
 const path = require('path');
 const { initStore } = require('../lib/core/storage');
+const { SCHEMA_VERSION } = require('../lib/core/migrations');
+const { MAX_DELTA_CHAIN_DEPTH } = require('../lib/core/constants');
+const Database = require('better-sqlite3');
 
 // Simple test runner
 function assert(condition, message = 'Assertion failed') {
@@ -276,6 +279,84 @@ function testLargeFileCompression() {
   console.log('✅ Large file compression tests passed');
 }
 
+function testDeltaChainCap() {
+  console.log('Testing delta chain depth cap...');
+
+  const testDB = getTestDB();
+  const store = initStore(testDB);
+
+  let text = 'shared content line\n'.repeat(500);
+  let previous = store.storeObject(new TextEncoder().encode(text), 'blob').hash;
+  const reasons = [];
+  for (let i = 0; i < MAX_DELTA_CHAIN_DEPTH + 2; i++) {
+    text += `change ${i}\n`;
+    const result = store.storeBlobWithDelta(new TextEncoder().encode(text), previous);
+    reasons.push(result.reason);
+    assert(store.validateDeltaChain(result.hash) <= MAX_DELTA_CHAIN_DEPTH, 'Chains should never pass the cap');
+    previous = result.hash;
+  }
+  assert(reasons.includes('delta_chain_too_deep'), 'A full object should restart the chain at the cap');
+  assert(new TextDecoder().decode(store.getObject(previous).data) === text, 'Content should survive the chain');
+
+  store.close();
+  console.log('✅ Delta chain cap tests passed');
+}
+
+function testSchemaMigrations() {
+  console.log('Testing schema versioning and migrations...');
+
+  // New repositories start at the current version
+  const freshDB = getTestDB();
+  const fresh = initStore(freshDB);
+  assert(fresh.getSchemaVersion() === SCHEMA_VERSION, 'New store should be at the current schema version');
+  assert(fresh.getPendingMigrations().length === 0, 'New store should have no pending migrations');
+  assert(fresh.getStats().schemaVersion === SCHEMA_VERSION, 'Stats should report the schema version');
+  fresh.close();
+
+  // A repository written before versioning (no reflog table, no schema_version)
+  const legacyDB = getTestDB();
+  const raw = new Database(legacyDB);
+  raw.exec(`
+    CREATE TABLE objects (hash TEXT PRIMARY KEY, type TEXT NOT NULL, size INTEGER NOT NULL, data BLOB NOT NULL,
+      compression TEXT DEFAULT 'zlib', created_at INTEGER NOT NULL);
+    CREATE TABLE refs (name TEXT PRIMARY KEY, hash TEXT NOT NULL, type TEXT DEFAULT 'branch',
+      created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL);
+    CREATE TABLE metadata (key TEXT PRIMARY KEY, value TEXT);
+    CREATE TABLE deltas (hash TEXT PRIMARY KEY, base_hash TEXT NOT NULL, delta_data BLOB NOT NULL,
+      original_size INTEGER NOT NULL, delta_size INTEGER NOT NULL, compression_ratio REAL, created_at INTEGER NOT NULL);
+  `);
+  raw.prepare('INSERT INTO metadata (key, value) VALUES (?, ?)').run('current_branch', 'main');
+  raw.close();
+
+  const inspect = initStore(legacyDB, null, { migrate: false });
+  assert(inspect.getSchemaVersion() === 1, 'Unversioned repositories should count as version 1');
+  const plan = inspect.migrate({ dryRun: true });
+  assert(plan.dryRun && plan.from === 1 && plan.to === 1, 'Dry run should not change the version');
+  assert(plan.steps.length === SCHEMA_VERSION - 1 && plan.steps[0].version === 2, 'Dry run should list pending steps');
+  assert(inspect.getPendingMigrations().length === plan.steps.length, 'Dry run should leave steps pending');
+  inspect.close();
+
+  const migrated = initStore(legacyDB);
+  assert(migrated.getSchemaVersion() === SCHEMA_VERSION, 'Opening should run pending migrations');
+  assert(migrated.getMeta('current_branch') === 'main', 'Migration should keep existing data');
+  const hash = migrated.storeObject(new Uint8Array([1, 2, 3]), 'blob').hash;
+  migrated.setRef('refs/heads/main', hash);
+  assert(migrated.getReflog('refs/heads/main').length === 1, 'Migrated store should have a working reflog');
+  assert(migrated.migrate().steps.length === 0, 'Migrating again should do nothing');
+
+  // Repositories from newer code are refused
+  migrated.setMeta('schema_version', String(SCHEMA_VERSION + 1));
+  migrated.close();
+  try {
+    initStore(legacyDB);
+    assert(false, 'Should refuse a newer schema');
+  } catch (error) {
+    assert(error.message.includes('newer than this WebDVCS supports'), 'Should explain the newer schema');
+  }
+
+  console.log('✅ Schema migration tests passed');
+}
+
 // Run all tests
 function runStorageTests() {
   console.log('Running Storage Tests...\n');
@@ -289,6 +370,8 @@ function runStorageTests() {
     testMetadata();
     testRefs();
     testStats();
+    testSchemaMigrations();
+    testDeltaChainCap();
 
     console.log('\n✅ All storage tests passed!');
     return true;
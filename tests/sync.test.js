@@ -0,0 +1,432 @@
+/**
+ * Sync Tests - Real tests for remotes, fetch, pull and push between repositories
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MiniRepo } = require('../webdvcs-cli'); // CLI-enhanced version with filesystem methods
+const { buildPack, applyPack, handleSyncRequest, SYNC_PROTOCOL_VERSION } = require('../lib/core/sync');
+const { createSyncServer } = require('../lib/cli/sync-server');
+
+// Simple test runner
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// Generate unique test database paths to avoid conflicts
+let testCounter = 0;
+const testDBs = [];
+function getTestDB() {
+  const dbPath = path.join(__dirname, `test-sync-${process.pid}-${++testCounter}.sqlite`);
+  testDBs.push(dbPath);
+  return dbPath;
+}
+
+function cleanupTestDBs() {
+  for (const dbPath of testDBs) {
+    for (const file of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  }
+}
+
+const read = (repo, file, rev) => new TextDecoder().decode(repo.getFile(file, rev));
+
+// A repository whose guide.txt history is stored as deltas
+function createOrigin(dbPath) {
+  const origin = new MiniRepo(dbPath);
+  origin.setAuthor('Ann', 'ann@example.com');
+
+  let text = '';
+  for (let i = 0; i < 200; i++) {
+    text += `line ${i}: ${(i * 7919) % 1000} lorem ipsum dolor sit amet\n`;
+  }
+  for (let v = 0; v < 6; v++) {
+    text = text.replace(`line ${v * 20}:`, `LINE ${v * 20}:`);
+    origin.addFile('docs/guide.txt', text);
+    origin.addFile('README.md', `# Project\nversion ${v}\n`);
+    origin.commit(`Version ${v}`);
+  }
+  origin.repack();
+  return origin;
+}
+
+async function testFetchAndPull() {
+  console.log('Testing fetch and pull...');
+
+  const originPath = getTestDB();
+  const origin = createOrigin(originPath);
+  const clone = new MiniRepo(getTestDB());
+  clone.setAuthor('Bob', 'bob@example.com');
+  clone.addRemote('origin', originPath);
+  origin.createTag('v1', origin.getCurrentHead());
+
+  const first = await clone.fetch('origin');
+  const tracking = clone.store.getRef('refs/remotes/origin/main');
+  assert(tracking && tracking.hash === origin.getCurrentHead(), 'Fetch should create a remote-tracking branch');
+  assert(first.updated.some(update => update.ref === 'refs/remotes/origin/main' && update.old === null), 'Fetch should report the new tracking branch');
+  assert(clone.store.getRef('refs/tags/v1').hash === origin.getCurrentHead(), 'Fetch should bring new tags');
+  assert(first.deltas > 0, 'Blobs stored as deltas should travel as deltas');
+  assert(clone.fsck().ok, 'Fetched objects should pass fsck');
+  assert(read(clone, 'docs/guide.txt', 'origin/main') === read(origin, 'docs/guide.txt'), 'Fetched history should be readable');
+
+  const remotes = clone.listRemotes();
+  assert(remotes.length === 1 && remotes[0].branches[0].name === 'main', 'listRemotes should show tracking branches');
+
+  const again = await clone.fetch('origin');
+  assert(again.updated.length === 0 && again.objects === 0 && again.deltas === 0, 'Fetching again should transfer nothing');
+
+  const pulled = await clone.pull('origin', 'main');
+  assert(pulled.merge.type === 'fast-forward' && clone.getCurrentHead() === origin.getCurrentHead(), 'Pull into an empty branch should fast-forward');
+
+  // Only what the new commit adds travels
+  origin.addFile('README.md', '# Project\nversion 6\n');
+  origin.commit('Version 6');
+  const incremental = await clone.fetch('origin');
+  assert(incremental.objects + incremental.deltas === 3, `Only the new commit, tree and blob should be sent, got ${incremental.objects + incremental.deltas}`);
+  assert(incremental.updated[0].old === tracking.hash, 'Fetch should report the previous tracking position');
+
+  try {
+    await clone.pull('origin', 'missing');
+    assert(false, 'Should reject an unknown remote branch');
+  } catch (error) {
+    assert(error.message.includes("Remote branch 'origin/missing' not found"), 'Should reject an unknown remote branch');
+  }
+
+  // Branches deleted on the remote are pruned
+  origin.createBranch('topic');
+  await clone.fetch('origin');
+  assert(clone.store.getRef('refs/remotes/origin/topic'), 'New remote branches should be tracked');
+  origin.store.removeRef('refs/heads/topic');
+  const pruned = await clone.fetch('origin');
+  assert(pruned.pruned.join() === 'refs/remotes/origin/topic' && !clone.store.getRef('refs/remotes/origin/topic'), 'Fetch should prune deleted branches');
+
+  try {
+    clone.addRemote('origin', 'elsewhere.sqlite');
+    assert(false, 'Should refuse a duplicate remote');
+  } catch (error) {
+    assert(error.message.includes("Remote 'origin' already exists"), 'Should refuse a duplicate remote');
+  }
+  const removed = clone.removeRemote('origin');
+  assert(removed.removedRefs === 1 && !clone.store.getRef('refs/remotes/origin/main'), 'Removing a remote should drop its tracking branches');
+  try {
+    await clone.fetch('origin');
+    assert(false, 'Should report an unknown remote');
+  } catch (error) {
+    assert(error.message.includes("Remote 'origin' not found"), 'Should report an unknown remote');
+  }
+
+  // Opening a missing path would create an empty repository instead
+  const missingPath = getTestDB();
+  try {
+    clone.addRemote('typo', missingPath);
+    assert(false, 'Should refuse a path with no repository');
+  } catch (error) {
+    assert(error.message.includes('Repository not found'), 'Should refuse a path with no repository');
+  }
+  clone.store.setMeta('remotes', JSON.stringify({ moved: { url: missingPath } }));
+  try {
+    await clone.fetch('moved');
+    assert(false, 'Should refuse to fetch from a repository that was moved away');
+  } catch (error) {
+    assert(error.message.includes('Repository not found'), 'Should refuse to fetch from a repository that was moved away');
+  }
+  assert(!fs.existsSync(missingPath), 'No database should be created at a missing remote path');
+
+  clone.close();
+  origin.close();
+  console.log('✅ Fetch and pull tests passed');
+}
+
+async function testPush() {
+  console.log('Testing push...');
+
+  const originPath = getTestDB();
+  const origin = createOrigin(originPath);
+  const clone = new MiniRepo(getTestDB());
+  clone.setAuthor('Bob', 'bob@example.com');
+  clone.addRemote('origin', originPath);
+  await clone.pull('origin', 'main');
+
+  clone.addFile('notes.txt', 'from the clone\n');
+  const local = clone.commit('Add notes').commitHash;
+  const pushed = await clone.push('origin');
+  assert(pushed.status === 'fast-forward' && pushed.new === local, 'Push should fast-forward the remote branch');
+  assert(pushed.objects + pushed.deltas === 3, 'Push should only send the new commit, tree and blob');
+  assert(origin.store.getRef('refs/heads/main').hash === local, 'Remote branch should move');
+  assert(clone.store.getRef('refs/remotes/origin/main').hash === local, 'Push should update the tracking branch');
+  assert((await clone.push('origin')).status === 'up-to-date', 'Pushing again should be a no-op');
+
+  clone.createBranch('feature');
+  clone.switchBranch('feature');
+  clone.addFile('feature.txt', 'feature\n');
+  clone.commit('Feature');
+  const created = await clone.push('origin', 'feature');
+  assert(created.status === 'new' && origin.store.getRef('refs/heads/feature'), 'Push should create new remote branches');
+  clone.switchBranch('main');
+
+  // Diverged histories need a pull or force
+  origin.addFile('remote.txt', 'remote\n');
+  const remoteOnly = origin.commit('Remote work').commitHash;
+  clone.addFile('local.txt', 'local\n');
+  const diverged = clone.commit('Local work').commitHash;
+  try {
+    await clone.push('origin');
+    assert(false, 'Should reject a non-fast-forward push');
+  } catch (error) {
+    assert(error.message.includes('Pull first, or push with force'), 'Should reject a non-fast-forward push');
+  }
+  assert(origin.store.getRef('refs/heads/main').hash === remoteOnly, 'Rejected push should leave the remote alone');
+
+  const forced = await clone.push('origin', 'main', { force: true });
+  assert(forced.status === 'forced' && origin.store.getRef('refs/heads/main').hash === diverged, 'Force push should overwrite the remote branch');
+  assert(origin.fsck().ok, 'Pushed objects should pass fsck');
+  assert(read(origin, 'local.txt', 'main') === 'local\n', 'Pushed content should be readable on the remote');
+
+  clone.close();
+  origin.close();
+  console.log('✅ Push tests passed');
+}
+
+function testServerChecks() {
+  console.log('Testing sync request checks...');
+
+  const origin = createOrigin(getTestDB());
+  const target = new MiniRepo(getTestDB());
+  const head = origin.getCurrentHead();
+  const pack = buildPack(origin.store, [head], []);
+
+  // A corrupted object rejects the whole pack
+  const tampered = pack.map(entry => entry.data && entry.type === 'blob'
+    ? { ...entry, data: new TextEncoder().encode('tampered') }
+    : entry);
+  try {
+    applyPack(target.store, tampered);
+    assert(false, 'Should reject an object that does not match its hash');
+  } catch (error) {
+    assert(error.message.includes('does not match its hash'), 'Should reject an object that does not match its hash');
+  }
+  assert(target.store.listObjects().length === 0, 'A rejected pack should store nothing');
+
+  // Stored types are trusted by readers, so content must fit the type it claims
+  for (const [from, to] of [['blob', 'commit'], ['commit', 'tree'], ['blob', 'manifest'], ['commit', 'delta']]) {
+    const mislabelled = pack.map(entry => entry.data && entry.type === from ? { ...entry, type: to } : entry);
+    try {
+      applyPack(target.store, mislabelled);
+      assert(false, `Should reject a ${from} sent as a ${to}`);
+    } catch (error) {
+      assert(error.message.includes(`is not a valid ${to}`), `Should reject a ${from} sent as a ${to}`);
+    }
+  }
+  assert(target.store.listObjects().length === 0, 'A mislabelled pack should store nothing');
+
+  const stats = applyPack(target.store, pack);
+  assert(stats.objects + stats.deltas === pack.length && target.store.hasObject(head), 'A valid pack should be stored');
+
+  const stale = handleSyncRequest(target.store, {
+    type: 'push',
+    version: SYNC_PROTOCOL_VERSION,
+    objects: [],
+    updates: [{ name: 'refs/heads/main', old: 'f'.repeat(64), new: head }]
+  });
+  assert(stale.rejected[0].reason.includes('has moved since it was advertised'), 'Stale updates should be rejected');
+
+  const notBranch = handleSyncRequest(target.store, {
+    type: 'push',
+    objects: [],
+    updates: [{ name: 'refs/remotes/x/main', old: null, new: head }]
+  });
+  assert(notBranch.rejected[0].reason.includes('is not a branch or tag'), 'Only branches and tags may be pushed');
+
+  try {
+    handleSyncRequest(target.store, { type: 'advertise', version: SYNC_PROTOCOL_VERSION + 1 });
+    assert(false, 'Should reject other protocol versions');
+  } catch (error) {
+    assert(error.message.includes('Unsupported sync protocol version'), 'Should reject other protocol versions');
+  }
+
+  target.close();
+  origin.close();
+  console.log('✅ Sync request check tests passed');
+}
+
+function testPackStopsAtCommonHistory() {
+  console.log('Testing pack negotiation stops at common history...');
+
+  const repo = new MiniRepo(getTestDB());
+  repo.setAuthor('Ann', 'ann@example.com');
+  const commits = [];
+  for (let i = 0; i < 40; i++) {
+    repo.addFile(`file-${i}.txt`, `content ${i}\n`);
+    commits.push(repo.commit(`Commit ${i}`).commitHash);
+  }
+
+  const getObject = repo.store.getObject.bind(repo.store);
+  let commitReads = 0;
+  repo.store.getObject = hash => {
+    const obj = getObject(hash);
+    if (obj && obj.type === 'commit') commitReads++;
+    return obj;
+  };
+
+  try {
+    const pack = buildPack(repo.store, [commits[39]], [commits[38]]);
+    assert(pack.length === 3 && pack.some(entry => entry.hash === commits[39]), 'Only the new commit, its tree and its blob should be sent');
+    assert(commitReads < 10, `The walk should stop at the common commit (read ${commitReads} commits)`);
+
+    // With an older have, every commit after it is sent
+    const behind = buildPack(repo.store, [commits[39]], [commits[35]]);
+    assert(behind.filter(entry => entry.type === 'commit').length === 4, 'Commits after the have should all be sent');
+  } finally {
+    repo.store.getObject = getObject;
+    repo.close();
+  }
+  console.log('✅ Pack negotiation tests passed');
+}
+
+async function testHttpTransport() {
+  console.log('Testing HTTP transport...');
+
+  const origin = createOrigin(getTestDB());
+  const clone = new MiniRepo(getTestDB());
+  clone.setAuthor('Bob', 'bob@example.com');
+  const server = createSyncServer(origin.store);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    clone.addRemote('web', `http://127.0.0.1:${server.address().port}/`);
+    const fetched = await clone.fetch('web');
+    assert(fetched.updated.length === 1 && clone.store.getRef('refs/remotes/web/main').hash === origin.getCurrentHead(),
+      'Fetch over HTTP should track the remote branch');
+
+    await clone.pull('web', 'main');
+    clone.addFile('http.txt', 'over the wire\n');
+    const local = clone.commit('Over HTTP').commitHash;
+    const pushed = await clone.push('web');
+    assert(pushed.status === 'fast-forward' && origin.store.getRef('refs/heads/main').hash === local, 'Push over HTTP should move the remote branch');
+
+    origin.addFile('other.txt', 'other\n');
+    origin.commit('Remote change');
+    clone.addFile('clash.txt', 'clash\n');
+    clone.commit('Local change');
+    try {
+      await clone.push('web');
+      assert(false, 'Should reject a non-fast-forward push over HTTP');
+    } catch (error) {
+      assert(error.message.includes('Pull first'), 'Should reject a non-fast-forward push over HTTP');
+    }
+    try {
+      await clone.push('web', null, { force: true });
+      assert(false, 'Should refuse forced pushes unless the server allows them');
+    } catch (error) {
+      assert(error.message.includes('forced pushes are not allowed'), 'Should refuse forced pushes unless the server allows them');
+    }
+    assert(origin.store.getRef('refs/heads/main').hash !== clone.getCurrentHead(), 'A refused forced push should leave the branch alone');
+
+    const forcing = createSyncServer(origin.store, { allowForce: true });
+    await new Promise(resolve => forcing.listen(0, '127.0.0.1', resolve));
+    try {
+      clone.addRemote('forcing', `http://127.0.0.1:${forcing.address().port}/`);
+      const forced = await clone.push('forcing', null, { force: true });
+      assert(forced.status === 'forced' && origin.store.getRef('refs/heads/main').hash === clone.getCurrentHead(), 'A server started with allowForce should accept forced pushes');
+    } finally {
+      await new Promise(resolve => forcing.close(resolve));
+    }
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    clone.close();
+    origin.close();
+  }
+  console.log('✅ HTTP transport tests passed');
+}
+
+async function testSyncServerLimits() {
+  console.log('Testing sync server request limits...');
+
+  const origin = createOrigin(getTestDB());
+  const server = createSyncServer(origin.store, { maxBodySize: 1024 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  try {
+    const small = await fetch(url, { method: 'POST', body: JSON.stringify({ type: 'advertise' }) });
+    assert(small.status === 200, 'Requests within the limit should be answered');
+
+    const large = await fetch(url, { method: 'POST', body: JSON.stringify({ type: 'push', objects: ['x'.repeat(4096)] }) });
+    assert(large.status === 413, 'Requests over the limit should be answered 413');
+    assert((await large.json()).error.includes('larger than 1024 bytes'), 'A 413 should explain the limit');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    origin.close();
+  }
+  console.log('✅ Sync server limit tests passed');
+}
+
+function testImportBranchFrom() {
+  console.log('Testing branch import between open repositories...');
+
+  const origin = createOrigin(getTestDB());
+  const other = new MiniRepo(getTestDB());
+  other.setAuthor('Bob', 'bob@example.com');
+  other.addFile('own.txt', 'own\n');
+  other.commit('Own history');
+
+  const imported = other.importBranchFrom(origin, 'main', 'upstream');
+  assert(imported.branch === 'upstream' && imported.head === origin.getCurrentHead(), 'Import should create the branch at the source head');
+  assert(imported.deltas > 0, 'Delta blobs should be copied as deltas');
+  assert(read(other, 'docs/guide.txt', 'upstream') === read(origin, 'docs/guide.txt'), 'Imported history should be readable');
+  assert(other.fsck().ok, 'Imported objects should pass fsck');
+
+  // A second import only copies what is new
+  origin.addFile('README.md', '# Project\nversion 6\n');
+  origin.commit('Version 6');
+  const again = other.importBranchFrom(origin, 'main', 'upstream-2');
+  assert(again.objects + again.deltas === 3, 'Only the new commit, tree and blob should be copied');
+
+  try {
+    other.importBranchFrom(origin, 'main', 'upstream');
+    assert(false, 'Should refuse to overwrite an existing branch');
+  } catch (error) {
+    assert(error.message.includes("Branch 'upstream' already exists"), 'Should refuse to overwrite an existing branch');
+  }
+  try {
+    other.importBranchFrom(origin, 'missing');
+    assert(false, 'Should report a missing source branch');
+  } catch (error) {
+    assert(error.message.includes("Branch 'missing' not found"), 'Should report a missing source branch');
+  }
+
+  other.close();
+  origin.close();
+  console.log('✅ Branch import tests passed');
+}
+
+async function runSyncTests() {
+  console.log('Running Sync Tests...\n');
+
+  try {
+    await testFetchAndPull();
+    await testPush();
+    testServerChecks();
+    testImportBranchFrom();
+    testPackStopsAtCommonHistory();
+    await testHttpTransport();
+    await testSyncServerLimits();
+
+    console.log('\n✅ All sync tests passed!');
+    return true;
+  } catch (error) {
+    console.error(`\n❌ Test failed: ${error.message}`);
+    console.error(error.stack);
+    return false;
+  } finally {
+    cleanupTestDBs();
+  }
+}
+
+// Export for use by other test files
+module.exports = { runSyncTests };
@@ -0,0 +1,219 @@
+/**
+ * Worker Tests - runs webdvcs-worker.js in Node with an in-memory IndexedDB
+ * The worker's globals (self, importScripts, postMessage, indexedDB) are
+ * provided here; sql.js and the browser modules load from node_modules and lib.
+ */
+
+const path = require('path');
+
+// Simple test runner
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const WORKER_PATH = path.join(__dirname, '..', 'webdvcs-worker.js');
+const WORKER_GLOBALS = ['self', 'window', 'importScripts', 'addEventListener', 'postMessage', 'indexedDB', 'initSqlJs', 'SQL', 'WebDVCS'];
+
+/**
+ * Minimal in-memory IndexedDB: enough of the API for RepositoryStorage
+ */
+function createMemoryIndexedDB() {
+  const databases = new Map();
+
+  const request = (transaction, work) => {
+    const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+    transaction.pending++;
+    setImmediate(() => {
+      try {
+        req.result = work();
+        if (req.onsuccess) req.onsuccess();
+      } catch (error) {
+        req.error = error;
+        if (req.onerror) req.onerror();
+      }
+      transaction.pending--;
+    });
+    return req;
+  };
+
+  const createDatabase = stores => ({
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore(name, options = {}) {
+      stores.set(name, { keyPath: options.keyPath || null, records: new Map() });
+    },
+    transaction(names) {
+      const transaction = { pending: 0, oncomplete: null, onerror: null, onabort: null, aborted: false };
+      transaction.abort = () => {
+        transaction.aborted = true;
+        if (transaction.onabort) transaction.onabort();
+      };
+      transaction.objectStore = name => {
+        const { keyPath, records } = stores.get(name);
+        return {
+          get: key => request(transaction, () => records.get(key)),
+          getAll: () => request(transaction, () => Array.from(records.values())),
+          put: (value, key) => request(transaction, () => records.set(keyPath ? value[keyPath] : key, value)),
+          delete: key => request(transaction, () => records.delete(key))
+        };
+      };
+      // Commits once no request is outstanding
+      const settle = () => {
+        if (transaction.aborted) return;
+        if (transaction.pending > 0) {
+          setImmediate(settle);
+        } else if (transaction.oncomplete) {
+          transaction.oncomplete();
+        }
+      };
+      setImmediate(settle);
+      return transaction;
+    },
+    close() {}
+  });
+
+  return {
+    open(name) {
+      const req = { result: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+      setImmediate(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        req.result = createDatabase(databases.get(name));
+        if (isNew && req.onupgradeneeded) req.onupgradeneeded();
+        if (req.onsuccess) req.onsuccess();
+      });
+      return req;
+    }
+  };
+}
+
+/**
+ * Start a fresh worker, as a page load does
+ * @returns {Object} - {send(type, data), waitFor(type)}
+ */
+function startWorker(indexedDB) {
+  const messages = [];
+  const waiters = [];
+  let handler = null;
+  let nextId = 1;
+
+  global.self = global;
+  global.indexedDB = indexedDB;
+  global.addEventListener = (type, listener) => {
+    if (type === 'message') handler = listener;
+  };
+  global.postMessage = message => {
+    messages.push(message);
+    for (const waiter of waiters.slice()) {
+      if (waiter.matches(message)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(message);
+      }
+    }
+  };
+  global.importScripts = url => {
+    if (url.includes('sql-wasm')) {
+      // The Node build of sql.js finds its own wasm file
+      global.initSqlJs = () => require('sql.js')();
+    } else {
+      global.WebDVCS = require('../lib/browser/browser-entry');
+    }
+  };
+
+  delete require.cache[require.resolve(WORKER_PATH)];
+  require(WORKER_PATH);
+
+  const waitFor = (matches, description) => {
+    const seen = messages.find(matches);
+    if (seen) {
+      messages.splice(messages.indexOf(seen), 1);
+      return Promise.resolve(seen);
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Worker never sent ${description}`)), 5000);
+      const done = message => {
+        clearTimeout(timer);
+        resolve(message);
+      };
+      waiters.push({ matches, resolve: done });
+    });
+  };
+
+  return {
+    async send(type, data = {}) {
+      const id = nextId++;
+      handler({ data: { type, id, data } });
+      const response = await waitFor(message => message.id === id, `a response to ${type}`);
+      if (!response.success) {
+        throw new Error(`${type} failed: ${response.error}`);
+      }
+      return response.data;
+    },
+    waitFor: type => waitFor(message => message.type === type, type)
+  };
+}
+
+function stopWorker() {
+  for (const name of WORKER_GLOBALS) {
+    delete global[name];
+  }
+  delete require.cache[require.resolve(WORKER_PATH)];
+}
+
+async function testStagingSurvivesReload() {
+  console.log('Testing staged files are saved across reloads...');
+
+  const indexedDB = createMemoryIndexedDB();
+  let worker = startWorker(indexedDB);
+  try {
+    await worker.send('INIT');
+    await worker.send('CREATE_REPO', { name: 'staging-test' });
+    await worker.waitFor('SAVED');
+
+    await worker.send('ADD_FILE', { path: 'notes.txt', content: new TextEncoder().encode('staged only\n') });
+    await worker.waitFor('SAVED');
+    await worker.send('ADD_FILE', { path: 'dropped.txt', content: new TextEncoder().encode('unstaged again\n') });
+    await worker.waitFor('SAVED');
+    await worker.send('REMOVE_FILE', { fileName: 'dropped.txt' });
+    await worker.waitFor('SAVED');
+    stopWorker();
+
+    // A page reload starts a new worker that opens the stored repository
+    worker = startWorker(indexedDB);
+    await worker.send('INIT');
+    const stored = await worker.send('LIST_STORED_REPOS');
+    assert(stored.repositories.some(repo => repo.name === 'staging-test'), 'The repository should be stored');
+    await worker.send('OPEN_STORED_REPO', { name: 'staging-test' });
+
+    const staged = await worker.send('GET_STAGED_FILES');
+    const names = staged.map(file => file.path);
+    assert(names.includes('notes.txt'), `Staged file should survive the reload (staged: ${names.join(', ')})`);
+    assert(!names.includes('dropped.txt'), 'A removed file should stay removed after the reload');
+  } finally {
+    stopWorker();
+  }
+  console.log('✅ Staging reload test passed');
+}
+
+async function runWorkerTests() {
+  console.log('Running Worker Tests...\n');
+
+  try {
+    await testStagingSurvivesReload();
+
+    console.log('\n✅ All worker tests passed!');
+    return true;
+  } catch (error) {
+    console.error(`\n❌ Test failed: ${error.message}`);
+    console.error(error.stack);
+    return false;
+  }
+}
+
+module.exports = { runWorkerTests };
+
+// Run tests if called directly
+if (require.main === module) {
+  runWorkerTests().then(success => process.exit(success ? 0 : 1));
+}
@@ -5,6 +5,8 @@
                 this.messageId = 0;
                 this.pendingMessages = new Map();
                 this.progressCallback = null;
+                this.saveCallback = null;
+                this.repoId = null;
                 this.repoName = null;
                 this.authorName = null;
                 this.authorEmail = null;
@@ -29,6 +31,13 @@
                             return;
                         }
 
+                        if (type === 'SAVED' || type === 'SAVE_FAILED') {
+                            if (this.saveCallback) {
+                                this.saveCallback(type === 'SAVED', data);
+                            }
+                            return;
+                        }
+
                         if (type === 'DEBUG') {
                             console.log('🔗 ' + data.message);
                             if (data.data) {
@@ -67,14 +76,84 @@
                 this.progressCallback = callback;
             }
 
+            // Called with (saved, details) whenever the worker saves to browser storage
+            setSaveCallback(callback) {
+                this.saveCallback = callback;
+            }
+
             async createRepository(name) {
-                this.repoName = name;
                 const result = await this.sendMessage('CREATE_REPO', { name });
+                this.repoId = result.repoId;
+                this.repoName = result.name;
+                return result;
+            }
+
+            // Several repositories can be open; messages without a repoId go to the active one
+            async listOpenRepositories() {
+                return this.sendMessage('LIST_OPEN_REPOS');
+            }
+
+            async switchRepository(repoId) {
+                const result = await this.sendMessage('SWITCH_REPO', { repoId });
+                this.repoId = result.repoId;
+                this.repoName = result.name;
+                this.authorName = result.authorName;
+                this.authorEmail = result.authorEmail;
+                return result;
+            }
+
+            async closeRepository() {
+                const result = await this.sendMessage('CLOSE');
+                this.repoId = null;
+                this.repoName = null;
+                return result;
+            }
+
+            async listBranchesOf(repoId) {
+                return this.sendMessage('LIST_BRANCHES', { repoId });
+            }
+
+            async importBranchFromRepository(sourceRepoId, branchName, targetName = null) {
+                return this.sendMessage('IMPORT_BRANCH_FROM_REPO', { sourceRepoId, branchName, targetName });
+            }
+
+            async listStoredRepositories() {
+                return this.sendMessage('LIST_STORED_REPOS');
+            }
+
+            async openStoredRepository(name) {
+                const result = await this.sendMessage('OPEN_STORED_REPO', { name });
+                this.repoId = result.repoId;
+                this.repoName = result.name;
+                this.authorName = result.authorName;
+                this.authorEmail = result.authorEmail;
                 return result;
             }
 
+            async saveRepository() {
+                return this.sendMessage('SAVE_REPO');
+            }
+
+            async exportStoredRepository(name) {
+                const result = await this.sendMessage('EXPORT_STORED_REPO', { name });
+                return result.data;
+            }
+
+            async renameStoredRepository(name, newName) {
+                const result = await this.sendMessage('RENAME_STORED_REPO', { name, newName });
+                if (this.repoName === name) {
+                    this.repoName = result.record.name;
+                }
+                return result;
+            }
+
+            async deleteStoredRepository(name) {
+                return this.sendMessage('DELETE_STORED_REPO', { name });
+            }
+
             async loadRepository(buffer, fileName = null) {
                 const result = await this.sendMessage('LOAD_REPO', { buffer, fileName });
+                this.repoId = result.repoId;
                 this.repoName = result.name;
                 return result;
             }
@@ -103,8 +182,8 @@
                 return this.sendMessage('GET_COMMITS', { limit });
             }
 
-            async diffCommits(fromCommit, toCommit) {
-                return this.sendMessage('DIFF', { fromCommit, toCommit });
+            async diffCommits(fromCommit, toCommit, contextLines = 3) {
+                return this.sendMessage('DIFF', { fromCommit, toCommit, contextLines });
             }
 
             async getStats() {
@@ -143,6 +222,26 @@
                 return this.sendMessage('FORCE_MERGE', { branchName, options });
             }
 
+            async getMergeState() {
+                return this.sendMessage('GET_MERGE_STATE');
+            }
+
+            async mergeContinue(message = null) {
+                return this.sendMessage('MERGE_CONTINUE', { message });
+            }
+
+            async mergeAbort() {
+                return this.sendMessage('MERGE_ABORT');
+            }
+
+            async getConflicts() {
+                return this.sendMessage('GET_CONFLICTS');
+            }
+
+            async resolveConflict(fileName, resolution, content = undefined) {
+                return this.sendMessage('RESOLVE_CONFLICT', { fileName, resolution, content });
+            }
+
             async listBranches() {
                 return this.sendMessage('LIST_BRANCHES');
             }
@@ -208,6 +307,10 @@
                 throw new Error(`File not found: ${filePath}`);
             }
 
+            async blame(fileName, commitHash = null) {
+                return this.sendMessage('BLAME', { fileName, commitHash });
+            }
+
             async getFileFromCommit(fileName, commitHash) {
                 const result = await this.sendMessage('GET_FILE_FROM_COMMIT', { fileName, commitHash });
                 return result.content;
@@ -260,6 +363,14 @@
             createRepoButton: document.getElementById('createRepoButton'),
             downloadRepoButton: document.getElementById('downloadRepoButton'),
             uploadRepo: document.getElementById('uploadRepo'),
+            openRepoSelect: document.getElementById('openRepoSelect'),
+            closeRepoButton: document.getElementById('closeRepoButton'),
+            importSourceRepoSelect: document.getElementById('importSourceRepoSelect'),
+            importSourceBranchSelect: document.getElementById('importSourceBranchSelect'),
+            importTargetBranchName: document.getElementById('importTargetBranchName'),
+            importFromRepoButton: document.getElementById('importFromRepoButton'),
+            storedRepoList: document.getElementById('storedRepoList'),
+            storedRepoSaveState: document.getElementById('storedRepoSaveState'),
             repoInfo: document.getElementById('repoInfo'),
             commitCount: document.getElementById('commitCount'),
             fileCount: document.getElementById('fileCount'),
@@ -322,8 +433,13 @@
                     }
                 });
 
+                currentRepo.setSaveCallback(handleRepositorySaved);
+
                 setupEventListeners();
-                updateStatus('✅ Ready! Create or load a repository to begin.', 'success');
+                const stored = await refreshStoredRepositories();
+                updateStatus(stored > 0
+                    ? '✅ Ready! Open a saved repository, or create or load one.'
+                    : '✅ Ready! Create or load a repository to begin.', 'success');
 
             } catch (error) {
                 console.error('Failed to initialize:', error);
@@ -341,6 +457,11 @@
             }
             elements.uploadRepo.addEventListener('change', uploadRepository); // Auto-upload when file is selected
             elements.downloadRepoButton.addEventListener('click', downloadRepository);
+            elements.storedRepoList.addEventListener('click', handleStoredRepoAction);
+            elements.openRepoSelect.addEventListener('change', () => switchRepository(elements.openRepoSelect.value));
+            elements.closeRepoButton.addEventListener('click', closeRepository);
+            elements.importSourceRepoSelect.addEventListener('change', loadImportSourceBranches);
+            elements.importFromRepoButton.addEventListener('click', importBranchFromRepository);
             elements.saveAuthorButton.addEventListener('click', saveAuthorInfo);
 
 
@@ -428,6 +549,10 @@
             if (abortMergeButton) {
                 abortMergeButton.addEventListener('click', abortMerge);
             }
+            const continueMergeButton = document.getElementById('continueMergeButton');
+            if (continueMergeButton) {
+                continueMergeButton.addEventListener('click', continueMerge);
+            }
             if (resolveConflictsButton) {
                 resolveConflictsButton.addEventListener('click', resolveConflicts);
             }
@@ -459,7 +584,7 @@
                 elements.downloadRepoButton.disabled = false;
                 elements.repoInfo.classList.remove('d-none');
 
-                await refreshAll();
+                await Promise.all([refreshAll(), refreshStoredRepositories()]);
                 hideProgress();
 
             } catch (error) {
@@ -500,7 +625,7 @@
                 elements.downloadRepoButton.disabled = false;
                 elements.repoInfo.classList.remove('d-none');
 
-                await refreshAll();
+                await Promise.all([refreshAll(), refreshStoredRepositories()]);
                 hideProgress();
 
             } catch (error) {
@@ -563,6 +688,147 @@
             }
         }
 
+        // Repositories saved in the browser
+        async function refreshStoredRepositories() {
+            if (!currentRepo) return 0;
+
+            try {
+                const { available, repositories, current, open } = await currentRepo.listStoredRepositories();
+                if (!available) {
+                    elements.storedRepoSaveState.textContent = 'This browser cannot store repositories; download them to keep your work';
+                    elements.storedRepoList.innerHTML = '';
+                    return 0;
+                }
+
+                if (repositories.length === 0) {
+                    elements.storedRepoList.innerHTML = '<div class="empty-state">No saved repositories</div>';
+                    return 0;
+                }
+
+                elements.storedRepoList.innerHTML = repositories.map(repo => {
+                    const name = escapeHtml(repo.name);
+                    const isCurrent = repo.name === current;
+                    const isOpen = open.includes(repo.name);
+                    return `
+                    <div class="stored-repo-item ${isCurrent ? 'current' : ''}">
+                        <div>
+                            <div class="branch-name">${isCurrent ? '* ' : ''}${name}</div>
+                            <div class="stored-repo-meta">${formatFileSize(repo.size)} · saved ${new Date(repo.updated).toLocaleString()}</div>
+                        </div>
+                        <div class="stored-repo-actions">
+                            <button class="btn btn-sm btn-primary" data-action="open" data-name="${name}" ${isCurrent ? 'disabled' : ''}>Open</button>
+                            <button class="btn btn-sm btn-outline" data-action="export" data-name="${name}">Export</button>
+                            <button class="btn btn-sm btn-outline" data-action="rename" data-name="${name}">Rename</button>
+                            <button class="btn btn-sm btn-danger" data-action="delete" data-name="${name}" ${isOpen ? 'disabled' : ''}>Delete</button>
+                        </div>
+                    </div>
+                `;
+                }).join('');
+                return repositories.length;
+            } catch (error) {
+                console.error('Failed to list saved repositories:', error);
+                return 0;
+            }
+        }
+
+        function handleStoredRepoAction(event) {
+            const button = event.target.closest('button[data-action]');
+            if (!button || button.disabled) return;
+
+            const name = button.dataset.name;
+            const actions = {
+                open: openStoredRepository,
+                export: exportStoredRepository,
+                rename: renameStoredRepository,
+                delete: deleteStoredRepository
+            };
+            actions[button.dataset.action](name);
+        }
+
+        function handleRepositorySaved(saved, details) {
+            if (saved) {
+                elements.storedRepoSaveState.textContent = `Saved '${details.name}' at ${new Date(details.updated).toLocaleTimeString()}`;
+                refreshStoredRepositories();
+            } else {
+                updateStatus(`⚠️ Could not save '${details.name}' in this browser: ${details.message}. Download it to keep your work.`, 'warning');
+            }
+        }
+
+        async function openStoredRepository(name) {
+            try {
+                showProgress(`Opening ${name}...`);
+                const result = await currentRepo.openStoredRepository(name);
+
+                elements.repoName.value = result.name;
+                elements.authorName.value = result.authorName || '';
+                elements.authorEmail.value = result.authorEmail || '';
+
+                updateStatus(`✅ Repository '${result.name}' opened`, 'success');
+                elements.downloadRepoButton.disabled = false;
+                elements.repoInfo.classList.remove('d-none');
+
+                await Promise.all([refreshAll(), refreshStoredRepositories()]);
+                hideProgress();
+            } catch (error) {
+                console.error('Failed to open repository:', error);
+                updateStatus(`❌ Failed to open repository: ${error.message}`, 'error');
+                hideProgress();
+            }
+        }
+
+        async function exportStoredRepository(name) {
+            try {
+                const data = await currentRepo.exportStoredRepository(name);
+                const blob = new Blob([data], { type: 'application/x-sqlite3' });
+                const url = URL.createObjectURL(blob);
+
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `${name}.sqlite`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+
+                updateStatus(`✅ Exported '${name}'`, 'success');
+            } catch (error) {
+                console.error('Failed to export repository:', error);
+                updateStatus(`❌ Failed to export repository: ${error.message}`, 'error');
+            }
+        }
+
+        async function renameStoredRepository(name) {
+            const newName = prompt(`Rename repository '${name}' to:`, name);
+            if (!newName || newName.trim() === name) return;
+
+            try {
+                const result = await currentRepo.renameStoredRepository(name, newName.trim());
+                if (result.current === result.record.name) {
+                    elements.repoName.value = result.record.name;
+                }
+                updateStatus(`✅ ${result.message}`, 'success');
+                await Promise.all([refreshStoredRepositories(), refreshOpenRepositories()]);
+            } catch (error) {
+                console.error('Failed to rename repository:', error);
+                updateStatus(`❌ Failed to rename repository: ${error.message}`, 'error');
+            }
+        }
+
+        async function deleteStoredRepository(name) {
+            if (!confirm(`Delete repository '${name}' from this browser? This action cannot be undone unless you have downloaded it.`)) {
+                return;
+            }
+
+            try {
+                const result = await currentRepo.deleteStoredRepository(name);
+                updateStatus(`✅ ${result.message}`, 'success');
+                await refreshStoredRepositories();
+            } catch (error) {
+                console.error('Failed to delete repository:', error);
+                updateStatus(`❌ Failed to delete repository: ${error.message}`, 'error');
+            }
+        }
+
 
         // Commit functions
         async function createCommit() {
@@ -761,6 +1027,125 @@
             }
         }
 
+        // Open repositories (workspace)
+        async function refreshOpenRepositories() {
+            if (!currentRepo) return;
+
+            try {
+                const { repositories } = await currentRepo.listOpenRepositories();
+                if (repositories.length === 0) {
+                    elements.openRepoSelect.innerHTML = '<option value="">No repository open</option>';
+                } else {
+                    elements.openRepoSelect.innerHTML = repositories.map(repo =>
+                        `<option value="${repo.id}" ${repo.active ? 'selected' : ''}>${escapeHtml(repo.name)} (${escapeHtml(repo.currentBranch)})</option>`
+                    ).join('');
+                }
+                elements.openRepoSelect.disabled = repositories.length < 2;
+                elements.closeRepoButton.disabled = repositories.length === 0;
+
+                // Branches can be imported from any other open repository
+                elements.importSourceRepoSelect.innerHTML = '<option value="">Select repository</option>' +
+                    repositories.filter(repo => !repo.active).map(repo =>
+                        `<option value="${repo.id}">${escapeHtml(repo.name)}</option>`
+                    ).join('');
+                elements.importSourceBranchSelect.innerHTML = '<option value="">Select branch</option>';
+            } catch (error) {
+                console.error('Failed to list open repositories:', error);
+            }
+        }
+
+        async function switchRepository(repoId) {
+            if (!repoId || repoId === currentRepo.repoId) return;
+
+            try {
+                showProgress('Switching repository...');
+                const result = await currentRepo.switchRepository(repoId);
+
+                elements.repoName.value = result.name;
+                elements.authorName.value = result.authorName || '';
+                elements.authorEmail.value = result.authorEmail || '';
+
+                updateStatus(`✅ ${result.message}`, 'success');
+                await Promise.all([refreshAll(), refreshStoredRepositories()]);
+                hideProgress();
+            } catch (error) {
+                console.error('Failed to switch repository:', error);
+                updateStatus(`❌ Failed to switch repository: ${error.message}`, 'error');
+                hideProgress();
+            }
+        }
+
+        async function closeRepository() {
+            const name = currentRepo.repoName;
+            if (!confirm(`Close repository '${name}'? It stays saved in this browser.`)) {
+                return;
+            }
+
+            try {
+                const result = await currentRepo.closeRepository();
+                updateStatus(`✅ Closed '${name}'`, 'success');
+
+                // Show whichever repository is active now
+                const next = result.repositories.find(repo => repo.active);
+                if (next) {
+                    await switchRepository(next.id);
+                } else {
+                    elements.repoName.value = '';
+                    elements.downloadRepoButton.disabled = true;
+                    elements.repoInfo.classList.add('d-none');
+                    const statusSection = document.getElementById('statusSection');
+                    if (statusSection) {
+                        statusSection.style.display = 'none';
+                    }
+                }
+                await Promise.all([refreshStoredRepositories(), refreshOpenRepositories()]);
+            } catch (error) {
+                console.error('Failed to close repository:', error);
+                updateStatus(`❌ Failed to close repository: ${error.message}`, 'error');
+            }
+        }
+
+        async function loadImportSourceBranches() {
+            const repoId = elements.importSourceRepoSelect.value;
+            elements.importSourceBranchSelect.innerHTML = '<option value="">Select branch</option>';
+            if (!repoId) return;
+
+            try {
+                const branches = await currentRepo.listBranchesOf(repoId);
+                elements.importSourceBranchSelect.innerHTML += branches.filter(branch => branch.hash).map(branch =>
+                    `<option value="${escapeHtml(branch.name)}">${escapeHtml(branch.name)}</option>`
+                ).join('');
+            } catch (error) {
+                console.error('Failed to list branches:', error);
+                updateStatus(`❌ Failed to list branches: ${error.message}`, 'error');
+            }
+        }
+
+        async function importBranchFromRepository() {
+            const sourceRepoId = elements.importSourceRepoSelect.value;
+            const branchName = elements.importSourceBranchSelect.value;
+            if (!sourceRepoId || !branchName) {
+                updateStatus('❌ Please select a repository and branch to import.', 'error');
+                return;
+            }
+
+            try {
+                showProgress(`Importing branch ${branchName}...`);
+                const targetName = elements.importTargetBranchName.value.trim() || null;
+                const response = await currentRepo.importBranchFromRepository(sourceRepoId, branchName, targetName);
+
+                updateStatus(`✅ ${response.message} (${response.result.objects} objects, ${response.result.deltas} deltas)`, 'success');
+                elements.importTargetBranchName.value = '';
+
+                await refreshAll();
+                hideProgress();
+            } catch (error) {
+                console.error('Failed to import branch:', error);
+                updateStatus(`❌ Failed to import branch: ${error.message}`, 'error');
+                hideProgress();
+            }
+        }
+
         // UI update functions
         function updateStatus(message, type = 'info') {
             // Update the legacy status (for compatibility)
@@ -858,7 +1243,8 @@
                     refreshStagedFiles(),
                     refreshCommittedFiles(),
                     refreshStatus(),
-                    refreshAnalytics()
+                    refreshAnalytics(),
+                    refreshOpenRepositories()
                 ]);
             } catch (error) {
                 console.error('Failed to refresh UI:', error);
@@ -945,7 +1331,9 @@
 
             elements.commitHistory.innerHTML = commitLogState.allCommits.map((commit, index) => `
                 <div class="commit-item" onclick="showCommitDetails('${commit.hash}')" data-commit-hash="${commit.hash}">
-                    <div class="commit-hash">📝 ${commit.hash.substring(0, 8)}</div>
+                    <div class="commit-hash">📝 ${commit.hash.substring(0, 8)}${(commit.tags || []).map(tag => `
+                        <span class="commit-tag">🏷️ ${escapeHtml(tag)}</span>`).join('')}
+                    </div>
                     <div class="commit-message">${escapeHtml(commit.message)}</div>
                     <div class="commit-meta">
                         <div class="commit-author">
@@ -1525,14 +1913,11 @@
             try {
                 showProgress(`Processing ${files.length} file(s)...`);
 
-                // Read all files into memory first
-                const fileData = await Promise.all(files.map(async (file) => {
-                    const arrayBuffer = await file.arrayBuffer();
-                    return {
-                        path: file.name,
-                        content: new Uint8Array(arrayBuffer),
-                        isBinary: null // Let the worker determine this
-                    };
+                // Hand the File objects to the worker, which reads them in pieces
+                const fileData = files.map(file => ({
+                    path: file.name,
+                    file,
+                    isBinary: null // Let the worker determine this
                 }));
 
                 // Send batch to worker for processing
@@ -1567,14 +1952,11 @@
             try {
                 showProgress(`📁 Processing directory with ${files.length} files...`);
 
-                // Read all files into memory first
-                const fileData = await Promise.all(files.map(async (file) => {
-                    const arrayBuffer = await file.arrayBuffer();
-                    return {
-                        path: file.webkitRelativePath || file.name,
-                        content: new Uint8Array(arrayBuffer),
-                        isBinary: null // Let the worker determine this
-                    };
+                // Hand the File objects to the worker, which reads them in pieces
+                const fileData = files.map(file => ({
+                    path: file.webkitRelativePath || file.name,
+                    file,
+                    isBinary: null // Let the worker determine this
                 }));
 
                 // Send batch to worker for processing
@@ -1982,10 +2364,54 @@
             }
         }
 
-        function showFileContent(fileName, content, hash = null) {
+        // Text file shown in the File Viewer, for the blame toggle
+        let fileViewerFile = null;
+
+        async function toggleFileBlame() {
+            if (!fileViewerFile) return;
+
+            const contentElement = document.getElementById('fileViewerContent');
+            const blameButton = document.getElementById('fileViewerBlameButton');
+
+            if (fileViewerFile.blamed) {
+                contentElement.className = 'file-content';
+                contentElement.textContent = fileViewerFile.text;
+                blameButton.textContent = '🕵️ Blame';
+                fileViewerFile.blamed = false;
+                return;
+            }
+
             try {
+                const blame = await currentRepo.blame(fileViewerFile.fileName, fileViewerFile.commitHash);
+                contentElement.className = 'file-content blame-view';
+                contentElement.innerHTML = blame.lines.map((line, index) => {
+                    // Only the first line of a run from the same commit gets a label
+                    const first = index === 0 || blame.lines[index - 1].hash !== line.hash;
+                    const date = line.timestamp ? new Date(line.timestamp * 1000).toLocaleDateString() : '';
+                    const label = !first ? '' : line.hash
+                        ? `${line.hash.substring(0, 8)} ${escapeHtml(line.author)} ${date}`
+                        : 'Not committed yet';
+                    const title = line.hash ? `${line.hash}\n${line.author} <${line.email || ''}>\n${line.summary}` : 'Staged change';
+                    return `<div class="blame-line${first ? ' blame-start' : ''}"><span class="blame-gutter" title="${escapeHtml(title)}">${label}</span><span class="blame-number">${line.line}</span><span class="blame-code">${escapeHtml(line.content)}</span></div>`;
+                }).join('');
+                blameButton.textContent = '📄 Plain View';
+                fileViewerFile.blamed = true;
+            } catch (error) {
+                updateStatus(`❌ Blame failed: ${error.message}`, 'error');
+            }
+        }
+
+        function showFileContent(fileName, content, hash = null, commitHash = null) {
+            try {
+                const blameButton = document.getElementById('fileViewerBlameButton');
+                fileViewerFile = null;
+                blameButton.style.display = 'none';
+
+                // Large chunked files arrive as a Blob and are never read into memory here
+                const isBlob = content instanceof Blob;
+
                 // Calculate hash if not provided
-                if (!hash && content) {
+                if (!hash && content && !isBlob) {
                     // Simple hash for display - not cryptographic
                     hash = Array.from(new Uint8Array(content.slice(0, 16)))
                         .map(b => b.toString(16).padStart(2, '0'))
@@ -1993,8 +2419,8 @@
                 }
 
                 // Check if content is binary
-                const isBinary = checkIfBinary(content);
-                const fileSize = formatFileSize(content.byteLength || content.length);
+                const isBinary = isBlob || checkIfBinary(content);
+                const fileSize = formatFileSize(isBlob ? content.size : (content.byteLength || content.length));
                 const fileType = getFileType(fileName);
 
                 // Update modal content
@@ -2012,7 +2438,7 @@
                     const mimeType = getMimeType(fileName);
 
                     // Create blob URL for binary content
-                    const uint8Array = content instanceof Uint8Array ? content : new Uint8Array(content);
+                    const uint8Array = isBlob || content instanceof Uint8Array ? content : new Uint8Array(content);
                     const blob = new Blob([uint8Array], { type: mimeType });
                     const blobUrl = URL.createObjectURL(blob);
 
@@ -2073,6 +2499,10 @@
                     const textContent = typeof content === 'string' ? content :
                         new TextDecoder('utf-8', { fatal: false }).decode(content);
                     contentElement.textContent = textContent;
+
+                    fileViewerFile = { fileName, commitHash, text: textContent, blamed: false };
+                    blameButton.textContent = '🕵️ Blame';
+                    blameButton.style.display = '';
                 }
 
                 // Show the modal
@@ -2420,6 +2850,14 @@
             }
         }
 
+        function formatConflictRegion(region) {
+            const range = ({ start, length }) => {
+                if (length === 0) return `before ${start}`;
+                return length === 1 ? `${start}` : `${start}-${start + length - 1}`;
+            };
+            return `ours ${range(region.ours)}, theirs ${range(region.theirs)} (base ${range(region.base)})`;
+        }
+
         function displayMergePreview(mergeResult) {
             const mergeStatus = document.getElementById('mergeStatus');
             const mergeSummary = document.getElementById('mergeSummary');
@@ -2458,6 +2896,9 @@
                         <div class="conflict-item">
                             <div class="conflict-file">${conflict.file}</div>
                             <div class="conflict-type">Conflict type: ${conflict.type}</div>
+                            ${(conflict.regions || []).map(region => `
+                                <div class="conflict-region">Lines ${formatConflictRegion(region)}</div>
+                            `).join('')}
                         </div>
                     `).join('');
                     conflictList.innerHTML = conflictsHtml;
@@ -2494,12 +2935,14 @@
                 return;
             }
 
-            if (mergeState.conflictsDetected) {
-                updateStatus('❌ Cannot execute merge with unresolved conflicts.', 'error');
+            if (mergeState.inProgress) {
+                updateStatus('❌ A merge is already in progress. Continue or abort it first.', 'error');
                 return;
             }
 
-            const confirmMessage = `🔀 EXECUTE MERGE\n\nMerge "${mergeState.sourceBranch}" into "${mergeState.targetBranch}"?\n\nThis will create a new commit and cannot be undone easily.\n\nProceed with merge?`;
+            const confirmMessage = mergeState.conflictsDetected
+                ? `🔀 START MERGE WITH CONFLICTS\n\nMerge "${mergeState.sourceBranch}" into "${mergeState.targetBranch}"?\n\nConflicted files will be staged with conflict markers. Resolve them, then Continue Merge or Abort Merge.\n\nProceed with merge?`
+                : `🔀 EXECUTE MERGE\n\nMerge "${mergeState.sourceBranch}" into "${mergeState.targetBranch}"?\n\nThis will create a new commit and cannot be undone easily.\n\nProceed with merge?`;
 
             if (!confirm(confirmMessage)) {
                 return;
@@ -2510,18 +2953,22 @@
                 mergeState.inProgress = true;
 
                 // Execute the actual merge
-                const mergeResult = await currentRepo.merge(mergeState.sourceBranch);
+                const mergeResult = normalizeMergeResult(await currentRepo.merge(mergeState.sourceBranch));
 
                 if (mergeResult.conflicts && mergeResult.conflicts.length > 0) {
-                    // Unexpected conflicts during execution
+                    // Merge stays in progress with conflict markers staged
+                    mergeState.previewData = mergeResult;
                     displayMergePreview(mergeResult);
-                    updateStatus('⚠️ Conflicts detected during merge execution.', 'error');
+                    showContinueMergeButton(true);
+                    await renderConflictResolutionPanel();
+                    await refreshStagedFiles();
+                    updateStatus('⚠️ Merge in progress: resolve the conflicted files, then Continue Merge.', 'warning');
                 } else {
                     // Successful merge
+                    mergeState.inProgress = false;
                     await handleMergeSuccess(mergeResult);
                 }
 
-                mergeState.inProgress = false;
                 hideProgress();
 
             } catch (error) {
@@ -2591,6 +3038,92 @@
             }
         }
 
+        // Per-file resolution panel for a merge in progress
+        async function renderConflictResolutionPanel() {
+            const conflictList = document.getElementById('conflictList');
+            if (!conflictList) return;
+
+            const { conflicts } = await currentRepo.getConflicts();
+            const regionsByFile = new Map(
+                ((mergeState.previewData && mergeState.previewData.conflicts) || [])
+                    .map(conflict => [conflict.file, conflict.regions || []])
+            );
+
+            conflictList.innerHTML = conflicts.map(conflict => {
+                const sides = ['ours', 'theirs', 'base'].map(side => `
+                    <button class="btn btn-sm ${conflict[side] ? 'btn-outline' : 'btn-danger'}"
+                            data-file="${escapeAttribute(conflict.file)}" data-side="${side}"
+                            title="${conflict[side] ? `Use the ${side} version` : `Not present in ${side}: resolve as deleted`}">
+                        ${side === 'ours' ? '⬅️ Ours' : side === 'theirs' ? '➡️ Theirs' : '⏺️ Base'}
+                    </button>
+                `).join('');
+
+                return `
+                    <div class="conflict-item ${conflict.resolved ? 'conflict-resolved' : ''}">
+                        <div class="conflict-file">${conflict.resolved ? '✅' : '⚠️'} ${escapeHtml(conflict.file)}</div>
+                        <div class="conflict-type">Conflict type: ${conflict.type}${conflict.resolved ? ' (resolved)' : ''}</div>
+                        ${(regionsByFile.get(conflict.file) || []).map(region => `
+                            <div class="conflict-region">Lines ${formatConflictRegion(region)}</div>
+                        `).join('')}
+                        <div class="conflict-resolution">${sides}</div>
+                    </div>
+                `;
+            }).join('');
+            // File names come from the repository: pass them as data, never inside inline handlers
+            conflictList.querySelectorAll('button[data-file]').forEach(button => {
+                button.addEventListener('click', () => resolveConflictFile(button.dataset.file, button.dataset.side));
+            });
+
+            const unresolved = conflicts.filter(conflict => !conflict.resolved).length;
+            const continueMergeButton = document.getElementById('continueMergeButton');
+            if (continueMergeButton) {
+                continueMergeButton.disabled = unresolved > 0;
+                continueMergeButton.title = unresolved > 0 ? `${unresolved} conflict(s) left to resolve` : 'Create the merge commit';
+            }
+        }
+
+        async function resolveConflictFile(fileName, resolution) {
+            try {
+                const response = await currentRepo.resolveConflict(fileName, resolution);
+                await renderConflictResolutionPanel();
+                await refreshStagedFiles();
+
+                const remaining = response.result.remaining.length;
+                updateStatus(remaining > 0
+                    ? `✅ ${response.message}. ${remaining} conflict(s) left.`
+                    : `✅ ${response.message}. All conflicts resolved - Continue Merge to commit.`, 'success');
+            } catch (error) {
+                console.error('Failed to resolve conflict:', error);
+                updateStatus(`❌ Failed to resolve ${fileName}: ${error.message}`, 'error');
+            }
+        }
+
+        function showContinueMergeButton(visible) {
+            const continueMergeButton = document.getElementById('continueMergeButton');
+            if (continueMergeButton) {
+                continueMergeButton.style.display = visible ? 'inline-block' : 'none';
+            }
+        }
+
+        async function continueMerge() {
+            if (!mergeState.inProgress) {
+                updateStatus('❌ No merge in progress.', 'error');
+                return;
+            }
+
+            try {
+                showProgress('Concluding merge...');
+                const workerResponse = await currentRepo.mergeContinue();
+                showContinueMergeButton(false);
+                await handleMergeSuccess(workerResponse.result);
+                hideProgress();
+            } catch (error) {
+                console.error('Failed to continue merge:', error);
+                updateStatus(`❌ Cannot continue merge: ${error.message}`, 'error');
+                hideProgress();
+            }
+        }
+
         async function abortMerge() {
             if (!mergeState.inProgress) {
                 // Just reset the UI
@@ -2603,8 +3136,50 @@
                 return;
             }
 
-            // If merge is actually in progress, would need to implement merge abort
-            updateStatus('⚠️ Merge abort not implemented yet.', 'warning');
+            try {
+                showProgress('Aborting merge...');
+                const workerResponse = await currentRepo.mergeAbort();
+
+                const mergeStatus = document.getElementById('mergeStatus');
+                if (mergeStatus) {
+                    mergeStatus.style.display = 'none';
+                }
+                showContinueMergeButton(false);
+                resetMergeState();
+
+                await Promise.all([
+                    refreshCommits(),
+                    refreshBranches(),
+                    refreshStagedFiles(),
+                    refreshStatus()
+                ]);
+
+                updateStatus(`ℹ️ ${workerResponse.message}.`, 'info');
+                hideProgress();
+            } catch (error) {
+                console.error('Failed to abort merge:', error);
+                updateStatus(`❌ Failed to abort merge: ${error.message}`, 'error');
+                hideProgress();
+            }
+        }
+
+        // Resolve every remaining conflict of the merge in progress with one side
+        async function resolveAllConflicts(resolution) {
+            try {
+                showProgress(`Resolving all conflicts using ${resolution}...`);
+                const { conflicts } = await currentRepo.getConflicts();
+                for (const conflict of conflicts.filter(c => !c.resolved)) {
+                    await currentRepo.resolveConflict(conflict.file, resolution);
+                }
+                await renderConflictResolutionPanel();
+                await refreshStagedFiles();
+                updateStatus(`✅ All conflicts resolved using ${resolution}. Continue Merge to commit.`, 'success');
+                hideProgress();
+            } catch (error) {
+                console.error('Failed to resolve conflicts:', error);
+                updateStatus(`❌ Failed to resolve conflicts: ${error.message}`, 'error');
+                hideProgress();
+            }
         }
 
         async function acceptAllTarget() {
@@ -2613,6 +3188,11 @@
                 return;
             }
 
+            if (mergeState.inProgress) {
+                await resolveAllConflicts('theirs');
+                return;
+            }
+
             try {
                 showProgress('Accepting all changes from target branch...');
                 const workerResponse = await currentRepo.forceMerge(mergeState.sourceBranch, { strategy: 'accept_all_target' });
@@ -2641,6 +3221,11 @@
                 return;
             }
 
+            if (mergeState.inProgress) {
+                await resolveAllConflicts('ours');
+                return;
+            }
+
             try {
                 showProgress('Keeping all changes from current branch...');
                 const workerResponse = await currentRepo.forceMerge(mergeState.sourceBranch, { strategy: 'keep_all_current' });
@@ -2692,78 +3277,13 @@
         }
 
         async function getRepositoryAnalytics() {
-            const analytics = {
-                totalObjects: 0,
-                totalSize: 0,
-                compressionRatio: 0,
-                objectBreakdown: { commits: 0, trees: 0, blobs: 0 },
-                fileTypes: {},
-                efficiency: {
-                    deduplicationSavings: 0,
-                    averageFileSize: 0,
-                    largestObject: 0
-                }
-            };
-
-            try {
-                // Get repository statistics if available
-                if (currentRepo.getStorageAnalytics) {
-                    const repoAnalytics = await currentRepo.getStorageAnalytics();
-
-                    analytics.totalObjects = repoAnalytics.totalObjects || 0;
-                    analytics.totalSize = repoAnalytics.totalSize || 0;
-                    analytics.compressionRatio = repoAnalytics.compressionRatio || 0;
-                    analytics.deduplicationSavings = repoAnalytics.deduplicationSavings || 0;
-
-                    // Map object breakdown to expected UI format
-                    if (repoAnalytics.objectBreakdown) {
-                        analytics.objectBreakdown.commits = repoAnalytics.objectBreakdown.commits || 0;
-                        analytics.objectBreakdown.trees = repoAnalytics.objectBreakdown.trees || 0;
-                        analytics.objectBreakdown.blobs = repoAnalytics.objectBreakdown.blobs || 0;
-                    }
-
-                    // Use backend-calculated efficiency metrics
-                    analytics.efficiency.averageFileSize = repoAnalytics.averageFileSize || 0;
-                    analytics.efficiency.largestObject = repoAnalytics.largestObject || 0;
-                } else {
-                    // Fallback: calculate analytics manually
-                    await calculateAnalyticsManually(analytics);
-                }
-
-                // Analyze file types from staged and committed files
-                await analyzeFileTypes(analytics);
-
-            } catch (error) {
-                console.error('Error calculating analytics:', error);
-                // Return default analytics on error
-            }
-
+            // Storage figures come from the repository; file types from the latest commit
+            const analytics = await currentRepo.getStorageAnalytics();
+            analytics.fileTypes = {};
+            await analyzeFileTypes(analytics);
             return analytics;
         }
 
-        async function calculateAnalyticsManually(analytics) {
-            try {
-                // Get commits for object counting
-                const commits = await currentRepo.getCommits(1000);
-                analytics.objectBreakdown.commits = commits.length;
-
-                // Get staged files
-                const stagedFilesResult = await currentRepo.getStagedFiles();
-                const stagedFiles = Array.isArray(stagedFilesResult) ? stagedFilesResult : ((stagedFilesResult && stagedFilesResult.files) || []);
-                analytics.objectBreakdown.blobs += stagedFiles.length;
-
-                // Estimate total objects
-                analytics.totalObjects = analytics.objectBreakdown.commits +
-                                        analytics.objectBreakdown.blobs +
-                                        analytics.objectBreakdown.trees;
-
-                // Note: efficiency metrics now calculated by backend
-
-            } catch (error) {
-                console.error('Failed to calculate manual analytics:', error);
-            }
-        }
-
         async function analyzeFileTypes(analytics) {
             try {
                 // Get all files from the latest commit instead of just staged files
@@ -2841,32 +3361,143 @@
         }
 
         function displayAnalytics(analytics) {
+            const { totals, savings, chains } = analytics;
+            const blobs = analytics.types.blob || { count: 0, size: 0 };
+
             // Update overview cards
-            document.getElementById('totalStorageSize').textContent = formatFileSize(analytics.totalSize);
-            document.getElementById('totalObjects').textContent = analytics.totalObjects.toLocaleString();
-            document.getElementById('compressionRatio').textContent = analytics.compressionRatio ?
-                `${analytics.compressionRatio.toFixed(1)}%` : 'N/A';
-
-            // Calculate and display efficiency
-            const efficiency = analytics.totalObjects > 0 ?
-                Math.min(100, (((analytics.objectBreakdown && analytics.objectBreakdown.blobs) || 0) / analytics.totalObjects) * 100) : 0;
-            document.getElementById('efficiency').textContent = `${efficiency.toFixed(1)}%`;
-
-            // Update object breakdown with safe fallbacks
-            document.getElementById('commitObjects').textContent = ((analytics.objectBreakdown && analytics.objectBreakdown.commits) || 0).toLocaleString();
-            document.getElementById('treeObjects').textContent = ((analytics.objectBreakdown && analytics.objectBreakdown.trees) || 0).toLocaleString();
-            document.getElementById('blobObjects').textContent = ((analytics.objectBreakdown && analytics.objectBreakdown.blobs) || 0).toLocaleString();
-
-            // Update efficiency metrics with safe fallbacks
-            const deduplicationSavings = analytics.deduplicationSavings || 0;
-            document.getElementById('deduplicationSavings').textContent = `${deduplicationSavings.toFixed(1)}%`;
-            document.getElementById('averageFileSize').textContent = formatFileSize((analytics.efficiency && analytics.efficiency.averageFileSize) || 0);
-            document.getElementById('largestObject').textContent = formatFileSize((analytics.efficiency && analytics.efficiency.largestObject) || 0);
+            document.getElementById('totalStorageSize').textContent = formatFileSize(totals.stored);
+            document.getElementById('totalObjects').textContent = totals.objects.toLocaleString();
+            document.getElementById('compressionRatio').textContent = `${savings.percent.toFixed(1)}%`;
+            document.getElementById('maxChainDepth').textContent = chains.maxDepth.toString();
+
+            // Object breakdown by type
+            const typeNames = Object.keys(analytics.types).sort();
+            document.getElementById('objectBreakdown').innerHTML = typeNames.length === 0
+                ? '<div class="empty-state">No objects stored</div>'
+                : typeNames.map(type => {
+                    const entry = analytics.types[type];
+                    const deltas = entry.deltas > 0 ? ` (${entry.deltas} deltas)` : '';
+                    return `
+                        <div class="object-type">
+                            <span class="object-type-label">${escapeHtml(type)}:</span>
+                            <span class="object-type-value">${entry.count.toLocaleString()}${deltas} · ${formatFileSize(entry.stored)}</span>
+                        </div>
+                    `;
+                }).join('');
+
+            // Savings
+            document.getElementById('compressionSavings').textContent = formatFileSize(savings.compression);
+            document.getElementById('deltaSavings').textContent = formatFileSize(savings.delta);
+            document.getElementById('averageFileSize').textContent = formatFileSize(blobs.count > 0 ? Math.round(blobs.size / blobs.count) : 0);
+            document.getElementById('unreachableStorage').textContent =
+                `${formatFileSize(analytics.unreachable.stored)} (${analytics.unreachable.objects} objects)`;
+
+            displayChainDepths(chains);
+            displayLargestFiles(analytics.largestBlobs);
+            displayBranchStorage(analytics.branches);
+            displayStorageGrowth(analytics.growth);
 
             // Display file type analysis
             displayFileTypeAnalysis(analytics.fileTypes);
         }
 
+        function displayChainDepths(chains) {
+            const container = document.getElementById('chainDepthHistogram');
+            const total = chains.histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+
+            if (total === 0) {
+                container.innerHTML = '<div class="empty-state">No blobs stored</div>';
+                return;
+            }
+
+            container.innerHTML = chains.histogram.map(bucket => `
+                <div class="file-type-item">
+                    <div class="file-type-name">${bucket.depth === 0 ? 'Stored in full' : `Depth ${bucket.depth}`}</div>
+                    <div class="file-type-stats">
+                        <span class="file-type-count">${bucket.count}</span>
+                    </div>
+                    <div class="file-type-bar">
+                        <div class="file-type-bar-fill" style="width: ${(bucket.count / total) * 100}%"></div>
+                    </div>
+                </div>
+            `).join('') + (chains.broken > 0
+                ? `<div class="empty-state">⚠️ ${chains.broken} blobs have broken delta chains</div>`
+                : '');
+        }
+
+        function displayLargestFiles(blobs) {
+            const container = document.getElementById('largestFiles');
+
+            if (blobs.length === 0) {
+                container.innerHTML = '<div class="empty-state">No committed files</div>';
+                return;
+            }
+
+            container.innerHTML = blobs.map(blob => {
+                const how = blob.chunked ? 'chunked' : blob.delta ? 'delta' : 'full';
+                return `
+                    <div class="file-type-item">
+                        <div class="file-type-name" title="${blob.hash}">
+                            <span>${escapeHtml(blob.path)}</span>
+                        </div>
+                        <div class="file-type-stats">
+                            <span class="file-type-count">${formatFileSize(blob.size)}</span>
+                            <span class="file-type-size">${formatFileSize(blob.stored)} stored, ${how}</span>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        function displayBranchStorage(branches) {
+            const container = document.getElementById('branchStorage');
+
+            if (branches.length === 0) {
+                container.innerHTML = '<div class="empty-state">No branches with commits</div>';
+                return;
+            }
+
+            container.innerHTML = branches.map(branch => `
+                <div class="file-type-item">
+                    <div class="file-type-name">
+                        <span>🌿</span>
+                        <span>${escapeHtml(branch.name)}</span>
+                    </div>
+                    <div class="file-type-stats">
+                        <span class="file-type-count">${formatFileSize(branch.stored)}</span>
+                        <span class="file-type-size">${formatFileSize(branch.uniqueStored)} only here</span>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        function displayStorageGrowth(growth) {
+            const container = document.getElementById('storageGrowth');
+
+            if (growth.length === 0) {
+                container.innerHTML = '<div class="empty-state">No commits yet</div>';
+                return;
+            }
+
+            const total = growth[growth.length - 1].totalStored;
+            // Newest first, like the commit history
+            container.innerHTML = growth.slice().reverse().map(step => `
+                <div class="file-type-item">
+                    <div class="file-type-name" title="${step.hash}">
+                        <span>${step.hash.substring(0, 8)}</span>
+                        <span>${escapeHtml(step.message)}</span>
+                    </div>
+                    <div class="file-type-stats">
+                        <span class="file-type-count">+${formatFileSize(step.stored)}</span>
+                        <span class="file-type-size">${formatFileSize(step.totalStored)}</span>
+                    </div>
+                    <div class="file-type-bar">
+                        <div class="file-type-bar-fill" style="width: ${total > 0 ? (step.totalStored / total) * 100 : 0}%"></div>
+                    </div>
+                </div>
+            `).join('');
+        }
+
         function displayFileTypeAnalysis(fileTypes) {
             const container = document.getElementById('fileTypeAnalysis');
 
@@ -3127,6 +3758,9 @@
                         </div>
                     `;
                     leftLineNum++;
+                } else if (line.startsWith('\\')) {
+                    // "\ No newline at end of file" belongs to the previous line
+                    html += `<div class="diff-line hunk-header"><div class="diff-line-content">${escapeHtml(line)}</div></div>`;
                 } else if (!line.startsWith('---') && !line.startsWith('+++')) {
                     html += `
                         <div class="diff-line context">
@@ -3161,6 +3795,11 @@
             return div.innerHTML;
         }
 
+        // escapeHtml leaves quotes alone, which is only safe outside attribute values
+        function escapeAttribute(text) {
+            return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        }
+
         // Initialize the application
         document.addEventListener('DOMContentLoaded', () => {
             initApp();
@@ -3190,6 +3829,11 @@
                 fileViewerClose2.addEventListener('click', () => closeModal('fileViewerModal'));
             }
 
+            const fileViewerBlameButton = document.getElementById('fileViewerBlameButton');
+            if (fileViewerBlameButton) {
+                fileViewerBlameButton.addEventListener('click', toggleFileBlame);
+            }
+
             // Close modal on background click
             if (fileViewerModal) {
                 fileViewerModal.addEventListener('click', (e) => {
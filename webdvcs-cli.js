@@ -17,7 +17,9 @@ const CoreMiniRepo = coreLib.MiniRepo;
 const { colorize, diffColors } = require('./lib/cli/cli-colors');
 const { formatDiff, diffFiles } = require('./lib/cli/cli-diff');
 const { initStore, storeBlob } = require('./lib/cli/cli-storage');
-const { addFilesystemMethods } = require('./lib/cli/repo-fs-methods');
+const { addFilesystemMethods, readFilePieces } = require('./lib/cli/repo-fs-methods');
+const { readChunks } = require('./lib/core/chunking');
+const { LARGE_FILE_THRESHOLD } = require('./lib/core/constants');
 
 /**
  * CLI-enhanced MiniRepo with logging and disk operations
@@ -144,6 +146,22 @@ class MiniRepo extends CoreMiniRepo {
             fs.writeFileSync(fileName, `symlink:${metadata.target}`);
           }
         }
+      } else if (metadata.chunked) {
+        // Stream chunked files to disk one chunk at a time
+        const fd = fs.openSync(fileName, 'w');
+        let written = 0;
+        try {
+          for (const piece of readChunks(metadata.hash, this.store)) {
+            fs.writeSync(fd, piece);
+            written += piece.length;
+          }
+        } finally {
+          fs.closeSync(fd);
+        }
+
+        if (this.options && this.options.debug) {
+          console.log(`📄 Wrote chunked file: ${fileName} (${written} bytes)`);
+        }
       } else {
         // Write regular file
         fs.writeFileSync(fileName, content);
@@ -282,12 +300,13 @@ class MiniRepo extends CoreMiniRepo {
 
     let content = null;
     let target = null;
+    const streamed = !isSymlink && fileStats.size >= LARGE_FILE_THRESHOLD;
 
     if (isSymlink) {
       // For symlinks, read the target path instead of content
       target = fs.readlinkSync(fileName);
-    } else {
-      // For regular files, read the content
+    } else if (!streamed) {
+      // For regular files, read the content (large files are streamed in below)
       content = fs.readFileSync(fileName);
     }
 
@@ -301,7 +320,9 @@ class MiniRepo extends CoreMiniRepo {
     };
 
     // Use enhanced _addFileInternal with metadata
-    const result = this._addFileInternal(fileName, content, forceBinary, metadata);
+    const result = streamed
+      ? this._addFileStreamInternal(fileName, readFilePieces(fileName), forceBinary, metadata)
+      : this._addFileInternal(fileName, content, forceBinary, metadata);
 
     // Save staging area after adding file
     this.saveStagingArea();
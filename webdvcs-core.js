@@ -16,6 +16,7 @@ if (isNode) {
   const { storeFile, getFile, hasFile } = require('./lib/core/file-storage');
   const { storeTree, getTree, createCommit, getCommit, getCommitHistory, commitExists, getTreeFiles } = require('./lib/core/objects');
   const { diffLines, formatDiff, diffFiles, getDiffSummary } = require('./lib/core/diff');
+  const { mergeText, formatConflictRegion } = require('./lib/core/merge');
   const { ContentAddressedRepo } = require('./lib/core/repo');
   
   // Export pure core functionality only (no console, no colors, no fs)
@@ -55,6 +56,10 @@ if (isNode) {
     diffFiles,
     getDiffSummary,
     
+    // Three-way text merge (pure)
+    mergeText,
+    formatConflictRegion,
+    
     // Environment info
     isNode,
     isBrowser
@@ -15,10 +15,16 @@ const versionMatch = workerUrl.match(/[?&]v=(\d+)/);
 const version = versionMatch ? versionMatch[1] : Date.now();
 importScripts(`dist/webdvcs-browser.js?v=${version}`);
 
-// Repository instance maintained in worker
-let currentRepo = null;
+// Open repositories by id: {id, name, repo}, where name is the browser storage name.
+// A message names its repository with data.repoId; without one it goes to the
+// active repository, the one the UI shows.
+const workspace = new Map();
+let activeRepoId = null;
+let nextRepoId = 1;
 let SQL = null;
 
+let repoStorage = null;
+
 // Get WebDVCS from the global scope (standardized API from browser-entry.js)
 const WebDVCS = self.WebDVCS || window.WebDVCS;
 
@@ -38,6 +44,77 @@ async function initSQL() {
     return SQL;
 }
 
+// Messages after which the open repository is saved to browser storage
+const AUTO_SAVE_MESSAGES = new Set([
+    'ADD_FILE', 'ADD_FILES_BATCH', 'REMOVE_FILE', 'CLEAR_STAGING',
+    'COMMIT', 'REWORD', 'RESET', 'CHECKOUT',
+    'CREATE_BRANCH', 'DELETE_BRANCH', 'SWITCH_BRANCH', 'IMPORT_BRANCH',
+    'MERGE', 'FORCE_MERGE', 'RESOLVE_CONFLICT', 'MERGE_CONTINUE', 'MERGE_ABORT',
+    'CHERRY_PICK', 'REVERT', 'REBASE', 'REBASE_CONTINUE', 'REBASE_SKIP', 'REBASE_ABORT',
+    'STASH_PUSH', 'STASH_APPLY', 'STASH_POP', 'STASH_DROP',
+    'FETCH', 'PULL', 'PUSH', 'REMOTE_ADD', 'REMOTE_REMOVE',
+    'REPACK', 'UPGRADE', 'SET_AUTHOR', 'IMPORT_BRANCH_FROM_REPO'
+]);
+
+// Browser storage for repositories, opened on first use
+function getRepoStorage() {
+    if (!repoStorage) {
+        repoStorage = new WebDVCS.RepositoryStorage();
+    }
+    return repoStorage;
+}
+
+// Add a repository to the workspace and make it the active one
+function addToWorkspace(repo, name) {
+    const entry = { id: `repo-${nextRepoId++}`, name, repo };
+    workspace.set(entry.id, entry);
+    activeRepoId = entry.id;
+    return entry;
+}
+
+// Look up an open repository by id, or the active one when no id is given
+function workspaceEntry(repoId) {
+    if (repoId) {
+        const entry = workspace.get(repoId);
+        if (!entry) {
+            throw new Error(`Repository ${repoId} is not open`);
+        }
+        return entry;
+    }
+    return workspace.get(activeRepoId) || null;
+}
+
+// Open repository stored under a browser storage name
+function findOpenRepo(name) {
+    return Array.from(workspace.values()).find(entry => entry.name === name) || null;
+}
+
+// Summary of the open repositories for the UI
+function describeWorkspace() {
+    return Array.from(workspace.values()).map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        active: entry.id === activeRepoId,
+        currentBranch: entry.repo.getCurrentBranch()
+    }));
+}
+
+// Save an open repository; failures are reported, not thrown
+async function saveRepo(entry) {
+    if (!entry || !getRepoStorage().isAvailable()) {
+        return null;
+    }
+
+    try {
+        const record = await getRepoStorage().save(entry.name, entry.repo.exportDatabase());
+        self.postMessage({ type: 'SAVED', data: { ...record, repoId: entry.id } });
+        return record;
+    } catch (error) {
+        self.postMessage({ type: 'SAVE_FAILED', data: { repoId: entry.id, name: entry.name, message: error.message } });
+        return null;
+    }
+}
+
 // Send progress updates to main thread
 function sendProgress(message, percentage = null) {
     self.postMessage({
@@ -79,7 +156,7 @@ function createProgressCallback() {
  */
 function previewMerge(repo, branchName) {
     try {
-        const result = repo.merge(branchName);
+        const result = repo.merge(branchName, { preview: true });
         return result;
     } catch (error) {
         if (error.conflicts && error.conflicts.length > 0) {
@@ -98,6 +175,10 @@ self.addEventListener('message', async (event) => {
     const { type, id, data } = event.data;
 
     try {
+        // The repository this message is for
+        const target = workspaceEntry(data && data.repoId);
+        const currentRepo = target ? target.repo : null;
+
         switch (type) {
             case 'INIT': {
                 await initSQL();
@@ -111,17 +192,28 @@ self.addEventListener('message', async (event) => {
                 // Ensure SQL.js is initialized
                 await initSQL();
 
+                const name = data.name || 'new-repo';
+                WebDVCS.validateRepositoryName(name);
+                if (getRepoStorage().isAvailable() && await getRepoStorage().info(name)) {
+                    throw new Error(`A repository named '${name}' is already stored in this browser; open it or choose another name`);
+                }
+
                 // Create new repository using standardized API
-                currentRepo = await WebDVCS.BrowserRepo.create(
-                    data.name || 'new-repo',
+                const repo = await WebDVCS.BrowserRepo.create(
+                    name,
                     createProgressCallback()
                 );
+                repo.store.setMeta('repository_name', name);
+                const entry = addToWorkspace(repo, name);
+                const saved = await saveRepo(entry);
 
-                const stats = await currentRepo.getStats();
+                const stats = await repo.getStats();
 
                 sendResponse(id, 'CREATE_REPO', true, {
-                    name: data.name,
+                    repoId: entry.id,
+                    name,
                     stats,
+                    persisted: !!saved,
                     message: 'Repository created successfully'
                 });
                 break;
@@ -131,21 +223,28 @@ self.addEventListener('message', async (event) => {
                 sendProgress('Loading repository...', 0);
 
                 // Load repository from uploaded file using standardized API
-                currentRepo = await WebDVCS.BrowserRepo.loadFromFile(
+                const repo = await WebDVCS.BrowserRepo.loadFromFile(
                     data.buffer,
                     createProgressCallback()
                 );
 
-                const stats = await currentRepo.getStats();
+                const stats = await repo.getStats();
 
                 // Extract repository name from filename or use default
                 const repoName = data.fileName ?
                     data.fileName.replace(/\.sqlite$/, '').replace(/\.webdvcs$/, '') :
                     'loaded-repo';
 
+                // Uploads are stored alongside, never over, repositories already kept here
+                const name = getRepoStorage().isAvailable() ? await getRepoStorage().uniqueName(repoName) : repoName;
+                const entry = addToWorkspace(repo, name);
+                const saved = await saveRepo(entry);
+
                 sendResponse(id, 'LOAD_REPO', true, {
-                    name: repoName,
+                    repoId: entry.id,
+                    name,
                     stats,
+                    persisted: !!saved,
                     message: 'Repository loaded successfully'
                 });
                 break;
@@ -190,15 +289,30 @@ self.addEventListener('message', async (event) => {
                 const result = currentRepo.commit(
                     data.message,
                     data.author,
-                    data.email
+                    data.email,
+                    { amend: !!data.amend, trailers: data.trailers || [] }
                 );
 
                 sendResponse(id, 'COMMIT', true, {
                     hash: result.hash,
                     commitHash: result.hash, // UI compatibility
-                    message: data.message,
+                    message: result.message,
                     timestamp: result.timestamp,
-                    parent: result.parent
+                    parent: result.parent,
+                    amended: result.amended
+                });
+                break;
+            }
+
+            case 'REWORD': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = currentRepo.reword(data.commitRef || 'HEAD', data.message);
+                sendResponse(id, 'REWORD', true, {
+                    result,
+                    message: `Reworded ${result.previous.substring(0, 8)} as ${result.commitHash.substring(0, 8)}`
                 });
                 break;
             }
@@ -223,6 +337,16 @@ self.addEventListener('message', async (event) => {
                 break;
             }
 
+            case 'BLAME': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const blame = currentRepo.blame(data.fileName, data.commitHash || null);
+                sendResponse(id, 'BLAME', true, blame);
+                break;
+            }
+
             case 'GET_FILE_FROM_COMMIT': {
                 if (!currentRepo) {
                     throw new Error('No repository loaded');
@@ -383,6 +507,227 @@ self.addEventListener('message', async (event) => {
                 break;
             }
 
+            case 'GET_MERGE_STATE': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                sendResponse(id, 'GET_MERGE_STATE', true, {
+                    mergeState: currentRepo.getMergeState(),
+                    rebaseState: currentRepo.getRebaseState()
+                });
+                break;
+            }
+
+            case 'GET_CONFLICTS': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                sendResponse(id, 'GET_CONFLICTS', true, {
+                    conflicts: currentRepo.getConflicts()
+                });
+                break;
+            }
+
+            case 'RESOLVE_CONFLICT': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const { fileName, resolution, content } = data;
+                const result = currentRepo.resolveConflict(
+                    fileName,
+                    content !== undefined ? { content } : resolution
+                );
+                sendResponse(id, 'RESOLVE_CONFLICT', true, {
+                    result,
+                    conflicts: currentRepo.getConflicts(),
+                    message: `Resolved ${fileName} using ${result.resolution}`
+                });
+                break;
+            }
+
+            case 'MERGE_CONTINUE': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = currentRepo.mergeContinue(data.message || null);
+                const stats = await currentRepo.getStats();
+                sendResponse(id, 'MERGE_CONTINUE', true, {
+                    result,
+                    stats,
+                    message: `Merge concluded with commit ${result.commitHash.substring(0, 8)}`
+                });
+                break;
+            }
+
+            case 'MERGE_ABORT': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = currentRepo.mergeAbort();
+                const stats = await currentRepo.getStats();
+                sendResponse(id, 'MERGE_ABORT', true, {
+                    result,
+                    stats,
+                    message: `Merge aborted, ${result.branch} restored`
+                });
+                break;
+            }
+
+            case 'CHERRY_PICK':
+            case 'REVERT': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const { commitRef, options = {} } = data;
+                const result = type === 'CHERRY_PICK'
+                    ? currentRepo.cherryPick(commitRef, options)
+                    : currentRepo.revert(commitRef, options);
+                const stats = await currentRepo.getStats();
+                const verb = type === 'CHERRY_PICK' ? 'Cherry-pick' : 'Revert';
+                sendResponse(id, type, true, {
+                    result,
+                    stats,
+                    conflicts: result.type === 'conflict' ? currentRepo.getConflicts() : [],
+                    message: result.type === 'conflict'
+                        ? `${verb} stopped with ${result.conflicts.length} conflict(s)`
+                        : result.commitHash
+                            ? `${verb} created commit ${result.commitHash.substring(0, 8)}`
+                            : `${verb} made no changes`
+                });
+                break;
+            }
+
+            case 'REBASE_PLAN': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const plan = currentRepo.rebasePlan(data.upstream, data.options || {});
+                sendResponse(id, 'REBASE_PLAN', true, { plan });
+                break;
+            }
+
+            case 'REBASE':
+            case 'REBASE_CONTINUE':
+            case 'REBASE_SKIP': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                let result;
+                if (type === 'REBASE') {
+                    result = currentRepo.rebase(data.upstream, data.options || {});
+                } else if (type === 'REBASE_CONTINUE') {
+                    result = currentRepo.rebaseContinue();
+                } else {
+                    result = currentRepo.rebaseSkip();
+                }
+                const stats = await currentRepo.getStats();
+                sendResponse(id, type, true, {
+                    result,
+                    stats,
+                    conflicts: result.type === 'conflict' ? currentRepo.getConflicts() : [],
+                    message: result.type === 'conflict'
+                        ? `Rebase stopped at ${result.current.commit.substring(0, 8)} with ${result.conflicts.length} conflict(s)`
+                        : result.type === 'up-to-date'
+                            ? `${result.branch} is up to date`
+                            : `Rebased ${result.branch}: ${result.applied} commit(s) replayed`
+                });
+                break;
+            }
+
+            case 'REBASE_ABORT': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = currentRepo.rebaseAbort();
+                const stats = await currentRepo.getStats();
+                sendResponse(id, 'REBASE_ABORT', true, {
+                    result,
+                    stats,
+                    message: `Rebase aborted, ${result.branch} restored`
+                });
+                break;
+            }
+
+            case 'STASH_PUSH': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = currentRepo.stashPush(data.message || null);
+                const stats = await currentRepo.getStats();
+                sendResponse(id, 'STASH_PUSH', true, {
+                    result,
+                    stats,
+                    stashes: currentRepo.stashList(),
+                    message: `Saved ${result.message}`
+                });
+                break;
+            }
+
+            case 'STASH_LIST': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                sendResponse(id, 'STASH_LIST', true, {
+                    stashes: currentRepo.stashList()
+                });
+                break;
+            }
+
+            case 'STASH_SHOW': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const { index = 0, contextLines } = data;
+                sendResponse(id, 'STASH_SHOW', true, {
+                    stash: currentRepo.stashShow(index, { contextLines })
+                });
+                break;
+            }
+
+            case 'STASH_APPLY':
+            case 'STASH_POP': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const { index = 0 } = data;
+                const result = type === 'STASH_POP' ? currentRepo.stashPop(index) : currentRepo.stashApply(index);
+                const stats = await currentRepo.getStats();
+                sendResponse(id, type, true, {
+                    result,
+                    stats,
+                    stashes: currentRepo.stashList(),
+                    message: `${type === 'STASH_POP' ? 'Popped' : 'Applied'} ${result.name}`
+                });
+                break;
+            }
+
+            case 'STASH_DROP': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = currentRepo.stashDrop(data.index || 0);
+                sendResponse(id, 'STASH_DROP', true, {
+                    result,
+                    stashes: currentRepo.stashList(),
+                    message: `Dropped ${result.name}`
+                });
+                break;
+            }
+
             case 'FORCE_MERGE': {
                 if (!currentRepo) {
                     throw new Error('No repository loaded');
@@ -413,7 +758,8 @@ self.addEventListener('message', async (event) => {
 
                 const diff = currentRepo.diff(
                     data.fromCommit,
-                    data.toCommit || null
+                    data.toCommit || null,
+                    { contextLines: data.contextLines !== undefined ? data.contextLines : 3 }
                 );
 
                 sendResponse(id, 'DIFF', true, diff);
@@ -525,7 +871,7 @@ self.addEventListener('message', async (event) => {
                 const exportTree = (treeHash) => {
                     if (exportedObjects.has(treeHash)) return;
 
-                    const tree = currentRepo.getTree(treeHash);
+                    const tree = currentRepo.readTree(treeHash);
                     if (!tree) return;
 
                     // Export the tree object
@@ -539,9 +885,13 @@ self.addEventListener('message', async (event) => {
                         exportedObjects.add(treeHash);
                     }
 
-                    // Export all blobs referenced by this tree
+                    // Export subtrees and the blobs referenced by this tree
                     for (const entry of tree) {
-                        exportBlob(entry.hash);
+                        if (entry.type === 'tree') {
+                            exportTree(entry.hash);
+                        } else {
+                            exportBlob(entry.hash);
+                        }
                     }
                 };
 
@@ -645,7 +995,7 @@ self.addEventListener('message', async (event) => {
 
                 // Create the branch reference pointing to the head commit
                 if (branchData.head) {
-                    currentRepo.store.setRef(`refs/heads/${branchName}`, branchData.head, 'branch');
+                    currentRepo.store.setRef(`refs/heads/${branchName}`, branchData.head, 'branch', 'branch: imported');
                 } else {
                     throw new Error('Branch export missing head commit hash');
                 }
@@ -660,6 +1010,135 @@ self.addEventListener('message', async (event) => {
                 break;
             }
 
+            case 'FSCK': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const report = currentRepo.fsck({ full: !!data.full });
+
+                sendResponse(id, 'FSCK', true, {
+                    report,
+                    message: report.ok
+                        ? `No problems found in ${report.checked.objects} objects`
+                        : `${report.errors.length} problems found`
+                });
+                break;
+            }
+
+            case 'REPACK': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = currentRepo.repack({ depth: data.depth, window: data.window });
+
+                sendResponse(id, 'REPACK', true, {
+                    result,
+                    message: `Repacked ${result.objects} blobs, saved ${result.saved} bytes`
+                });
+                break;
+            }
+
+            case 'UPGRADE': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = currentRepo.upgrade({ dryRun: !!data.dryRun });
+
+                sendResponse(id, 'UPGRADE', true, {
+                    result,
+                    message: result.dryRun
+                        ? `${result.commits} commits would be rewritten`
+                        : `Upgraded ${result.commits} commits and ${result.refs} refs`
+                });
+                break;
+            }
+
+            case 'REMOTE_ADD': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const remote = currentRepo.addRemote(data.name, data.url);
+
+                sendResponse(id, 'REMOTE_ADD', true, {
+                    remote,
+                    message: `Added remote '${remote.name}'`
+                });
+                break;
+            }
+
+            case 'REMOTE_REMOVE': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = currentRepo.removeRemote(data.name);
+
+                sendResponse(id, 'REMOTE_REMOVE', true, {
+                    result,
+                    message: `Removed remote '${result.name}'`
+                });
+                break;
+            }
+
+            case 'LIST_REMOTES': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                sendResponse(id, 'LIST_REMOTES', true, {
+                    remotes: currentRepo.listRemotes()
+                });
+                break;
+            }
+
+            case 'FETCH': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = await currentRepo.fetch(data.remote);
+
+                sendResponse(id, 'FETCH', true, {
+                    result,
+                    message: `Fetched ${result.remote}: ${result.updated.length} refs updated`
+                });
+                break;
+            }
+
+            case 'PULL': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = await currentRepo.pull(data.remote, data.branch || null);
+
+                sendResponse(id, 'PULL', true, {
+                    result,
+                    message: result.merge.type === 'conflict'
+                        ? `Pulled ${data.remote} with ${result.merge.conflicts.length} conflicts`
+                        : `Pulled ${data.remote} (${result.merge.type})`
+                });
+                break;
+            }
+
+            case 'PUSH': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const result = await currentRepo.push(data.remote, data.branch || null, { force: !!data.force });
+
+                sendResponse(id, 'PUSH', true, {
+                    result,
+                    message: `Pushed ${result.branch} to ${result.remote} (${result.status})`
+                });
+                break;
+            }
+
             case 'EXPORT_REPO': {
                 if (!currentRepo) {
                     throw new Error('No repository loaded');
@@ -701,13 +1180,171 @@ self.addEventListener('message', async (event) => {
                 break;
             }
 
+            case 'LIST_STORED_REPOS': {
+                const storage = getRepoStorage();
+
+                sendResponse(id, 'LIST_STORED_REPOS', true, {
+                    available: storage.isAvailable(),
+                    repositories: storage.isAvailable() ? await storage.list() : [],
+                    current: target ? target.name : null,
+                    open: Array.from(workspace.values()).map(entry => entry.name)
+                });
+                break;
+            }
+
+            case 'OPEN_STORED_REPO': {
+                sendProgress(`Opening ${data.name}...`, 0);
+                await initSQL();
+
+                // Opening a repository that is already open just switches to it
+                let entry = findOpenRepo(data.name);
+                if (entry) {
+                    activeRepoId = entry.id;
+                } else {
+                    const buffer = await getRepoStorage().load(data.name);
+                    entry = addToWorkspace(await WebDVCS.BrowserRepo.loadFromFile(buffer, createProgressCallback()), data.name);
+                }
+
+                sendResponse(id, 'OPEN_STORED_REPO', true, {
+                    repoId: entry.id,
+                    name: data.name,
+                    stats: await entry.repo.getStats(),
+                    authorName: entry.repo.store.getMeta('author.name'),
+                    authorEmail: entry.repo.store.getMeta('author.email'),
+                    message: `Repository '${data.name}' opened`
+                });
+                break;
+            }
+
+            case 'SAVE_REPO': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+
+                const record = await saveRepo(target);
+                if (!record) {
+                    throw new Error('Repository could not be saved to browser storage');
+                }
+
+                sendResponse(id, 'SAVE_REPO', true, {
+                    record,
+                    message: `Repository '${record.name}' saved`
+                });
+                break;
+            }
+
+            case 'EXPORT_STORED_REPO': {
+                // Open repositories are exported live so unsaved work is included
+                const open = findOpenRepo(data.name);
+                const buffer = open
+                    ? open.repo.exportDatabase()
+                    : await getRepoStorage().load(data.name);
+
+                sendResponse(id, 'EXPORT_STORED_REPO', true, {
+                    name: data.name,
+                    data: buffer,
+                    size: buffer.byteLength
+                });
+                break;
+            }
+
+            case 'RENAME_STORED_REPO': {
+                const open = findOpenRepo(data.name);
+                const record = await getRepoStorage().rename(data.name, data.newName);
+                if (open) {
+                    open.name = record.name;
+                    open.repo.store.setMeta('repository_name', record.name);
+                    await saveRepo(open);
+                }
+
+                sendResponse(id, 'RENAME_STORED_REPO', true, {
+                    record,
+                    current: target ? target.name : null,
+                    message: `Renamed '${data.name}' to '${record.name}'`
+                });
+                break;
+            }
+
+            case 'DELETE_STORED_REPO': {
+                if (findOpenRepo(data.name)) {
+                    throw new Error(`Repository '${data.name}' is open; close it before deleting it`);
+                }
+
+                const record = await getRepoStorage().remove(data.name);
+
+                sendResponse(id, 'DELETE_STORED_REPO', true, {
+                    record,
+                    message: `Deleted '${record.name}' from browser storage`
+                });
+                break;
+            }
+
+            case 'LIST_OPEN_REPOS': {
+                sendResponse(id, 'LIST_OPEN_REPOS', true, {
+                    active: activeRepoId,
+                    repositories: describeWorkspace()
+                });
+                break;
+            }
+
+            case 'SWITCH_REPO': {
+                if (!target) {
+                    throw new Error('No repository loaded');
+                }
+
+                activeRepoId = target.id;
+
+                sendResponse(id, 'SWITCH_REPO', true, {
+                    repoId: target.id,
+                    name: target.name,
+                    stats: await currentRepo.getStats(),
+                    authorName: currentRepo.store.getMeta('author.name'),
+                    authorEmail: currentRepo.store.getMeta('author.email'),
+                    message: `Switched to repository '${target.name}'`
+                });
+                break;
+            }
+
+            case 'IMPORT_BRANCH_FROM_REPO': {
+                if (!currentRepo) {
+                    throw new Error('No repository loaded');
+                }
+                if (!data.sourceRepoId || !data.branchName) {
+                    throw new Error('Source repository and branch name are required');
+                }
+
+                const source = workspaceEntry(data.sourceRepoId);
+                if (source === target) {
+                    throw new Error('Cannot import a branch from a repository into itself');
+                }
+
+                const result = currentRepo.importBranchFrom(source.repo, data.branchName, data.targetName || null);
+
+                sendResponse(id, 'IMPORT_BRANCH_FROM_REPO', true, {
+                    result,
+                    source: source.name,
+                    message: `Branch '${data.branchName}' imported from '${source.name}' as '${result.branch}'`
+                });
+                break;
+            }
+
             case 'CLOSE': {
-                if (currentRepo) {
-                    currentRepo.close();
-                    currentRepo = null;
+                if (target) {
+                    await saveRepo(target);
+                    target.repo.close();
+                    workspace.delete(target.id);
+
+                    // The most recently opened of the others becomes active
+                    if (activeRepoId === target.id) {
+                        const remaining = Array.from(workspace.keys());
+                        activeRepoId = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+                    }
                 }
 
                 sendResponse(id, 'CLOSE', true, {
+                    closed: target ? target.id : null,
+                    active: activeRepoId,
+                    repositories: describeWorkspace(),
                     message: 'Repository closed'
                 });
                 break;
@@ -762,8 +1399,7 @@ self.addEventListener('message', async (event) => {
                     throw new Error('No repository loaded');
                 }
 
-                // Get real analytics from repository
-                const analytics = currentRepo.getStorageAnalytics();
+                const analytics = currentRepo.getStorageAnalytics({ top: data && data.top });
                 sendResponse(id, 'GET_STORAGE_ANALYTICS', true, analytics);
                 break;
             }
@@ -773,6 +1409,10 @@ self.addEventListener('message', async (event) => {
                 break;
             }
         }
+
+        if (AUTO_SAVE_MESSAGES.has(type)) {
+            await saveRepo(target);
+        }
     } catch (error) {
         console.error(`Worker error handling ${type}:`, error);
         sendResponse(id, type, false, null, error.message || error);
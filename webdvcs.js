@@ -7,13 +7,16 @@
  *   init          Initialize new repository
  *   add <path>    Stage file or directory
  *   commit <msg>  Create commit with message
- *   log [count]   Show commit history
+ *   log [count] [rev] [-- path] Show commit history
  *   status        Show repository status
- *   checkout <hash> Checkout specific commit
+ *   checkout <rev> Checkout specific commit
  *   help          Show this help message
  */
 
 const { MiniRepo, initStore } = require('./webdvcs-cli.js');
+const { formatConflictRegion } = require('./lib/core/merge');
+const { ContentAddressedStore } = require('./lib/core/storage');
+const { createSyncServer } = require('./lib/cli/sync-server');
 const fs = require('fs');
 const path = require('path');
 
@@ -118,26 +121,64 @@ function showHelp() {
   console.log(`  ${colorize('<repo> rm <file>', 'cyan')}        Remove file from next commit (preserves history)`);
   console.log(`  ${colorize('<repo> reset <ref> [--soft|--hard]', 'cyan')} Reset HEAD to commit (default: --soft)`);
   console.log(`  ${colorize('<repo> merge <branch>', 'cyan')}     Merge branch into current branch`);
-  console.log(`  ${colorize('<repo> commit <message>', 'cyan')} Create commit with message (quote message)`);
-  console.log(`  ${colorize('<repo> log [count]', 'cyan')}     Show commit history (default: 10)`);
+  console.log(`  ${colorize('<repo> merge --continue [msg]', 'cyan')} Commit a merge once conflicts are resolved`);
+  console.log(`  ${colorize('<repo> merge --abort', 'cyan')}      Abandon a conflicted merge, restoring branch and staging`);
+  console.log(`  ${colorize('<repo> resolve [<file> --ours|--theirs|--base|--file <path>]', 'cyan')} List or resolve merge conflicts`);
+  console.log(`  ${colorize('<repo> cherry-pick <commit> [-m n] [-x]', 'cyan')} Apply a commit's changes onto the current branch`);
+  console.log(`  ${colorize('<repo> revert <commit> [-m n]', 'cyan')} Undo a commit's changes with a new commit`);
+  console.log(`  ${colorize('<repo> cherry-pick|revert --continue|--abort', 'cyan')} Finish or abandon a conflicted cherry-pick/revert`);
+  console.log(`  ${colorize('<repo> rebase <upstream> [--onto <rev>] [--todo <file>]', 'cyan')} Replay current branch commits onto upstream`);
+  console.log(`  ${colorize('<repo> rebase --plan <upstream>', 'cyan')} Print an editable todo list (pick, reword, squash, fixup, drop)`);
+  console.log(`  ${colorize('<repo> rebase --continue|--skip|--abort', 'cyan')} Resume, skip the conflicted commit or abandon a rebase`);
+  console.log(`  ${colorize('<repo> commit <message> [-s] [--trailer "K: v"]', 'cyan')} Create commit with message (quote message; may span lines)`);
+  console.log(`  ${colorize('<repo> commit --amend [message]', 'cyan')} Rebuild HEAD with staged changes and optional new message`);
+  console.log(`  ${colorize('<repo> reword <commit> <message>', 'cyan')} Change the message of HEAD`);
+  console.log(`  ${colorize('<repo> log [count] [rev|A..B]', 'cyan')} Show commit history (default: 10)`);
+  console.log(`  ${colorize('<repo> log ... --author <re> --grep <re>', 'cyan')} Only commits by matching authors / with matching messages`);
+  console.log(`  ${colorize('<repo> log ... --since <date> --until <date>', 'cyan')} Only commits in a date range ('2 weeks ago', '2024-01-31')`);
+  console.log(`  ${colorize('<repo> log ... -- <path>', 'cyan')} Only commits that changed a file or directory`);
+  console.log(`  ${colorize('<repo> log ... --follow <path>', 'cyan')} History of a file, following renames`);
   console.log(`  ${colorize('<repo> status', 'cyan')}          Show repository status`);
-  console.log(`  ${colorize('<repo> checkout <hash> [file]', 'cyan')} Checkout commit or single file`);
+  console.log(`  ${colorize('<repo> checkout <rev> [file]', 'cyan')} Checkout commit or single file`);
   console.log(`  ${colorize('<repo> ls [path|commit]', 'cyan')}      List files in directory/commit or staged files`);
   console.log(`  ${colorize('<repo> cat <file> [commit]', 'cyan')}   Show file contents from staging/commit`);
-  console.log(`  ${colorize('<repo> branch [name]', 'cyan')}   List branches or create new branch`);
+  console.log(`  ${colorize('<repo> blame <file> [commit]', 'cyan')} Show the commit, author and date that last changed each line (alias: annotate)`);
+  console.log(`  ${colorize('<repo> branch [name [rev]]', 'cyan')} List branches or create new branch (at rev)`);
+  console.log(`  ${colorize('<repo> tag [name [commit]] [-m msg] [-f]', 'cyan')} List tags or create a lightweight/annotated tag`);
+  console.log(`  ${colorize('<repo> tag --delete <name>', 'cyan')} Delete a tag`);
+  console.log(`  ${colorize('<repo> stash [push [-m msg]]', 'cyan')} Set staged changes aside (also: list, show/apply/pop/drop [n])`);
+  console.log(`  ${colorize('<repo> reflog [ref]', 'cyan')}     Show every movement of a branch or tag (recover with ref@{n})`);
   console.log(`  ${colorize('<repo> switch <name>', 'cyan')}   Switch to existing branch`);
   console.log(`  ${colorize('<repo> diff <file1> <file2>', 'cyan')} Compare two files`);
   console.log(`  ${colorize('<repo> diff <commit1> <commit2>', 'cyan')} Compare two commits`);
+  console.log(`  ${colorize('<repo> diff <A..B|A...B>', 'cyan')}  Compare a range (A...B: B against merge base)`);
   console.log(`  ${colorize('<repo> diff --staged', 'cyan')}    Show uncommitted changes`);
-  console.log(`  ${colorize('<repo> analytics', 'cyan')}        Show detailed storage analytics and overhead breakdown`);
-  console.log(`  ${colorize('<repo> config [key] [value]', 'cyan')} Show or set configuration (author.name, author.email)`);
+  console.log(`  ${colorize('<repo> diff -U<n> ...', 'cyan')}     Unified diff with <n> context lines (default: 3)`);
+  console.log(`  ${colorize('<repo> analytics [--top N] [--json]', 'cyan')} Show storage by object type, delta chains, largest files, branches and growth`);
+  console.log(`  ${colorize('<repo> config [key] [value]', 'cyan')} Show or set configuration (author.name, author.email, gc.reflogExpire)`);
   console.log(`  ${colorize('<repo> export <branch>', 'cyan')}   Export branch to .webdvcs-branch file`);
   console.log(`  ${colorize('<repo> import <file>', 'cyan')}     Import branch from .webdvcs-branch file`);
+  console.log(`  ${colorize('<repo> format-patch <range> [-o <dir>]', 'cyan')} Write one patch file per commit`);
+  console.log(`  ${colorize('<repo> am <patch>...', 'cyan')}      Apply patch files as commits (alias: apply)`);
   console.log(`  ${colorize('<repo> delete-branch <name>', 'cyan')} Delete branch and run garbage collection`);
   console.log(`  ${colorize('<repo> delete-commit <hash>', 'cyan')} Delete unreferenced commit`);
-  console.log(`  ${colorize('<repo> gc', 'cyan')}               Run garbage collection to clean up unreachable objects`);
+  console.log(`  ${colorize('<repo> remote [add <name> <path|url> | remove <name>]', 'cyan')} List or configure remote repositories`);
+  console.log(`  ${colorize('<repo> fetch [remote]', 'cyan')}   Download new commits into refs/remotes/<remote>/<branch> (default: origin)`);
+  console.log(`  ${colorize('<repo> pull [remote] [branch]', 'cyan')} Fetch and merge the remote's branch into the current branch`);
+  console.log(`  ${colorize('<repo> push [remote] [branch] [--force]', 'cyan')} Send a branch to a remote (fast-forward only unless --force)`);
+  console.log(`  ${colorize('<repo> serve [--port N] [--host H] [--allow-force]', 'cyan')} Serve this repository to HTTP remotes (default: 127.0.0.1:8765, forced pushes refused)`);
+  console.log(`  ${colorize('<repo> fsck [--full] [--json]', 'cyan')} Check refs, trees and delta chains for corruption (--full re-hashes every object)`);
+  console.log(`  ${colorize('<repo> repack [--depth N] [--window N]', 'cyan')} Re-choose delta bases, cap chain depth and store branch heads in full`);
+  console.log(`  ${colorize('<repo> migrate [--dry-run]', 'cyan')} Bring the database schema up to date (runs automatically on open)`);
+  console.log(`  ${colorize('<repo> upgrade [--dry-run]', 'cyan')} Rewrite history stored with flat trees into nested trees`);
+  console.log(`  ${colorize('<repo> gc', 'cyan')}               Run garbage collection to clean up unreachable objects (keeps reflog history)`);
   console.log(`  ${colorize('help', 'cyan')}                   Show this help message`);
   console.log('');
+  console.log(`${colorize('Revisions:', 'bold')}`);
+  console.log(`  HEAD (or @), branch, tag, full or abbreviated hash, plus ~n (ancestor) and ^n (merge parent)`);
+  console.log(`  ref@{n} is where ref pointed n moves ago (see reflog)`);
+  console.log(`  e.g. HEAD~2, main^2, v1.0, 3fa9c2e1, main@{1}`);
+  console.log('');
   console.log(`${colorize('Global Options:', 'bold')}`);
   console.log(`  ${colorize('--debug, -d', 'cyan')}             Show detailed progress during operations`);
   console.log('');
@@ -152,7 +193,7 @@ function showHelp() {
   console.log(`  node webdvcs.js myproject switch feature    # Switch to feature branch`);
   console.log(`  node webdvcs.js myproject diff file1 file2  # Compare two files`);
   console.log(`  node webdvcs.js myproject diff --staged     # Show uncommitted changes`);
-  console.log(`  node webdvcs.js myproject analytics         # Show storage efficiency and overhead`);
+  console.log(`  node webdvcs.js myproject analytics         # Show where the repository's storage goes`);
   console.log(`  node webdvcs.js myproject export feature    # Export feature branch to file`);
   console.log(`  node webdvcs.js myproject import feature.webdvcs-branch # Import branch from file`);
   console.log(`  node webdvcs.js --debug myproject add src/  # Add directory with progress`);
@@ -244,9 +285,27 @@ function cmdAdd(pathName, forceBinary = false) {
   }
 }
 
-function cmdCommit(message) {
-  if (!message) {
-    printError('Usage: commit <message>');
+function cmdCommit(args) {
+  const amend = args.includes('--amend');
+  const trailers = [];
+  let message = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--trailer') {
+      const match = (args[++i] || '').match(/^([^:]+):\s*(.+)$/);
+      if (!match) {
+        printError('Usage: --trailer "<Key>: <value>"');
+        return;
+      }
+      trailers.push({ key: match[1].trim(), value: match[2] });
+    } else if (args[i] === '--signoff' || args[i] === '-s') {
+      const author = repo.getAuthor();
+      trailers.push({ key: 'Signed-off-by', value: `${author.name || 'Unknown'} <${author.email || 'unknown@example.com'}>` });
+    } else if (args[i] !== '--amend' && message === null) {
+      message = args[i];
+    }
+  }
+  if (!message && !amend) {
+    printError('Usage: commit <message> [--signoff] [--trailer "Key: value"] | commit --amend [message]');
     printInfo('Example: node webdvcs.js commit "Fix bug in login"');
     return;
   }
@@ -255,9 +314,31 @@ function cmdCommit(message) {
     if (debugMode) {
       console.log(`🔍 Debug mode enabled for commit`);
     }
-    const commitResult = repo.commit(message, null, null, { debug: debugMode });
-    printSuccess(`Created commit ${colorize(commitResult.commitHash, 'yellow')}`);
-    printInfo(`Message: "${message}"`);
+    const commitResult = repo.commit(message, null, null, { debug: debugMode, amend, trailers });
+    if (amend) {
+      printSuccess(`Amended commit ${colorize(commitResult.amended, 'yellow')} as ${colorize(commitResult.commitHash, 'yellow')}`);
+      printInfo('The previous commit is still reachable with "reflog"');
+    } else {
+      printSuccess(`Created commit ${colorize(commitResult.commitHash, 'yellow')}`);
+    }
+    printInfo(`Message: "${commitResult.message}"`);
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
+function cmdReword(args) {
+  const [commitRef, message] = args;
+  if (!commitRef || !message) {
+    printError('Usage: reword <commit> <message>');
+    printInfo('Example: node webdvcs.js myrepo reword HEAD "Fix typo in login form"');
+    return;
+  }
+  
+  try {
+    const result = repo.reword(commitRef, message);
+    printSuccess(`Reworded ${colorize(result.previous, 'yellow')} as ${colorize(result.commitHash, 'yellow')}`);
+    printInfo(`Message: "${result.message}"`);
   } catch (error) {
     printError(error.message);
   }
@@ -274,6 +355,27 @@ function cmdStatus() {
   console.log(`${colorize('Stored chunks:', 'bold')} ${status.store_objects}`);
   console.log(`${colorize('Total branches:', 'bold')} ${status.branches}`);
   console.log('');
+
+  if (status.rebasing) {
+    const rebasing = status.rebasing;
+    console.log(`${colorize('Rebasing:', 'bold')} ${colorize(rebasing.branch, 'cyan')} onto ${colorize(rebasing.upstream, 'cyan')} (${rebasing.applied} replayed, ${rebasing.remaining} remaining)`);
+  }
+
+  if (status.merging) {
+    const operation = status.merging.operation;
+    const title = { merge: 'Merge', 'cherry-pick': 'Cherry-pick', revert: 'Revert', rebase: 'Rebase' }[operation];
+    console.log(`${colorize(`${title} in progress:`, 'bold')} ${colorize(status.merging.branch, 'cyan')} → ${colorize(status.current_branch, 'green')}`);
+    if (status.merging.conflicts.length > 0) {
+      console.log(`${colorize('Unresolved conflicts:', 'bold')}`);
+      status.merging.conflicts.forEach(fileName => {
+        console.log(`  ${colorize('×', 'red')} ${fileName}`);
+      });
+      console.log(`${colorize('ℹ️', 'blue')} Fix the files, 'add' them, then run '${operation} --continue' (or '${operation} --abort')`);
+    } else {
+      console.log(`${colorize('ℹ️', 'blue')} All conflicts resolved: run '${operation} --continue' to create the ${operation === 'merge' ? 'merge ' : ''}commit`);
+    }
+    console.log('');
+  }
   
   if (status.staged.length > 0) {
     console.log(`${colorize('Staged files:', 'bold')}`);
@@ -329,94 +431,181 @@ function cmdStatus() {
   }
 }
 
-function cmdLog(maxCount = 10) {
-  const history = repo.log(maxCount);
+function cmdLog(args = []) {
+  // A bare number limits the count; anything else is a revision or range.
+  // Everything after '--' is the path to limit history to.
+  let maxCount = 10;
+  let revision = null;
+  const options = {};
+  const valueFlags = ['--author', '--since', '--until', '--grep'];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, null];
+    if (arg === '--') {
+      options.path = args[i + 1];
+      break;
+    } else if (arg === '--follow') {
+      options.follow = true;
+    } else if (valueFlags.includes(flag)) {
+      const value = inlineValue !== null ? inlineValue : args[++i];
+      if (!value) {
+        printError(`${flag} needs a value`);
+        return;
+      }
+      options[flag.substring(2)] = value;
+    } else if (/^\d+$/.test(arg)) {
+      maxCount = parseInt(arg);
+    } else if (options.follow && !options.path) {
+      // log --follow <path>
+      options.path = arg;
+    } else {
+      revision = arg;
+    }
+  }
+  if (options.follow && !options.path) {
+    printError('Usage: log --follow <path>');
+    return;
+  }
+  
+  let history;
+  try {
+    history = repo.log(maxCount, revision, options);
+  } catch (error) {
+    printError(error.message);
+    return;
+  }
   
   if (history.length === 0) {
-    printInfo('No commits yet');
+    const filtered = ['path', 'author', 'grep', 'since', 'until'].some(option => options[option]);
+    printInfo(filtered ? 'No commits match' : 'No commits yet');
     return;
   }
   
   printHeader(`Commit History (showing ${history.length} commits)`);
   
-  history.forEach((commit, index) => {
-    const isLatest = index === 0;
+  const tagsByCommit = new Map();
+  for (const tag of repo.listTags()) {
+    tagsByCommit.set(tag.commit, [...(tagsByCommit.get(tag.commit) || []), tag.name]);
+  }
+  
+  const head = repo.getCurrentHead();
+  history.forEach(commit => {
+    const isLatest = commit.hash === head;
     const prefix = isLatest ? colorize('● HEAD', 'green') : colorize('●', 'yellow');
+    const tags = tagsByCommit.get(commit.hash);
+    const decoration = tags ? ` ${colorize(`(tag: ${tags.join(', tag: ')})`, 'cyan')}` : '';
     
-    console.log(`${prefix} ${colorize(commit.hash, 'yellow')}`);
-    console.log(`   ${colorize('Message:', 'bold')} ${commit.message}`);
+    console.log(`${prefix} ${colorize(commit.hash, 'yellow')}${decoration}`);
+    console.log(`   ${colorize('Message:', 'bold')} ${commit.message.replace(/\n+$/, '').split('\n').join('\n            ')}`);
     console.log(`   ${colorize('Author:', 'bold')} ${commit.author}`);
-    console.log(`   ${colorize('Date:', 'bold')} ${new Date(commit.timestamp).toLocaleString()}`);
+    if (commit.committer && commit.committer !== commit.author) {
+      console.log(`   ${colorize('Committer:', 'bold')} ${commit.committer}`);
+    }
+    console.log(`   ${colorize('Date:', 'bold')} ${new Date(commit.timestamp * 1000).toLocaleString()}${commit.timezone ? ` ${commit.timezone}` : ''}`);
     if (commit.parent) {
       console.log(`   ${colorize('Parent:', 'bold')} ${commit.parent}`);
     }
+    if (commit.renamedFrom) {
+      console.log(`   ${colorize('Renamed:', 'bold')} ${commit.renamedFrom} → ${commit.path}`);
+    } else if (commit.path && commit.path !== options.path) {
+      console.log(`   ${colorize('Path:', 'bold')} ${commit.path}`);
+    }
     console.log('');
   });
 }
 
-function cmdAnalytics() {
+function cmdAnalytics(args) {
+  const options = {};
+  const topIndex = args.indexOf('--top');
+  if (topIndex !== -1) {
+    const top = Number(args[topIndex + 1]);
+    if (!Number.isInteger(top) || top < 0) {
+      printError('Usage: analytics [--top N] [--json]');
+      printInfo('  --top N   Largest files to list (default: 10)');
+      printInfo('  --json    Print the analytics as JSON');
+      return;
+    }
+    options.top = top;
+  }
+
   try {
-    const analytics = repo.storageAnalytics();
-    
+    const analytics = repo.storageAnalytics(options);
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(analytics, null, 2));
+      return;
+    }
+
+    const { database, totals, savings, chains } = analytics;
+    const percentOf = (part, whole) => whole > 0 ? `${(part / whole * 100).toFixed(1)}%` : '0.0%';
+
     printHeader('Storage Analytics');
-    
-    // Database info
+
     console.log(`${colorize('📁 Database:', 'bold')}`);
-    console.log(`   File: ${analytics.database.file_path}`);
-    console.log(`   Size: ${colorize(analytics.database.file_size_mb + ' MB', 'cyan')} (${analytics.database.file_size_bytes.toLocaleString()} bytes)`);
+    console.log(`   Size: ${colorize(formatFileSize(database.size), 'cyan')} (${formatFileSize(database.stored)} object data, ${formatFileSize(database.overhead)} SQLite overhead)`);
+    console.log(`   Objects: ${colorize(totals.objects.toLocaleString(), 'cyan')}, ${formatFileSize(totals.size)} of content stored in ${formatFileSize(totals.stored)}`);
     console.log('');
-    
-    // Chunk statistics
-    console.log(`${colorize('🧩 Chunks:', 'bold')}`);
-    console.log(`   Total chunks: ${colorize(analytics.chunks.total_count.toLocaleString(), 'cyan')}`);
-    console.log(`   Data size: ${colorize(analytics.chunks.total_data_size_mb + ' MB', 'green')} (${analytics.chunks.total_data_size_bytes.toLocaleString()} bytes)`);
-    console.log(`   Average chunk size: ${colorize(formatFileSize(analytics.chunks.avg_chunk_size_bytes), 'yellow')}`);
-    console.log(`   Chunk size range: ${analytics.chunks.min_chunk_size_bytes} - ${analytics.chunks.max_chunk_size_bytes} bytes`);
+
+    console.log(`${colorize('📦 Objects by Type:', 'bold')}`);
+    Object.keys(analytics.types).sort().forEach(type => {
+      const entry = analytics.types[type];
+      const deltas = entry.deltas > 0 ? ` (${entry.deltas} as deltas)` : '';
+      console.log(`   ${type.padEnd(9)} ${colorize(entry.count.toString().padStart(6), 'cyan')}${deltas} - ${formatFileSize(entry.size)} content, ${formatFileSize(entry.stored)} stored`);
+    });
     console.log('');
-    
-    // Size distribution
-    if (analytics.size_distribution.length > 0) {
-      console.log(`${colorize('📊 Chunk Size Distribution:', 'bold')}`);
-      analytics.size_distribution.forEach(dist => {
-        const percentage = analytics.chunks.total_count > 0 ? 
-          ((dist.chunk_count / analytics.chunks.total_count) * 100).toFixed(1) : '0.0';
-        console.log(`   ${dist.size_range.padEnd(8)}: ${colorize(dist.chunk_count.toString().padStart(6), 'cyan')} chunks (${percentage}%) - ${formatFileSize(dist.total_size)}`);
+
+    console.log(`${colorize('🗜️  Savings:', 'bold')}`);
+    console.log(`   Compression: ${colorize(formatFileSize(savings.compression), 'green')}`);
+    console.log(`   Deltas: ${colorize(formatFileSize(savings.delta), 'green')}`);
+    console.log(`   Total: ${colorize(formatFileSize(savings.total), 'green')} (${savings.percent}% of content size)`);
+    if (analytics.staleDeltas.count > 0) {
+      console.log(`   ${colorize(`${analytics.staleDeltas.count} delta rows (${formatFileSize(analytics.staleDeltas.stored)}) belong to no object - run repack`, 'yellow')}`);
+    }
+    console.log('');
+
+    console.log(`${colorize('⛓️  Delta Chains:', 'bold')} deepest ${chains.maxDepth}, average ${chains.averageDepth}`);
+    const blobCount = chains.histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+    chains.histogram.forEach(bucket => {
+      const label = bucket.depth === 0 ? 'full' : `depth ${bucket.depth}`;
+      console.log(`   ${label.padEnd(9)} ${colorize(bucket.count.toString().padStart(6), 'cyan')} blobs (${percentOf(bucket.count, blobCount)})`);
+    });
+    if (chains.broken > 0) {
+      printError(`${chains.broken} blobs have broken delta chains - run fsck`);
+    }
+    console.log('');
+
+    if (analytics.largestBlobs.length > 0) {
+      console.log(`${colorize('📄 Largest Files:', 'bold')}`);
+      analytics.largestBlobs.forEach(blob => {
+        const how = blob.chunked ? 'chunked' : blob.delta ? 'delta' : 'full';
+        console.log(`   ${formatFileSize(blob.size).padStart(10)}  ${colorize(blob.path, 'yellow')} ${blob.hash.substring(0, 8)} (${formatFileSize(blob.stored)} stored, ${how})`);
       });
       console.log('');
     }
-    
-    // Metadata info
-    console.log(`${colorize('📋 Metadata:', 'bold')}`);
-    console.log(`   Staging area: ${formatFileSize(analytics.metadata.staging_area_size_bytes)}`);
-    console.log(`   File metadata: ${formatFileSize(analytics.metadata.file_metadata_size_bytes)}`);
-    console.log('');
-    
-    // Efficiency metrics
-    console.log(`${colorize('⚡ Storage Efficiency:', 'bold')}`);
-    console.log(`   Data efficiency: ${colorize(analytics.efficiency.data_efficiency_percent + '%', 'green')}`);
-    console.log(`   Storage overhead: ${colorize(analytics.efficiency.overhead_mb + ' MB', 'yellow')} (${analytics.efficiency.overhead_ratio}x data size)`);
-    
-    // Color-code efficiency
-    const efficiency = parseFloat(analytics.efficiency.data_efficiency_percent);
-    let efficiencyColor = 'red';
-    if (efficiency > 80) efficiencyColor = 'green';
-    else if (efficiency > 60) efficiencyColor = 'yellow';
-    
-    console.log(`   ${colorize('📈 Efficiency rating:', 'bold')} ${colorize(getEfficiencyRating(efficiency), efficiencyColor)}`);
-    
+
+    if (analytics.branches.length > 0) {
+      console.log(`${colorize('🌿 Branches:', 'bold')}`);
+      analytics.branches.forEach(branch => {
+        console.log(`   ${colorize(branch.name, 'green')}: ${formatFileSize(branch.stored)} in ${branch.objects} objects, ${colorize(formatFileSize(branch.uniqueStored), 'cyan')} in ${branch.uniqueObjects} only on this branch`);
+      });
+      if (analytics.unreachable.objects > 0) {
+        console.log(`   Not on any branch or tag: ${formatFileSize(analytics.unreachable.stored)} in ${analytics.unreachable.objects} objects (staged or garbage)`);
+      }
+      console.log('');
+    }
+
+    if (analytics.growth.length > 0) {
+      console.log(`${colorize('📈 Growth (latest commits):', 'bold')}`);
+      analytics.growth.slice(-10).forEach(step => {
+        const date = new Date(step.timestamp * 1000).toLocaleDateString();
+        console.log(`   ${colorize(step.hash.substring(0, 8), 'yellow')} ${date.padEnd(10)} +${formatFileSize(step.stored).padEnd(9)} = ${formatFileSize(step.totalStored).padEnd(9)} ${step.message}`);
+      });
+    }
   } catch (error) {
     printError(`Failed to get storage analytics: ${error.message}`);
   }
 }
 
-function getEfficiencyRating(efficiency) {
-  if (efficiency >= 90) return 'Excellent (90%+)';
-  if (efficiency >= 80) return 'Good (80-90%)';
-  if (efficiency >= 60) return 'Fair (60-80%)';
-  if (efficiency >= 40) return 'Poor (40-60%)';
-  return 'Very Poor (<40%)';
-}
-
 function cmdUnstage(fileName) {
   if (!fileName) {
     printError('Usage: unstage <file>');
@@ -513,14 +702,38 @@ function cmdReset(commitRef, mode) {
   }
 }
 
-function cmdMerge(branchName) {
+function cmdMerge(branchName, message) {
   if (!branchName) {
-    printError('Usage: merge <branch-name>');
+    printError('Usage: merge <branch-name> | merge --continue [message] | merge --abort');
     printInfo('Example: node webdvcs.js myrepo merge feature-branch');
     printInfo('This merges the specified branch into the current branch');
     return;
   }
   
+  if (branchName === '--continue') {
+    try {
+      const result = repo.mergeContinue(message || null);
+      printSuccess(`Merge completed`);
+      printInfo(`Created merge commit: ${colorize(result.commitHash, 'yellow')}`);
+      printInfo(`Message: "${result.message}"`);
+    } catch (error) {
+      printError(error.message);
+    }
+    return;
+  }
+  
+  if (branchName === '--abort') {
+    try {
+      const result = repo.mergeAbort();
+      printSuccess(`Merge aborted`);
+      printInfo(`${colorize(result.branch, 'cyan')} restored to ${colorize(result.head, 'yellow')}`);
+      printInfo('Staging area restored to its pre-merge state');
+    } catch (error) {
+      printError(error.message);
+    }
+    return;
+  }
+  
   try {
     const result = repo.merge(branchName);
     
@@ -537,13 +750,7 @@ function cmdMerge(branchName) {
       printInfo(result.message);
     } else if (result.type === 'conflict') {
       printError(`Merge conflicts detected!`);
-      printInfo(`Conflicts in ${result.conflicts.length} file(s):`);
-      
-      for (const conflict of result.conflicts) {
-        console.log(`  ${colorize('×', 'red')} ${conflict.file}: ${conflict.message}`);
-      }
-      
-      printInfo('Please resolve conflicts and commit manually');
+      printConflicts(result.conflicts, 'merge');
       return;
     }
     
@@ -555,6 +762,220 @@ function cmdMerge(branchName) {
   }
 }
 
+function printConflicts(conflicts, command) {
+  printInfo(`Conflicts in ${conflicts.length} file(s):`);
+  
+  for (const conflict of conflicts) {
+    console.log(`  ${colorize('×', 'red')} ${conflict.file}: ${conflict.message}`);
+    for (const region of conflict.regions || []) {
+      console.log(`      lines ${formatConflictRegion(region)}`);
+    }
+  }
+  
+  printInfo('Conflicted files are staged with <<<<<<< ======= >>>>>>> markers (view with "cat <file>")');
+  printInfo(`Fix them and "add" each file, then run "${command} --continue", or "${command} --abort" to give up`);
+}
+
+function cmdReplay(operation, args) {
+  // cherry-pick and revert share the merge machinery and its --continue/--abort
+  const label = operation === 'revert' ? 'Revert' : 'Cherry-pick';
+  const usage = `Usage: ${operation} <commit> [-m <parent>]${operation === 'cherry-pick' ? ' [-x]' : ''} | ${operation} --continue | ${operation} --abort`;
+  
+  try {
+    if (args[0] === '--continue') {
+      const state = repo.getMergeState();
+      if (!state || state.operation !== operation) {
+        printError(`No ${operation} in progress`);
+        return;
+      }
+      const result = repo.mergeContinue(args[1] || null);
+      printSuccess(`${label} completed`);
+      printInfo(`Created commit: ${colorize(result.commitHash, 'yellow')}`);
+      return;
+    }
+    
+    if (args[0] === '--abort') {
+      const state = repo.getMergeState();
+      if (!state || state.operation !== operation) {
+        printError(`No ${operation} in progress`);
+        return;
+      }
+      const result = repo.mergeAbort();
+      printSuccess(`${label} aborted`);
+      printInfo(`${colorize(result.branch, 'cyan')} restored to ${colorize(result.head, 'yellow')}`);
+      return;
+    }
+    
+    const mainlineIndex = args.indexOf('-m');
+    const mainline = mainlineIndex !== -1 ? parseInt(args[mainlineIndex + 1]) : undefined;
+    const commitRef = args.find((arg, i) => !arg.startsWith('-') && (mainlineIndex === -1 || i !== mainlineIndex + 1));
+    if (!commitRef || (mainlineIndex !== -1 && !(mainline > 0))) {
+      printError(usage);
+      return;
+    }
+    
+    const options = { mainline, recordOrigin: args.includes('-x') };
+    const result = operation === 'revert' ? repo.revert(commitRef, options) : repo.cherryPick(commitRef, options);
+    
+    if (result.type === 'conflict') {
+      printError(`${label} of ${commitRef} stopped with conflicts`);
+      printConflicts(result.conflicts, operation);
+    } else if (result.type === 'up-to-date') {
+      printInfo(`Nothing to ${operation}: ${commitRef} changes nothing on ${repo.getCurrentBranch()}`);
+    } else {
+      printSuccess(`${label} of ${commitRef} completed`);
+      printInfo(`Created commit: ${colorize(result.commitHash, 'yellow')}`);
+    }
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
+function formatRebaseTodo(todo) {
+  return todo.map(step => `${step.action} ${step.commit.substring(0, 8)} ${step.message}`).join('\n');
+}
+
+function parseRebaseTodo(text) {
+  // One "<action> <commit> [message]" per line; blank lines and # comments are ignored
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const [action, commit, ...message] = line.split(/\s+/);
+      return { action, commit, message: message.join(' ') || null };
+    });
+}
+
+function printRebaseResult(result) {
+  if (result.type === 'conflict') {
+    printError(`Rebase stopped at ${repo.getMergeState().mergeBranch}`);
+    printConflicts(result.conflicts, 'rebase');
+    printInfo('Or run "rebase --skip" to drop this commit');
+  } else if (result.type === 'up-to-date') {
+    printInfo(`Current branch ${colorize(result.branch, 'cyan')} is up to date`);
+  } else if (result.type === 'fast-forward') {
+    printSuccess(`Fast-forwarded ${colorize(result.branch, 'cyan')} to ${colorize(result.head, 'yellow')}`);
+  } else {
+    printSuccess(`Rebased ${colorize(result.branch, 'cyan')}: ${result.applied} commit(s) replayed`);
+    if (result.skipped.length > 0) {
+      printInfo(`Skipped ${result.skipped.length} commit(s) already present or dropped during conflicts`);
+    }
+    printInfo(`Now at ${colorize(result.head, 'yellow')}`);
+  }
+}
+
+function cmdRebase(args) {
+  const usage = 'Usage: rebase <upstream> [--onto <rev>] [--todo <file>] | rebase --plan <upstream> [--onto <rev>] | rebase --continue|--skip|--abort';
+  
+  try {
+    if (args[0] === '--continue' || args[0] === '--skip') {
+      const result = args[0] === '--continue' ? repo.rebaseContinue() : repo.rebaseSkip();
+      printRebaseResult(result);
+      return;
+    }
+    
+    if (args[0] === '--abort') {
+      const result = repo.rebaseAbort();
+      printSuccess('Rebase aborted');
+      printInfo(`${colorize(result.branch, 'cyan')} restored to ${colorize(result.head, 'yellow')}`);
+      return;
+    }
+    
+    const optionValue = flag => {
+      const index = args.indexOf(flag);
+      return index !== -1 ? args[index + 1] : undefined;
+    };
+    const onto = optionValue('--onto');
+    const todoFile = optionValue('--todo');
+    const upstream = args.find((arg, i) => !arg.startsWith('--') && !['--onto', '--todo'].includes(args[i - 1]));
+    if (!upstream || (args.includes('--onto') && !onto) || (args.includes('--todo') && !todoFile)) {
+      printError(usage);
+      return;
+    }
+    
+    if (args.includes('--plan')) {
+      // Print an editable todo list for --todo
+      const plan = repo.rebasePlan(upstream, { onto });
+      console.log(`# Rebase ${plan.todo.length} commit(s) onto ${plan.onto.substring(0, 8)}`);
+      console.log('# Actions: pick, reword <new message>, squash [new message], fixup, drop');
+      if (plan.todo.length > 0) {
+        console.log(formatRebaseTodo(plan.todo));
+      }
+      return;
+    }
+    
+    const options = { onto };
+    if (todoFile) {
+      if (!fs.existsSync(todoFile)) {
+        printError(`File not found: ${todoFile}`);
+        return;
+      }
+      options.todo = parseRebaseTodo(fs.readFileSync(todoFile, 'utf8'));
+    }
+    
+    printRebaseResult(repo.rebase(upstream, options));
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
+function cmdResolve(args) {
+  const fileName = args[0] && !args[0].startsWith('--') ? args[0] : null;
+  const side = ['--ours', '--theirs', '--base'].find(flag => args.includes(flag));
+  const fileFlagIndex = args.indexOf('--file');
+
+  try {
+    if (!fileName) {
+      // List conflicts of the merge in progress
+      const conflicts = repo.getConflicts();
+      printHeader('Merge Conflicts');
+      for (const conflict of conflicts) {
+        const marker = conflict.resolved ? colorize('✓', 'green') : colorize('×', 'red');
+        console.log(`  ${marker} ${conflict.file} (${conflict.type})${conflict.resolved ? colorize(' resolved', 'green') : ''}`);
+      }
+      console.log('');
+      printInfo('Usage: resolve <file> --ours|--theirs|--base|--file <path>');
+      return;
+    }
+
+    let resolution;
+    if (fileFlagIndex !== -1) {
+      const sourcePath = args[fileFlagIndex + 1];
+      if (!sourcePath) {
+        printError('Usage: resolve <file> --file <path>');
+        return;
+      }
+      if (!fs.existsSync(sourcePath)) {
+        printError(`File not found: ${sourcePath}`);
+        return;
+      }
+      resolution = { content: fs.readFileSync(sourcePath) };
+    } else if (side) {
+      resolution = side.substring(2);
+    } else {
+      printError('Usage: resolve <file> --ours|--theirs|--base|--file <path>');
+      printInfo('Example: node webdvcs.js myrepo resolve config.json --theirs');
+      return;
+    }
+
+    const result = repo.resolveConflict(fileName, resolution);
+    if (result.deleted) {
+      printSuccess(`Resolved ${fileName} as deleted (${result.resolution})`);
+    } else {
+      printSuccess(`Resolved ${fileName} using ${result.resolution === 'content' ? args[fileFlagIndex + 1] : result.resolution}`);
+    }
+
+    if (result.remaining.length > 0) {
+      printInfo(`Unresolved conflicts: ${result.remaining.join(', ')}`);
+    } else {
+      const operation = repo.getMergeState().operation || 'merge';
+      printInfo(`All conflicts resolved: run "${operation} --continue" to create the ${operation === 'merge' ? 'merge ' : ''}commit`);
+    }
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
 function cmdConfig(key, value) {
   if (!key) {
     // Show current config
@@ -570,6 +991,7 @@ function cmdConfig(key, value) {
     } else {
       console.log(`  author.email = ${colorize('(not set)', 'yellow')}`);
     }
+    console.log(`  gc.reflogExpire = ${colorize(`${repo.getReflogExpiry()} days`, 'green')}`);
     return;
   }
   
@@ -578,6 +1000,7 @@ function cmdConfig(key, value) {
     printInfo('Available keys:');
     printInfo('  author.name   - Your name for commits');
     printInfo('  author.email  - Your email for commits');
+    printInfo('  gc.reflogExpire - Days gc keeps reflog entries (default: 90)');
     return;
   }
   
@@ -594,9 +1017,12 @@ function cmdConfig(key, value) {
       }
       repo.setAuthor(currentName, value);
       printSuccess(`Set author.email to ${colorize(value, 'green')}`);
+    } else if (key === 'gc.reflogExpire') {
+      repo.setReflogExpiry(value);
+      printSuccess(`Set gc.reflogExpire to ${colorize(`${value} days`, 'green')}`);
     } else {
       printError(`Unknown config key: ${key}`);
-      printInfo('Available keys: author.name, author.email');
+      printInfo('Available keys: author.name, author.email, gc.reflogExpire');
     }
   } catch (error) {
     printError(`Config failed: ${error.message}`);
@@ -617,7 +1043,7 @@ function cmdCheckout(commitHash, fileName) {
       // Single file checkout
       const result = repo.checkout(commitHash, fileName, true);
       printSuccess(`Checked out ${colorize(fileName, 'yellow')} from commit ${colorize(commitHash.substring(0, 8), 'yellow')}`);
-      printInfo(`File size: ${formatFileSize(result.content.length)}`);
+      printInfo(`File size: ${formatFileSize(result.content ? result.content.length : result.metadata.size)}`);
     } else {
       // Full commit checkout
       const result = repo.checkout(commitHash, null, true);
@@ -627,7 +1053,9 @@ function cmdCheckout(commitHash, fileName) {
       printInfo(`Exported ${fileCount} files to current directory`);
       
       Object.entries(result.files).forEach(([fileName, content]) => {
-        console.log(`  ${colorize('•', 'green')} ${fileName} (${formatFileSize(content.length)})`);
+        // Chunked files were streamed to disk, so only their recorded size is at hand
+        const size = content ? content.length : result.filesMetadata[fileName].size;
+        console.log(`  ${colorize('•', 'green')} ${fileName} (${formatFileSize(size)})`);
       });
     }
   } catch (error) {
@@ -636,26 +1064,32 @@ function cmdCheckout(commitHash, fileName) {
 }
 
 function cmdLs(arg = '') {
-  // Check if argument is a commit hash (64-character hex string)
-  const isCommitHash = /^[a-f0-9]{64}$/i.test(arg);
+  // Check if argument names a commit (hash, branch, tag, HEAD~n, ...)
+  let commitHash = null;
+  try {
+    commitHash = arg ? repo.resolveCommitReference(arg) : null;
+  } catch (error) {
+    printError(error.message);
+    return;
+  }
   
-  if (isCommitHash) {
+  if (commitHash) {
     // List files in specific commit
     try {
-      const files = repo.listCommitFiles(arg);
+      const files = repo.listCommitFiles(commitHash);
       if (files.length === 0) {
         printInfo(`No files in commit ${arg}`);
         return;
       }
       
-      printHeader(`Files in Commit ${arg.substring(0, 8)}...`);
+      printHeader(`Files in Commit ${commitHash.substring(0, 8)}...`);
       files.forEach(fileName => {
         console.log(`${colorize('•', 'blue')} ${fileName}`);
       });
       console.log(`\n${colorize('📊', 'blue')} Total: ${files.length} files`);
       return;
     } catch (error) {
-      printError(`Invalid commit hash: ${arg}`);
+      printError(`Invalid commit reference: ${arg}`);
       return;
     }
   }
@@ -777,8 +1211,12 @@ function cmdCat(fileName, commitHash) {
   }
   
   try {
-    const fileContent = repo.cat(fileName, commitHash);
-    if (!fileContent) {
+    // Streamed piece by piece so large chunked files are never loaded whole
+    const pieces = repo.streamFile(fileName, commitHash);
+    let next;
+    try {
+      next = pieces.next();
+    } catch (error) {
       if (commitHash) {
         printError(`File not found in commit ${commitHash}: ${fileName}`);
       } else {
@@ -788,17 +1226,49 @@ function cmdCat(fileName, commitHash) {
     }
     
     const header = commitHash ? 
-      `Contents of ${fileName} from commit ${commitHash.substring(0, 8)}...` :
+      `Contents of ${fileName} from commit ${commitHash.length === 64 ? `${commitHash.substring(0, 8)}...` : commitHash}` :
       `Contents of ${fileName}`;
     
     printHeader(header);
-    console.log(new TextDecoder().decode(fileContent));
+    const decoder = new TextDecoder();
+    for (; !next.done; next = pieces.next()) {
+      process.stdout.write(decoder.decode(next.value, { stream: true }));
+    }
+    process.stdout.write(decoder.decode() + '\n');
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
+function cmdBlame(fileName, revision) {
+  if (!fileName) {
+    printError('Usage: blame <file> [commit]');
+    printInfo('Examples:');
+    printInfo('  blame file.txt           # Blame the staged or current version');
+    printInfo('  blame file.txt abc123    # Blame the version in a specific commit');
+    return;
+  }
+
+  try {
+    const result = repo.blame(fileName, revision);
+    if (result.lines.length === 0) {
+      printInfo(`${fileName} is empty`);
+      return;
+    }
+
+    const authorWidth = Math.max(...result.lines.map(line => line.author.length));
+    const numberWidth = String(result.lines.length).length;
+    result.lines.forEach(line => {
+      const hash = line.hash ? line.hash.substring(0, 8) : '00000000';
+      const date = line.timestamp ? new Date(line.timestamp * 1000).toISOString().substring(0, 10) : ''.padEnd(10);
+      console.log(`${colorize(hash, 'yellow')} (${line.author.padEnd(authorWidth)} ${date} ${String(line.line).padStart(numberWidth)}) ${line.content}`);
+    });
   } catch (error) {
     printError(error.message);
   }
 }
 
-function cmdBranch(branchName) {
+function cmdBranch(branchName, startPoint) {
   if (!branchName) {
     // List all branches
     const branches = repo.listBranches();
@@ -816,9 +1286,17 @@ function cmdBranch(branchName) {
       console.log(`${current}${colorize(branch.name, nameColor)}${commitInfo}`);
     });
   } else {
-    // Create new branch
+    // Create new branch (at a revision, e.g. to restore a deleted branch from its reflog)
     try {
-      const newBranch = repo.createBranch(branchName);
+      let fromCommit = null;
+      if (startPoint) {
+        fromCommit = repo.resolveCommitReference(startPoint);
+        if (!fromCommit) {
+          printError(`Invalid commit reference: ${startPoint}`);
+          return;
+        }
+      }
+      const newBranch = repo.createBranch(branchName, fromCommit);
       printSuccess(`Created branch ${colorize(newBranch, 'yellow')}`);
       printInfo(`Use "switch ${branchName}" to switch to this branch`);
     } catch (error) {
@@ -827,6 +1305,156 @@ function cmdBranch(branchName) {
   }
 }
 
+function cmdTag(args) {
+  const messageIndex = args.findIndex(arg => arg === '-m' || arg === '-a');
+  const message = messageIndex !== -1 ? args[messageIndex + 1] : undefined;
+  const force = args.includes('-f');
+  // -d is the global debug flag, so deletion is spelled out
+  const deleting = args.includes('--delete');
+  const positional = args.filter((arg, i) => !arg.startsWith('-') && (messageIndex === -1 || i !== messageIndex + 1));
+
+  try {
+    if (deleting) {
+      if (!positional[0]) {
+        printError('Usage: tag --delete <name>');
+        return;
+      }
+      repo.deleteTag(positional[0]);
+      printSuccess(`Deleted tag ${colorize(positional[0], 'yellow')}`);
+      return;
+    }
+
+    if (positional.length === 0) {
+      // List all tags
+      const tags = repo.listTags();
+      if (tags.length === 0) {
+        printInfo('No tags found');
+        return;
+      }
+
+      printHeader('Tags');
+      tags.forEach(tag => {
+        const kind = tag.annotated ? colorize(' (annotated)', 'cyan') : '';
+        console.log(`  ${colorize(tag.name, 'yellow')}${kind} ${tag.commit}`);
+        if (tag.annotated) {
+          console.log(`     ${tag.tagger} <${tag.email}> ${new Date(tag.timestamp * 1000).toLocaleString()}`);
+          console.log(`     ${tag.message.split('\n').join('\n     ')}`);
+        }
+      });
+      return;
+    }
+
+    if (messageIndex !== -1 && message === undefined) {
+      printError('Usage: tag <name> [commit] -m <message>');
+      return;
+    }
+
+    const result = repo.createTag(positional[0], positional[1] || 'HEAD', { message, force });
+    printSuccess(`Created ${result.annotated ? 'annotated' : 'lightweight'} tag ${colorize(result.name, 'yellow')} at ${result.commit}`);
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
+function cmdReflog(ref) {
+  try {
+    const entries = repo.getReflog(ref || null);
+    if (entries.length === 0) {
+      printInfo('No reflog entries');
+      return;
+    }
+
+    printHeader(`Reflog for ${ref || repo.getCurrentBranch()}`);
+    entries.forEach(entry => {
+      const hash = entry.newHash ? colorize(entry.newHash.substring(0, 8), 'yellow') : colorize('(deleted)', 'red');
+      const author = entry.author ? ` ${colorize(`by ${entry.author}`, 'cyan')}` : '';
+      console.log(`${hash} ${colorize(`${entry.selector}:`, 'bold')} ${entry.operation}${author} (${new Date(entry.timestamp).toLocaleString()})`);
+    });
+    const previous = entries[0].selector.replace('@{0}', '@{1}');
+    if (entries[0].newHash) {
+      printInfo(`Undo the last move with "reset --hard ${previous}" or branch off any entry with "branch <name> <selector>"`);
+    } else {
+      printInfo(`Restore the deleted ref with "branch ${previous.split('@{')[0]} ${previous}"`);
+    }
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
+function cmdStash(args) {
+  const [action = 'push', ...rest] = args;
+  // stash@{n} or a bare n selects an entry
+  const parseIndex = arg => {
+    if (arg === undefined) return 0;
+    const match = arg.match(/^(?:stash@\{(\d+)\}|(\d+))$/);
+    if (!match) {
+      throw new Error(`Invalid stash reference: ${arg}`);
+    }
+    return parseInt(match[1] !== undefined ? match[1] : match[2]);
+  };
+
+  try {
+    switch (action) {
+      case 'push':
+      case 'save': {
+        const messageIndex = rest.indexOf('-m');
+        const message = messageIndex !== -1 ? rest[messageIndex + 1] : (action === 'save' ? rest[0] : null);
+        const result = repo.stashPush(message || null);
+        printSuccess(`Saved ${colorize(result.message, 'yellow')}`);
+        printInfo(`${result.files.length} staged, ${result.removed.length} removed file(s) set aside`);
+        break;
+      }
+
+      case 'list': {
+        const stashes = repo.stashList();
+        if (stashes.length === 0) {
+          printInfo('No stash entries');
+          return;
+        }
+        printHeader('Stash');
+        stashes.forEach(stash => {
+          console.log(`${colorize(`${stash.name}:`, 'yellow')} ${stash.message}`);
+        });
+        break;
+      }
+
+      case 'show': {
+        const stash = repo.stashShow(parseIndex(rest[0]));
+        printHeader(`${stash.name}: ${stash.message}`);
+        stash.changes.forEach(change => {
+          console.log(`\n${colorize(`File: ${change.file} (${change.type})`, 'cyan')}`);
+          console.log(change.diff);
+        });
+        break;
+      }
+
+      case 'apply':
+      case 'pop': {
+        const result = action === 'pop' ? repo.stashPop(parseIndex(rest[0])) : repo.stashApply(parseIndex(rest[0]));
+        printSuccess(`${action === 'pop' ? 'Popped' : 'Applied'} ${colorize(result.name, 'yellow')}`);
+        result.staged.forEach(file => console.log(`  ${colorize('staged:', 'green')}  ${file}`));
+        result.removed.forEach(file => console.log(`  ${colorize('removed:', 'red')} ${file}`));
+        if (result.dropped) {
+          printInfo(`Dropped ${result.name} (${result.dropped.substring(0, 8)})`);
+        }
+        break;
+      }
+
+      case 'drop': {
+        const result = repo.stashDrop(parseIndex(rest[0]));
+        printSuccess(`Dropped ${colorize(result.name, 'yellow')} (${result.hash.substring(0, 8)})`);
+        break;
+      }
+
+      default:
+        printError(`Unknown stash action: ${action}`);
+        printInfo('Usage: stash [push [-m msg]] | list | show [n] | apply [n] | pop [n] | drop [n]');
+    }
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
 function cmdSwitch(branchName) {
   if (!branchName) {
     printError('Usage: switch <branch-name>');
@@ -873,6 +1501,63 @@ function cmdExport(branchName) {
   }
 }
 
+function cmdFormatPatch(args) {
+  const outputIndex = args.indexOf('-o');
+  const outputDir = outputIndex !== -1 ? args[outputIndex + 1] : '.';
+  const range = args.find((arg, i) => outputIndex === -1 || (i !== outputIndex && i !== outputIndex + 1));
+
+  if (!range || !outputDir) {
+    printError('Usage: format-patch <range> [-o <dir>]');
+    printInfo('Examples:');
+    printInfo('  format-patch HEAD~3          # Commits after HEAD~3');
+    printInfo('  format-patch main..feature   # Commits on feature not on main');
+    printInfo('  format-patch -1              # Only the last commit');
+    return;
+  }
+
+  try {
+    const patches = repo.formatPatch(range);
+    if (patches.length === 0) {
+      printInfo('No commits in range');
+      return;
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    for (const patch of patches) {
+      const filePath = path.join(outputDir, patch.fileName);
+      fs.writeFileSync(filePath, patch.content);
+      console.log(`  ${colorize(patch.commitHash.substring(0, 8), 'yellow')} ${filePath}`);
+    }
+    printSuccess(`Wrote ${patches.length} patch file${patches.length !== 1 ? 's' : ''}`);
+    printInfo('Use "am <patch>..." to apply them to another repository');
+
+  } catch (error) {
+    printError(`format-patch failed: ${error.message}`);
+  }
+}
+
+function cmdApplyPatch(files) {
+  if (files.length === 0) {
+    printError('Usage: am <patch>...');
+    printInfo('Example: node webdvcs.js myrepo am 0001-fix-parser.patch 0002-add-tests.patch');
+    return;
+  }
+
+  const missing = files.find(file => !fs.existsSync(file));
+  if (missing) {
+    printError(`File not found: ${missing}`);
+    return;
+  }
+
+  try {
+    const patchText = files.map(file => fs.readFileSync(file, 'utf8')).join('\n');
+    const result = repo.applyPatch(patchText);
+    printSuccess(`Applied ${result.applied.length} patch${result.applied.length !== 1 ? 'es' : ''}`);
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
 function cmdImport(filename) {
   if (!filename) {
     printError('Usage: import <filename>');
@@ -916,6 +1601,7 @@ function cmdDeleteBranch(branchName) {
     const result = repo.deleteBranch(branchName);
 
     printSuccess(`Deleted branch ${colorize(branchName, 'yellow')}`);
+    printInfo(`Restore it with "branch ${branchName} ${branchName}@{1}" until its reflog expires`);
 
     if (result.garbageCollection) {
       const gc = result.garbageCollection;
@@ -955,6 +1641,326 @@ function cmdDeleteCommit(commitHash) {
   }
 }
 
+/**
+ * Resolve a remote URL given on the command line
+ * Paths become absolute so the remote still works from another directory;
+ * a bare repository name finds <name>.sqlite like the other commands do.
+ */
+function resolveRemoteUrl(url) {
+  if (/^https?:\/\//i.test(url)) {
+    return url;
+  }
+  const filePath = url.replace(/^file:\/\//i, '');
+  if (!fs.existsSync(filePath) && fs.existsSync(`${filePath}.sqlite`)) {
+    return path.resolve(`${filePath}.sqlite`);
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Repository not found: ${url}`);
+  }
+  return path.resolve(filePath);
+}
+
+function cmdRemote(args) {
+  const [action = 'list', ...rest] = args;
+
+  try {
+    switch (action) {
+      case 'list': {
+        const remotes = repo.listRemotes();
+        if (remotes.length === 0) {
+          printInfo('No remotes configured');
+          return;
+        }
+        printHeader('Remotes');
+        remotes.forEach(remote => {
+          console.log(`${colorize(remote.name, 'yellow')}  ${remote.url}`);
+          remote.branches.forEach(branch => {
+            console.log(`  ${colorize(`${remote.name}/${branch.name}`, 'cyan')} ${branch.hash.substring(0, 8)}`);
+          });
+        });
+        break;
+      }
+
+      case 'add': {
+        const [name, url] = rest;
+        if (!name || !url) {
+          printError('Usage: remote add <name> <path|url>');
+          return;
+        }
+        const result = repo.addRemote(name, resolveRemoteUrl(url));
+        printSuccess(`Added remote ${colorize(result.name, 'yellow')} → ${result.url}`);
+        break;
+      }
+
+      case 'remove':
+      case 'rm': {
+        const result = repo.removeRemote(rest[0]);
+        printSuccess(`Removed remote ${colorize(result.name, 'yellow')} and ${result.removedRefs} remote-tracking branch(es)`);
+        break;
+      }
+
+      default:
+        printError(`Unknown remote action: ${action}`);
+        printInfo('Usage: remote [list] | add <name> <path|url> | remove <name>');
+    }
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
+/**
+ * Print the ref changes of a fetch
+ */
+function printFetchResult(result) {
+  if (result.updated.length === 0 && result.pruned.length === 0) {
+    printInfo(`${result.remote} is up to date`);
+    return;
+  }
+  printInfo(`Received ${result.objects} objects and ${result.deltas} deltas from ${result.url}`);
+  result.updated.forEach(update => {
+    const name = update.ref.replace(/^refs\/(remotes|tags)\//, '');
+    const range = update.old ? `${update.old.substring(0, 8)}..${update.new.substring(0, 8)}` : `[new] ${update.new.substring(0, 8)}`;
+    console.log(`  ${colorize(name, 'cyan')} ${range}`);
+  });
+  result.pruned.forEach(ref => {
+    console.log(`  ${colorize(ref.replace(/^refs\/remotes\//, ''), 'red')} [deleted]`);
+  });
+}
+
+async function cmdFetch(args) {
+  const remoteName = args[0] || 'origin';
+
+  try {
+    const result = await repo.fetch(remoteName);
+    printFetchResult(result);
+    printSuccess(`Fetched ${remoteName}`);
+  } catch (error) {
+    printError(`Fetch failed: ${error.message}`);
+  }
+}
+
+async function cmdPull(args) {
+  const remoteName = args[0] || 'origin';
+  const branchName = args[1] || null;
+
+  try {
+    const result = await repo.pull(remoteName, branchName);
+    printFetchResult(result.fetch);
+
+    const merge = result.merge;
+    if (merge.type === 'conflict') {
+      printError(`Merge conflicts detected!`);
+      printConflicts(merge.conflicts, 'merge');
+      return;
+    }
+    if (merge.type === 'up-to-date') {
+      printInfo('Already up-to-date');
+    } else if (merge.type === 'fast-forward') {
+      printSuccess(`Fast-forwarded ${colorize(repo.getCurrentBranch(), 'cyan')} → ${colorize(repo.getCurrentHead(), 'yellow')}`);
+    } else {
+      printSuccess(`Merged into ${colorize(repo.getCurrentBranch(), 'cyan')}`);
+      printInfo(`Created merge commit: ${colorize(merge.commitHash, 'yellow')}`);
+    }
+  } catch (error) {
+    printError(`Pull failed: ${error.message}`);
+  }
+}
+
+async function cmdPush(args) {
+  const force = args.includes('--force') || args.includes('-f');
+  const [remoteName = 'origin', branchName = null] = args.filter(arg => arg !== '--force' && arg !== '-f');
+
+  try {
+    const result = await repo.push(remoteName, branchName, { force });
+    if (result.status === 'up-to-date') {
+      printInfo(`${remoteName}/${result.branch} is up to date`);
+      return;
+    }
+    printInfo(`Sent ${result.objects} objects and ${result.deltas} deltas`);
+    const range = result.old ? `${result.old.substring(0, 8)}..${result.new.substring(0, 8)}` : result.new.substring(0, 8);
+    printSuccess(`Pushed ${colorize(result.branch, 'cyan')} to ${remoteName} (${result.status}) ${range}`);
+  } catch (error) {
+    printError(error.message);
+  }
+}
+
+function cmdServe(args) {
+  const portIndex = args.indexOf('--port');
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1]) : 8765;
+  const hostIndex = args.indexOf('--host');
+  // Loopback only unless other hosts are asked for: the server has no authentication
+  const host = hostIndex !== -1 ? args[hostIndex + 1] : '127.0.0.1';
+  const allowForce = args.includes('--allow-force');
+  if (isNaN(port) || !host) {
+    printError('Usage: serve [--port N] [--host H] [--allow-force]');
+    printInfo('  --host H        Interface to listen on (default: 127.0.0.1; 0.0.0.0 for every host)');
+    printInfo('  --allow-force   Accept forced pushes that rewrite branches');
+    return;
+  }
+
+  const server = createSyncServer(repo.store, {
+    allowForce,
+    onRequest: (request, error) => {
+      const type = request && request.type ? request.type : 'invalid';
+      if (error) {
+        printError(`${type}: ${error.message}`);
+      } else if (debugMode) {
+        printInfo(`${type} request answered`);
+      }
+    }
+  });
+  server.on('error', error => printError(`Serve failed: ${error.message}`));
+  server.listen(port, host, () => {
+    printSuccess(`Serving ${currentDbFile} at http://${host}:${server.address().port}/`);
+    if (!['127.0.0.1', 'localhost', '::1'].includes(host)) {
+      printInfo(colorize(`Anyone who can reach ${host}:${server.address().port} can fetch and push: there is no authentication`, 'yellow'));
+    }
+    if (allowForce) {
+      printInfo(colorize('Forced pushes are accepted: remote users can rewrite branches', 'yellow'));
+    }
+    printInfo('Add it elsewhere with: remote add <name> http://<host>:<port>/  (Ctrl+C to stop)');
+  });
+}
+
+function cmdFsck(args) {
+  const full = args.includes('--full');
+
+  try {
+    const report = repo.fsck({ full });
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    printHeader(`Repository Check${full ? ' (full)' : ''}`);
+    const { checked } = report;
+    printInfo(`Objects: ${checked.objects}, deltas: ${checked.deltas}, refs: ${checked.refs}, reachable: ${checked.reachable}`);
+    if (full) {
+      printInfo(`Verified content of ${checked.verified} objects`);
+    }
+
+    for (const error of report.errors) {
+      console.log(`  ${colorize(error.type, 'red')} ${error.message}`);
+    }
+    for (const warning of report.warnings) {
+      console.log(`  ${colorize(warning.type, 'yellow')} ${warning.message}`);
+    }
+    for (const obj of report.dangling) {
+      console.log(`  ${colorize('dangling', 'blue')} ${obj.type} ${obj.hash}`);
+    }
+
+    console.log('');
+    if (report.ok) {
+      printSuccess(`No problems found${report.warnings.length > 0 ? ` (${report.warnings.length} warnings)` : ''} in ${report.duration}ms`);
+    } else {
+      printError(`${report.errors.length} problems found`);
+    }
+  } catch (error) {
+    printError(`Check failed: ${error.message}`);
+  }
+}
+
+function cmdRepack(args) {
+  const options = {};
+  for (const flag of ['depth', 'window']) {
+    const index = args.indexOf(`--${flag}`);
+    if (index === -1) continue;
+
+    const value = Number(args[index + 1]);
+    if (!Number.isInteger(value) || value < 0) {
+      printError('Usage: repack [--depth N] [--window N]');
+      printInfo('  --depth N   Longest delta chain to build (default: 10, 0 stores every blob in full)');
+      printInfo('  --window N  Similar blobs to try as a base for each blob (default: 10)');
+      return;
+    }
+    options[flag] = value;
+  }
+
+  try {
+    printInfo('Repacking blobs...');
+    const result = repo.repack(options);
+    const { before, after } = result;
+
+    printSuccess(`Repacked ${result.objects} blobs: ${result.deltas} deltas, ${result.full} full (${result.hot} in branch heads)`);
+    printInfo(`Depth ${result.depth}, window ${result.window}`);
+    printInfo(`Before: ${formatFileSize(before.bytes)} with ${before.deltas} deltas, deepest chain ${before.maxDepth}`);
+    printInfo(`After:  ${formatFileSize(after.bytes)} with ${after.deltas} deltas, deepest chain ${after.maxDepth}`);
+    if (result.saved >= 0) {
+      printSuccess(`Saved ${formatFileSize(result.saved)} in ${result.duration}ms`);
+    } else {
+      printInfo(`Used ${formatFileSize(-result.saved)} more to keep chains within depth ${result.depth}`);
+    }
+    if (result.staleDeltas > 0) {
+      printInfo(`Dropped ${result.staleDeltas} delta rows left behind by garbage collection`);
+    }
+    if (result.skipped > 0) {
+      printError(`${result.skipped} blobs could not be read and were left as they were - run fsck`);
+    }
+  } catch (error) {
+    printError(`Repack failed: ${error.message}`);
+  }
+}
+
+function cmdMigrate(dbFile, args) {
+  const dryRun = args.includes('--dry-run') || args.includes('-n');
+  let store = null;
+
+  try {
+    // Open without migrating so pending steps can be reported first
+    store = new ContentAddressedStore(dbFile, null, { migrate: false });
+    const result = store.migrate({ dryRun });
+
+    if (result.steps.length === 0) {
+      printSuccess(`Schema is up to date (version ${result.from})`);
+      return;
+    }
+
+    printInfo(`${dryRun ? 'Pending' : 'Applied'} migrations (schema version ${result.from} -> ${result.steps[result.steps.length - 1].version}):`);
+    for (const step of result.steps) {
+      console.log(`  ${colorize(String(step.version), 'yellow')} ${step.description}`);
+    }
+    if (dryRun) {
+      printInfo('Dry run - nothing was changed');
+    } else {
+      printSuccess(`Schema is now at version ${result.to}`);
+    }
+  } catch (error) {
+    printError(`Migration failed: ${error.message}`);
+  } finally {
+    if (store) {
+      store.close();
+    }
+  }
+}
+
+function cmdUpgrade(args) {
+  const dryRun = args.includes('--dry-run') || args.includes('-n');
+
+  try {
+    const result = repo.upgrade({ dryRun });
+
+    if (result.commits === 0 && result.refs === 0) {
+      printSuccess('Repository already uses nested trees - nothing to upgrade');
+      return;
+    }
+
+    if (dryRun) {
+      printInfo('Dry run - nothing was changed');
+    } else {
+      printSuccess('Upgrade completed');
+    }
+    printInfo(`Commits ${dryRun ? 'to rewrite' : 'rewritten'}: ${result.commits}`);
+    printInfo(`Flat trees ${dryRun ? 'to convert' : 'converted'}: ${result.trees}`);
+    printInfo(`Refs ${dryRun ? 'to update' : 'updated'}: ${result.refs}`);
+    if (!dryRun) {
+      printInfo('Previous commits remain reachable through the reflog (e.g. main@{1})');
+    }
+  } catch (error) {
+    printError(`Upgrade failed: ${error.message}`);
+  }
+}
+
 function cmdGarbageCollect() {
   try {
     printInfo('Running garbage collection...');
@@ -964,6 +1970,7 @@ function cmdGarbageCollect() {
     printInfo(`Total objects: ${result.totalObjects}`);
     printInfo(`Reachable objects: ${result.reachableObjects}`);
     printInfo(`Deleted objects: ${result.deletedObjects}`);
+    printInfo(`Expired reflog entries: ${result.expiredReflogEntries} (older than ${repo.getReflogExpiry()} days)`);
     printInfo(`Duration: ${result.duration}ms`);
 
     if (result.deletedObjects > 0) {
@@ -977,20 +1984,41 @@ function cmdGarbageCollect() {
   }
 }
 
-function cmdDiff(arg1, arg2) {
+function cmdDiff(args) {
+  // -U<n>, -U <n> or --unified=<n> sets the number of context lines
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const unified = args[i].match(/^(?:-U|--unified=)(\d*)$/);
+    if (unified) {
+      const value = unified[1] !== '' ? unified[1] : args[++i];
+      if (!/^\d+$/.test(value || '')) {
+        printError('Context line count must be a non-negative number (e.g. -U5)');
+        return;
+      }
+      options.contextLines = parseInt(value);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  const [arg1, arg2] = positional;
+
   if (!arg1) {
-    printError('Usage: diff <file1> <file2> | <commit1> <commit2> | --staged');
+    printError('Usage: diff [-U<n>] <file1> <file2> | <commit1> <commit2> | <A..B> | <A...B> | --staged');
     printInfo('Examples:');
     printInfo('  diff file1.txt file2.txt    # Compare two files');
     printInfo('  diff abc123 def456          # Compare two commits');
+    printInfo('  diff main~2..main           # Compare two revisions');
+    printInfo('  diff main...feature         # Changes on feature since it left main');
     printInfo('  diff --staged               # Show uncommitted changes');
+    printInfo('  diff -U10 --staged          # Show 10 lines of context');
     return;
   }
   
   try {
     if (arg1 === '--staged') {
       // Show uncommitted changes
-      const changes = repo.showChanges();
+      const changes = repo.showChanges(options);
       
       if (changes.length === 0) {
         printInfo('No staged changes');
@@ -1003,25 +2031,45 @@ function cmdDiff(arg1, arg2) {
         console.log(change.diff);
       });
       
+    } else if (!arg2 && arg1.includes('..')) {
+      // A..B compares the two ends; A...B compares B against the merge base
+      const range = repo.resolveRange(arg1);
+      const from = range.symmetric ? range.base : range.from;
+      if (!from) {
+        printError(`No common ancestor for ${arg1}`);
+        return;
+      }
+      
+      printHeader(`Diff: ${arg1}`);
+      const commitDiff = repo.diffCommits(from, range.to, options);
+      
+      if (commitDiff.length === 0) {
+        printInfo('No differences between commits');
+        return;
+      }
+      
+      commitDiff.forEach(change => {
+        console.log(`\n${colorize(`File: ${change.file} (${change.type})`, 'cyan')}`);
+        console.log(change.diff);
+      });
+      
     } else if (!arg2) {
-      printError('Usage: diff <file1> <file2> | <commit1> <commit2> | --staged');
+      printError('Usage: diff [-U<n>] <file1> <file2> | <commit1> <commit2> | <A..B> | <A...B> | --staged');
       return;
       
     } else {
-      // Check if arguments are files or commits
-      const isFile1 = repo.getFile(arg1) !== null;
-      const isFile2 = repo.getFile(arg2) !== null;
+      // Two revisions compare commits; anything else names two files
+      const areRevisions = repo.resolveCommitReference(arg1) !== null && repo.resolveCommitReference(arg2) !== null;
       
-      if (isFile1 && isFile2) {
+      if (!areRevisions) {
         // Compare two files in staging area
+        const diff = repo.diffFiles(arg1, arg2, options);
         printHeader(`Diff: ${arg1} vs ${arg2}`);
-        const diff = repo.diffFiles(arg1, arg2);
-        console.log(diff);
+        console.log(diff.content);
         
       } else {
-        // Assume they are commit hashes
         printHeader(`Diff: ${arg1} vs ${arg2}`);
-        const commitDiff = repo.diffCommits(arg1, arg2);
+        const commitDiff = repo.diffCommits(arg1, arg2, options);
         
         if (commitDiff.length === 0) {
           printInfo('No differences between commits');
@@ -1090,7 +2138,19 @@ function main() {
   }
   
   currentDbFile = dbFile;
-  repo = new MiniRepo(currentDbFile, debugMode);
+
+  // migrate opens the database itself so it can report steps before running them
+  if (command === 'migrate') {
+    cmdMigrate(dbFile, commandArgs);
+    return;
+  }
+
+  try {
+    repo = new MiniRepo(currentDbFile, debugMode);
+  } catch (error) {
+    printError(`Cannot open repository '${repoName}': ${error.message}`);
+    return;
+  }
   
   // Execute command
   switch (command) {
@@ -1101,7 +2161,11 @@ function main() {
       break;
     
     case 'commit':
-      cmdCommit(commandArgs[0]);
+      cmdCommit(commandArgs);
+      break;
+    
+    case 'reword':
+      cmdReword(commandArgs);
       break;
     
     case 'status':
@@ -1109,7 +2173,7 @@ function main() {
       break;
     
     case 'log':
-      cmdLog(commandArgs[0] ? parseInt(commandArgs[0]) : 10);
+      cmdLog(commandArgs);
       break;
     
     case 'checkout':
@@ -1124,8 +2188,13 @@ function main() {
       cmdCat(commandArgs[0], commandArgs[1]);
       break;
     
+    case 'blame':
+    case 'annotate':
+      cmdBlame(commandArgs[0], commandArgs[1]);
+      break;
+    
     case 'branch':
-      cmdBranch(commandArgs[0]);
+      cmdBranch(commandArgs[0], commandArgs[1]);
       break;
     
     case 'switch':
@@ -1133,11 +2202,11 @@ function main() {
       break;
     
     case 'diff':
-      cmdDiff(commandArgs[0], commandArgs[1]);
+      cmdDiff(commandArgs);
       break;
     
     case 'analytics':
-      cmdAnalytics();
+      cmdAnalytics(commandArgs);
       break;
     
     case 'unstage':
@@ -1153,7 +2222,41 @@ function main() {
       break;
     
     case 'merge':
-      cmdMerge(commandArgs[0]);
+      cmdMerge(commandArgs[0], commandArgs[1]);
+      break;
+    
+    case 'resolve':
+      cmdResolve(commandArgs);
+      break;
+    
+    case 'tag':
+      cmdTag(commandArgs);
+      break;
+    
+    case 'reflog':
+      cmdReflog(commandArgs[0]);
+      break;
+    
+    case 'stash':
+      cmdStash(commandArgs);
+      break;
+    
+    case 'cherry-pick':
+    case 'revert':
+      cmdReplay(command, commandArgs);
+      break;
+    
+    case 'rebase':
+      cmdRebase(commandArgs);
+      break;
+    
+    case 'format-patch':
+      cmdFormatPatch(commandArgs);
+      break;
+    
+    case 'am':
+    case 'apply':
+      cmdApplyPatch(commandArgs);
       break;
     
     case 'config':
@@ -1176,13 +2279,45 @@ function main() {
       cmdDeleteCommit(commandArgs[0]);
       break;
 
+    case 'remote':
+      cmdRemote(commandArgs);
+      break;
+
+    case 'fetch':
+      cmdFetch(commandArgs);
+      break;
+
+    case 'pull':
+      cmdPull(commandArgs);
+      break;
+
+    case 'push':
+      cmdPush(commandArgs);
+      break;
+
+    case 'serve':
+      cmdServe(commandArgs);
+      break;
+
+    case 'fsck':
+      cmdFsck(commandArgs);
+      break;
+
+    case 'repack':
+      cmdRepack(commandArgs);
+      break;
+
+    case 'upgrade':
+      cmdUpgrade(commandArgs);
+      break;
+
     case 'gc':
       cmdGarbageCollect();
       break;
 
     default:
       printError(`Unknown command: ${command}`);
-      printInfo(`Available commands for repository '${repoName}': add, commit, status, log, checkout, ls, cat, branch, switch, diff, analytics, unstage, rm, reset, merge, config, export, import, delete-branch, delete-commit, gc`);
+      printInfo(`Available commands for repository '${repoName}': add, commit, reword, status, log, checkout, ls, cat, blame, branch, tag, reflog, stash, switch, diff, analytics, unstage, rm, reset, merge, resolve, cherry-pick, revert, rebase, format-patch, am, config, export, import, delete-branch, delete-commit, remote, fetch, pull, push, serve, fsck, repack, migrate, upgrade, gc`);
       printInfo('Run "node webdvcs.js help" for usage information');
   }
 }